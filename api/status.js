@@ -1,26 +1,40 @@
-import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import masonSource from '../lib/sources/mason.js';
+import { openStore } from '../lib/storage/index.js';
+import { RUNS_FILE } from '../lib/runs.js';
+
+export default async function handler(req, res) {
+  const store = openStore(path.join(os.tmpdir(), 'mason-roster'), { namespace: masonSource.id });
 
-export default function handler(req, res) {
-  const dataDir = '/tmp';
-  const hashFile = path.join(dataDir, 'prev_hash.txt');
-  
   let lastCheck = 'Never';
   let status = 'waiting';
-  
+  let lastRun = null;
+
   try {
-    if (fs.existsSync(hashFile)) {
-      const stats = fs.statSync(hashFile);
-      lastCheck = new Date(stats.mtime).toISOString();
+    // Written by every run, here or on the server, on the store both deployments share
+    const saved = await store.read('last_check.json');
+    if (saved) {
+      lastCheck = JSON.parse(saved).checkedAt;
+      status = 'active';
+    } else if (await store.read('prev_hash.txt')) {
       status = 'active';
     }
+
+    // Newest line of the run ledger, failed runs included
+    const runs = (await store.read(RUNS_FILE) || '').trim().split('\n');
+    if (runs[runs.length - 1]) {
+      const { finishedAt, trigger, ok, error } = JSON.parse(runs[runs.length - 1]);
+      lastRun = { finishedAt, trigger, ok, error };
+    }
   } catch (e) {
     console.error(e);
   }
-  
+
   return res.status(200).json({
     status,
     lastCheck,
+    lastRun,
     nextCheck: 'Every 6 hours'
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,177 @@
+/**
+ * Raw document archive for Mason County Jail Roster Monitor
+ * Every PDF we download is stored once under its SHA-256, and every fetch
+ * is appended to an index, so a logged event can be traced back to the
+ * exact document it came from and history can be re-parsed later.
+ *
+ * Layout under <storageDir>/archive:
+ *   objects/ab/abcdef....pdf  - one file per distinct document
+ *   index.jsonl               - one line per fetch, oldest first
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './atomic-write.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default retention; ARCHIVE_RETENTION_DAYS=0 keeps everything forever
+const DEFAULT_RETENTION_DAYS = 365;
+
+/**
+ * Archive directory for a source's storage dir
+ * @param {string} storageDir
+ * @returns {string}
+ */
+function archiveDir(storageDir) {
+  return path.join(storageDir, 'archive');
+}
+
+/**
+ * Path of an archived object
+ * @param {string} dir - From archiveDir()
+ * @param {string} sha256 - Hex digest
+ * @returns {string|null} - null if sha256 isn't a valid digest
+ */
+function objectPath(dir, sha256) {
+  if (!/^[0-9a-f]{64}$/.test(sha256 || '')) return null;
+  return path.join(dir, 'objects', sha256.slice(0, 2), sha256 + '.pdf');
+}
+
+/**
+ * Store a downloaded document and record the fetch
+ * @param {string} dir - From archiveDir()
+ * @param {Object} doc
+ * @param {string} doc.kind - "roster" or "releases"
+ * @param {Buffer} doc.buffer - Raw bytes as downloaded
+ * @param {string} [doc.url] - Where it came from
+ * @param {Date} [doc.fetchedAt] - Defaults to now
+ * @returns {{sha256: string, kind: string, url: string, size: number, fetchedAt: string, isNew: boolean}}
+ *   - isNew is true when these bytes had never been archived before
+ */
+function archiveDocument(dir, { kind, buffer, url = '', fetchedAt = new Date() }) {
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const file = objectPath(dir, sha256);
+
+  const isNew = !fs.existsSync(file);
+  if (isNew) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // A torn write here would be taken for the stored copy forever after
+    writeFileAtomic(file, buffer);
+  }
+
+  const entry = { sha256, kind, url, size: buffer.length, fetchedAt: fetchedAt.toISOString() };
+  fs.appendFileSync(path.join(dir, 'index.jsonl'), JSON.stringify(entry) + '\n');
+  return { ...entry, isNew };
+}
+
+/**
+ * Read the fetch index, oldest first
+ * @param {string} dir - From archiveDir()
+ * @param {Object} [filter]
+ * @param {string} [filter.kind] - Only fetches of this kind
+ * @returns {Array<{sha256: string, kind: string, url: string, size: number, fetchedAt: string}>}
+ */
+function readArchiveIndex(dir, { kind } = {}) {
+  const file = path.join(dir, 'index.jsonl');
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try { return JSON.parse(line); } catch { return null; }
+    })
+    .filter(e => e && (!kind || e.kind === kind));
+}
+
+/**
+ * Collapse the fetch index into one row per distinct document
+ * @param {Array} entries - From readArchiveIndex()
+ * @returns {Array<{sha256: string, kind: string, size: number, firstFetchedAt: string, lastFetchedAt: string, fetchCount: number}>}
+ *   - Ordered by first fetch
+ */
+function summarizeArchive(entries) {
+  const byHash = new Map();
+  for (const e of entries) {
+    const row = byHash.get(e.sha256);
+    if (row) {
+      row.lastFetchedAt = e.fetchedAt;
+      row.fetchCount++;
+    } else {
+      byHash.set(e.sha256, {
+        sha256: e.sha256,
+        kind: e.kind,
+        size: e.size,
+        firstFetchedAt: e.fetchedAt,
+        lastFetchedAt: e.fetchedAt,
+        fetchCount: 1
+      });
+    }
+  }
+  return [...byHash.values()];
+}
+
+/**
+ * Drop fetches older than the retention window and any object no longer referenced
+ * @param {string} dir - From archiveDir()
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Defaults to ARCHIVE_RETENTION_DAYS or 365; 0 keeps everything
+ * @param {Date} [options.now]
+ * @param {boolean} [options.keepLatest] - Keep the most recent fetch of each kind however old (default true)
+ * @returns {{removedEntries: number, removedObjects: number}}
+ *
+ * The most recent fetch of each kind is kept by default, so a source that
+ * has been down for longer than the window still has its last document.
+ * The personal data purge turns that off: an old document is old names.
+ */
+function pruneArchive(dir, { retentionDays = defaultRetentionDays(), now = new Date(), keepLatest = true } = {}) {
+  const entries = readArchiveIndex(dir);
+  if (!retentionDays || entries.length === 0) {
+    return { removedEntries: 0, removedObjects: 0 };
+  }
+
+  const cutoff = now.getTime() - retentionDays * DAY_MS;
+  const latestByKind = new Map();
+  entries.forEach((e, i) => latestByKind.set(e.kind, i));
+  const keepIndexes = new Set(keepLatest ? latestByKind.values() : []);
+
+  const kept = entries.filter((e, i) => keepIndexes.has(i) || new Date(e.fetchedAt).getTime() >= cutoff);
+  const removedEntries = entries.length - kept.length;
+  if (removedEntries === 0) {
+    return { removedEntries: 0, removedObjects: 0 };
+  }
+
+  // Rewrite the index before deleting objects so it never points at a missing file
+  const indexFile = path.join(dir, 'index.jsonl');
+  writeFileAtomic(indexFile, kept.map(e => JSON.stringify(e) + '\n').join(''));
+
+  const stillReferenced = new Set(kept.map(e => e.sha256));
+  let removedObjects = 0;
+  for (const sha256 of new Set(entries.map(e => e.sha256))) {
+    if (stillReferenced.has(sha256)) continue;
+    const file = objectPath(dir, sha256);
+    if (file && fs.existsSync(file)) {
+      fs.unlinkSync(file);
+      removedObjects++;
+    }
+  }
+
+  return { removedEntries, removedObjects };
+}
+
+function defaultRetentionDays() {
+  const env = process.env.ARCHIVE_RETENTION_DAYS;
+  if (env === undefined || env === '') return DEFAULT_RETENTION_DAYS;
+  const days = Number(env);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+export {
+  archiveDir,
+  objectPath,
+  archiveDocument,
+  readArchiveIndex,
+  summarizeArchive,
+  pruneArchive
+};
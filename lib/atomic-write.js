@@ -0,0 +1,52 @@
+/**
+ * Crash-safe file writes for Mason County Jail Roster Monitor
+ * State files are written to a temp file in the same directory, flushed,
+ * and renamed over the target, so a reader (or the next run after a crash)
+ * sees either the old contents or the new ones, never half of each.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Replace a file's contents atomically
+ * @param {string} file - Target path; its directory must exist
+ * @param {string|Buffer} data
+ *
+ * The temp name is unique per call, so two writers never share a temp
+ * file; the last rename wins.
+ */
+function writeFileAtomic(file, data) {
+  const tmp = path.join(
+    path.dirname(file),
+    '.' + path.basename(file) + '.tmp-' + process.pid + '-' + crypto.randomBytes(4).toString('hex')
+  );
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * Write a value as pretty-printed JSON, atomically
+ * @param {string} file
+ * @param {*} value
+ */
+function writeJsonAtomic(file, value) {
+  writeFileAtomic(file, JSON.stringify(value, null, 2));
+}
+
+export {
+  writeFileAtomic,
+  writeJsonAtomic
+};
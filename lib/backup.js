@@ -0,0 +1,245 @@
+/**
+ * Storage backups for Mason County Jail Roster Monitor
+ * Snapshots every state file of a storage dir into one gzipped JSON archive
+ * under <storage>/backups/, and restores one after checking it.
+ *
+ * WHY: Each admin fixer left its own .backup-<ts> copy of the one file it
+ * rewrote, scattered through the storage dir, with no way to list them or
+ * put one back. A backup now covers all state at once, so a rollback never
+ * mixes an old change log with newer roster state.
+ *
+ * Archive format (gzip of):
+ *   {format: "mason-roster-backup", v: 1, createdAt, reason,
+ *    files: {"events.jsonl": {sha256, data: base64}, ...}}
+ * The PDF archive and quarantine are not included; they are large and
+ * can be fetched or rebuilt.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { EVENTS_FILE, EVENT_SCHEMA_VERSION } from './events.js';
+import { POPULATION_FILE } from './population.js';
+import { RUNS_FILE } from './runs.js';
+import { writeFileAtomic } from './atomic-write.js';
+
+const BACKUP_FORMAT = 'mason-roster-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_DIR = 'backups';
+const MAX_BACKUPS = 30;
+
+// Every file that makes up a storage dir's state; missing ones are skipped
+const STATE_FILES = [
+  EVENTS_FILE,
+  'release_stats_history.json',
+  'pending_releases.json',
+  'metrics.json',
+  'prev_roster.txt',
+  'prev_hash.txt',
+  'last_check.json',
+  'stays.json',
+  'release_unparsed.json',
+  'release_ambiguous.json',
+  'events_migration.json',
+  'change_log.migrated.txt',
+  POPULATION_FILE,
+  RUNS_FILE
+];
+
+const BACKUP_NAME_RE = /^backup-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)(?:-[a-z0-9-]+)?\.json\.gz$/;
+
+function backupDir(storageDir) {
+  return path.join(storageDir, BACKUP_DIR);
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Snapshot a storage dir's state into backups/
+ * @param {string} storageDir
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why it was taken, e.g. "deduplicate"; also ends up in the file name
+ * @param {Date} [options.now] - For tests
+ * @returns {{name: string, size: number, createdAt: string, reason: string|null, files: Array<string>}}
+ *
+ * Only the newest MAX_BACKUPS are kept.
+ */
+function createBackup(storageDir, { reason = null, now = new Date() } = {}) {
+  const createdAt = now.toISOString();
+  const slug = reason ? '-' + reason.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : '';
+  const name = 'backup-' + createdAt.replace(/[:.]/g, '-') + slug + '.json.gz';
+  const { archive, files } = packState(storageDir, { createdAt, reason });
+
+  const dir = backupDir(storageDir);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  writeFileAtomic(path.join(dir, name), archive);
+
+  for (const old of listBackups(storageDir).slice(MAX_BACKUPS)) {
+    fs.rmSync(path.join(dir, old.name), { force: true });
+  }
+  return { name, size: archive.length, createdAt, reason, files };
+}
+
+// Gzip the state files found in a directory
+function packState(dir, { createdAt, reason }) {
+  const files = {};
+  for (const name of STATE_FILES) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) continue;
+    const data = fs.readFileSync(file);
+    files[name] = { sha256: sha256(data), data: data.toString('base64') };
+  }
+  const archive = zlib.gzipSync(JSON.stringify({ format: BACKUP_FORMAT, v: BACKUP_VERSION, createdAt, reason, files }));
+  return { archive, files: Object.keys(files) };
+}
+
+/**
+ * List the backups of a storage dir, newest first
+ * @param {string} storageDir
+ * @returns {Array<{name: string, size: number, createdAt: string}>}
+ */
+function listBackups(storageDir) {
+  const dir = backupDir(storageDir);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(name => ({ name, match: name.match(BACKUP_NAME_RE) }))
+    .filter(b => b.match)
+    .map(({ name, match }) => {
+      const [date, time] = match[1].split('T');
+      return {
+        name,
+        size: fs.statSync(path.join(dir, name)).size,
+        createdAt: date + 'T' + time.replace(/^(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, '$1:$2:$3.$4Z')
+      };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Path of a backup by name
+ * @param {string} storageDir
+ * @param {string} name - From listBackups()
+ * @returns {string|null} - null if there is no such backup
+ */
+function backupPath(storageDir, name) {
+  if (!BACKUP_NAME_RE.test(name)) return null;
+  const file = path.join(backupDir(storageDir), name);
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Unpack and check a backup archive
+ * @param {Buffer} buffer - Gzipped archive
+ * @returns {{createdAt: string, reason: string|null, files: Object<string, Buffer>}}
+ * @throws {Error} - Describing the first problem: not a backup, newer format,
+ *   unknown or corrupt file, unreadable JSON, or events from a newer schema
+ */
+function readBackup(buffer) {
+  let archive;
+  try {
+    archive = JSON.parse(zlib.gunzipSync(buffer).toString('utf-8'));
+  } catch (e) {
+    throw new Error('Not a backup archive: ' + e.message);
+  }
+  if (!archive || archive.format !== BACKUP_FORMAT || !archive.files) {
+    throw new Error('Not a backup archive');
+  }
+  if (archive.v > BACKUP_VERSION) {
+    throw new Error(`Backup format v${archive.v} is newer than this build understands (v${BACKUP_VERSION})`);
+  }
+
+  const files = {};
+  for (const [name, entry] of Object.entries(archive.files)) {
+    if (!STATE_FILES.includes(name)) throw new Error('Unexpected file in backup: ' + name);
+    const data = Buffer.from(entry.data || '', 'base64');
+    if (sha256(data) !== entry.sha256) throw new Error(`${name} is corrupt (checksum mismatch)`);
+
+    const text = data.toString('utf-8');
+    try {
+      if (name.endsWith('.json')) JSON.parse(text);
+      if (name === EVENTS_FILE) {
+        for (const line of text.split('\n').filter(l => l.trim())) {
+          const event = JSON.parse(line);
+          if (event.v > EVENT_SCHEMA_VERSION) {
+            throw new Error(`has events from schema v${event.v}`);
+          }
+        }
+      }
+    } catch (e) {
+      throw new Error(`${name} is unreadable: ${e.message}`);
+    }
+    files[name] = data;
+  }
+  return { createdAt: archive.createdAt, reason: archive.reason || null, files };
+}
+
+/**
+ * Replace a storage dir's state with a backup's
+ * @param {string} storageDir
+ * @param {Buffer} buffer - Gzipped archive, checked with readBackup() first
+ * @returns {{restored: Array<string>, removed: Array<string>, createdAt: string, safetyBackup: string}}
+ *   - removed: state files the backup didn't have
+ *   - safetyBackup: the backup of the state just replaced, so a restore can be undone
+ *
+ * Hold the run lock while restoring.
+ */
+function restoreBackup(storageDir, buffer) {
+  const backup = readBackup(buffer);
+  const safety = createBackup(storageDir, { reason: 'before-restore' });
+
+  const restored = [];
+  const removed = [];
+  for (const name of STATE_FILES) {
+    const file = path.join(storageDir, name);
+    if (backup.files[name]) {
+      writeFileAtomic(file, backup.files[name]);
+      restored.push(name);
+    } else if (fs.existsSync(file)) {
+      fs.rmSync(file);
+      removed.push(name);
+    }
+  }
+  return { restored, removed, createdAt: backup.createdAt, safetyBackup: safety.name };
+}
+
+/**
+ * Run a change over the files inside an existing backup, keeping its name and date
+ * @param {string} storageDir
+ * @param {string} name - From listBackups()
+ * @param {Function} edit - (dir) => result; gets a temp dir holding the backup's files
+ * @returns {*} - What edit returned
+ *
+ * Used by the retention purge, so personal data doesn't outlive its
+ * window inside old backups.
+ */
+function rewriteBackup(storageDir, name, edit) {
+  const file = backupPath(storageDir, name);
+  if (!file) throw new Error('No such backup: ' + name);
+  const backup = readBackup(fs.readFileSync(file));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-backup-'));
+  try {
+    for (const [fileName, data] of Object.entries(backup.files)) {
+      fs.writeFileSync(path.join(dir, fileName), data);
+    }
+    const result = edit(dir);
+    writeFileAtomic(file, packState(dir, { createdAt: backup.createdAt, reason: backup.reason }).archive);
+    return result;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+export {
+  STATE_FILES,
+  createBackup,
+  listBackups,
+  backupPath,
+  readBackup,
+  restoreBackup,
+  rewriteBackup
+};
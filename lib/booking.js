@@ -0,0 +1,135 @@
+/**
+ * Booking detail for Mason County Jail Roster Monitor
+ * Gathers everything observed about one booking number for
+ * /api/bookings/:bookingNumber: its events in order, its stay, the release
+ * stats record its release was matched to, and whether a release is still
+ * waiting for release stats details.
+ *
+ * WHY: A booking's history was spread over the event log, stays.json,
+ * release_stats_history.json and pending_releases.json, and no page showed
+ * more than one piece of it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseTimeServed } from '../utils.js';
+import { readEvents } from './events.js';
+import { readStays } from './stays.js';
+import { nameMatchKey } from './name-match.js';
+import { eventTimestamp } from './event-query.js';
+
+const TIMELINE_LABELS = {
+  BOOKED: 'First seen on the roster',
+  CHARGE_ADDED: 'Charge added',
+  CHARGE_REMOVED: 'Charge removed',
+  REL_DATE_SET: 'Release date set',
+  REL_DATE_CLEARED: 'Release date cleared',
+  RELEASED: 'Release detected',
+  RELEASE_DETAILS: 'Release details found'
+};
+
+function readJson(file, fallback) {
+  if (!file || !fs.existsSync(file)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// The release stats record for a stay: linked by booking number, else the one its release came from
+function releaseRecord(history, stay) {
+  const linked = history.find(r => r.bookingId && r.bookingId === stay.bookingId);
+  if (linked) return linked;
+  if (stay.releaseSource !== 'release-stats') return null;
+  const key = nameMatchKey(stay.name);
+  return history.find(r => r.releaseDateTime === stay.releaseDate && nameMatchKey(r.name) === key) || null;
+}
+
+/**
+ * Everything observed about one booking
+ * @param {string} storageDir
+ * @param {string} bookingNumber - e.g. "26-00412"
+ * @param {Object} [options]
+ * @param {string} [options.releaseHistoryFile]
+ * @param {Map<string, import('./sources/index.js').Booking>} [options.currentBookings] - Last captured roster
+ * @returns {Object|null} - null when the booking was never seen:
+ *   - bookingNumber, name, nameNumber, bookDate, charges (as of the latest observation)
+ *   - inCustody: on the last captured roster
+ *   - firstSeen: {detectedAt, bookDate, charges} from the BOOKED event, or null
+ *   - amendments: charge and release date changes, oldest first
+ *   - release: {detectedAt, releaseDate, releaseSource, releaseType, bail}, or null
+ *   - releaseStats: the matched release stats record, with its own time served
+ *     (timeServedPdf) next to book-to-release time (timeServedComputed), or null
+ *   - pendingRelease: the pending_releases.json entry, or null
+ *   - ambiguousRelease: release stats records it couldn't be told apart from, or null
+ *   - timeline: every event, oldest first, each with timestamp and label
+ */
+function bookingDetail(storageDir, bookingNumber, { releaseHistoryFile, currentBookings } = {}) {
+  const table = readStays(storageDir, { releaseHistoryFile });
+  const stay = table.stays[bookingNumber] || null;
+  const stayEventIds = new Set(stay ? stay.eventIds : []);
+  const events = readEvents(storageDir)
+    .filter(e => e.bookingId === bookingNumber || stayEventIds.has(e.id));
+  const current = currentBookings ? currentBookings.get(bookingNumber) || null : null;
+  const pending = readJson(path.join(storageDir, 'pending_releases.json'), [])
+    .find(p => p.bookingData && p.bookingData.id === bookingNumber) || null;
+  const ambiguous = readJson(path.join(storageDir, 'release_ambiguous.json'), [])
+    .filter(a => a.bookingId === bookingNumber);
+
+  if (!stay && events.length === 0 && !current && !pending) return null;
+
+  const latest = current || stay || events[events.length - 1] || pending.bookingData;
+  const booked = events.find(e => e.type === 'BOOKED');
+  const released = [...events].reverse().find(e => e.type === 'RELEASED');
+
+  let release = null;
+  if (stay && stay.releaseSource) {
+    release = {
+      detectedAt: released ? released.detectedAt : null,
+      releaseDate: stay.releaseDate,
+      releaseSource: stay.releaseSource,
+      releaseType: stay.releaseType,
+      bail: stay.bail
+    };
+  }
+
+  let releaseStats = null;
+  const record = stay ? releaseRecord(readJson(releaseHistoryFile, []), stay) : null;
+  if (record) {
+    const pdfMins = parseTimeServed(record.timeServed);
+    releaseStats = {
+      name: record.name,
+      releaseDateTime: record.releaseDateTime,
+      releaseType: record.releaseType,
+      bail: record.bail,
+      timeServedPdf: record.timeServed || null,
+      timeServedComputed: stay.timeServed,
+      differenceMins: pdfMins !== null && stay.durationMins ? stay.durationMins - pdfMins : null
+    };
+  }
+
+  return {
+    bookingNumber,
+    name: latest.name,
+    nameNumber: latest.nameNumber || (stay && stay.nameNumber) || null,
+    bookDate: (stay && stay.bookDate) || latest.bookDate || null,
+    charges: latest.charges || [],
+    inCustody: Boolean(current),
+    firstSeen: booked ? { detectedAt: booked.detectedAt, bookDate: booked.bookDate, charges: booked.charges || [] } : null,
+    amendments: events.filter(e => !['BOOKED', 'RELEASED', 'RELEASE_DETAILS'].includes(e.type)),
+    release,
+    releaseStats,
+    pendingRelease: pending ? { detectedAt: pending.detectedAt, name: pending.name } : null,
+    ambiguousRelease: ambiguous.length > 0 ? ambiguous[ambiguous.length - 1].candidates : null,
+    timeline: events.map(e => {
+      const timestamp = eventTimestamp(e);
+      return { ...e, timestamp: timestamp ? timestamp.toISOString() : null, label: TIMELINE_LABELS[e.type] || e.type };
+    })
+  };
+}
+
+export {
+  TIMELINE_LABELS,
+  bookingDetail
+};
@@ -0,0 +1,345 @@
+/**
+ * Roster diff pipeline for Mason County Jail Roster Monitor
+ * Turns one roster snapshot (plus the release stats seen with it) into
+ * change events. /api/run feeds it the live download; replay feeds it
+ * archived snapshots with a fake clock. Nothing here touches the disk.
+ */
+
+import crypto from 'crypto';
+import { parseBookingDate, formatJailDate } from '../utils.js';
+import { formatCharge } from './charges.js';
+import { matchRelease } from './name-match.js';
+import { rosterFingerprint, changedFields } from './fingerprint.js';
+import { createEvent, eventDate, formatEventLog } from './events.js';
+
+// Compute actual time served from book date string → release date string.
+// Both dates are in "M/D/YY HH:MM:SS" or "MM/DD/YY HH:MM:SS" format, in jail time,
+// so a stay across a DST change comes out an hour shorter or longer, as it really was.
+// We calculate this ourselves rather than trusting the PDF's own time-served field,
+// which tracks time in the current booking stint and can be far shorter than reality.
+function computeTimeServed(bookDateStr, releaseDateTimeStr) {
+  try {
+    const booked = parseBookingDate(bookDateStr);
+    const released = parseBookingDate(releaseDateTimeStr);
+    if (!booked || !released) return null;
+    const diffMs = released - booked;
+    if (diffMs <= 0) return null;
+    const totalMins = Math.floor(diffMs / 60000);
+    const days = Math.floor(totalMins / 1440);
+    const hours = Math.floor((totalMins % 1440) / 60);
+    const mins = totalMins % 60;
+    return `${days}d${hours}h${mins}m`;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Event builders
+function bookedEvent(b, now) {
+  return createEvent('BOOKED', {
+    detectedAt: now.toISOString(),
+    name: b.name,
+    nameNumber: b.nameNumber,
+    bookingId: b.id,
+    bookDate: b.bookDate,
+    charges: b.charges
+  });
+}
+
+// Release details from the release stats PDF; time served is computed from the roster's
+// actual book date, since the PDF's own field tracks time in the current stint only.
+function releaseFields(b, releaseInfo) {
+  const bailAmount = parseFloat(releaseInfo.bail.replace(/[$,]/g, ''));
+  const computed = (b.bookDate && b.bookDate !== 'Unknown')
+    ? computeTimeServed(b.bookDate, releaseInfo.releaseDateTime)
+    : null;
+  return {
+    releaseDate: releaseInfo.releaseDateTime,
+    timeServed: computed || releaseInfo.timeServed,
+    bail: bailAmount > 0 ? releaseInfo.bail : null,
+    releaseType: releaseInfo.releaseType
+  };
+}
+
+function releasedEvent(b, stats, now = new Date()) {
+  const common = {
+    detectedAt: now.toISOString(),
+    name: b.name,
+    nameNumber: b.nameNumber,
+    bookingId: b.id,
+    bookDate: b.bookDate,
+    charges: b.charges
+  };
+  const { match: releaseInfo, ambiguous, candidates } = matchRelease(stats, b);
+  if (releaseInfo) {
+    return {
+      event: createEvent('RELEASED', { ...common, ...releaseFields(b, releaseInfo) }),
+      hasPendingDetails: false,
+      match: releaseInfo,
+      ambiguous: null
+    };
+  }
+
+  // No match in release PDF — compute time served from book date to detection time.
+  const releaseDate = formatJailDate(now);
+  const computedNoMatch = (b.bookDate && b.bookDate !== 'Unknown')
+    ? computeTimeServed(b.bookDate, releaseDate)
+    : null;
+
+  return {
+    event: createEvent('RELEASED', { ...common, releaseDate, timeServed: computedNoMatch }),
+    hasPendingDetails: false,
+    match: null,
+    ambiguous: ambiguous ? candidates : null
+  };
+}
+
+/**
+ * Compare the parsed fields of one booking across two snapshots
+ * @param {Object} before - Booking from the previous snapshot
+ * @param {Object} after - Same booking number in the current snapshot
+ * @returns {Array<{type: string, charge?: Object, relDate?: string}>}
+ *   - Charges are compared by their full formatted form, so a changed
+ *     statute or class shows up as one removal plus one addition
+ */
+function diffBooking(before, after) {
+  const amendments = [];
+
+  const beforeKeys = new Set((before.charges || []).map(formatCharge));
+  const afterKeys = new Set((after.charges || []).map(formatCharge));
+  for (const charge of after.charges || []) {
+    if (!beforeKeys.has(formatCharge(charge))) amendments.push({ type: 'CHARGE_ADDED', charge });
+  }
+  for (const charge of before.charges || []) {
+    if (!afterKeys.has(formatCharge(charge))) amendments.push({ type: 'CHARGE_REMOVED', charge });
+  }
+
+  const hasDate = d => d && d !== 'Not Released';
+  if (hasDate(after.releaseDate) && after.releaseDate !== before.releaseDate) {
+    amendments.push({ type: 'REL_DATE_SET', relDate: after.releaseDate });
+  } else if (hasDate(before.releaseDate) && !hasDate(after.releaseDate)) {
+    amendments.push({ type: 'REL_DATE_CLEARED', relDate: before.releaseDate });
+  }
+
+  return amendments;
+}
+
+
+/**
+ * Build the change event for an amendment
+ * @param {Object} b - Booking (current snapshot)
+ * @param {{type: string, charge?: Object, relDate?: string}} amendment - From diffBooking()
+ * @param {Date} now - Detection time
+ * @returns {Object} - Event; formatEvent() renders it as e.g.
+ *   "CHARGE_ADDED | DOE, JOHN A | Detected: 02/28/26 18:30:00 | Booking #: 26-00412 | Name #: 104532 | Charge: Assault, Simple [9A.36.041/DIST/GM]"
+ */
+function amendmentEvent(b, amendment, now) {
+  return createEvent(amendment.type, {
+    detectedAt: now.toISOString(),
+    name: b.name,
+    nameNumber: b.nameNumber,
+    bookingId: b.id,
+    charge: amendment.charge,
+    relDate: amendment.relDate
+  });
+}
+
+/**
+ * Hash of the raw roster text
+ * @param {string} text - Raw roster text
+ * @returns {string}
+ *
+ * Only used to spot a regenerated PDF with unchanged bookings; whether
+ * custody changed is decided by rosterFingerprint().
+ */
+function rosterHash(text) {
+  return crypto.createHash("md5").update(text).digest("hex");
+}
+
+
+/**
+ * Diff one roster snapshot against the previous one and build its change events
+ * @param {Object} previous - State after the last snapshot
+ * @param {string|null} previous.hash - Stored fingerprint; null on the very first run
+ * @param {string|null} [previous.textHash] - rosterHash() of the last snapshot's text
+ * @param {Map|null} previous.bookings - Parsed bookings of the last snapshot
+ * @param {Array} previous.pendingReleases - Releases still waiting for release stats details
+ * @param {Object} current
+ * @param {string} current.text - Raw roster text
+ * @param {Map} current.bookings - Parsed bookings of this snapshot
+ * @param {Map} releaseStats - Release stats parsed alongside this snapshot
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Clock for detection times (replay passes the fetch time)
+ * @returns {{
+ *   isFirstRun: boolean, hasChanged: boolean, noOpRegeneration: boolean,
+ *   changes: {booked: number, released: number, fields: Object<string, number>}|null,
+ *   events: Array<Object>, updatedReleases: Array,
+ *   releaseLinks: Array<{name: string, releaseDateTime: string, nameNumber: string, bookingId: string}>,
+ *   ambiguousReleases: Array<{name: string, nameNumber: string, bookingId: string, bookDate: string, candidates: Array}>,
+ *   logText: string,
+ *   next: {hash: string, textHash: string, bookings: Map, pendingReleases: Array}
+ * }}
+ *   - events is what to append to the event store (see lib/events.js), in log order;
+ *     logText is the same events as change log text; next is the state for the following snapshot
+ *   - noOpRegeneration: the PDF text changed but the parsed bookings did not
+ *   - releaseLinks name the release by its PDF name, which may differ from the roster's
+ *   - ambiguousReleases: releases whose release stats record couldn't be told apart
+ *     from another name's; they are logged without details rather than guessed
+ *
+ * Both fingerprints are computed from parsed bookings, so a parser upgrade
+ * re-parses the previous snapshot the same way and doesn't look like a change.
+ */
+function diffSnapshot(previous, current, releaseStats, { now = new Date() } = {}) {
+  const currentHash = rosterFingerprint(current.bookings);
+  const textHash = rosterHash(current.text);
+  const timestamp = now.toISOString();
+
+  let hasChanged = false;
+  let noOpRegeneration = false;
+  let changes = null;
+  let isFirstRun = false;
+  const bookedEvents = [];
+  const releasedEvents = [];
+  const amendedEvents = [];
+  const releaseLinks = [];
+  const ambiguousReleases = [];
+  const reportAmbiguous = (booking, candidates) => ambiguousReleases.push({
+    name: booking.name,
+    nameNumber: booking.nameNumber,
+    bookingId: booking.id,
+    bookDate: booking.bookDate,
+    candidates
+  });
+  let pendingReleases = previous.pendingReleases || [];
+
+  if (previous.hash && previous.bookings) {
+    hasChanged = currentHash !== rosterFingerprint(previous.bookings);
+    changes = changedFields(previous.bookings, current.bookings);
+    noOpRegeneration = !hasChanged && Boolean(previous.textHash) && previous.textHash !== textHash;
+
+    if (hasChanged) {
+      const currentBookings = current.bookings;
+      const previousBookings = previous.bookings;
+
+      for (const [id, booking] of currentBookings) {
+        if (!previousBookings.has(id)) {
+          bookedEvents.push(bookedEvent(booking, now));
+        } else {
+          // Still in custody: record charge and release date changes
+          for (const amendment of diffBooking(previousBookings.get(id), booking)) {
+            amendedEvents.push(amendmentEvent(booking, amendment, now));
+          }
+        }
+      }
+
+      // Track releases
+      const newPendingReleases = [];
+      for (const [id, booking] of previousBookings) {
+        if (!currentBookings.has(id)) {
+          const releaseResult = releasedEvent(booking, releaseStats, now);
+          releasedEvents.push(releaseResult.event);
+          if (releaseResult.match) {
+            releaseLinks.push({
+              name: releaseResult.match.name,
+              releaseDateTime: releaseResult.match.releaseDateTime,
+              nameNumber: booking.nameNumber,
+              bookingId: booking.id
+            });
+          }
+          if (releaseResult.ambiguous) reportAmbiguous(booking, releaseResult.ambiguous);
+
+          // If release details are pending, track it
+          if (releaseResult.hasPendingDetails) {
+            newPendingReleases.push({
+              name: booking.name,
+              bookingData: booking,
+              detectedAt: timestamp
+            });
+          }
+        }
+      }
+
+      // Update pending releases list
+      pendingReleases = [...pendingReleases, ...newPendingReleases];
+    }
+  } else {
+    isFirstRun = true;
+  }
+
+  // Check for updates to pending releases
+  const updatedReleases = [];
+  const stillPending = [];
+
+  for (const pending of pendingReleases) {
+    const { match: releaseInfo, ambiguous, candidates } = matchRelease(releaseStats, pending.bookingData);
+    if (releaseInfo) {
+      // Found updated info!
+      updatedReleases.push({
+        name: pending.name,
+        nameNumber: pending.bookingData.nameNumber,
+        bookingId: pending.bookingData.id,
+        details: releaseInfo,
+        charges: pending.bookingData.charges,
+        bookDate: pending.bookingData.bookDate
+      });
+      releaseLinks.push({
+        name: releaseInfo.name,
+        releaseDateTime: releaseInfo.releaseDateTime,
+        nameNumber: pending.bookingData.nameNumber,
+        bookingId: pending.bookingData.id
+      });
+    } else {
+      // Still waiting for details
+      if (ambiguous) reportAmbiguous(pending.bookingData, candidates);
+      stillPending.push(pending);
+    }
+  }
+
+  // Newest roster date first; entries without a usable date count as detected now
+  const byDateDesc = (a, b) =>
+    (parseBookingDate(eventDate(b)) || now) - (parseBookingDate(eventDate(a)) || now);
+
+  let events = [];
+  if (isFirstRun) {
+    // On first run, log all current inmates as booked
+    events = Array.from(current.bookings.values()).map(b => bookedEvent(b, now)).sort(byDateDesc);
+  } else if (hasChanged) {
+    // Amendments are only known at detection time, so they follow the dated entries
+    events = [...bookedEvents, ...releasedEvents].sort(byDateDesc).concat(amendedEvents);
+  }
+
+  // Release details that arrived after the release was logged
+  for (const r of updatedReleases) {
+    events.push(createEvent('RELEASE_DETAILS', {
+      detectedAt: timestamp,
+      name: r.name,
+      nameNumber: r.nameNumber,
+      bookingId: r.bookingId,
+      bookDate: r.bookDate,
+      charges: r.charges,
+      ...releaseFields(r, r.details)
+    }));
+  }
+
+  return {
+    isFirstRun,
+    hasChanged,
+    noOpRegeneration,
+    changes,
+    events,
+    updatedReleases,
+    releaseLinks,
+    ambiguousReleases,
+    logText: formatEventLog(events),
+    next: { hash: currentHash, textHash, bookings: current.bookings, pendingReleases: stillPending }
+  };
+}
+
+export {
+  computeTimeServed,
+  releasedEvent,
+  diffBooking,
+  amendmentEvent,
+  rosterHash,
+  diffSnapshot
+};
@@ -0,0 +1,140 @@
+/**
+ * Charge parsing and formatting for Mason County Jail Roster Monitor
+ * Turns rows of the roster's StatuteOffenseCourtOffenseClass table into
+ * structured charge records, and round-trips them through the change log.
+ */
+
+const COURT_TYPES = ['SUPR', 'DIST', 'MUNI', 'DOC'];
+
+/**
+ * Parse one row of the roster's charge table
+ * @param {string} line - e.g. "9A.36.041Assault, SimpleDISTGM"
+ * @returns {{statute: string, offense: string, court: string, offenseClass: string}|null}
+ *   - Structured charge, or null if the line has no court type
+ *
+ * WHY: pdf-parse runs the table columns together with no separator.
+ * The statute is a RCW cite (title.chapter.section plus optional
+ * subsections), the court is one of a few fixed codes, and whatever
+ * follows the court is the offense class.
+ */
+function parseChargeLine(line) {
+  if (!line || typeof line !== 'string') {
+    return null;
+  }
+
+  // Greedy head so we split on the LAST court code in the row
+  const rowMatch = line.trim().match(/^(.*)(SUPR|DIST|MUNI|DOC)(.*)$/);
+  if (!rowMatch) {
+    return null;
+  }
+
+  let head = rowMatch[1].trim();
+  const court = rowMatch[2];
+  const offenseClass = rowMatch[3].trim();
+
+  // RCW cite: "9A.36.041", "69.50.4013(1)", "10.99.040(4)(B)".
+  // A section letter only counts when it isn't the start of the offense word.
+  let statute = '';
+  const statuteMatch = head.match(/^((?:\d+[A-Z]?\.)+\d+(?:[A-Z](?![A-Za-z]))?(?:\([0-9A-Za-z]+\))*)/);
+  if (statuteMatch) {
+    statute = statuteMatch[1];
+    head = head.slice(statute.length);
+  }
+
+  const offense = head.trim().replace(/\s+/g, ' ');
+  if (offense.length <= 2) {
+    return null;
+  }
+
+  return { statute, offense, court, offenseClass };
+}
+
+/**
+ * Format a charge for the change log
+ * @param {Object|string} charge - Structured charge (or legacy plain offense string)
+ * @returns {string} - e.g. "Assault, Simple [9A.36.041/DIST/GM]"
+ */
+function formatCharge(charge) {
+  if (!charge) return '';
+  if (typeof charge === 'string') return charge;
+
+  const meta = [charge.statute, charge.court, charge.offenseClass];
+  if (meta.every(v => !v)) return charge.offense;
+  return `${charge.offense} [${meta.map(v => v || '').join('/')}]`;
+}
+
+/**
+ * Format a list of charges for the change log
+ * @param {Array<Object|string>} charges
+ * @returns {string} - Charges separated by "; ", or "None listed"
+ *
+ * WHY: Offense text itself contains commas ("Burglary, Resident, Unlawf Ent"),
+ * so the old comma-joined format could not be split back apart reliably.
+ */
+function formatCharges(charges) {
+  if (!charges || charges.length === 0) {
+    return 'None listed';
+  }
+  return charges.map(formatCharge).join('; ');
+}
+
+/**
+ * Parse the "Charges:" field of a change log line back into charges
+ * @param {string} text - Output of formatCharges, or a legacy comma-joined list
+ * @returns {Array<{statute: string, offense: string, court: string, offenseClass: string}>}
+ *
+ * Legacy entries only carry offense text, so statute/court/offenseClass are ''.
+ */
+function parseChargeList(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const trimmed = text.trim();
+  if (!trimmed || trimmed === 'None listed' || trimmed === 'Not Released') {
+    return [];
+  }
+
+  // Legacy format: "Assault, Simple, Failure to Appear"
+  if (!/\[[^\]]*\]/.test(trimmed)) {
+    return trimmed.split(',')
+      .map(s => s.trim())
+      .filter(Boolean)
+      .map(offense => ({ statute: '', offense, court: '', offenseClass: '' }));
+  }
+
+  return trimmed.split(/;\s*/)
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(part => {
+      const m = part.match(/^(.*?)\s*\[([^\]]*)\]$/);
+      if (!m) {
+        return { statute: '', offense: part, court: '', offenseClass: '' };
+      }
+      const [statute = '', court = '', offenseClass = ''] = m[2].split('/');
+      return { statute, offense: m[1], court, offenseClass };
+    });
+}
+
+/**
+ * Bucket a raw offense class code into a broad severity level
+ * @param {string} offenseClass - Code from the roster, e.g. "FC", "GM", "M"
+ * @returns {string} - "Felony", "Gross Misdemeanor", "Misdemeanor" or "Other"
+ */
+function offenseLevel(offenseClass) {
+  const u = (offenseClass || '').toUpperCase().trim();
+  if (!u) return 'Other';
+  if (/^F|FELONY/.test(u)) return 'Felony';
+  if (/^GM|GROSS/.test(u)) return 'Gross Misdemeanor';
+  if (/^M|MISD/.test(u)) return 'Misdemeanor';
+  return 'Other';
+}
+
+export {
+  COURT_TYPES,
+  parseChargeLine,
+  formatCharge,
+  formatCharges,
+  parseChargeList,
+  offenseLevel
+};
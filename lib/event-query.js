@@ -0,0 +1,145 @@
+/**
+ * Event API for Mason County Jail Roster Monitor
+ * Filters and pages the event store for /api/events, so a client can
+ * fetch only what it hasn't seen instead of the whole change log.
+ *
+ * Pages are cut by event id, which never changes once an event is stored
+ * (the admin fixers and the retention purge rewrite events in place), so a
+ * cursor stays valid while new events are appended.
+ *
+ * WHY: /api/changelog returned the whole log as one string and
+ * /api/admin/view-log as plain text; every client had to download and
+ * re-parse all of it on each sync.
+ */
+
+import { EVENT_TYPES, eventDate } from './events.js';
+import { parseBookingDate, parseDateParam } from '../utils.js';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * When an event happened: the roster's book or release time, else when it was detected
+ * @param {Object} event
+ * @returns {Date|null}
+ */
+function eventTimestamp(event) {
+  const date = parseBookingDate(eventDate(event));
+  if (date) return date;
+  const detected = event.detectedAt ? new Date(event.detectedAt) : null;
+  return detected && !isNaN(detected.getTime()) ? detected : null;
+}
+
+// Every charge an event mentions: its charge list, or the one an amendment added or removed
+function eventCharges(event) {
+  return [...(event.charges || []), ...(event.charge ? [event.charge] : [])];
+}
+
+function chargeText(c) {
+  return typeof c === 'string' ? c : [c.offense, c.statute].filter(Boolean).join(' ');
+}
+
+function searchText(event) {
+  return [
+    event.name, event.nameNumber, event.bookingId, event.releaseType, event.bail, event.timeServed,
+    ...eventCharges(event).map(chargeText)
+  ].filter(Boolean).join(' ').toLowerCase();
+}
+
+function dateParam(name, value, options) {
+  const date = parseDateParam(String(value), options);
+  if (!date) throw new Error(`${name} must be a date like 2026-02-01, 02/01/26 or an ISO time`);
+  return date;
+}
+
+/**
+ * Filter and page events
+ * @param {Array<Object>} events - From readEvents(), oldest first
+ * @param {Object} [query]
+ * @param {string} [query.types] - Event types, comma-separated, e.g. "BOOKED,RELEASED"
+ * @param {string} [query.from] - Events at or after this date
+ * @param {string} [query.to] - Events before the end of this date (or at/before a time)
+ * @param {string} [query.charge] - Text in a charge's offense or statute, any case
+ * @param {string} [query.q] - Words that must all appear in the name, Name Number,
+ *   booking number, release type, bail, time served or charges
+ * @param {string} [query.cursor] - nextCursor of the previous page
+ * @param {string|number} [query.limit] - Page size, up to MAX_LIMIT (default 100)
+ * @param {string} [query.order] - asc (default: oldest first, for syncing) or desc
+ * @returns {{events: Array<Object>, nextCursor: string|null, hasMore: boolean}}
+ *   - each event as stored, plus timestamp (ISO, see eventTimestamp())
+ *   - nextCursor: pass back as ?cursor= for the next page; with order=asc
+ *     the last page's cursor also picks up events appended later
+ * @throws {Error} - A parameter that can't be used
+ */
+function queryEvents(events, query = {}) {
+  const filters = [];
+
+  if (query.types) {
+    const types = String(query.types).split(',').map(t => t.trim().toUpperCase()).filter(Boolean);
+    const unknown = types.filter(t => !EVENT_TYPES.includes(t));
+    if (unknown.length > 0) throw new Error(`Unknown event types: ${unknown.join(', ')}. Known: ${EVENT_TYPES.join(', ')}`);
+    filters.push(e => types.includes(e.type));
+  }
+  if (query.from || query.to) {
+    const from = query.from ? dateParam('from', query.from) : null;
+    const to = query.to ? dateParam('to', query.to, { endOfDay: true }) : null;
+    const inclusiveTo = query.to && /\d:\d/.test(String(query.to));
+    filters.push(e => {
+      const t = eventTimestamp(e);
+      if (!t) return false;
+      if (from && t < from) return false;
+      if (to && (inclusiveTo ? t > to : t >= to)) return false;
+      return true;
+    });
+  }
+  if (query.charge) {
+    const text = String(query.charge).toLowerCase();
+    filters.push(e => eventCharges(e).some(c => chargeText(c).toLowerCase().includes(text)));
+  }
+  if (query.q) {
+    const words = String(query.q).toLowerCase().split(/\s+/).filter(Boolean);
+    filters.push(e => {
+      const text = searchText(e);
+      return words.every(w => text.includes(w));
+    });
+  }
+
+  const order = query.order || 'asc';
+  if (order !== 'asc' && order !== 'desc') throw new Error('order must be asc or desc');
+  const limit = query.limit === undefined || query.limit === '' ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) throw new Error('limit must be a whole number, 1 or more');
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = Number(query.cursor);
+    if (!Number.isInteger(cursor) || cursor < 0) throw new Error('cursor must come from a previous page\'s nextCursor');
+  }
+
+  const sorted = [...events].sort((a, b) => order === 'asc' ? a.id - b.id : b.id - a.id);
+  const page = [];
+  let hasMore = false;
+  for (const event of sorted) {
+    if (cursor !== null && (order === 'asc' ? event.id <= cursor : event.id >= cursor)) continue;
+    if (!filters.every(f => f(event))) continue;
+    if (page.length === Math.min(limit, MAX_LIMIT)) {
+      hasMore = true;
+      break;
+    }
+    const timestamp = eventTimestamp(event);
+    page.push({ ...event, timestamp: timestamp ? timestamp.toISOString() : null });
+  }
+
+  const last = page.length > 0 ? page[page.length - 1].id : cursor;
+  return {
+    events: page,
+    nextCursor: hasMore || order === 'asc' ? (last === null ? null : String(last)) : null,
+    hasMore
+  };
+}
+
+export {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  eventTimestamp,
+  queryEvents
+};
@@ -0,0 +1,396 @@
+/**
+ * Change event store for Mason County Jail Roster Monitor
+ * Every booking, release, late release-details update and in-custody
+ * amendment is one JSON object per line in <storage>/events.jsonl, with
+ * explicit fields and a schema version. The familiar text log is rendered
+ * from the events by formatEventLog() for the log views and replay diff.
+ *
+ * WHY: /api/history, /api/stats, /api/deepstats and each admin fixer parsed
+ * the free-text change_log.txt with their own regexes, so every format
+ * change (Name #, structured charges, amendments) had to be made in all of
+ * them, and the old "+ "/"- " lines and release-update blocks were only
+ * half understood. Readers now query fields instead.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseBookingDate, formatJailDate } from '../utils.js';
+import { formatCharge, formatCharges, parseChargeList } from './charges.js';
+import { writeFileAtomic, writeJsonAtomic } from './atomic-write.js';
+
+// Bump when an event's fields change meaning; readEvents() refuses newer files
+const EVENT_SCHEMA_VERSION = 1;
+
+const EVENTS_FILE = 'events.jsonl';
+const LEGACY_LOG_FILE = 'change_log.txt';
+const MIGRATED_LOG_FILE = 'change_log.migrated.txt';
+const MIGRATION_REPORT_FILE = 'events_migration.json';
+
+// Changes to a booking that stays on the roster between two snapshots
+const AMENDMENT_TYPES = ['CHARGE_ADDED', 'CHARGE_REMOVED', 'REL_DATE_SET', 'REL_DATE_CLEARED'];
+
+// RELEASE_DETAILS: bail/type/time served found for an earlier release on a later run
+const EVENT_TYPES = ['BOOKED', 'RELEASED', 'RELEASE_DETAILS', ...AMENDMENT_TYPES];
+
+/**
+ * Build an event with every field of its type present
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} fields
+ * @returns {Object} - Unnumbered event; appendEvents() adds v and id
+ *
+ *   common:           type, detectedAt (ISO or null), name, nameNumber, bookingId
+ *   BOOKED:           bookDate, charges
+ *   RELEASED,
+ *   RELEASE_DETAILS:  bookDate, releaseDate, timeServed, bail, releaseType, charges
+ *   amendments:       charge, relDate
+ *
+ * Roster dates stay as the roster prints them ("MM/DD/YY HH:MM:SS", jail time).
+ */
+function createEvent(type, fields) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error('Unknown event type: ' + type);
+  }
+  const event = {
+    type,
+    detectedAt: fields.detectedAt || null,
+    name: fields.name || '',
+    nameNumber: fields.nameNumber || null,
+    bookingId: fields.bookingId || null
+  };
+  if (type === 'BOOKED') {
+    event.bookDate = fields.bookDate || null;
+    event.charges = fields.charges || [];
+  } else if (type === 'RELEASED' || type === 'RELEASE_DETAILS') {
+    event.bookDate = fields.bookDate || null;
+    event.releaseDate = fields.releaseDate || null;
+    event.timeServed = fields.timeServed || null;
+    event.bail = fields.bail || null;
+    event.releaseType = fields.releaseType || null;
+    event.charges = fields.charges || [];
+  } else {
+    event.charge = fields.charge || null;
+    event.relDate = fields.relDate || null;
+  }
+  return event;
+}
+
+/**
+ * The roster date an event is about
+ * @param {Object} event
+ * @returns {string|null} - Book date for bookings, release date for releases, else null
+ */
+function eventDate(event) {
+  if (event.type === 'BOOKED') return event.bookDate;
+  if (event.type === 'RELEASED' || event.type === 'RELEASE_DETAILS') return event.releaseDate;
+  return null;
+}
+
+/**
+ * Render one event as a change log line
+ * @param {Object} event
+ * @returns {string} - e.g. "BOOKED | DOE, JOHN A | Booked: 01/20/26 09:45:00 | Name #: 104532 | Charges: Theft 3 [9A.56.050/DIST/GM]"
+ */
+function formatEvent(event) {
+  const nameNumber = event.nameNumber ? ' | Name #: ' + event.nameNumber : '';
+
+  if (event.type === 'BOOKED') {
+    return 'BOOKED | ' + event.name + ' | Booked: ' + event.bookDate + nameNumber +
+      ' | Charges: ' + formatCharges(event.charges);
+  }
+
+  if (event.type === 'RELEASED' || event.type === 'RELEASE_DETAILS') {
+    return (event.type === 'RELEASED' ? 'RELEASED | ' : '  ✓ ') + event.name +
+      ' | Released: ' + (event.releaseDate || 'Not Released') +
+      (event.timeServed ? ' | Time served: ' + event.timeServed : '') +
+      (event.bail ? ' | Bail Posted: ' + event.bail : '') +
+      (event.releaseType ? ' (' + event.releaseType + ')' : '') +
+      nameNumber +
+      ' | Charges: ' + formatCharges(event.charges);
+  }
+
+  const detail = event.charge
+    ? ' | Charge: ' + formatCharge(event.charge)
+    : ' | Rel Date: ' + event.relDate;
+  return event.type + ' | ' + event.name + ' | Detected: ' + formatJailDate(new Date(event.detectedAt)) +
+    ' | Booking #: ' + event.bookingId + nameNumber + detail;
+}
+
+/**
+ * Render events as change log text
+ * @param {Array<Object>} events - In log order
+ * @returns {string}
+ *
+ * Events detected together are one paragraph; release details found on a
+ * later run get the "UPDATED RELEASE INFORMATION" block the text log used.
+ */
+function formatEventLog(events) {
+  let text = '';
+  let i = 0;
+  while (i < events.length) {
+    const details = events[i].type === 'RELEASE_DETAILS';
+    const detectedAt = events[i].detectedAt;
+    const group = [];
+    while (i < events.length &&
+           (events[i].type === 'RELEASE_DETAILS') === details &&
+           events[i].detectedAt === detectedAt) {
+      group.push(events[i++]);
+    }
+
+    if (details) {
+      text +=
+        '\n================================================================================\n' +
+        'Release details update at: ' + detectedAt +
+        '\n================================================================================\n' +
+        'UPDATED RELEASE INFORMATION (' + group.length + '):\n' +
+        group.map(formatEvent).join('\n') + '\n';
+    } else {
+      text += group.map(formatEvent).join('\n') + '\n\n';
+    }
+  }
+  return text;
+}
+
+const RELEASE_TYPE_LABELS = ['Released', 'Time served', 'Bail Posted'];
+
+// Split "Label: value | Label: value" fields; "Charges:" is always last and may hold anything
+function parseFields(segments) {
+  const fields = {};
+  for (let i = 0; i < segments.length; i++) {
+    const m = segments[i].match(/^([A-Za-z #]+?):\s*(.*)$/);
+    if (!m) continue;
+    if (m[1] === 'Charges') {
+      fields.Charges = [m[2], ...segments.slice(i + 1)].join(' | ').trim();
+      break;
+    }
+    let value = m[2].trim();
+    // The release type code trails whichever field comes before Name #/Charges: "... $500.00 (RBB)"
+    const type = RELEASE_TYPE_LABELS.includes(m[1]) && value.match(/\s*\(([A-Z]{2,5})\)$/);
+    if (type) {
+      fields.releaseType = type[1];
+      value = value.slice(0, type.index).trim();
+    }
+    fields[m[1]] = value;
+  }
+  return fields;
+}
+
+// ISO time of a jail-time "MM/DD/YY HH:MM:SS" string, or null
+function jailStringToIso(str) {
+  const date = str ? parseBookingDate(str) : null;
+  return date ? date.toISOString() : null;
+}
+
+/**
+ * Parse one change log line into an event
+ * @param {string} line - Any line of change_log.txt
+ * @param {Object} [options]
+ * @param {string|null} [options.detectedAt] - Run time from the enclosing block header, if any
+ * @returns {Object|null} - Unnumbered event, or null if the line isn't an entry
+ *
+ * Understands the current "BOOKED | " / "RELEASED | " / amendment lines,
+ * the old "+ NAME | ..." / "- NAME | ..." lines and the "  ✓ NAME | ..."
+ * lines of UPDATED RELEASE INFORMATION blocks.
+ */
+function parseLogLine(line, { detectedAt = null } = {}) {
+  const trimmed = (line || '').trim();
+  const parts = trimmed.split(' | ');
+  if (parts.length < 2) return null;
+
+  let type, name, segments;
+  if (parts[0] === 'BOOKED' || parts[0] === 'RELEASED' || AMENDMENT_TYPES.includes(parts[0])) {
+    [type, name, ...segments] = parts;
+  } else if (/^[+\-✓] /.test(parts[0])) {
+    type = { '+': 'BOOKED', '-': 'RELEASED', '✓': 'RELEASE_DETAILS' }[parts[0][0]];
+    name = parts[0].slice(2);
+    segments = parts.slice(1);
+  } else {
+    return null;
+  }
+
+  const fields = parseFields(segments);
+  const common = {
+    detectedAt,
+    name: (name || '').trim(),
+    nameNumber: fields['Name #'] || null,
+    bookingId: fields['Booking #'] || null
+  };
+  const charges = parseChargeList(fields.Charges);
+
+  if (AMENDMENT_TYPES.includes(type)) {
+    const detected = jailStringToIso(fields.Detected);
+    if (!detected || !common.bookingId || !(fields.Charge || fields['Rel Date'])) return null;
+    return createEvent(type, {
+      ...common,
+      detectedAt: detected,
+      charge: fields.Charge ? parseChargeList(fields.Charge)[0] || null : null,
+      relDate: fields['Rel Date'] || null
+    });
+  }
+
+  if (type === 'BOOKED') {
+    return createEvent(type, { ...common, bookDate: fields.Booked, charges });
+  }
+
+  // Some early release lines reused the booking text ("- NAME | Booked: ...")
+  return createEvent(type, {
+    ...common,
+    bookDate: fields.Booked,
+    releaseDate: fields.Released || 'Not Released',
+    timeServed: fields['Time served'],
+    bail: fields['Bail Posted'],
+    releaseType: fields.releaseType,
+    charges
+  });
+}
+
+/**
+ * Parse change log text into events
+ * @param {string} text - Contents of change_log.txt, or pasted old log text
+ * @returns {{events: Array<Object>, skipped: string[]}}
+ *   - skipped lists non-blank lines that are neither entries nor block headers
+ *
+ * Block headers ("Change detected at: <ISO>", "Release details update at: <ISO>")
+ * give the run time to the entries under them. Current-format lines have no
+ * header, so their detectedAt stays null.
+ */
+function parseChangeLog(text) {
+  const events = [];
+  const skipped = [];
+  let detectedAt = null;
+
+  for (const raw of (text || '').split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    const header = line.match(/^[A-Za-z ]+ at:\s*(\S+)$/);
+    if (header) {
+      const when = new Date(header[1]);
+      detectedAt = isNaN(when.getTime()) ? null : when.toISOString();
+      continue;
+    }
+    if (/^=+$/.test(line) || /^[A-Z][A-Z ]+(?:\(\d+\))?:?$/.test(line) || /^Initial roster capture/i.test(line)) {
+      continue;
+    }
+
+    // A header only covers the old block-style entries below it
+    const event = parseLogLine(line, { detectedAt: /^[+\-✓] /.test(line) ? detectedAt : null });
+    if (event) events.push(event);
+    else skipped.push(line);
+  }
+  return { events, skipped };
+}
+
+function serialize(events) {
+  return events.map(e => JSON.stringify(e) + '\n').join('');
+}
+
+/**
+ * Create events.jsonl on first use, importing change_log.txt if there is one
+ * @param {string} storageDir
+ * @returns {{imported: number, skipped: string[], migratedAt: string}|null}
+ *   - The migration report, or null if the store already existed
+ *
+ * The text log is renamed to change_log.migrated.txt, never deleted, and the
+ * report (with any lines that couldn't be read) is kept in events_migration.json.
+ */
+function ensureEventStore(storageDir) {
+  const file = path.join(storageDir, EVENTS_FILE);
+  if (fs.existsSync(file)) return null;
+
+  const legacy = path.join(storageDir, LEGACY_LOG_FILE);
+  const text = fs.existsSync(legacy) ? fs.readFileSync(legacy, 'utf-8') : '';
+  const { events, skipped } = parseChangeLog(text);
+  const numbered = events.map((e, i) => ({ v: EVENT_SCHEMA_VERSION, id: i + 1, ...e }));
+
+  writeFileAtomic(file, serialize(numbered));
+  if (fs.existsSync(legacy)) {
+    fs.renameSync(legacy, path.join(storageDir, MIGRATED_LOG_FILE));
+  }
+
+  const report = { imported: numbered.length, skipped, migratedAt: new Date().toISOString() };
+  if (text) {
+    writeJsonAtomic(path.join(storageDir, MIGRATION_REPORT_FILE), report);
+    console.log(`✓ Migrated change_log.txt to ${EVENTS_FILE}: ${report.imported} events, ${skipped.length} lines skipped`);
+  }
+  return report;
+}
+
+/**
+ * Read events, oldest first
+ * @param {string} storageDir
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Only these event types
+ * @param {string} [options.file] - Another events file in the storage dir (e.g. a replay)
+ * @returns {Array<Object>}
+ */
+function readEvents(storageDir, { types, file = EVENTS_FILE } = {}) {
+  ensureEventStore(storageDir);
+  const full = path.join(storageDir, file);
+  if (!fs.existsSync(full)) return [];
+
+  const events = [];
+  for (const line of fs.readFileSync(full, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (e) {
+      console.warn(`Skipping unreadable line in ${file}: ${line.slice(0, 80)}`);
+      continue;
+    }
+    if (event.v > EVENT_SCHEMA_VERSION) {
+      throw new Error(`${file} has schema v${event.v} events; this version reads up to v${EVENT_SCHEMA_VERSION}`);
+    }
+    if (!types || types.includes(event.type)) events.push(event);
+  }
+  return events;
+}
+
+/**
+ * Append events to the store
+ * @param {string} storageDir
+ * @param {Array<Object>} events - From createEvent()/parseChangeLog()/diffSnapshot()
+ * @returns {Array<Object>} - The stored events, with v and id
+ */
+function appendEvents(storageDir, events) {
+  if (events.length === 0) return [];
+  const existing = readEvents(storageDir);
+  const lastId = existing.reduce((max, e) => Math.max(max, e.id || 0), 0);
+  const numbered = events.map((e, i) => ({ ...e, v: EVENT_SCHEMA_VERSION, id: lastId + i + 1 }));
+  fs.appendFileSync(path.join(storageDir, EVENTS_FILE), serialize(numbered));
+  return numbered;
+}
+
+/**
+ * Replace the contents of an events file (admin fixers, replay)
+ * @param {string} storageDir
+ * @param {Array<Object>} events - Ids are kept; events without one are numbered after the highest
+ * @param {Object} [options]
+ * @param {string} [options.file] - Defaults to events.jsonl
+ *
+ * Callers that rewrite the live log take a backup first (see backup.js).
+ */
+function writeEvents(storageDir, events, { file = EVENTS_FILE } = {}) {
+  let lastId = events.reduce((max, e) => Math.max(max, e.id || 0), 0);
+  const numbered = events.map(e => ({ ...e, v: EVENT_SCHEMA_VERSION, id: e.id || ++lastId }));
+  writeFileAtomic(path.join(storageDir, file), serialize(numbered));
+}
+
+export {
+  EVENT_SCHEMA_VERSION,
+  EVENTS_FILE,
+  MIGRATED_LOG_FILE,
+  MIGRATION_REPORT_FILE,
+  AMENDMENT_TYPES,
+  EVENT_TYPES,
+  createEvent,
+  eventDate,
+  formatEvent,
+  formatEventLog,
+  parseLogLine,
+  parseChangeLog,
+  ensureEventStore,
+  readEvents,
+  appendEvents,
+  writeEvents
+};
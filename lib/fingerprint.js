@@ -0,0 +1,94 @@
+/**
+ * Canonical roster fingerprint for Mason County Jail Roster Monitor
+ * Decides "did custody change?" from the parsed bookings instead of the raw
+ * PDF text, and says which fields changed when it did.
+ *
+ * WHY: The extracted text carries a print timestamp, page breaks and a
+ * report id ("rpjlciol") that change when the county regenerates the PDF
+ * with the same people in it. An MD5 of that text flagged those as changes.
+ */
+
+import crypto from 'crypto';
+import { formatCharge } from './charges.js';
+import { normalizeName } from './people.js';
+
+// Fields compared per booking, in the order they're reported
+const BOOKING_FIELDS = ['name', 'nameNumber', 'bookDate', 'releaseDate', 'charges'];
+
+// One booking reduced to what matters for custody; charge order is not significant
+function canonicalBooking(b) {
+  return {
+    id: b.id,
+    name: normalizeName(b.name),
+    nameNumber: b.nameNumber || null,
+    bookDate: b.bookDate || '',
+    releaseDate: b.releaseDate || '',
+    charges: (b.charges || []).map(formatCharge).sort()
+  };
+}
+
+/**
+ * Fingerprint a parsed roster
+ * @param {Map<string, Object>} bookings - Output of source.parseRoster()
+ * @returns {string} - SHA-256 hex of the bookings in canonical form, sorted by booking number
+ */
+function rosterFingerprint(bookings) {
+  const canonical = [...(bookings || new Map()).values()]
+    .map(canonicalBooking)
+    .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+}
+
+/**
+ * Summarize what differs between two parsed rosters
+ * @param {Map|null} previous
+ * @param {Map} current
+ * @returns {{booked: number, released: number, fields: Object<string, number>}}
+ *   - fields counts bookings present in both whose name, nameNumber, bookDate,
+ *     releaseDate or charges changed; all zero means custody is unchanged
+ */
+function changedFields(previous, current) {
+  const fields = Object.fromEntries(BOOKING_FIELDS.map(f => [f, 0]));
+  let booked = 0;
+  let released = 0;
+  const prev = previous || new Map();
+
+  for (const [id, b] of current) {
+    if (!prev.has(id)) {
+      booked++;
+      continue;
+    }
+    const before = canonicalBooking(prev.get(id));
+    const after = canonicalBooking(b);
+    for (const f of BOOKING_FIELDS) {
+      if (JSON.stringify(before[f]) !== JSON.stringify(after[f])) fields[f]++;
+    }
+  }
+  for (const id of prev.keys()) {
+    if (!current.has(id)) released++;
+  }
+
+  return { booked, released, fields };
+}
+
+/**
+ * Describe a changedFields() result in one line
+ * @param {{booked: number, released: number, fields: Object<string, number>}} changes
+ * @returns {string} - e.g. "2 booked, 1 released, charges changed on 1"
+ */
+function describeChanges(changes) {
+  const parts = [];
+  if (changes.booked) parts.push(changes.booked + ' booked');
+  if (changes.released) parts.push(changes.released + ' released');
+  for (const [field, n] of Object.entries(changes.fields)) {
+    if (n) parts.push(`${field} changed on ${n}`);
+  }
+  return parts.length > 0 ? parts.join(', ') : 'no custody changes';
+}
+
+export {
+  BOOKING_FIELDS,
+  rosterFingerprint,
+  changedFields,
+  describeChanges
+};
@@ -0,0 +1,489 @@
+/**
+ * Roster ingestion pipeline for Mason County Jail Roster Monitor
+ * One run: download the roster and release stats PDFs, archive them,
+ * validate the parse, diff against the saved roster, log the change
+ * events, update pending releases, the release history and stays, save
+ * the new roster state and record a population snapshot. Every run, failed
+ * or not, goes in the run ledger.
+ *
+ * WHY: The pipeline lived inside the /api/run route, so api/check-roster.js
+ * had its own cut-down copy that never logged events, fetched release
+ * stats or updated pending releases, and a Vercel deployment built no
+ * history. The Express route and the Vercel function now both call
+ * runIngestion() and get the same events, summary and side effects.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { validateRoster } from './validate-roster.js';
+import { diffSnapshot, rosterHash } from './change-log.js';
+import { AMENDMENT_TYPES, appendEvents } from './events.js';
+import { archiveDir, archiveDocument, pruneArchive } from './archive.js';
+import { describeChanges } from './fingerprint.js';
+import { writeFileAtomic, writeJsonAtomic } from './atomic-write.js';
+import { syncStays } from './stays.js';
+import { recordPopulation } from './population.js';
+import { recordRun, runTrigger } from './runs.js';
+import { singleFlight } from './run-lock.js';
+import { sourceContext } from './sources/index.js';
+import { openStore } from './storage/index.js';
+
+/**
+ * A source's context with its store
+ * @param {import('./sources/index.js').RosterSource} source
+ * @param {string} baseStorageDir - Root storage dir; a local copy when the store is shared
+ * @returns {{source: Object, storageDir: string, releaseHistoryFile: string, base: string, store: Object}}
+ */
+function ingestionContext(source, baseStorageDir) {
+  const ctx = sourceContext(source, baseStorageDir);
+  return { ...ctx, store: openStore(ctx.storageDir, { namespace: source.id }) };
+}
+
+// Run under the shared store's lock, on an up-to-date copy, and save what changed.
+// When the task failed, that failure is what the caller hears about, not a failed save.
+async function withSharedState(ctx, task) {
+  const release = await ctx.store.lock();
+  try {
+    await ctx.store.pull();
+    let result;
+    try {
+      result = await task();
+    } catch (error) {
+      await ctx.store.push().catch(e => console.error('Error saving state to shared storage:', e));
+      throw error;
+    }
+    await ctx.store.push();
+    return result;
+  } finally {
+    await release();
+  }
+}
+
+// Keep release rows the parser couldn't read, for /api/debug/release-unparsed
+const MAX_UNPARSED_RELEASES = 500;
+function saveUnparsedReleases(ctx, unparsed) {
+  if (unparsed.length === 0) return;
+  try {
+    const file = path.join(ctx.storageDir, 'release_unparsed.json');
+    let saved = [];
+    if (fs.existsSync(file)) {
+      saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+    const now = new Date().toISOString();
+    for (const row of unparsed) {
+      const existing = saved.find(e => e.text === row.text);
+      if (existing) existing.lastSeen = now;
+      else saved.push({ ...row, firstSeen: now, lastSeen: now });
+    }
+    writeJsonAtomic(file, saved.slice(-MAX_UNPARSED_RELEASES));
+    console.warn(`⚠ ${unparsed.length} release rows could not be parsed`);
+  } catch (e) {
+    console.error('Error saving unparsed releases:', e);
+  }
+}
+
+// Keep releases whose release stats record matched more than one name, for /api/debug/release-ambiguous
+const MAX_AMBIGUOUS_RELEASES = 500;
+function saveAmbiguousReleases(ctx, ambiguous) {
+  if (ambiguous.length === 0) return;
+  try {
+    const file = path.join(ctx.storageDir, 'release_ambiguous.json');
+    let saved = [];
+    if (fs.existsSync(file)) {
+      saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+    const now = new Date().toISOString();
+    for (const release of ambiguous) {
+      const existing = saved.find(e => e.bookingId === release.bookingId && e.name === release.name);
+      if (existing) Object.assign(existing, { candidates: release.candidates, lastSeen: now });
+      else saved.push({ ...release, firstSeen: now, lastSeen: now });
+    }
+    writeJsonAtomic(file, saved.slice(-MAX_AMBIGUOUS_RELEASES));
+    console.warn(`⚠ ${ambiguous.length} releases matched more than one release stats record`);
+  } catch (e) {
+    console.error('Error saving ambiguous releases:', e);
+  }
+}
+
+// Keep the raw bytes of every download; a broken archive must not stop a run
+function archiveFetched(ctx, kind, url, doc) {
+  try {
+    const entry = archiveDocument(archiveDir(ctx.storageDir), { kind, url, buffer: doc.buffer });
+    if (entry.isNew) console.log(`✓ Archived new ${kind} PDF ${entry.sha256.slice(0, 12)}`);
+    return entry;
+  } catch (e) {
+    console.error(`Error archiving ${kind} PDF:`, e);
+    return null;
+  }
+}
+
+// Release stats are optional: a failed download is noted on the run and the run goes on without them
+async function fetchReleaseStats(ctx, run = {}) {
+  try {
+    if (!ctx.source.fetchReleases) return new Map();
+    const doc = await ctx.source.fetchReleases();
+    run.releaseStatus = doc.status ?? null;
+    archiveFetched(ctx, 'releases', ctx.source.releaseStatsUrl, doc);
+    const { releases: releaseMap, unparsed } = ctx.source.parseReleases(doc);
+    saveUnparsedReleases(ctx, unparsed);
+
+    const releaseCount = [...releaseMap.values()].reduce((n, list) => n + list.length, 0);
+    console.log(`✓ Parsed ${releaseCount} releases from PDF`);
+    
+    // Save new entries to history file (dedup by name+releaseDateTime)
+    try {
+      let history = [];
+      if (fs.existsSync(ctx.releaseHistoryFile)) {
+        history = JSON.parse(fs.readFileSync(ctx.releaseHistoryFile, 'utf-8'));
+      }
+      const existingKeys = new Set(history.map(e => e.name + '|' + e.releaseDateTime));
+      let newCount = 0;
+      for (const [name, infos] of releaseMap.entries()) {
+        for (const info of infos) {
+          const key = name + '|' + info.releaseDateTime;
+          if (!existingKeys.has(key)) {
+            history.push({ name, ...info });
+            existingKeys.add(key);
+            newCount++;
+          }
+        }
+      }
+      if (newCount > 0) {
+        writeJsonAtomic(ctx.releaseHistoryFile, history);
+        console.log(`✓ Saved ${newCount} new releases to history (total: ${history.length})`);
+      }
+    } catch (e) {
+      console.error('Error saving release stats history:', e);
+    }
+
+    return releaseMap;
+  } catch (error) {
+    console.error('Error fetching release stats:', error);
+    run.releaseStatus = error.status ?? null;
+    run.releaseError = error.message;
+    return new Map();
+  }
+}
+
+// Stamp Name Number + booking id onto release history entries we matched to a booking,
+// so stats can link them to bookings without going through the name.
+function linkReleaseHistory(ctx, links) {
+  if (links.length === 0 || !fs.existsSync(ctx.releaseHistoryFile)) return;
+  try {
+    const history = JSON.parse(fs.readFileSync(ctx.releaseHistoryFile, 'utf-8'));
+    const byKey = new Map(links.map(l => [l.name + '|' + l.releaseDateTime, l]));
+    let linked = 0;
+    for (const entry of history) {
+      const link = byKey.get(entry.name + '|' + entry.releaseDateTime);
+      if (link && link.nameNumber && entry.nameNumber !== link.nameNumber) {
+        entry.nameNumber = link.nameNumber;
+        entry.bookingId = link.bookingId;
+        linked++;
+      }
+    }
+    if (linked > 0) {
+      writeJsonAtomic(ctx.releaseHistoryFile, history);
+    }
+  } catch (e) {
+    console.error('Error linking release stats history:', e);
+  }
+}
+
+// Keep a snapshot that failed validation for inspection instead of committing it
+function quarantineSnapshot(ctx, buffer, text, validation) {
+  const dir = path.join(ctx.storageDir, 'quarantine');
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const base = new Date().toISOString().replace(/[:.]/g, '-');
+  fs.writeFileSync(path.join(dir, base + '.pdf'), buffer);
+  fs.writeFileSync(path.join(dir, base + '.txt'), text);
+  fs.writeFileSync(path.join(dir, base + '.json'), JSON.stringify(validation, null, 2));
+  console.error(`[validate] roster quarantined as ${base}:`, validation.errors);
+  return base;
+}
+
+// Remember what the last check found, and how often the PDF changed without custody changing
+function recordChangeCheck(ctx, result) {
+  const file = path.join(ctx.storageDir, 'last_check.json');
+  const checkedAt = new Date().toISOString();
+  try {
+    let saved = {};
+    if (fs.existsSync(file)) {
+      saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+    const summary = result.changes ? describeChanges(result.changes) : 'first run';
+    if (result.noOpRegeneration) {
+      console.log('✓ Roster PDF regenerated with no custody changes');
+    } else if (result.hasChanged) {
+      console.log('✓ Roster changed: ' + summary);
+    }
+    writeJsonAtomic(file, {
+      ...result,
+      summary,
+      checkedAt,
+      noOpRegenerations: (saved.noOpRegenerations || 0) + (result.noOpRegeneration ? 1 : 0),
+      lastNoOpRegeneration: result.noOpRegeneration ? checkedAt : (saved.lastNoOpRegeneration || null)
+    });
+  } catch (e) {
+    console.error('Error saving last check:', e);
+  }
+  return checkedAt;
+}
+
+// One roster run: fetch, validate, diff, log, save state. Returns the run summary.
+// Only call it through runIngestion() so runs on a storage dir never overlap.
+// Download statuses and the parsed count go on `run` for the ledger.
+async function ingest(ctx, { force = false } = {}, run = {}) {
+  if (!fs.existsSync(ctx.storageDir)) fs.mkdirSync(ctx.storageDir, { recursive: true });
+
+  // Fetch main roster (throws if the download fails)
+  let rosterDoc;
+  try {
+    rosterDoc = await ctx.source.fetchRoster();
+  } catch (e) {
+    run.rosterStatus = e.status ?? null;
+    throw e;
+  }
+  run.rosterStatus = rosterDoc.status ?? null;
+  const { buffer, text } = rosterDoc;
+  archiveFetched(ctx, 'roster', ctx.source.rosterUrl, rosterDoc);
+
+  // Sanity-check the parse before anything is persisted
+  const hashFile = path.join(ctx.storageDir, "prev_hash.txt");
+  const rosterFile = path.join(ctx.storageDir, "prev_roster.txt");
+  const lastRosterText = fs.existsSync(rosterFile) ? fs.readFileSync(rosterFile, "utf-8") : null;
+  const lastRoster = lastRosterText !== null ? ctx.source.parseRoster(lastRosterText) : null;
+  const currentBookings = ctx.source.parseRoster(text);
+  run.parsed = currentBookings.size;
+  const validation = validateRoster(text, currentBookings, lastRoster, {
+    allowPopulationSwing: force,
+    allowCountMismatch: force
+  });
+  if (!validation.ok) {
+    const quarantined = quarantineSnapshot(ctx, buffer, text, validation);
+    throw new Error("Roster failed validation, snapshot quarantined as " + quarantined + ": " +
+      validation.errors.join("; ") + ". Nothing was logged. If the roster is right, re-run with ?force=1 to accept it.");
+  }
+  validation.warnings.forEach(w => console.warn("[validate] " + w));
+
+  const pdfPath = path.join(ctx.storageDir, "current.pdf");
+  writeFileAtomic(pdfPath, buffer);
+
+  const textPath = path.join(ctx.storageDir, "current_text.txt");
+  writeFileAtomic(textPath, text);
+  
+  // Also save a sample block for debugging
+  const sampleBlock = text.substring(0, 2000);
+  const debugPath = path.join(ctx.storageDir, "debug_sample.txt");
+  writeFileAtomic(debugPath, sampleBlock);
+
+  // Fetch release stats
+  const releaseStats = await fetchReleaseStats(ctx, run);
+
+  try {
+    const pruned = pruneArchive(archiveDir(ctx.storageDir));
+    if (pruned.removedEntries > 0) {
+      console.log(`✓ Archive retention: dropped ${pruned.removedEntries} fetches, ${pruned.removedObjects} PDFs`);
+    }
+  } catch (e) {
+    console.error('Error pruning archive:', e);
+  }
+
+  const pendingReleasesFile = path.join(ctx.storageDir, "pending_releases.json");
+
+  // Load pending releases
+  let pendingReleases = [];
+  if (fs.existsSync(pendingReleasesFile)) {
+    try {
+      pendingReleases = JSON.parse(fs.readFileSync(pendingReleasesFile, "utf-8"));
+    } catch (e) {
+      pendingReleases = [];
+    }
+  }
+
+  const previous = {
+    hash: fs.existsSync(hashFile) && lastRosterText !== null ? fs.readFileSync(hashFile, "utf-8").trim() : null,
+    textHash: lastRosterText !== null ? rosterHash(lastRosterText) : null,
+    bookings: lastRoster,
+    pendingReleases
+  };
+  const {
+    isFirstRun, hasChanged, noOpRegeneration, changes,
+    events, updatedReleases, releaseLinks, ambiguousReleases, next
+  } = diffSnapshot(previous, { text, bookings: currentBookings }, releaseStats);
+
+  // Log first, then move the saved state forward: a crash in between
+  // re-detects these changes next run instead of losing them
+  appendEvents(ctx.storageDir, events);
+
+  // Save updated pending list
+  writeJsonAtomic(pendingReleasesFile, next.pendingReleases);
+  linkReleaseHistory(ctx, releaseLinks);
+  saveAmbiguousReleases(ctx, ambiguousReleases);
+  syncStays(ctx.storageDir, { releaseHistoryFile: ctx.releaseHistoryFile, releaseStats });
+
+  writeFileAtomic(rosterFile, text);
+  writeFileAtomic(hashFile, next.hash);
+
+  const checkedAt = recordChangeCheck(ctx, { fingerprint: next.hash, isFirstRun, hasChanged, noOpRegeneration, changes });
+  try {
+    recordPopulation(ctx.storageDir, currentBookings, { at: checkedAt });
+  } catch (e) {
+    console.error('Error saving population snapshot:', e);
+  }
+
+  const count = type => events.filter(e => type.includes(e.type)).length;
+  const amended = count(AMENDMENT_TYPES);
+  const message = isFirstRun
+    ? "Initial roster captured successfully!"
+    : hasChanged
+      ? "Changes detected! " + count(['BOOKED']) + " new bookings, " + count(['RELEASED']) + " releases" +
+        (amended > 0 ? ", " + amended + " amendments to bookings in custody." : ".") +
+        (updatedReleases.length > 0 ? " Also updated " + updatedReleases.length + " release details." : "")
+      : updatedReleases.length > 0
+        ? "Updated release details for " + updatedReleases.length + " inmates."
+        : noOpRegeneration
+          ? "The roster PDF was regenerated, but no bookings changed."
+          : "No changes detected.";
+
+  return {
+    message: ambiguousReleases.length > 0
+      ? message + " " + ambiguousReleases.length + " releases matched more than one release stats record and were logged without details."
+      : message,
+    isFirstRun,
+    hasChanged,
+    noOpRegeneration,
+    fingerprint: next.hash,
+    bookings: count(['BOOKED']),
+    releases: count(['RELEASED']),
+    amendments: amended,
+    updatedReleases: updatedReleases.length,
+    ambiguousReleases: ambiguousReleases.length,
+    changedFields: changes ? changes.fields : null,
+    checkedAt
+  };
+}
+
+// A ledger entry for a run that failed
+const failedRun = error => ({ ok: false, hash: null, bookings: 0, releases: 0, updates: 0, amendments: 0, message: null, error: error.message });
+
+// ingest() plus its entry in the run ledger; a ledger that can't be written must not fail the run
+async function recordedIngest(ctx, { force, trigger, startedAt }) {
+  const run = { startedAt, rosterStatus: null, releaseStatus: null, releaseError: null, parsed: null };
+  const record = (fields) => {
+    try {
+      return recordRun(ctx.storageDir, {
+        startedAt: run.startedAt,
+        finishedAt: new Date().toISOString(),
+        trigger: runTrigger(trigger),
+        rosterStatus: run.rosterStatus,
+        releaseStatus: run.releaseStatus,
+        parsed: run.parsed,
+        ...fields,
+        releaseError: run.releaseError
+      });
+    } catch (e) {
+      console.error('Error saving run:', e);
+      return null;
+    }
+  };
+
+  try {
+    const summary = await ingest(ctx, { force }, run);
+    const stored = record({
+      ok: true,
+      hash: summary.fingerprint,
+      bookings: summary.bookings,
+      releases: summary.releases,
+      updates: summary.updatedReleases,
+      amendments: summary.amendments,
+      message: summary.message,
+      error: null
+    });
+    return { ...summary, runId: stored ? stored.id : null };
+  } catch (e) {
+    record(failedRun(e));
+    throw e;
+  }
+}
+
+// A run that never got to ingest(): refused while another run held the lock, or
+// the shared store couldn't be read. It goes into the shared ledger when the store
+// can be locked and read now, otherwise into this copy only, until its next pull.
+async function recordUnstartedRun(ctx, { trigger, startedAt, error }) {
+  let release = null;
+  let pulled = false;
+  try {
+    release = await ctx.store.lock();
+    await ctx.store.pull();
+    pulled = true;
+  } catch (e) {
+    // Still busy or unreachable
+  }
+  try {
+    recordRun(ctx.storageDir, {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      trigger: runTrigger(trigger),
+      rosterStatus: null,
+      releaseStatus: null,
+      parsed: null,
+      ...failedRun(error),
+      releaseError: null
+    });
+    if (pulled) await ctx.store.push();
+  } catch (e) {
+    console.error('Error saving run:', e);
+  } finally {
+    if (release) await release().catch(e => console.error('Error releasing shared storage lock:', e));
+  }
+}
+
+// Errors already in the ledger; callers that joined a run get the same error object
+const recordedErrors = new WeakSet();
+
+/**
+ * Run the pipeline once for a source
+ * @param {Object} ctx - From ingestionContext()
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Accept a population swing or booking count mismatch that validation would reject
+ * @param {string} [options.trigger] - "timer", "cron" or "manual" (the default), for the run ledger
+ * @returns {Promise<{joined: boolean, summary: Object}>}
+ *   - joined: another caller in this process started the run; this is its result
+ *   - summary: {message, isFirstRun, hasChanged, noOpRegeneration, fingerprint,
+ *     bookings, releases, amendments, updatedReleases, ambiguousReleases,
+ *     changedFields, checkedAt, runId}
+ * @throws {Error} - Download or validation failures; code 'RUN_BUSY' while
+ *   another process or deployment is running
+ *
+ * Every run this caller started or was refused is in the ledger, failed or not.
+ */
+async function runIngestion(ctx, { force = false, trigger = 'manual' } = {}) {
+  const startedAt = new Date().toISOString();
+  try {
+    const { joined, result } = await singleFlight(ctx.storageDir, async () => {
+      let started = false;
+      try {
+        return await withSharedState(ctx, () => {
+          started = true;
+          return recordedIngest(ctx, { force, trigger, startedAt });
+        });
+      } catch (e) {
+        if (!started) await recordUnstartedRun(ctx, { trigger, startedAt, error: e });
+        recordedErrors.add(e);
+        throw e;
+      }
+    });
+    return { joined, summary: result };
+  } catch (e) {
+    // Refused by the run lock in this process, before the task above could run
+    if (!recordedErrors.has(e)) await recordUnstartedRun(ctx, { trigger, startedAt, error: e });
+    throw e;
+  }
+}
+
+export {
+  ingestionContext,
+  withSharedState,
+  fetchReleaseStats,
+  runIngestion
+};
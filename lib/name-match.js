@@ -0,0 +1,218 @@
+/**
+ * Roster ↔ release PDF name matching for Mason County Jail Roster Monitor
+ * The release stats PDF has no booking or Name Number column, so a release
+ * is tied to a booking by name. Names are compared tolerantly and each
+ * candidate is checked against the booking's book date and the PDF's time
+ * served before one is picked.
+ *
+ * WHY: Release details were looked up with an exact stats.get(b.name), so a
+ * stray comma or dot, a missing middle initial, a JR/SR suffix or a name
+ * wrapped across two PDF lines made the lookup miss. When two different
+ * names fit about equally well the match is reported as ambiguous instead
+ * of guessed.
+ */
+
+import { parseBookingDate, parseTimeServed } from '../utils.js';
+
+const SUFFIXES = new Set(['JR', 'SR', 'II', 'III', 'IV', 'V']);
+
+// A candidate must score at least this to be used
+const MATCH_THRESHOLD = 0.7;
+
+// A different name scoring within this of the best makes the match ambiguous
+const AMBIGUITY_MARGIN = 0.1;
+
+// Slack between the PDF's time served and release minus book time (rounding, clock skew)
+const TIME_SERVED_SLACK_MINS = 60;
+
+/**
+ * Split a name into comparable parts
+ * @param {string} name - e.g. "HILARIO-GARCIA, JESSICA G. JR"
+ * @returns {{last: string, given: string, first: string, middle: string, suffix: string|null}}
+ *   - e.g. {last: "HILARIOGARCIA", given: "JESSICAG", first: "JESSICA", middle: "G", suffix: "JR"}
+ *   - Spaces, hyphens, dots and apostrophes are dropped from last and given,
+ *     so a name wrapped mid-word across PDF lines still compares equal
+ */
+function parseName(name) {
+  const upper = String(name || '').toUpperCase().replace(/[.'’`]/g, '');
+  const [lastPart, ...rest] = upper.split(',');
+  const words = s => s.split(/[\s-]+/).filter(Boolean);
+  const last = words(lastPart);
+  const given = words(rest.join(' '));
+
+  // The suffix follows either the last name ("DOE JR, JOHN") or the given names ("DOE, JOHN JR")
+  let suffix = null;
+  if (given.length > 1 && SUFFIXES.has(given[given.length - 1])) suffix = given.pop();
+  else if (last.length > 1 && SUFFIXES.has(last[last.length - 1])) suffix = last.pop();
+
+  return {
+    last: last.join(''),
+    given: given.join(''),
+    first: given[0] || '',
+    middle: given.slice(1).join(''),
+    suffix
+  };
+}
+
+/**
+ * Key that is equal for names differing only in spacing and punctuation
+ * @param {string} name
+ * @returns {string} - e.g. "HILARIOGARCIA,JESSICAG"
+ */
+function nameMatchKey(name) {
+  const n = parseName(name);
+  return n.last + ',' + n.given + (n.suffix ? ' ' + n.suffix : '');
+}
+
+/**
+ * One typo (insert, delete, substitute or swap two neighbours) in a word long enough to mean something
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} - Also true for equal words; always false under 4 letters
+ */
+function withinOneEdit(a, b) {
+  if (Math.min(a.length, b.length) < 4 || Math.abs(a.length - b.length) > 1) return false;
+  if (a.length === b.length) {
+    const i = [...a].findIndex((ch, k) => ch !== b[k]);
+    if (i >= 0 && a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2)) return true;
+  }
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { i++; j++; continue; }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else { i++; j++; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Score how likely two printed names are the same person
+ * @param {string} a - e.g. roster name
+ * @param {string} b - e.g. release PDF name
+ * @returns {number} - 1 for the same name once normalized, 0 for no match
+ *
+ *   same given names                        1
+ *   same first name, middle initial vs name
+ *     or missing on one side                0.9
+ *   one typo in the first name              0.8
+ *   shortened first name (CHRIS)            0.75
+ *   first initial only                      0.5
+ *   same first name, different middle      0.4
+ *   one typo in the last name               × 0.85
+ *   suffix on one side only                 × 0.95
+ *   JR vs SR, or different last names       0
+ */
+function scoreNameMatch(a, b) {
+  const x = parseName(a);
+  const y = parseName(b);
+  if (!x.last || !y.last) return 0;
+  if (x.suffix && y.suffix && x.suffix !== y.suffix) return 0;
+
+  let lastScore = 0;
+  if (x.last === y.last) lastScore = 1;
+  else if (withinOneEdit(x.last, y.last)) lastScore = 0.85;
+  if (lastScore === 0) return 0;
+
+  const prefixOf = (p, s) => p.length > 0 && s.startsWith(p);
+  let givenScore = 0;
+  if (x.given === y.given) {
+    givenScore = 1;
+  } else if (x.first === y.first) {
+    const middlesAgree = !x.middle || !y.middle || prefixOf(x.middle, y.middle) || prefixOf(y.middle, x.middle);
+    givenScore = middlesAgree ? 0.9 : 0.4;
+  } else if (withinOneEdit(x.first, y.first)) {
+    givenScore = 0.8;
+  } else if (prefixOf(x.first, y.first) || prefixOf(y.first, x.first)) {
+    givenScore = Math.min(x.first.length, y.first.length) >= 3 ? 0.75 : 0.5;
+  }
+
+  const suffixScore = Boolean(x.suffix) !== Boolean(y.suffix) ? 0.95 : 1;
+  return lastScore * givenScore * suffixScore;
+}
+
+/**
+ * Check a release record against the booking it would close
+ * @param {{bookDate: string}} booking
+ * @param {{releaseDateTime: string, timeServed: string}} info
+ * @returns {number} - Score multiplier: 1 consistent, 0.95 can't tell,
+ *   0.9 plausible, 0 impossible
+ *
+ * The PDF's time served counts the current stint only, so it may be
+ * shorter than release minus book time, but never longer.
+ */
+function consistencyScore(booking, info) {
+  const released = parseBookingDate(info.releaseDateTime);
+  if (!released) return 0;
+  const booked = parseBookingDate(booking.bookDate);
+  if (!booked) return 0.95;
+  if (released < booked) return 0;
+
+  const served = parseTimeServed(info.timeServed);
+  if (served === null) return 0.95;
+  const stayMins = (released - booked) / 60000;
+  if (served > stayMins + TIME_SERVED_SLACK_MINS) return 0;
+  return Math.abs(served - stayMins) <= TIME_SERVED_SLACK_MINS ? 1 : 0.9;
+}
+
+/**
+ * Flatten parsed release stats into one list of named records
+ * @param {Map<string, Array<Object>>|Array<Object>} releases - parseReleases() map, or
+ *   records that already carry a name (release history entries)
+ * @returns {Array<Object>} - {name, releaseDateTime, releaseType, timeServed, bail, ...}
+ */
+function releaseCandidates(releases) {
+  if (Array.isArray(releases)) return releases;
+  return [...releases.entries()].flatMap(([name, list]) => list.map(info => ({ name, ...info })));
+}
+
+/**
+ * Find the release record for a booking
+ * @param {Map<string, Array<Object>>|Array<Object>} releases - See releaseCandidates()
+ * @param {{name: string, bookDate: string}} booking
+ * @returns {{
+ *   match: Object|null, score: number, ambiguous: boolean,
+ *   candidates: Array<{name: string, releaseDateTime: string, score: number}>
+ * }}
+ *   - match is the chosen record, with its PDF name; null when nothing fits or it is ambiguous
+ *   - candidates lists every record above the threshold, best first, for reporting
+ *
+ * Several releases under one name are the same person released twice in
+ * the window: take the first one after the book date (the latest when the
+ * book date is unknown).
+ */
+function matchRelease(releases, booking) {
+  const booked = parseBookingDate(booking.bookDate);
+  const scored = releaseCandidates(releases)
+    .map(info => ({
+      info,
+      released: parseBookingDate(info.releaseDateTime),
+      score: scoreNameMatch(booking.name, info.name) * consistencyScore(booking, info)
+    }))
+    .filter(c => c.score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score || (booked ? a.released - b.released : b.released - a.released));
+
+  const candidates = scored.map(c => ({ name: c.info.name, releaseDateTime: c.info.releaseDateTime, score: Math.round(c.score * 100) / 100 }));
+  if (scored.length === 0) return { match: null, score: 0, ambiguous: false, candidates };
+
+  const [best] = scored;
+  const bestKey = nameMatchKey(best.info.name);
+  const rival = scored.find(c => nameMatchKey(c.info.name) !== bestKey);
+  if (rival && rival.score > best.score - AMBIGUITY_MARGIN) {
+    return { match: null, score: best.score, ambiguous: true, candidates };
+  }
+  return { match: best.info, score: best.score, ambiguous: false, candidates };
+}
+
+export {
+  MATCH_THRESHOLD,
+  parseName,
+  nameMatchKey,
+  withinOneEdit,
+  scoreNameMatch,
+  releaseCandidates,
+  matchRelease
+};
@@ -0,0 +1,77 @@
+/**
+ * Layout-aware PDF text extraction for Mason County Jail Roster Monitor
+ * Wraps pdf-parse so callers get the positioned text items as well as
+ * the usual flattened text.
+ */
+
+import PDFParser from 'pdf-parse';
+
+/**
+ * Extract text items with their page positions from a PDF
+ * @param {Buffer} buffer - Raw PDF
+ * @returns {Promise<{text: string, items: Array<{page: number, str: string, x: number, y: number, width: number}>}>}
+ *   - text is identical to plain pdf-parse output; y grows UP the page (PDF coordinates)
+ *
+ * WHY: pdf-parse's default renderer joins items on the same line with no
+ * separator ("BARNACASCEL, LEON D.RNF3 d 3 h 27 m$0.00"), which makes column
+ * boundaries ambiguous. The page render hook lets us keep each item's x/y.
+ */
+async function extractPdfItems(buffer) {
+  const items = [];
+  let pageCount = 0;
+
+  const result = await PDFParser(buffer, {
+    pagerender: pageData => {
+      // pdf-parse renders pages one at a time, in order
+      const page = pageData.pageNumber || ++pageCount;
+      return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+        .then(textContent => {
+          // Same line-joining as pdf-parse's default renderer
+          let lastY, text = '';
+          for (const item of textContent.items) {
+            items.push({
+              page,
+              str: item.str,
+              x: item.transform[4],
+              y: item.transform[5],
+              width: item.width || 0
+            });
+            text += (lastY == item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+            lastY = item.transform[5];
+          }
+          return text;
+        });
+    }
+  });
+
+  return { text: result.text, items };
+}
+
+/**
+ * Group text items into visual lines, top of page first
+ * @param {Array<{page: number, str: string, x: number, y: number}>} items
+ * @param {number} [tolerance=2] - Max y difference (pt) for items on the same line
+ * @returns {Array<{page: number, y: number, items: Array}>} - Items in each line sorted left to right
+ */
+function groupLines(items, tolerance = 2) {
+  const sorted = items
+    .filter(i => i.str && i.str.trim())
+    .sort((a, b) => a.page - b.page || b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  for (const item of sorted) {
+    const last = lines[lines.length - 1];
+    if (last && last.page === item.page && Math.abs(last.y - item.y) <= tolerance) {
+      last.items.push(item);
+    } else {
+      lines.push({ page: item.page, y: item.y, items: [item] });
+    }
+  }
+  for (const line of lines) line.items.sort((a, b) => a.x - b.x);
+  return lines;
+}
+
+export {
+  extractPdfItems,
+  groupLines
+};
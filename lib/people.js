@@ -0,0 +1,67 @@
+/**
+ * Person identity helpers for Mason County Jail Roster Monitor
+ * Links bookings, releases and log entries to a person by the roster's
+ * "Name Number", falling back to the display name when none is known.
+ */
+
+/**
+ * Normalize a display name for use as a fallback key
+ * @param {string} name - e.g. "HILARIO GARCIA, JESSICA G."
+ * @returns {string} - e.g. "HILARIO GARCIA, JESSICA G"
+ */
+function normalizeName(name) {
+  if (!name || typeof name !== 'string') {
+    return '';
+  }
+  return name.toUpperCase().replace(/\s+/g, ' ').replace(/\s*\.\s*$/, '').trim();
+}
+
+/**
+ * Extract the Name Number from a change log line
+ * @param {string} line - e.g. "BOOKED | DOE, JOHN | Booked: ... | Name #: 123456 | Charges: ..."
+ * @returns {string|null} - Name Number, or null for legacy lines without one
+ */
+function parseNameNumber(line) {
+  if (!line || typeof line !== 'string') {
+    return null;
+  }
+  const match = line.match(/\|\s*Name #:\s*([A-Z0-9-]+)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Build a resolver that maps {name, nameNumber} to a stable person key
+ * @returns {{learn: Function, keyFor: Function}}
+ *
+ * WHY: Older log lines and the release stats PDF have no Name Number.
+ * Feed every (name, nameNumber) pair you know about to learn() first;
+ * keyFor() then attributes a name-only record to a Name Number when
+ * exactly one person has been seen under that name. Ambiguous or
+ * unknown names stay keyed by name.
+ */
+function createPersonResolver() {
+  const numbersByName = new Map();
+
+  function learn(name, nameNumber) {
+    const n = normalizeName(name);
+    if (!n || !nameNumber) return;
+    if (!numbersByName.has(n)) numbersByName.set(n, new Set());
+    numbersByName.get(n).add(nameNumber);
+  }
+
+  function keyFor({ name, nameNumber } = {}) {
+    if (nameNumber) return 'nn:' + nameNumber;
+    const n = normalizeName(name);
+    const known = numbersByName.get(n);
+    if (known && known.size === 1) return 'nn:' + [...known][0];
+    return 'name:' + n;
+  }
+
+  return { learn, keyFor };
+}
+
+export {
+  normalizeName,
+  parseNameNumber,
+  createPersonResolver
+};
@@ -0,0 +1,187 @@
+/**
+ * Population snapshots for Mason County Jail Roster Monitor
+ * Every run appends the headcount it saw to <storage>/population.jsonl,
+ * with the count by court type and by time in custody:
+ *
+ *   {"at":"2026-03-01T10:00:00.000Z","total":112,
+ *    "byCourt":{"SUPR":61,"DIST":48,"MUNI":9,"DOC":7,"none":2},
+ *    "byDaysInCustody":{"0-1":6,"1-7":19,"7-30":31,"30-90":28,"90-365":22,"365+":4,"unknown":2}}
+ *
+ * A booking with charges in two courts counts under both; one with no
+ * charges counts under "none".
+ *
+ * WHY: /api/stats worked the average population out backwards from the
+ * current headcount through the BOOKED/RELEASED events, so one missed event
+ * or the first-run bulk import threw every day off. Snapshots are what the
+ * roster actually said, and a stretch without them is a gap in the data,
+ * not a change in population.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseBookingDate, jailDayKey, jailTimeToDate, getJailParts } from '../utils.js';
+
+const POPULATION_FILE = 'population.jsonl';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bounds in days; the last bucket is open-ended
+const CUSTODY_BUCKETS = [
+  ['0-1', 1],
+  ['1-7', 7],
+  ['7-30', 30],
+  ['30-90', 90],
+  ['90-365', 365],
+  ['365+', Infinity]
+];
+
+// Snapshots further apart than this many typical intervals mean the monitor was down;
+// a whole day without one always does
+const GAP_FACTOR = 3;
+const MIN_GAP_MS = 60 * 60 * 1000;
+const MAX_GAP_MS = DAY_MS;
+
+function custodyBucket(bookDate, at) {
+  const booked = parseBookingDate(bookDate);
+  if (!booked) return 'unknown';
+  const days = Math.max(0, (at - booked) / DAY_MS);
+  return CUSTODY_BUCKETS.find(([, max]) => days < max)[0];
+}
+
+/**
+ * Snapshot of a parsed roster
+ * @param {Map<string, Object>} bookings - From a source's parseRoster()
+ * @param {Date} at - When the roster was read
+ * @returns {{at: string, total: number, byCourt: Object<string, number>, byDaysInCustody: Object<string, number>}}
+ */
+function populationSnapshot(bookings, at) {
+  const byCourt = {};
+  const byDaysInCustody = {};
+  for (const booking of bookings.values()) {
+    const courts = new Set((booking.charges || []).map(c => c.court).filter(Boolean));
+    if (courts.size === 0) courts.add('none');
+    for (const court of courts) byCourt[court] = (byCourt[court] || 0) + 1;
+    const bucket = custodyBucket(booking.bookDate, at);
+    byDaysInCustody[bucket] = (byDaysInCustody[bucket] || 0) + 1;
+  }
+  return { at: at.toISOString(), total: bookings.size, byCourt, byDaysInCustody };
+}
+
+/**
+ * Append a run's snapshot
+ * @param {string} storageDir
+ * @param {Map<string, Object>} bookings
+ * @param {Object} [options]
+ * @param {Date|string} [options.at] - Defaults to now
+ * @returns {Object} - The snapshot written
+ */
+function recordPopulation(storageDir, bookings, { at = new Date() } = {}) {
+  const snapshot = populationSnapshot(bookings, new Date(at));
+  fs.appendFileSync(path.join(storageDir, POPULATION_FILE), JSON.stringify(snapshot) + '\n');
+  return snapshot;
+}
+
+/**
+ * All snapshots, oldest first; unreadable lines are skipped
+ * @param {string} storageDir
+ * @returns {Array<Object>}
+ */
+function readPopulation(storageDir) {
+  const file = path.join(storageDir, POPULATION_FILE);
+  if (!fs.existsSync(file)) return [];
+  const snapshots = [];
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const snapshot = JSON.parse(line);
+      if (snapshot.at && typeof snapshot.total === 'number') snapshots.push(snapshot);
+    } catch (e) {
+      // A line cut short by a crash; the next run appends after it
+    }
+  }
+  return snapshots.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+/**
+ * Stretches with no snapshots: gaps longer than GAP_FACTOR times the
+ * median interval between runs, between an hour and a day
+ * @param {Array<Object>} snapshots - Oldest first
+ * @param {Date} [now] - A gap also runs from the last snapshot to now
+ * @returns {Array<{from: string, to: string}>}
+ */
+function findGaps(snapshots, now = new Date()) {
+  if (snapshots.length === 0) return [];
+  const times = snapshots.map(s => new Date(s.at).getTime());
+  const intervals = times.slice(1).map((t, i) => t - times[i]).sort((a, b) => a - b);
+  const median = intervals.length > 0 ? intervals[Math.floor(intervals.length / 2)] : 0;
+  const limit = Math.min(MAX_GAP_MS, Math.max(MIN_GAP_MS, GAP_FACTOR * median));
+
+  const gaps = [];
+  [...times, now.getTime()].forEach((t, i, all) => {
+    if (i > 0 && t - all[i - 1] > limit) {
+      gaps.push({ from: new Date(all[i - 1]).toISOString(), to: new Date(t).toISOString() });
+    }
+  });
+  return gaps;
+}
+
+/**
+ * Daily population from snapshots
+ * @param {Array<Object>} snapshots - Oldest first
+ * @param {Object} [options]
+ * @param {number} [options.days] - Jail days to cover, ending today
+ * @param {Date} [options.now]
+ * @returns {{
+ *   latest: Object|null,
+ *   avgDaily: number|null,
+ *   observedDays: number,
+ *   daily: Array<{day: string, samples: number, avg: number|null, min: number|null, max: number|null, gap: boolean}>,
+ *   gaps: Array<{from: string, to: string}>
+ * }}
+ *   - avgDaily: mean of the daily averages over the days with snapshots
+ *   - gap: no snapshots that day though the monitor had started (days
+ *     before the first snapshot have avg null and gap false)
+ */
+function summarizePopulation(snapshots, { days = 30, now = new Date() } = {}) {
+  const byDay = new Map();
+  for (const s of snapshots) {
+    const day = jailDayKey(new Date(s.at));
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(s.total);
+  }
+  const firstDay = snapshots.length > 0 ? jailDayKey(new Date(snapshots[0].at)) : null;
+
+  const today = getJailParts(now);
+  const daily = [];
+  for (let i = days - 1; i >= 0; i--) {
+    // Noon, so the day is never shifted by a DST change
+    const day = jailDayKey(jailTimeToDate(today.year, today.month, today.day - i, 12));
+    const totals = byDay.get(day) || [];
+    daily.push({
+      day,
+      samples: totals.length,
+      avg: totals.length > 0 ? Math.round(totals.reduce((a, b) => a + b, 0) / totals.length) : null,
+      min: totals.length > 0 ? Math.min(...totals) : null,
+      max: totals.length > 0 ? Math.max(...totals) : null,
+      gap: totals.length === 0 && firstDay !== null && day >= firstDay
+    });
+  }
+
+  const observed = daily.filter(d => d.avg !== null);
+  return {
+    latest: snapshots.length > 0 ? snapshots[snapshots.length - 1] : null,
+    avgDaily: observed.length > 0 ? Math.round(observed.reduce((a, d) => a + d.avg, 0) / observed.length) : null,
+    observedDays: observed.length,
+    daily,
+    gaps: findGaps(snapshots, now)
+  };
+}
+
+export {
+  POPULATION_FILE,
+  CUSTODY_BUCKETS,
+  populationSnapshot,
+  recordPopulation,
+  readPopulation,
+  findGaps,
+  summarizePopulation
+};
@@ -0,0 +1,128 @@
+/**
+ * Release stats PDF parsing for Mason County Jail Roster Monitor
+ * Rebuilds the columns of release_stats48hrs.pdf (date/time, name, release
+ * type, time served, bail) from positioned text items.
+ */
+
+import { groupLines } from './pdf-layout.js';
+
+const DATE_TIME_RE = /^(\d{2}\/\d{2}\/\d{2})\s+(\d{2}:\d{2}:\d{2})$/;
+const TIME_SERVED_RE = /^\d+\s*d\s*\d+\s*h\s*\d+\s*m$/;
+const BAIL_RE = /^\$?([\d,]+\.\d{2})$/;
+const RELEASE_TYPE_RE = /^[A-Z]{2,5}$/;
+
+// A wrapped name sits one line (~12pt) below its record; anything further is a new block
+const MAX_CONTINUATION_GAP = 18;
+
+// Clean up a name the way the roster prints it: collapsed spaces, no trailing dot
+function cleanName(raw) {
+  return raw.trim()
+    .replace(/\s+/g, ' ')
+    .replace(/\s*\.\s*$/, '')
+    .trim();
+}
+
+// Find the column header on a page and return the x where each column starts
+function findColumns(lines) {
+  for (const line of lines) {
+    const byLabel = label => line.items.find(i => i.str.trim().startsWith(label));
+    const name = byLabel('Inmate Name');
+    const type = byLabel('Release Type');
+    if (name && type) {
+      const bail = byLabel('Bail Payment');
+      return { headerY: line.y, nameX: name.x, typeX: type.x, bailX: bail ? bail.x : null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse release records from the positioned text items of the release stats PDF
+ * @param {Array<{page: number, str: string, x: number, y: number}>} items - From extractPdfItems()
+ * @returns {{
+ *   releases: Map<string, Array<{releaseDateTime: string, releaseType: string, timeServed: string, bail: string}>>,
+ *   unparsed: Array<{page: number, text: string, reason: string}>
+ * }}
+ *   - releases keyed by cleaned name (a name released twice in the window has two records);
+ *     rows that start like a record but don't fill every column land in unparsed
+ */
+function parseReleaseStatsItems(items) {
+  const releases = new Map();
+  const unparsed = [];
+  const lines = groupLines(items);
+
+  const pages = [...new Set(lines.map(l => l.page))];
+  for (const page of pages) {
+    const pageLines = lines.filter(l => l.page === page);
+    const columns = findColumns(pageLines);
+
+    let current = null;
+    const finish = () => {
+      if (!current) return;
+      const { record, nameParts, extra, page: p } = current;
+      record.name = cleanName(nameParts.join(' '));
+      const missing = ['name', 'releaseType', 'timeServed', 'bail'].filter(k => !record[k]);
+      if (missing.length > 0 || extra.length > 0) {
+        unparsed.push({
+          page: p,
+          text: [record.releaseDateTime, ...nameParts, record.releaseType, record.timeServed, record.bail, ...extra]
+            .filter(Boolean).join(' | '),
+          reason: missing.length > 0 ? 'missing ' + missing.join(', ') : 'unexpected text: ' + extra.join(' ')
+        });
+      } else {
+        const { name, ...info } = record;
+        if (!releases.has(name)) releases.set(name, []);
+        releases.get(name).push(info);
+      }
+      current = null;
+    };
+
+    for (const line of pageLines) {
+      // Skip the report header block
+      if (columns && line.y >= columns.headerY) continue;
+
+      const first = line.items[0].str.trim();
+      const dateMatch = first.match(DATE_TIME_RE);
+
+      if (dateMatch) {
+        finish();
+        current = {
+          page,
+          lastY: line.y,
+          nameParts: [],
+          extra: [],
+          record: { releaseDateTime: `${dateMatch[1]} ${dateMatch[2]}`, releaseType: '', timeServed: '', bail: '' }
+        };
+      } else if (current && current.lastY - line.y <= MAX_CONTINUATION_GAP && !/^Total\b/.test(first)) {
+        current.lastY = line.y;
+      } else {
+        // Footer ("Total Bail Payment"), page furniture, or text between records
+        finish();
+        continue;
+      }
+
+      for (const item of dateMatch ? line.items.slice(1) : line.items) {
+        const str = item.str.trim();
+        const { record } = current;
+        if (TIME_SERVED_RE.test(str) && !record.timeServed) {
+          record.timeServed = str.replace(/\s+/g, '');
+        } else if (BAIL_RE.test(str) && !record.bail) {
+          record.bail = '$' + str.match(BAIL_RE)[1];
+        } else if (RELEASE_TYPE_RE.test(str) && !record.releaseType && (!columns || item.x >= columns.typeX - 2)) {
+          record.releaseType = str;
+        } else if (!columns || (item.x >= columns.nameX - 2 && item.x < columns.typeX - 2)) {
+          current.nameParts.push(str);
+        } else {
+          current.extra.push(str);
+        }
+      }
+    }
+    finish();
+  }
+
+  return { releases, unparsed };
+}
+
+export {
+  parseReleaseStatsItems
+};
@@ -0,0 +1,185 @@
+/**
+ * Offline replay for Mason County Jail Roster Monitor
+ * Rebuilds the change events from the PDF archive by feeding every archived
+ * roster fetch, oldest first, through the same diff pipeline as /api/run,
+ * with the clock set to the original fetch time.
+ *
+ * WHY: Parser fixes used to reach old entries only through one-off regex
+ * patches of the text change log. Replaying the raw documents applies them to
+ * all of archived history, and the result can be compared with the live
+ * log before it is swapped in.
+ */
+
+import fs from 'fs';
+import { objectPath, readArchiveIndex } from './archive.js';
+import { diffSnapshot } from './change-log.js';
+import { validateRoster } from './validate-roster.js';
+
+/**
+ * Pair each roster fetch with the release stats fetched in the same run
+ * @param {Array} entries - From readArchiveIndex(), oldest first
+ * @returns {Array<{roster: Object, releases: Object|null}>}
+ *
+ * /api/run downloads the roster first and the release stats right after,
+ * so a run's releases entry is the last one before the next roster entry.
+ * A run whose release download failed used no release stats, and neither
+ * does its replay.
+ */
+function groupRuns(entries) {
+  const runs = [];
+  for (const entry of entries) {
+    if (entry.kind === 'roster') {
+      runs.push({ roster: entry, releases: null });
+    } else if (entry.kind === 'releases' && runs.length > 0) {
+      runs[runs.length - 1].releases = entry;
+    }
+  }
+  return runs;
+}
+
+/**
+ * Replay the archive into a fresh set of change events
+ * @param {string} dir - Archive directory (see archiveDir())
+ * @param {import('./sources/index.js').RosterSource} source
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPopulationSwing] - Same override as /api/run?force=1
+ * @returns {Promise<{
+ *   events: Array<Object>, logText: string,
+ *   runs: number, changedRuns: number, noOpRegenerations: number,
+ *   skipped: Array<{sha256: string, fetchedAt: string, reason: string}>,
+ *   from: string|null, to: string|null
+ * }>}
+ *   - events are unnumbered, ready for writeEvents(); logText is the same events as text
+ *   - skipped lists roster fetches that live would have quarantined or that are missing from the archive
+ */
+async function replayArchive(dir, source, options = {}) {
+  const runs = groupRuns(readArchiveIndex(dir));
+  const skipped = [];
+  const events = [];
+  let logText = '';
+  let changedRuns = 0;
+  let noOpRegenerations = 0;
+
+  let state = { hash: null, bookings: null, pendingReleases: [] };
+
+  // Identical bytes parse identically; only re-read a document when it changes
+  let lastRoster = { sha256: null, text: null, bookings: null };
+  let lastReleases = { sha256: null, stats: new Map() };
+
+  for (const run of runs) {
+    const { sha256, fetchedAt } = run.roster;
+    const file = objectPath(dir, sha256);
+    if (!file || !fs.existsSync(file)) {
+      skipped.push({ sha256, fetchedAt, reason: 'Roster PDF missing from archive' });
+      continue;
+    }
+
+    if (lastRoster.sha256 !== sha256) {
+      const { text } = await source.readRoster(fs.readFileSync(file));
+      lastRoster = { sha256, text, bookings: source.parseRoster(text) };
+    }
+    const { text, bookings } = lastRoster;
+
+    const validation = validateRoster(text, bookings, state.bookings, {
+      allowPopulationSwing: options.allowPopulationSwing,
+      allowCountMismatch: options.allowPopulationSwing
+    });
+    if (!validation.ok) {
+      skipped.push({ sha256, fetchedAt, reason: validation.errors.join('; ') });
+      continue;
+    }
+
+    let releaseStats = new Map();
+    if (run.releases && source.readReleases) {
+      if (lastReleases.sha256 !== run.releases.sha256) {
+        const releasesFile = objectPath(dir, run.releases.sha256);
+        const stats = releasesFile && fs.existsSync(releasesFile)
+          ? source.parseReleases(await source.readReleases(fs.readFileSync(releasesFile))).releases
+          : new Map();
+        lastReleases = { sha256: run.releases.sha256, stats };
+      }
+      releaseStats = lastReleases.stats;
+    }
+
+    const result = diffSnapshot(state, { text, bookings }, releaseStats, { now: new Date(fetchedAt) });
+    if (result.events.length > 0) changedRuns++;
+    if (result.noOpRegeneration) noOpRegenerations++;
+    events.push(...result.events);
+    logText += result.logText;
+    state = result.next;
+  }
+
+  return {
+    events,
+    logText,
+    runs: runs.length,
+    changedRuns,
+    noOpRegenerations,
+    skipped,
+    from: runs.length > 0 ? runs[0].roster.fetchedAt : null,
+    to: runs.length > 0 ? runs[runs.length - 1].roster.fetchedAt : null
+  };
+}
+
+/**
+ * Put a replay after the live history the archive doesn't cover
+ * @param {Array<Object>} liveEvents - From readEvents()
+ * @param {Array<Object>} replayEvents - From replayArchive()
+ * @param {string} from - The replay's first fetch
+ * @returns {Array<Object>} - Live events detected before `from` (or with no
+ *   detection time), ids kept, then the replayed events numbered after them
+ *
+ * The replay's first run logs everyone then in custody as BOOKED; bookings
+ * the kept live events already booked are left out of it.
+ */
+function mergeReplay(liveEvents, replayEvents, from) {
+  const cutoff = Date.parse(from);
+  const kept = liveEvents.filter(e => !e.detectedAt || Date.parse(e.detectedAt) < cutoff);
+  const bookingKey = e => e.bookingId || e.name + '|' + e.bookDate;
+  const booked = new Set(kept.filter(e => e.type === 'BOOKED').map(bookingKey));
+  const lastId = kept.reduce((max, e) => Math.max(max, e.id || 0), 0);
+  const added = replayEvents
+    .filter(e => !(e.type === 'BOOKED' && booked.has(bookingKey(e))))
+    .map((e, i) => ({ ...e, id: lastId + i + 1 }));
+  return [...kept, ...added];
+}
+
+/**
+ * Compare two change logs line by line, ignoring order and blank lines
+ * @param {string} liveText - Current log, formatEventLog(readEvents(...))
+ * @param {string} replayText - Output of replayArchive()
+ * @returns {{common: number, onlyLive: string[], onlyReplay: string[]}}
+ */
+function diffLogs(liveText, replayText) {
+  const count = text => {
+    const counts = new Map();
+    for (const line of (text || '').split('\n')) {
+      const t = line.trim();
+      if (t) counts.set(t, (counts.get(t) || 0) + 1);
+    }
+    return counts;
+  };
+  const live = count(liveText);
+  const replay = count(replayText);
+
+  let common = 0;
+  const onlyLive = [];
+  const onlyReplay = [];
+  for (const [line, n] of live) {
+    const m = replay.get(line) || 0;
+    common += Math.min(n, m);
+    for (let i = m; i < n; i++) onlyLive.push(line);
+  }
+  for (const [line, m] of replay) {
+    const n = live.get(line) || 0;
+    for (let i = n; i < m; i++) onlyReplay.push(line);
+  }
+  return { common, onlyLive, onlyReplay };
+}
+
+export {
+  groupRuns,
+  replayArchive,
+  mergeReplay,
+  diffLogs
+};
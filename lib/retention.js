@@ -0,0 +1,284 @@
+/**
+ * Personal data retention for Mason County Jail Roster Monitor
+ * Names, Name Numbers and booking numbers are removed from everything
+ * older than PERSONAL_DATA_RETENTION_DAYS: change events, the release
+ * stats history, pending and debug lists, the migrated text log, and the
+ * backups. Dates, charges, bail, release types and time served are kept,
+ * so the counts and averages on the stats pages don't change. Downloaded
+ * documents (the PDF archive, quarantined snapshots, the copies of the
+ * last roster) can't be redacted and are deleted once past the window.
+ *
+ * WHY: The event store and release_stats_history.json kept every name
+ * and charge forever. Each purged booking gets a random "x-" id in place
+ * of its booking number, so its booking, release and release details
+ * still pair up into one stay after the names are gone.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseBookingDate } from '../utils.js';
+import {
+  MIGRATED_LOG_FILE, MIGRATION_REPORT_FILE,
+  eventDate, parseLogLine, readEvents, writeEvents
+} from './events.js';
+import { normalizeName } from './people.js';
+import { MATCH_THRESHOLD, scoreNameMatch } from './name-match.js';
+import { buildStays, syncStays, staysByEventId } from './stays.js';
+import { listBackups, rewriteBackup } from './backup.js';
+import { archiveDir, pruneArchive } from './archive.js';
+import { writeFileAtomic, writeJsonAtomic } from './atomic-write.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The release stats PDF covers the last 48 hours; a shorter window would
+// purge releases that the next run then adds back with their names
+const MIN_RETENTION_DAYS = 7;
+
+// Stands in for a purged name
+const REDACTED_NAME = '[removed]';
+
+const RELEASE_HISTORY_FILE = 'release_stats_history.json';
+const PURGE_REPORT_FILE = 'last_purge.json';
+
+// Copies of the last roster download, rewritten by every run that passes validation
+const ROSTER_COPY_FILES = ['current.pdf', 'current_text.txt', 'debug_sample.txt'];
+
+/**
+ * Whether a record's personal data was purged
+ * @param {{name: string}} record - Event, stay or release history entry
+ * @returns {boolean}
+ */
+function isRedacted(record) {
+  return Boolean(record) && record.name === REDACTED_NAME;
+}
+
+function newPseudonym() {
+  return 'x-' + crypto.randomBytes(6).toString('hex');
+}
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// Latest time an event is known to be about: its roster date or when it was detected
+function eventTime(event) {
+  const times = [parseBookingDate(eventDate(event)), event.detectedAt ? new Date(event.detectedAt) : null]
+    .filter(d => d && !isNaN(d.getTime()))
+    .map(d => d.getTime());
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+// Drop rows of a list file whose timestamp field is older than the cutoff
+function pruneList(file, field, cutoff) {
+  const rows = readJson(file, null);
+  if (!Array.isArray(rows)) return 0;
+  const kept = rows.filter(row => !(new Date(row[field]).getTime() < cutoff));
+  if (kept.length < rows.length) writeJsonAtomic(file, kept);
+  return rows.length - kept.length;
+}
+
+// Same entry in the event store and in the old text log
+function logKey(event) {
+  return [event.type, normalizeName(event.name), eventDate(event) || event.detectedAt].join('|');
+}
+
+// The frozen change_log.txt: redact the lines of events purged from the
+// store, and any other entry line older than the cutoff, in place
+function redactMigratedLog(dir, cutoff, { purged, kept }) {
+  const file = path.join(dir, MIGRATED_LOG_FILE);
+  if (!fs.existsSync(file)) return 0;
+
+  // Every line predates the migration, which bounds lines with no date of their own
+  const migratedAt = new Date(readJson(path.join(dir, MIGRATION_REPORT_FILE), {}).migratedAt).getTime() || Date.now();
+  let headerTime = null;
+  let redacted = 0;
+  const lines = fs.readFileSync(file, 'utf-8').split('\n').map(line => {
+    const header = line.trim().match(/^[A-Za-z ]+ at:\s*(\S+)$/);
+    if (header) {
+      headerTime = new Date(header[1]).getTime() || null;
+      return line;
+    }
+    const event = parseLogLine(line);
+    if (!event || !event.name || event.name === REDACTED_NAME) return line;
+    const key = logKey(event);
+    if (!purged.has(key) && (kept.has(key) || (eventTime(event) || headerTime || migratedAt) >= cutoff)) return line;
+
+    redacted++;
+    return line.replace(event.name, REDACTED_NAME).replace(/\s*\|\s*(?:Name|Booking) #:[^|]*?(?=\s*\||\s*$)/g, '');
+  });
+  if (redacted > 0) writeFileAtomic(file, lines.join('\n'));
+  return redacted;
+}
+
+/**
+ * Purge personal data older than a cutoff from one storage dir's files
+ * @param {string} dir - A storage dir, or a backup unpacked by rewriteBackup()
+ * @param {number} cutoff - ms timestamp
+ * @returns {{events: number, stays: number, releaseHistory: number, pendingReleases: number, debugRows: number, migratedLogLines: number}}
+ *
+ * A stay is purged as a whole once it ended before the cutoff: all its
+ * events and its release stats entry get the same "x-" id, so they pair
+ * up again when stays.json is rebuilt. Stays still in custody are kept
+ * however old the booking. Events and releases that belong to no stay go
+ * by their own date.
+ */
+function purgeDir(dir, cutoff) {
+  const historyFile = path.join(dir, RELEASE_HISTORY_FILE);
+  const history = readJson(historyFile, []);
+  const events = readEvents(dir);
+  const table = buildStays(events, history);
+  const byEvent = staysByEventId(table);
+
+  const lastSeen = new Map();
+  for (const event of events) {
+    const stay = byEvent.get(event.id);
+    if (stay) lastSeen.set(stay.key, Math.max(lastSeen.get(stay.key) || 0, eventTime(event) || 0));
+  }
+  const expired = stay => Boolean(stay.releaseDate) && !isRedacted(stay) &&
+    Math.max(lastSeen.get(stay.key) || 0, parseBookingDate(stay.releaseDate)?.getTime() || 0) < cutoff;
+
+  const pseudonyms = new Map();
+  const pseudonymFor = key => {
+    if (!pseudonyms.has(key)) pseudonyms.set(key, newPseudonym());
+    return pseudonyms.get(key);
+  };
+  const redact = (record, bookingId) => ({ ...record, name: REDACTED_NAME, nameNumber: null, bookingId });
+
+  // ── Events ──────────────────────────────────────────────────────────────────
+  let eventCount = 0;
+  const purgedEvents = events.map(event => {
+    if (isRedacted(event)) return event;
+    const stay = byEvent.get(event.id) || (event.bookingId && table.stays[event.bookingId]);
+    if (stay ? !expired(stay) : !(eventTime(event) < cutoff)) return event;
+    eventCount++;
+    const key = stay ? stay.key : event.bookingId ? 'id:' + event.bookingId : 'event:' + event.id;
+    return redact(event, pseudonymFor(key));
+  });
+
+  // ── Release stats history ───────────────────────────────────────────────────
+  // An entry goes with the stay it was matched to, so the stay finds it again by id
+  const releasedStays = Object.values(table.stays).filter(s => s.releaseSource === 'release-stats');
+  let historyCount = 0;
+  for (const entry of history) {
+    if (isRedacted(entry)) continue;
+    const stay = (entry.bookingId && table.stays[entry.bookingId]) ||
+      releasedStays.find(s => s.releaseDate === entry.releaseDateTime && scoreNameMatch(s.name, entry.name) >= MATCH_THRESHOLD);
+    if (stay ? !expired(stay) : !(parseBookingDate(entry.releaseDateTime) < cutoff)) continue;
+    // Unmatched entries get an id too, so no stay can match them by the placeholder name
+    Object.assign(entry, redact(entry, stay ? pseudonymFor(stay.key) : newPseudonym()));
+    historyCount++;
+  }
+
+  if (eventCount > 0) writeEvents(dir, purgedEvents);
+  if (historyCount > 0) writeJsonAtomic(historyFile, history);
+  if (eventCount > 0 || historyCount > 0) {
+    syncStays(dir, { releaseHistoryFile: historyFile, rebuild: true });
+  }
+
+  return {
+    events: eventCount,
+    stays: new Set([...pseudonyms.keys()].filter(key => table.stays[key])).size,
+    releaseHistory: historyCount,
+    pendingReleases: pruneList(path.join(dir, 'pending_releases.json'), 'detectedAt', cutoff),
+    debugRows: pruneList(path.join(dir, 'release_unparsed.json'), 'lastSeen', cutoff) +
+      pruneList(path.join(dir, 'release_ambiguous.json'), 'lastSeen', cutoff),
+    migratedLogLines: redactMigratedLog(dir, cutoff, {
+      purged: new Set(events.filter((e, i) => purgedEvents[i] !== e).map(logKey)),
+      kept: new Set(purgedEvents.filter(e => !isRedacted(e)).map(logKey))
+    })
+  };
+}
+
+// Delete the files of a directory last written before the cutoff
+function pruneOldFiles(dir, cutoff, names = fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+  let removed = 0;
+  for (const name of names) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile() || fs.statSync(file).mtimeMs >= cutoff) continue;
+    fs.rmSync(file, { force: true });
+    removed++;
+  }
+  return removed;
+}
+
+/**
+ * Apply the retention policy to a storage dir and its backups
+ * @param {string} storageDir
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Defaults to PERSONAL_DATA_RETENTION_DAYS; 0 keeps everything
+ * @param {Date} [options.now]
+ * @returns {Object|null} - The report, also saved as last_purge.json; null when retention is off
+ *   {ranAt, retentionDays, cutoff, removed: {events, stays, releaseHistory, pendingReleases,
+ *    debugRows, migratedLogLines, legacyCopies, archivedDocuments, quarantineFiles, rosterCopies}, backups: number}
+ *   - legacyCopies: old <file>.backup-<ms> copies deleted
+ *   - archivedDocuments: PDFs deleted from the archive, every fetch of them being past the window
+ *   - quarantineFiles, rosterCopies: quarantined snapshot files and current.pdf & co. written before the window
+ *   - backups: backups that had data past the window
+ *
+ * Hold the run lock while purging.
+ */
+function purgePersonalData(storageDir, { retentionDays = defaultPersonalDataRetentionDays(), now = new Date() } = {}) {
+  if (!retentionDays) return null;
+  const days = Math.max(retentionDays, MIN_RETENTION_DAYS);
+  const cutoff = now.getTime() - days * DAY_MS;
+
+  const removed = purgeDir(storageDir, cutoff);
+
+  // The per-file copies the admin fixers used to leave hold every name ever logged
+  removed.legacyCopies = 0;
+  for (const name of fs.readdirSync(storageDir)) {
+    if (/\.backup-(?:ts-)?\d+$/.test(name)) {
+      fs.rmSync(path.join(storageDir, name), { force: true });
+      removed.legacyCopies++;
+    }
+  }
+
+  // Documents hold every name on the roster, and replay would log them again
+  removed.archivedDocuments = pruneArchive(archiveDir(storageDir), { retentionDays: days, now, keepLatest: false }).removedObjects;
+  removed.quarantineFiles = pruneOldFiles(path.join(storageDir, 'quarantine'), cutoff);
+  removed.rosterCopies = pruneOldFiles(storageDir, cutoff, ROSTER_COPY_FILES);
+
+  let backups = 0;
+  for (const backup of listBackups(storageDir)) {
+    const counts = rewriteBackup(storageDir, backup.name, dir => purgeDir(dir, cutoff));
+    if (Object.values(counts).some(n => n > 0)) backups++;
+  }
+
+  const report = {
+    ranAt: now.toISOString(),
+    retentionDays: days,
+    cutoff: new Date(cutoff).toISOString(),
+    removed,
+    backups
+  };
+  writeJsonAtomic(path.join(storageDir, PURGE_REPORT_FILE), report);
+  return report;
+}
+
+/**
+ * The last purge report of a storage dir
+ * @param {string} storageDir
+ * @returns {Object|null}
+ */
+function readPurgeReport(storageDir) {
+  return readJson(path.join(storageDir, PURGE_REPORT_FILE), null);
+}
+
+function defaultPersonalDataRetentionDays() {
+  const days = Number(process.env.PERSONAL_DATA_RETENTION_DAYS || 0);
+  return Number.isFinite(days) && days > 0 ? days : 0;
+}
+
+export {
+  REDACTED_NAME,
+  isRedacted,
+  purgePersonalData,
+  readPurgeReport,
+  defaultPersonalDataRetentionDays
+};
@@ -0,0 +1,98 @@
+/**
+ * Roster PDF parsing for Mason County Jail Roster Monitor
+ * Turns the text of incustdy.pdf into booking records.
+ */
+
+import { parseChargeLine, formatCharge } from './charges.js';
+
+/**
+ * Extract bookings from roster text
+ * @param {string} rosterText - Text of the in-custody PDF as returned by pdf-parse
+ * @returns {Map<string, {id: string, name: string, nameNumber: string|null, bookDate: string, releaseDate: string, charges: Object[]}>}
+ *   - Bookings keyed by booking number
+ */
+function extractBookings(rosterText) {
+  const bookings = new Map();
+  const blocks = rosterText.split(/(?=Booking #:)/);
+
+  for (const block of blocks) {
+    if (!block.includes("Booking #:")) continue;
+
+    const bookingMatch = block.match(/Booking #:\s*(\S+)/);
+    if (!bookingMatch) continue;
+    const id = bookingMatch[1];
+
+    const nameMatch = block.match(/Name:\s*([A-Z][A-Z\s,.'"-]+?)(?=\s*Name Number:|$)/i);
+    let name = nameMatch ? nameMatch[1].trim().replace(/\s+/g, " ") : "Unknown";
+    if (name.endsWith(",")) {
+      const nextLine = block.match(/Name:\s*[^\n]+\n([A-Z][A-Z\s'-]*)/i);
+      if (nextLine) name = name + " " + nextLine[1].trim();
+    }
+
+    const nameNumberMatch = block.match(/Name Number:\s*([A-Z0-9-]+)/i);
+    const nameNumber = nameNumberMatch ? nameNumberMatch[1] : null;
+
+    const bookDateMatch = block.match(/Book Date:\s*(\d{1,2}:\d{2}:\d{2})\s+(\d{1,2}\/\d{1,2}\/\d{2,4})/);
+    const bookDate = bookDateMatch ? bookDateMatch[2] + " " + bookDateMatch[1] : "Unknown";
+
+    const relDateMatch = block.match(/Rel Date:\s*(?:No Rel Date|(\d{1,2}:\d{2}:\d{2})\s+(\d{1,2}\/\d{1,2}\/\d{2,4}))/);
+    let releaseDate = "Not Released";
+    if (relDateMatch && relDateMatch[1] && relDateMatch[2]) {
+      releaseDate = relDateMatch[2] + " " + relDateMatch[1];
+    }
+
+    const charges = [];
+    const lines = block.split("\n");
+    let inCharges = false;
+    
+    for (const line of lines) {
+      const t = line.trim();
+      
+      // Start capturing after header (flexible matching)
+      if (t.includes("StatuteOffense") || (t.includes("Statute") && t.includes("Offense"))) {
+        inCharges = true;
+        continue;
+      }
+      
+      // If we're in charges section and line has content
+      if (inCharges && t.length > 0) {
+        // Skip header lines and page markers
+        if (t.includes("Name Number:") || t.includes("Book Date:") || 
+            t.includes("Rel Date:") || t.includes("Page ") || 
+            t.includes("rpjlciol") || t.includes("Current Inmate") ||
+            t.includes("StatuteOffense")) {
+          continue;
+        }
+        
+        // Rows of the charge table end in a court type + offense class
+        const charge = parseChargeLine(t);
+        if (charge) {
+          charges.push(charge);
+        }
+      }
+    }
+
+    // Drop repeated rows
+    const seenCharges = new Set();
+    const uniqueCharges = charges.filter(c => {
+      const key = formatCharge(c);
+      if (seenCharges.has(key)) return false;
+      seenCharges.add(key);
+      return true;
+    });
+
+    bookings.set(id, {
+      id,
+      name,
+      nameNumber,
+      bookDate,
+      releaseDate,
+      charges: uniqueCharges
+    });
+  }
+  return bookings;
+}
+
+export {
+  extractBookings
+};
@@ -0,0 +1,105 @@
+/**
+ * Current roster as JSON for Mason County Jail Roster Monitor
+ * Turns the last captured roster into plain records and applies the
+ * filters and sort order of /api/roster.json.
+ *
+ * WHY: The only machine-readable roster was /api/roster.csv, which fetched
+ * the county PDF on every request. The last snapshot is already on disk and
+ * is what every other page reads.
+ */
+
+import { parseBookingDate, parseDateParam } from '../utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SORT_KEYS = {
+  name: e => e.name,
+  bookingNumber: e => e.bookingNumber,
+  bookDate: e => e.bookedAt,
+  daysInCustody: e => e.daysInCustody,
+  scheduledRelease: e => e.scheduledReleaseAt
+};
+
+/**
+ * One record per booking
+ * @param {Map<string, import('./sources/index.js').Booking>} bookings
+ * @param {Date} [now] - For days in custody
+ * @returns {Array<{name: string, nameNumber: string|null, bookingNumber: string, bookDate: string,
+ *   bookedAt: string|null, daysInCustody: number|null, scheduledRelease: string|null,
+ *   scheduledReleaseAt: string|null, charges: Object[]}>}
+ *   - bookDate/scheduledRelease as printed on the roster, *At as ISO times
+ *   - daysInCustody: whole days since booking; null when the book date can't be read
+ */
+function rosterEntries(bookings, now = new Date()) {
+  return [...bookings.values()].map(b => {
+    const booked = parseBookingDate(b.bookDate);
+    const release = parseBookingDate(b.releaseDate);
+    return {
+      name: b.name,
+      nameNumber: b.nameNumber || null,
+      bookingNumber: b.id,
+      bookDate: b.bookDate,
+      bookedAt: booked ? booked.toISOString() : null,
+      daysInCustody: booked ? Math.max(0, Math.floor((now - booked) / DAY_MS)) : null,
+      scheduledRelease: release ? b.releaseDate : null,
+      scheduledReleaseAt: release ? release.toISOString() : null,
+      charges: b.charges.map(({ statute, offense, court, offenseClass }) => ({ statute, offense, court, offenseClass }))
+    };
+  });
+}
+
+/**
+ * Filter and sort roster records
+ * @param {Array<Object>} entries - From rosterEntries()
+ * @param {Object} [query]
+ * @param {string} [query.charge] - Text in a charge's offense or statute, any case
+ * @param {string} [query.court] - Court types, comma-separated, e.g. "SUPR,DIST"; any charge in one matches
+ * @param {string|number} [query.minDays] - At least this many whole days in custody
+ * @param {string} [query.bookedSince] - "YYYY-MM-DD" or "MM/DD/YY"
+ * @param {string} [query.sort] - name, bookingNumber, bookDate, daysInCustody or scheduledRelease (default bookDate)
+ * @param {string} [query.order] - asc or desc (default asc, or desc when no sort is given: newest bookings first)
+ * @returns {Array<Object>} - Entries with unknown values last, whatever the order
+ * @throws {Error} - A filter or sort value that can't be used
+ */
+function queryRoster(entries, query = {}) {
+  let result = entries;
+
+  if (query.charge) {
+    const text = String(query.charge).toLowerCase();
+    result = result.filter(e => e.charges.some(c =>
+      (c.offense || '').toLowerCase().includes(text) || (c.statute || '').toLowerCase().includes(text)));
+  }
+  if (query.court) {
+    const courts = String(query.court).split(',').map(c => c.trim().toUpperCase()).filter(Boolean);
+    result = result.filter(e => e.charges.some(c => courts.includes(c.court)));
+  }
+  if (query.minDays !== undefined && query.minDays !== '') {
+    const minDays = Number(query.minDays);
+    if (!Number.isFinite(minDays) || minDays < 0) throw new Error('minDays must be a number of days, 0 or more');
+    result = result.filter(e => e.daysInCustody !== null && e.daysInCustody >= minDays);
+  }
+  if (query.bookedSince) {
+    const since = parseDateParam(String(query.bookedSince));
+    if (!since) throw new Error('bookedSince must be a date like 2026-02-01 or 02/01/26');
+    result = result.filter(e => e.bookedAt !== null && new Date(e.bookedAt) >= since);
+  }
+
+  const sort = query.sort || 'bookDate';
+  const key = SORT_KEYS[sort];
+  if (!key) throw new Error('sort must be one of ' + Object.keys(SORT_KEYS).join(', '));
+  const order = query.order || (query.sort ? 'asc' : 'desc');
+  if (order !== 'asc' && order !== 'desc') throw new Error('order must be asc or desc');
+  const direction = order === 'asc' ? 1 : -1;
+
+  return [...result].sort((a, b) => {
+    const x = key(a);
+    const y = key(b);
+    if (x === null || y === null) return (x === null) - (y === null);
+    return (x < y ? -1 : x > y ? 1 : 0) * direction;
+  });
+}
+
+export {
+  rosterEntries,
+  queryRoster
+};
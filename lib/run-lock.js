@@ -0,0 +1,111 @@
+/**
+ * Run lock for Mason County Jail Roster Monitor
+ * One roster run per storage dir at a time. Inside a process, a second
+ * /api/run joins the run already in flight and gets its result; another
+ * process (a Vercel invocation, a second server on the same volume) finds
+ * the lock file and is told the run is busy.
+ *
+ * WHY: The auto-run timer, the cron and a manual /api/run could overlap,
+ * interleave their writes to prev_hash.txt, prev_roster.txt and
+ * pending_releases.json, and log the same changes twice.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const LOCK_FILE = 'run.lock';
+
+// A run fetches two PDFs with 60s timeouts; a lock this old was left by a crash
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// storageDir → { promise, joinable } for locks held by this process
+const held = new Map();
+
+function busyError(message) {
+  const error = new Error(message);
+  error.code = 'RUN_BUSY';
+  return error;
+}
+
+// Take the lock file, clearing one left behind by a crashed process
+function takeLockFile(file, now) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, JSON.stringify({ pid: process.pid, startedAt: new Date(now).toISOString() }), { flag: 'wx' });
+      return;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    let owner = {};
+    try {
+      owner = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) { /* half-written or just removed; judge it by mtime */ }
+    const startedAt = Date.parse(owner.startedAt) || (fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0);
+    if (now - startedAt < STALE_LOCK_MS) {
+      throw busyError(`Another run has been in progress since ${new Date(startedAt).toISOString()}. Try again shortly.`);
+    }
+    console.warn(`[run-lock] clearing stale lock from pid ${owner.pid || '?'} (${owner.startedAt || 'unknown start'})`);
+    fs.rmSync(file, { force: true });
+  }
+  throw busyError('Could not take the run lock. Try again shortly.');
+}
+
+/**
+ * Take the run lock for a storage dir
+ * @param {string} storageDir
+ * @param {Object} [options]
+ * @param {Date} [options.now] - For tests
+ * @returns {Function} - Releases the lock; safe to call more than once
+ * @throws {Error} - code 'RUN_BUSY' if a run or another lock holder is active
+ */
+function acquireRunLock(storageDir, { now = new Date() } = {}) {
+  if (held.has(storageDir)) {
+    throw busyError('A roster run is in progress. Try again shortly.');
+  }
+  const file = path.join(storageDir, LOCK_FILE);
+  takeLockFile(file, now.getTime());
+  held.set(storageDir, { promise: null, joinable: false });
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    held.delete(storageDir);
+    fs.rmSync(file, { force: true });
+  };
+}
+
+/**
+ * Run a task under the run lock, joining one already in flight in this process
+ * @param {string} storageDir
+ * @param {Function} task - async () => result
+ * @returns {Promise<{joined: boolean, result: *}>}
+ *   - joined is true when this caller got the result of a run started by someone else
+ * @throws {Error} - code 'RUN_BUSY' if another process holds the lock, or a
+ *   non-joinable holder (an admin rewrite) is active in this process
+ */
+async function singleFlight(storageDir, task) {
+  const current = held.get(storageDir);
+  if (current && current.joinable) {
+    return { joined: true, result: await current.promise };
+  }
+
+  const release = acquireRunLock(storageDir);
+  const promise = (async () => {
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  })();
+  held.set(storageDir, { promise, joinable: true });
+  return { joined: false, result: await promise };
+}
+
+export {
+  LOCK_FILE,
+  STALE_LOCK_MS,
+  acquireRunLock,
+  singleFlight
+};
@@ -0,0 +1,96 @@
+/**
+ * Run ledger for Mason County Jail Roster Monitor
+ * One line per roster run in <storage>/runs.jsonl, successful or not:
+ *
+ *   {"id":812,"startedAt":"...","finishedAt":"...","trigger":"timer",
+ *    "rosterStatus":200,"releaseStatus":200,"parsed":112,"ok":true,"hash":"3f9a...",
+ *    "bookings":2,"releases":1,"updates":1,"amendments":0,"message":"...",
+ *    "error":null,"releaseError":null}
+ *
+ *   - trigger: "timer" (the server's auto-run), "cron" (the Vercel cron) or "manual"
+ *   - rosterStatus/releaseStatus: HTTP status of each PDF download; null when
+ *     it never got a response or wasn't attempted
+ *   - updates: releases whose details arrived from the release stats PDF
+ *   - error: why the run failed; releaseError: why the release stats
+ *     download failed, which a run survives
+ *
+ * WHY: The only trace of a run was the mtime of prev_hash.txt and the
+ * console output of the auto-run timer, so a week of failed downloads
+ * looked the same as a quiet week.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './atomic-write.js';
+
+const RUNS_FILE = 'runs.jsonl';
+const MAX_RUNS = 2000;
+const TRIGGERS = ['timer', 'cron', 'manual'];
+
+/**
+ * All recorded runs, oldest first; unreadable lines are skipped
+ * @param {string} storageDir
+ * @returns {Array<Object>}
+ */
+function readRuns(storageDir) {
+  const file = path.join(storageDir, RUNS_FILE);
+  if (!fs.existsSync(file)) return [];
+  const runs = [];
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      runs.push(JSON.parse(line));
+    } catch (e) {
+      // A line cut short by a crash
+    }
+  }
+  return runs;
+}
+
+/**
+ * Add a run to the ledger, keeping the newest MAX_RUNS
+ * @param {string} storageDir
+ * @param {Object} run - Fields as above, without id
+ * @returns {Object} - The run as stored
+ */
+function recordRun(storageDir, run) {
+  const runs = readRuns(storageDir);
+  const stored = { id: runs.reduce((max, r) => Math.max(max, r.id || 0), 0) + 1, ...run };
+  const kept = [...runs, stored].slice(-MAX_RUNS);
+  writeFileAtomic(path.join(storageDir, RUNS_FILE), kept.map(r => JSON.stringify(r)).join('\n') + '\n');
+  return stored;
+}
+
+/**
+ * Newest runs first
+ * @param {string} storageDir
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {string} [options.trigger] - Only runs with this trigger
+ * @param {boolean} [options.failed] - Only runs that ended in an error
+ * @returns {Array<Object>}
+ */
+function recentRuns(storageDir, { limit = 50, trigger, failed = false } = {}) {
+  return readRuns(storageDir)
+    .filter(r => (!trigger || r.trigger === trigger) && (!failed || !r.ok))
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Normalize a trigger name from a request
+ * @param {string} [value]
+ * @returns {'timer'|'cron'|'manual'}
+ */
+function runTrigger(value) {
+  return TRIGGERS.includes(value) ? value : 'manual';
+}
+
+export {
+  RUNS_FILE,
+  MAX_RUNS,
+  readRuns,
+  recordRun,
+  recentRuns,
+  runTrigger
+};
@@ -0,0 +1,198 @@
+/**
+ * Search for Mason County Jail Roster Monitor
+ * An index over names, charges and statutes, one document per booking
+ * (built from its stay and events) plus one per release stats record that
+ * no booking claimed. /api/search ranks documents against a query and
+ * links each hit to its booking and events.
+ *
+ * Name words match exactly, by prefix, or with one typo; a query with a
+ * comma ("SMITH, JON") is compared as a whole name with the same scoring
+ * that ties releases to bookings. Statutes match by prefix, so "9A.56"
+ * finds every theft.
+ *
+ * WHY: Finding whether someone was booked meant Ctrl-F on /api/history,
+ * which renders every day at once and misses any spelling variant.
+ */
+
+import { parseBookingDate } from '../utils.js';
+import { formatCharge } from './charges.js';
+import { isRedacted } from './retention.js';
+import { MATCH_THRESHOLD, nameMatchKey, withinOneEdit, scoreNameMatch } from './name-match.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Score of a query word by what it hit, and how
+const WORD_SCORES = {
+  name: { exact: 1, prefix: 0.8, typo: 0.7 },
+  charge: { exact: 0.8, prefix: 0.6, typo: 0.5 },
+  statute: { exact: 1, prefix: 0.9 }
+};
+
+const nameWords = name => String(name || '').toUpperCase().replace(/[.'’`]/g, '').split(/[\s,-]+/).filter(Boolean);
+const chargeWords = offense => String(offense || '').toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean);
+const isStatuteWord = word => /\d/.test(word);
+
+function addToken(tokens, token, doc, field) {
+  if (!tokens.has(token)) tokens.set(token, []);
+  const postings = tokens.get(token);
+  if (!postings.some(p => p.doc === doc && p.field === field)) postings.push({ doc, field });
+}
+
+/**
+ * Build the search index
+ * @param {Object} table - Stays table, from readStays()
+ * @param {Array<Object>} events - Every event, from readEvents()
+ * @param {Array<Object>} [releaseHistory] - release_stats_history.json entries
+ * @returns {{docs: Array<Object>, tokens: Map<string, Array<{doc: number, field: string}>>}}
+ *   - docs: {kind: 'booking'|'release', bookingNumber, name, names, nameNumber, bookDate,
+ *     releaseDate, releaseType, charges, eventIds}
+ *   - tokens: upper-case name and offense words and statutes → the documents holding them
+ *
+ * A booking's charges include any removed along the way, and its names any
+ * spelling the release stats PDF used for it. Redacted records are left out.
+ */
+function buildSearchIndex(table, events, releaseHistory = []) {
+  const eventsById = new Map(events.map(e => [e.id, e]));
+  const docs = [];
+  const byBooking = new Map();
+  const byRelease = new Map();
+
+  for (const stay of Object.values(table.stays)) {
+    if (isRedacted(stay)) continue;
+    const charges = new Map();
+    for (const id of stay.eventIds) {
+      const e = eventsById.get(id) || {};
+      for (const c of [...(e.charges || []), ...(e.charge ? [e.charge] : [])]) charges.set(formatCharge(c), c);
+    }
+    for (const c of stay.charges) charges.set(formatCharge(c), c);
+
+    const doc = {
+      kind: 'booking',
+      bookingNumber: stay.bookingId,
+      name: stay.name,
+      names: [stay.name],
+      nameNumber: stay.nameNumber,
+      bookDate: stay.bookDate,
+      releaseDate: stay.releaseDate,
+      releaseType: stay.releaseType,
+      charges: [...charges.values()],
+      eventIds: stay.eventIds
+    };
+    docs.push(doc);
+    if (stay.bookingId) byBooking.set(stay.bookingId, doc);
+    if (stay.releaseSource === 'release-stats') byRelease.set(nameMatchKey(stay.name) + '|' + stay.releaseDate, doc);
+  }
+
+  for (const record of releaseHistory) {
+    if (isRedacted(record)) continue;
+    const claimed = (record.bookingId && byBooking.get(record.bookingId)) ||
+      byRelease.get(nameMatchKey(record.name) + '|' + record.releaseDateTime);
+    if (claimed) {
+      if (!claimed.names.includes(record.name)) claimed.names.push(record.name);
+      continue;
+    }
+    docs.push({
+      kind: 'release',
+      bookingNumber: null,
+      name: record.name,
+      names: [record.name],
+      nameNumber: record.nameNumber || null,
+      bookDate: null,
+      releaseDate: record.releaseDateTime,
+      releaseType: record.releaseType || null,
+      charges: [],
+      eventIds: []
+    });
+  }
+
+  const tokens = new Map();
+  docs.forEach((doc, i) => {
+    for (const name of doc.names) for (const w of nameWords(name)) addToken(tokens, w, i, 'name');
+    for (const c of doc.charges) {
+      for (const w of chargeWords(c.offense)) addToken(tokens, w, i, 'charge');
+      if (c.statute) addToken(tokens, c.statute.toUpperCase(), i, 'statute');
+    }
+  });
+  return { docs, tokens };
+}
+
+// Best score per document for one query word
+function scoreWord(index, word) {
+  const best = new Map();
+  const hit = (postings, how) => {
+    for (const { doc, field } of postings) {
+      const score = WORD_SCORES[field][how];
+      if (score === undefined) continue;
+      const prev = best.get(doc);
+      if (!prev || score > prev.score) best.set(doc, { score, field });
+    }
+  };
+
+  for (const [token, postings] of index.tokens) {
+    if (token === word) hit(postings, 'exact');
+    else if (token.startsWith(word) && word.length >= (isStatuteWord(word) ? 2 : 3)) hit(postings, 'prefix');
+    else if (!isStatuteWord(word) && withinOneEdit(token, word)) hit(postings, 'typo');
+  }
+  return best;
+}
+
+function docDate(doc) {
+  return parseBookingDate(doc.bookDate) || parseBookingDate(doc.releaseDate) || new Date(0);
+}
+
+/**
+ * Rank documents against a query
+ * @param {Object} index - From buildSearchIndex()
+ * @param {string} q - Words, e.g. "smith theft", "SMITH, JON", "46.61.502"
+ * @param {Object} [options]
+ * @param {string|number} [options.limit] - Up to MAX_LIMIT (default 50)
+ * @returns {{total: number, results: Array<Object>}}
+ *   - results: documents, best first (newest first among equals), each with
+ *     score (0-1) and matched: the fields that matched ('name', 'charge', 'statute')
+ *   - every word must match; score is the average over the words
+ * @throws {Error} - An empty query or a bad limit
+ */
+function search(index, q, { limit } = {}) {
+  const query = String(q || '').trim();
+  if (!query) throw new Error('q is required, e.g. ?q=smith or ?q=9A.56');
+  const max = limit === undefined || limit === '' ? DEFAULT_LIMIT : Number(limit);
+  if (!Number.isInteger(max) || max < 1) throw new Error('limit must be a whole number, 1 or more');
+
+  const found = new Map();
+  if (query.includes(',')) {
+    // A whole name: same tolerance as the release matching (initials, suffixes, one typo)
+    index.docs.forEach((doc, i) => {
+      const score = Math.max(...doc.names.map(n => scoreNameMatch(query, n)));
+      if (score >= MATCH_THRESHOLD) found.set(i, { score, matched: ['name'] });
+    });
+  } else {
+    const words = query.toUpperCase().replace(/['’`]/g, '').split(/\s+/)
+      .map(w => isStatuteWord(w) ? w : w.replace(/[^A-Z]/g, ''))
+      .filter(Boolean);
+    const perWord = words.map(w => scoreWord(index, w));
+    index.docs.forEach((doc, i) => {
+      const hits = perWord.map(best => best.get(i));
+      if (hits.length === 0 || hits.some(h => !h)) return;
+      found.set(i, {
+        score: hits.reduce((sum, h) => sum + h.score, 0) / hits.length,
+        matched: [...new Set(hits.map(h => h.field))]
+      });
+    });
+  }
+
+  const results = [...found.entries()]
+    .map(([i, { score, matched }]) => {
+      const { names, ...doc } = index.docs[i];
+      return { ...doc, otherNames: names.slice(1), score: Math.round(score * 100) / 100, matched };
+    })
+    .sort((a, b) => b.score - a.score || docDate(b) - docDate(a));
+  return { total: results.length, results: results.slice(0, Math.min(max, MAX_LIMIT)) };
+}
+
+export {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  buildSearchIndex,
+  search
+};
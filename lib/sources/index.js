@@ -0,0 +1,107 @@
+/**
+ * Roster source registry for Mason County Jail Roster Monitor
+ * Each jurisdiction is an adapter: fetch → parse → normalized bookings
+ * and releases. The server runs every enabled source side by side, each
+ * with its own storage directory and pages.
+ *
+ * To add a county, write an adapter next to mason.js, add it to
+ * ALL_SOURCES and list its id in ROSTER_SOURCES.
+ */
+
+import path from 'path';
+import masonSource from './mason.js';
+
+/**
+ * @typedef {Object} Booking
+ * @property {string} id - Booking number
+ * @property {string} name - "LAST, FIRST M"
+ * @property {string|null} nameNumber - Stable person id from the roster, if the county publishes one
+ * @property {string} bookDate - "MM/DD/YY HH:MM:SS" or "Unknown"
+ * @property {string} releaseDate - "MM/DD/YY HH:MM:SS" or "Not Released"
+ * @property {Array<{statute: string, offense: string, court: string, offenseClass: string}>} charges
+ */
+
+/**
+ * @typedef {Object} ReleaseRecord
+ * @property {string} releaseDateTime - "MM/DD/YY HH:MM:SS"
+ * @property {string} releaseType - Release code, e.g. "RPR"
+ * @property {string} timeServed - "XdYhZm"
+ * @property {string} bail - "$1,000.00"
+ */
+
+/**
+ * @typedef {Object} FetchedDocument
+ * @property {number} [status] - HTTP status of the download (absent when read back from the archive)
+ * @property {Buffer} buffer - Raw document
+ * @property {string} text - Extracted text
+ * @property {Array<{page: number, str: string, x: number, y: number, width: number}>} [items] - Positioned text items, if the adapter needs layout
+ */
+
+/**
+ * @typedef {Object} RosterSource
+ * @property {string} id - Short id, used in URLs and as the storage namespace
+ * @property {string} name - Display name, e.g. "Mason County"
+ * @property {string} rosterUrl - Public roster link shown on the status page
+ * @property {string|null} releaseStatsUrl
+ * @property {() => Promise<FetchedDocument>} fetchRoster - Throws if the download fails, with `status` set when the server answered
+ * @property {(buffer: Buffer) => Promise<FetchedDocument>} readRoster - Same as fetchRoster, from bytes already on hand (replay)
+ * @property {(text: string) => Map<string, Booking>} parseRoster - Bookings keyed by booking number
+ * @property {(() => Promise<FetchedDocument>)|null} fetchReleases - Null if the county has no release report
+ * @property {((buffer: Buffer) => Promise<FetchedDocument>)|null} readReleases
+ * @property {((doc: FetchedDocument) => {releases: Map<string, ReleaseRecord[]>, unparsed: Array<{page: number, text: string, reason: string}>})|null} parseReleases
+ *   - Releases keyed by name, plus rows that looked like records but could not be parsed
+ */
+
+const ALL_SOURCES = [masonSource];
+
+// The default source keeps the root URLs and the top of the storage dir,
+// so existing deployments and bookmarks keep working.
+const DEFAULT_SOURCE_ID = process.env.DEFAULT_SOURCE || 'mason';
+
+const ENABLED_IDS = (process.env.ROSTER_SOURCES || DEFAULT_SOURCE_ID)
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+
+/**
+ * Enabled sources, default first
+ * @returns {RosterSource[]}
+ */
+function listSources() {
+  const enabled = ALL_SOURCES.filter(s => ENABLED_IDS.includes(s.id) || s.id === DEFAULT_SOURCE_ID);
+  return enabled.sort((a, b) => (b.id === DEFAULT_SOURCE_ID) - (a.id === DEFAULT_SOURCE_ID));
+}
+
+/**
+ * Look up an enabled source by id
+ * @param {string} id
+ * @returns {RosterSource|null}
+ */
+function getSource(id) {
+  return listSources().find(s => s.id === id) || null;
+}
+
+/**
+ * Build the per-request context for a source
+ * @param {RosterSource} source
+ * @param {string} baseStorageDir - Root storage directory (volume mount)
+ * @returns {{source: RosterSource, storageDir: string, releaseHistoryFile: string, base: string}}
+ *   - base is the URL prefix for this source's pages ('' for the default source)
+ */
+function sourceContext(source, baseStorageDir) {
+  const isDefault = source.id === DEFAULT_SOURCE_ID;
+  const storageDir = isDefault ? baseStorageDir : path.join(baseStorageDir, 'sources', source.id);
+  return {
+    source,
+    storageDir,
+    releaseHistoryFile: path.join(storageDir, 'release_stats_history.json'),
+    base: isDefault ? '' : '/sources/' + source.id
+  };
+}
+
+export {
+  DEFAULT_SOURCE_ID,
+  listSources,
+  getSource,
+  sourceContext
+};
@@ -0,0 +1,69 @@
+/**
+ * Mason County, WA roster source
+ * In-custody roster and 48-hour release stats, both published as PDFs
+ * on the sheriff's report hub.
+ */
+
+import PDFParser from 'pdf-parse';
+import { extractPdfItems } from '../pdf-layout.js';
+import { extractBookings } from '../roster-parser.js';
+import { parseReleaseStatsItems } from '../release-parser.js';
+
+const ROSTER_URL = 'https://hub.masoncountywa.gov/sheriff/reports/incustdy.pdf';
+const RELEASE_STATS_URL = 'https://hub.masoncountywa.gov/sheriff/reports/release_stats48hrs.pdf';
+
+// Extract text (and positioned items when withItems is set) from a PDF
+async function readPdf(buffer, withItems = false) {
+  if (withItems) {
+    const { text, items } = await extractPdfItems(buffer);
+    return { buffer, text, items };
+  }
+  const result = await PDFParser(buffer);
+  return { buffer, text: result.text };
+}
+
+// Download a PDF and extract it
+async function fetchPdf(url, label, withItems = false) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    const error = new Error(`Failed to download ${label}: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  return { status: response.status, ...await readPdf(buffer, withItems) };
+}
+
+/** @type {import('./index.js').RosterSource} */
+const masonSource = {
+  id: 'mason',
+  name: 'Mason County',
+  rosterUrl: ROSTER_URL,
+  releaseStatsUrl: RELEASE_STATS_URL,
+
+  fetchRoster() {
+    return fetchPdf(ROSTER_URL, 'roster PDF');
+  },
+
+  readRoster(buffer) {
+    return readPdf(buffer);
+  },
+
+  parseRoster(text) {
+    return extractBookings(text);
+  },
+
+  fetchReleases() {
+    return fetchPdf(RELEASE_STATS_URL, 'release stats PDF', true);
+  },
+
+  readReleases(buffer) {
+    return readPdf(buffer, true);
+  },
+
+  parseReleases(doc) {
+    return parseReleaseStatsItems(doc.items);
+  }
+};
+
+export default masonSource;
@@ -0,0 +1,303 @@
+/**
+ * Stay records for Mason County Jail Roster Monitor
+ * One record per booking number pairing the booking with its release:
+ * book time, release time, release type, bail, charges and duration.
+ * Kept in <storage>/stays.json and brought up to date from the event
+ * store and the release stats PDF on every run.
+ *
+ * WHY: Stats paired "the last booking by name" with "the last release by
+ * name", which is wrong for anyone booked more than once, and history and
+ * deep stats each re-paired lines their own way. The pairing is now done
+ * once, here, as the events arrive.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseBookingDate } from '../utils.js';
+import { formatCharge } from './charges.js';
+import { normalizeName } from './people.js';
+import { nameMatchKey, releaseCandidates, matchRelease } from './name-match.js';
+import { computeTimeServed } from './change-log.js';
+import { readEvents } from './events.js';
+import { writeJsonAtomic } from './atomic-write.js';
+
+const STAYS_SCHEMA_VERSION = 1;
+const STAYS_FILE = 'stays.json';
+
+function emptyTable() {
+  return { v: STAYS_SCHEMA_VERSION, lastEventId: 0, stays: {} };
+}
+
+// Same person: by Name Number when both records have one, else by name
+function samePerson(stay, event) {
+  if (stay.nameNumber && event.nameNumber) return stay.nameNumber === event.nameNumber;
+  return normalizeName(stay.name) === normalizeName(event.name);
+}
+
+// Older events carry no booking number; their stays get a key of their own
+function legacyKey(event, bookDate) {
+  return 'legacy:' + (event.nameNumber ? 'nn:' + event.nameNumber : normalizeName(event.name)) + '|' + (bookDate || 'unknown');
+}
+
+function newStay(table, event, bookDate) {
+  const key = event.bookingId || legacyKey(event, bookDate);
+  const stay = {
+    key,
+    bookingId: event.bookingId || null,
+    name: event.name,
+    nameNumber: event.nameNumber || null,
+    bookDate: bookDate || null,
+    releaseDate: null,
+    releaseType: null,
+    bail: null,
+    releaseSource: null,
+    charges: [],
+    timeServed: null,
+    durationMins: null,
+    eventIds: []
+  };
+  table.stays[key] = stay;
+  return stay;
+}
+
+// Release time minus book time, both in jail time
+function updateDuration(stay) {
+  const booked = parseBookingDate(stay.bookDate);
+  const released = parseBookingDate(stay.releaseDate);
+  const mins = booked && released ? Math.floor((released - booked) / 60000) : null;
+  stay.durationMins = mins > 0 ? mins : null;
+  stay.timeServed = stay.durationMins ? computeTimeServed(stay.bookDate, stay.releaseDate) : null;
+}
+
+const hasDate = d => Boolean(parseBookingDate(d));
+
+// A detected release was logged by the first run after the person left the roster, so the
+// real release is at or before that time, and no more than this before it (runs can stop for days)
+const DETECTION_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+function releasedBeforeDetection(info, stay) {
+  const released = parseBookingDate(info.releaseDateTime);
+  const detected = parseBookingDate(stay.releaseDate);
+  return Boolean(released && detected) && released <= detected && detected - released <= DETECTION_WINDOW_MS;
+}
+
+// Find the stay an event belongs to. Events without a booking number are
+// matched by person; a legacy stay is re-keyed when its booking number first shows up.
+function findStay(table, event) {
+  if (event.bookingId && table.stays[event.bookingId]) return table.stays[event.bookingId];
+
+  const stays = Object.values(table.stays)
+    .filter(s => samePerson(s, event) && (!s.bookingId || !event.bookingId));
+  const exact = event.bookDate && stays.find(s => s.bookDate === event.bookDate);
+  if (exact) return adopt(table, exact, event);
+  if (event.type === 'BOOKED') return null;
+
+  // Latest stay that began before the release: still open, or already released for late details
+  const releasedAt = parseBookingDate(event.releaseDate);
+  const candidates = stays
+    .filter(s => event.type === 'RELEASE_DETAILS' ? s.releaseDate : !s.releaseDate)
+    .filter(s => !releasedAt || !parseBookingDate(s.bookDate) || parseBookingDate(s.bookDate) <= releasedAt)
+    .sort((a, b) => (parseBookingDate(a.bookDate) || 0) - (parseBookingDate(b.bookDate) || 0));
+  const match = candidates[candidates.length - 1];
+  return match ? adopt(table, match, event) : null;
+}
+
+function adopt(table, stay, event) {
+  if (!stay.bookingId && event.bookingId && !table.stays[event.bookingId]) {
+    delete table.stays[stay.key];
+    stay.key = stay.bookingId = event.bookingId;
+    table.stays[stay.key] = stay;
+  }
+  return stay;
+}
+
+function setRelease(stay, fields, source) {
+  stay.releaseDate = fields.releaseDate;
+  stay.releaseType = fields.releaseType || null;
+  stay.bail = fields.bail || null;
+  stay.releaseSource = source;
+  updateDuration(stay);
+}
+
+/**
+ * Fold one event into the stays table
+ * @param {Object} table - From readStays()
+ * @param {Object} event - From the event store
+ * @returns {Object|null} - The stay it touched
+ *
+ * Releases with a release type came from the release stats PDF; the rest
+ * carry the time the roster change was detected and may be refined later.
+ */
+function applyEvent(table, event) {
+  if (event.id) table.lastEventId = Math.max(table.lastEventId, event.id);
+  let stay = null;
+
+  if (event.type === 'BOOKED') {
+    stay = findStay(table, event) || newStay(table, event, event.bookDate);
+    if (!stay.bookDate && event.bookDate) stay.bookDate = event.bookDate;
+    stay.charges = event.charges || [];
+  } else if (event.type === 'RELEASED') {
+    stay = findStay(table, event) || newStay(table, event, event.bookDate);
+    if (!stay.bookDate && hasDate(event.bookDate)) stay.bookDate = event.bookDate;
+    if (event.charges && event.charges.length > 0) stay.charges = event.charges;
+    if (hasDate(event.releaseDate)) {
+      setRelease(stay, event, event.releaseType ? 'release-stats' : 'detected');
+    } else {
+      stay.releaseDate = event.releaseDate || 'Not Released';
+    }
+  } else if (event.type === 'RELEASE_DETAILS') {
+    stay = findStay(table, event);
+    if (stay && hasDate(event.releaseDate)) setRelease(stay, event, 'release-stats');
+  } else if (event.type === 'CHARGE_ADDED' || event.type === 'CHARGE_REMOVED') {
+    stay = findStay(table, event);
+    if (stay && event.charge) {
+      const key = formatCharge(event.charge);
+      stay.charges = stay.charges.filter(c => formatCharge(c) !== key);
+      if (event.type === 'CHARGE_ADDED') stay.charges.push(event.charge);
+    }
+  }
+
+  if (stay) {
+    stay.name = event.name || stay.name;
+    stay.nameNumber = event.nameNumber || stay.nameNumber;
+    if (event.id && !stay.eventIds.includes(event.id)) stay.eventIds.push(event.id);
+  }
+  return stay;
+}
+
+/**
+ * Fill in releases that were logged at detection time from the release stats PDF
+ * @param {Object} table
+ * @param {Map<string, Array>|Array} releases - fetchReleaseStats() map, or release history entries
+ * @returns {number} - Stays updated
+ *
+ * A release is matched by booking number when the history entry was linked,
+ * otherwise with matchRelease() among the releases no other stay has
+ * claimed that happened in the week up to the detected release. Newest
+ * stays go first, so an older, already closed stay of someone booked again
+ * can't take the new release. Ambiguous matches are left alone.
+ */
+function applyReleaseStats(table, releases) {
+  const infos = releaseCandidates(releases);
+  const releaseKey = info => nameMatchKey(info.name) + '|' + info.releaseDateTime;
+  const claimed = new Set(Object.values(table.stays)
+    .filter(s => s.releaseSource === 'release-stats')
+    .map(s => releaseKey({ name: s.name, releaseDateTime: s.releaseDate })));
+
+  let updated = 0;
+  const detected = Object.values(table.stays)
+    .filter(s => s.releaseSource === 'detected')
+    .sort((a, b) => parseBookingDate(b.releaseDate) - parseBookingDate(a.releaseDate));
+  for (const stay of detected) {
+    const linked = stay.bookingId && infos.find(info => info.bookingId === stay.bookingId);
+    const match = linked || matchRelease(
+      infos.filter(info => !info.bookingId && !claimed.has(releaseKey(info)) && releasedBeforeDetection(info, stay)),
+      stay
+    ).match;
+    if (!match) continue;
+
+    const bail = parseFloat((match.bail || '$0').replace(/[$,]/g, ''));
+    setRelease(stay, {
+      releaseDate: match.releaseDateTime,
+      releaseType: match.releaseType,
+      bail: bail > 0 ? match.bail : null
+    }, 'release-stats');
+    claimed.add(releaseKey(match));
+    updated++;
+  }
+  return updated;
+}
+
+/**
+ * Build the stays table from scratch
+ * @param {Array<Object>} events - Every event, in store order
+ * @param {Array<Object>} [releaseHistory] - release_stats_history.json entries
+ * @returns {Object} - {v, lastEventId, stays: {bookingNumber: stay}}
+ */
+function buildStays(events, releaseHistory = []) {
+  const table = emptyTable();
+  for (const event of events) applyEvent(table, event);
+  applyReleaseStats(table, releaseHistory);
+  return table;
+}
+
+function readStaysFile(storageDir) {
+  const file = path.join(storageDir, STAYS_FILE);
+  if (!fs.existsSync(file)) return null;
+  try {
+    const table = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return table.v === STAYS_SCHEMA_VERSION ? table : null;
+  } catch (e) {
+    console.error('Error reading stays:', e);
+    return null;
+  }
+}
+
+function readReleaseHistory(releaseHistoryFile) {
+  if (!releaseHistoryFile || !fs.existsSync(releaseHistoryFile)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(releaseHistoryFile, 'utf-8'));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Read the stays table, catching up on events logged since it was saved
+ * @param {string} storageDir
+ * @param {Object} [options]
+ * @param {string} [options.releaseHistoryFile] - Used when the table has to be built
+ * @returns {Object} - {v, lastEventId, stays}; nothing is written
+ */
+function readStays(storageDir, { releaseHistoryFile } = {}) {
+  const events = readEvents(storageDir);
+  const table = readStaysFile(storageDir);
+  if (!table) return buildStays(events, readReleaseHistory(releaseHistoryFile));
+  for (const event of events) {
+    if (event.id > table.lastEventId) applyEvent(table, event);
+  }
+  return table;
+}
+
+/**
+ * Bring stays.json up to date and save it
+ * @param {string} storageDir
+ * @param {Object} [options]
+ * @param {string} [options.releaseHistoryFile]
+ * @param {Map} [options.releaseStats] - Releases fetched this run
+ * @param {boolean} [options.rebuild] - Start over; use after the event store was rewritten
+ * @returns {Object} - The saved table
+ *
+ * Call it holding the run lock.
+ */
+function syncStays(storageDir, { releaseHistoryFile, releaseStats, rebuild = false } = {}) {
+  const table = rebuild
+    ? buildStays(readEvents(storageDir), readReleaseHistory(releaseHistoryFile))
+    : readStays(storageDir, { releaseHistoryFile });
+  if (releaseStats) applyReleaseStats(table, releaseStats);
+  writeJsonAtomic(path.join(storageDir, STAYS_FILE), table);
+  return table;
+}
+
+/**
+ * Index stays by the events they were built from
+ * @param {Object} table
+ * @returns {Map<number, Object>} - event id → stay
+ */
+function staysByEventId(table) {
+  const index = new Map();
+  for (const stay of Object.values(table.stays)) {
+    for (const id of stay.eventIds) index.set(id, stay);
+  }
+  return index;
+}
+
+export {
+  STAYS_FILE,
+  applyEvent,
+  applyReleaseStats,
+  buildStays,
+  readStays,
+  syncStays,
+  staysByEventId
+};
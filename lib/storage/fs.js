@@ -0,0 +1,54 @@
+/**
+ * Filesystem storage driver
+ * State files live in one directory: the Railway volume for the server,
+ * /tmp on a serverless function. The run lock file in the same directory
+ * already keeps writers apart, so lock() adds nothing.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from '../atomic-write.js';
+
+/**
+ * @param {string} dir
+ * @returns {Object} - A storage driver (see ./index.js)
+ */
+function createFsDriver(dir) {
+  const read = name => {
+    const file = path.join(dir, name);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+  };
+
+  return {
+    kind: 'fs',
+    dir,
+    async read(name) {
+      return read(name);
+    },
+    async readMany(names) {
+      return names.map(read);
+    },
+    // No hashes kept: a copy of this dir reads every file again
+    async hashes(names) {
+      return names.map(() => null);
+    },
+    async writeMany(files) {
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      for (const [name, value] of Object.entries(files)) {
+        if (value === null) fs.rmSync(path.join(dir, name), { force: true });
+        else if (typeof value === 'object') fs.appendFileSync(path.join(dir, name), value.append);
+        else writeFileAtomic(path.join(dir, name), value);
+      }
+      return null;
+    },
+    // No change counter: a copy of this dir always reads it again
+    async version() {
+      return null;
+    },
+    async lock() {
+      return async () => {};
+    }
+  };
+}
+
+export { createFsDriver };
@@ -0,0 +1,211 @@
+/**
+ * Shared state storage for Mason County Jail Roster Monitor
+ * The state files (events, release history, pending releases, roster
+ * state, stays...) live in a storage driver: the filesystem, or a
+ * key-value store shared by every deployment. Code keeps reading and
+ * writing a local directory; a store copies the state files from the
+ * driver into it (pull) and writes back the ones that changed (push).
+ * With the filesystem driver the directory is the store and both are
+ * no-ops. Only changed files travel: a pull downloads the files whose
+ * hash differs from the local copy, and a push of a file that only grew
+ * (events.jsonl, on every run) sends the new lines.
+ *
+ * WHY: api/check-roster.js and api/status.js kept their state in /tmp,
+ * which is wiped between serverless invocations, and server.js kept its
+ * own on the volume, so the Vercel cron and the dashboard never saw the
+ * same data. Pointed at the same key-value store, they now do.
+ *
+ * Driver interface (./fs.js, ./kv.js):
+ *   read(name) → string|null
+ *   readMany(names) → Array<string|null>
+ *   hashes(names) → Array<sha256|null> of the stored files, null when unknown
+ *   writeMany({name: text|null|{append: text}}, {name: sha256|null}) → new version
+ *     (null deletes a file, {append} adds to its end; the second argument is each file's new hash)
+ *   version() → change counter, or null if the driver has none
+ *   lock() → async release(); throws code 'RUN_BUSY' while another deployment holds it
+ *
+ * Configuration:
+ *   STORAGE_DRIVER=fs|kv - defaults to kv when one of the URLs below is set
+ *   KV_REST_API_URL + KV_REST_API_TOKEN - Vercel KV / Upstash REST
+ *   REDIS_URL=redis://host:6379 - any Redis-compatible server; memory:// for an in-process stand-in
+ *   KV_PREFIX=mason-roster - key prefix
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { STATE_FILES } from '../backup.js';
+import { writeFileAtomic } from '../atomic-write.js';
+import { createFsDriver } from './fs.js';
+import { createKvDriver } from './kv.js';
+import { createRestClient, createRespClient, createMemoryClient } from './kv-clients.js';
+
+let sharedClient = null;
+
+// One client per process, shared by every namespace
+function kvClient(env) {
+  if (sharedClient) return sharedClient;
+  if (env.KV_REST_API_URL) {
+    sharedClient = createRestClient({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN || '' });
+  } else if (env.REDIS_URL && env.REDIS_URL.startsWith('memory:')) {
+    sharedClient = createMemoryClient();
+  } else if (env.REDIS_URL) {
+    sharedClient = createRespClient(env.REDIS_URL);
+  } else {
+    throw new Error('STORAGE_DRIVER=kv needs KV_REST_API_URL or REDIS_URL');
+  }
+  return sharedClient;
+}
+
+/**
+ * Driver kind picked by the environment
+ * @param {Object} [env]
+ * @returns {'fs'|'kv'}
+ */
+function storageKind(env = process.env) {
+  if (env.STORAGE_DRIVER) return env.STORAGE_DRIVER === 'kv' ? 'kv' : 'fs';
+  return env.KV_REST_API_URL || env.REDIS_URL ? 'kv' : 'fs';
+}
+
+/**
+ * Create the driver for a storage dir
+ * @param {string} dir - Local directory; the fs driver's home
+ * @param {Object} options
+ * @param {string} options.namespace - Source id, e.g. "mason"; keys of the kv driver
+ * @param {Object} [options.env]
+ * @returns {Object} - A driver
+ */
+function createDriver(dir, { namespace, env = process.env }) {
+  if (storageKind(env) === 'kv') {
+    return createKvDriver(kvClient(env), { namespace, prefix: env.KV_PREFIX || undefined });
+  }
+  return createFsDriver(dir);
+}
+
+const hashOf = text => text === null ? null : crypto.createHash('sha256').update(text).digest('hex');
+
+function readLocal(dir, name) {
+  const file = path.join(dir, name);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+}
+
+/**
+ * A local directory kept in step with a driver
+ * @param {string} dir
+ * @param {Object} driver
+ * @returns {{dir: string, driver: Object, shared: boolean, read: Function, pull: Function, push: Function, lock: Function}}
+ */
+function createStore(dir, driver) {
+  const shared = !(driver.dir && path.resolve(driver.dir) === path.resolve(dir));
+  let syncedVersion;
+  const syncedHashes = new Map();
+  const syncedLengths = new Map();
+
+  const synced = (name, text) => {
+    syncedHashes.set(name, hashOf(text));
+    syncedLengths.set(name, text === null ? 0 : text.length);
+  };
+
+  /**
+   * Bring the local copy up to date
+   * @returns {Promise<boolean>} - Whether anything was downloaded
+   *
+   * Skipped when the driver's version hasn't moved since the last pull or
+   * push; otherwise only files whose stored hash differs from the local
+   * copy are downloaded. An empty store is seeded from the local copy
+   * instead, so moving an existing deployment onto a new key-value store
+   * keeps its history.
+   */
+  async function pull() {
+    if (!shared) return false;
+    const version = await driver.version();
+    if (version !== null && version === syncedVersion) return false;
+    if (version === 0) {
+      await push();
+      return false;
+    }
+
+    const remoteHashes = await driver.hashes(STATE_FILES);
+    const stale = [];
+    STATE_FILES.forEach((name, i) => {
+      const local = readLocal(dir, name);
+      if (remoteHashes[i] && remoteHashes[i] === hashOf(local)) synced(name, local);
+      else stale.push(name);
+    });
+
+    const texts = await driver.readMany(stale);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    stale.forEach((name, i) => {
+      const text = texts[i];
+      if (text === null) fs.rmSync(path.join(dir, name), { force: true });
+      else if (hashOf(readLocal(dir, name)) !== hashOf(text)) writeFileAtomic(path.join(dir, name), text);
+      synced(name, text);
+    });
+    syncedVersion = version;
+    return stale.length > 0;
+  }
+
+  /**
+   * Write back the state files changed since the last pull or push
+   * @returns {Promise<number>} - Files written, appended to or deleted
+   *
+   * A file that still starts with what was last synced sends only its new
+   * end. Callers hold the store's lock and pulled first, so the stored
+   * copy is the synced one.
+   */
+  async function push() {
+    if (!shared) return 0;
+    const changed = {};
+    const hashes = {};
+    const texts = {};
+    for (const name of STATE_FILES) {
+      const text = readLocal(dir, name);
+      const hash = hashOf(text);
+      if (hash === (syncedHashes.get(name) ?? null)) continue;
+      const length = syncedLengths.get(name) || 0;
+      const grew = length > 0 && text !== null && text.length > length &&
+        hashOf(text.slice(0, length)) === syncedHashes.get(name);
+      changed[name] = grew ? { append: text.slice(length) } : text;
+      hashes[name] = hash;
+      texts[name] = text;
+    }
+    const names = Object.keys(changed);
+    if (names.length === 0) return 0;
+
+    syncedVersion = await driver.writeMany(changed, hashes);
+    for (const name of names) synced(name, texts[name]);
+    return names.length;
+  }
+
+  return {
+    dir,
+    driver,
+    shared,
+    read: name => driver.read(name),
+    pull,
+    push,
+    lock: () => driver.lock()
+  };
+}
+
+const stores = new Map();
+
+/**
+ * The store for a local storage dir, from the environment
+ * @param {string} dir
+ * @param {Object} options
+ * @param {string} options.namespace - Source id
+ * @returns {Object} - See createStore(); one per dir, so pulls and pushes remember what they synced
+ */
+function openStore(dir, { namespace }) {
+  const key = path.resolve(dir);
+  if (!stores.has(key)) stores.set(key, createStore(dir, createDriver(dir, { namespace })));
+  return stores.get(key);
+}
+
+export {
+  storageKind,
+  createDriver,
+  createStore,
+  openStore
+};
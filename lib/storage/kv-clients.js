@@ -0,0 +1,229 @@
+/**
+ * Key-value clients for the shared storage driver
+ * Each client sends one Redis command at a time: command(['SET', key, value])
+ * resolves to the reply (string, number, array or null).
+ *
+ *   createRestClient - Vercel KV / Upstash REST API (KV_REST_API_URL + KV_REST_API_TOKEN)
+ *   createRespClient - Any Redis-compatible server over TCP (REDIS_URL=redis://...)
+ *   createMemoryClient - In-process stand-in for tests and local runs (REDIS_URL=memory://)
+ *
+ * Only the commands the driver uses are needed: GET, MGET, MSET, DEL,
+ * APPEND, INCR and SET with NX/PX.
+ */
+
+import net from 'net';
+
+/**
+ * Client for a Redis REST endpoint
+ * @param {Object} options
+ * @param {string} options.url - e.g. "https://xyz.upstash.io"
+ * @param {string} options.token
+ * @returns {{command: Function}}
+ */
+function createRestClient({ url, token }) {
+  return {
+    async command(args) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(args.map(String))
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok || body.error) {
+        throw new Error(`KV ${args[0]} failed: ${body.error || 'HTTP ' + response.status}`);
+      }
+      return body.result;
+    }
+  };
+}
+
+function encodeCommand(args) {
+  const parts = args.map(a => {
+    const buf = Buffer.from(String(a));
+    return Buffer.concat([Buffer.from('$' + buf.length + '\r\n'), buf, Buffer.from('\r\n')]);
+  });
+  return Buffer.concat([Buffer.from('*' + args.length + '\r\n'), ...parts]);
+}
+
+// One RESP reply from buf at offset: {value, next}, or null when more bytes are needed
+function parseReply(buf, offset = 0) {
+  const lineEnd = buf.indexOf('\r\n', offset);
+  if (lineEnd < 0) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf-8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  if (type === '+') return { value: line, next };
+  if (type === '-') return { value: new Error(line), next };
+  if (type === ':') return { value: Number(line), next };
+  if (type === '$') {
+    const length = Number(line);
+    if (length < 0) return { value: null, next };
+    if (buf.length < next + length + 2) return null;
+    return { value: buf.toString('utf-8', next, next + length), next: next + length + 2 };
+  }
+  if (type === '*') {
+    const count = Number(line);
+    if (count < 0) return { value: null, next };
+    const items = [];
+    let at = next;
+    for (let i = 0; i < count; i++) {
+      const item = parseReply(buf, at);
+      if (!item) return null;
+      items.push(item.value);
+      at = item.next;
+    }
+    return { value: items, next: at };
+  }
+  throw new Error('Unexpected reply from Redis: ' + JSON.stringify(line.slice(0, 40)));
+}
+
+/**
+ * Client for a Redis-compatible server
+ * @param {string} redisUrl - redis://[user:password@]host[:port][/db]
+ * @returns {{command: Function, close: Function}}
+ *
+ * One connection, opened on first use and reopened after an error.
+ * It doesn't keep the process alive while idle. A failed AUTH or SELECT
+ * closes the connection and fails the commands waiting on it, rather
+ * than letting them run unauthenticated or against database 0.
+ */
+function createRespClient(redisUrl) {
+  const url = new URL(redisUrl);
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function failAll(error) {
+    socket = null;
+    buffer = Buffer.alloc(0);
+    pending.splice(0).forEach(p => p.reject(error));
+  }
+
+  function drain() {
+    while (pending.length > 0) {
+      const reply = parseReply(buffer);
+      if (!reply) break;
+      buffer = buffer.subarray(reply.next);
+      const { resolve, reject } = pending.shift();
+      if (reply.value instanceof Error) reject(reply.value);
+      else resolve(reply.value);
+    }
+    if (socket && pending.length === 0) socket.unref();
+  }
+
+  function send(args) {
+    if (!socket) return Promise.reject(new Error('Redis connection closed'));
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.ref();
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    const connection = net.createConnection({ host: url.hostname, port: Number(url.port) || 6379 });
+    socket = connection;
+    connection.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        drain();
+      } catch (e) {
+        connection.destroy(e);
+      }
+    });
+    // A closing connection must not fail the commands of the one that replaced it
+    connection.on('error', e => { if (socket === connection) failAll(e); });
+    connection.on('close', () => { if (socket === connection) failAll(new Error('Redis connection closed')); });
+
+    const handshake = [];
+    const password = decodeURIComponent(url.password);
+    if (password) {
+      handshake.push(send(url.username ? ['AUTH', decodeURIComponent(url.username), password] : ['AUTH', password])
+        .catch(e => { throw new Error('Redis AUTH failed: ' + e.message); }));
+    }
+    const db = url.pathname.slice(1);
+    if (db) handshake.push(send(['SELECT', db]).catch(e => { throw new Error(`Redis SELECT ${db} failed: ${e.message}`); }));
+    ready = Promise.all(handshake).catch(error => {
+      connection.destroy(error);
+      throw error;
+    });
+  }
+
+  return {
+    command(args) {
+      if (!socket) connect();
+      return ready.then(() => send(args));
+    },
+    close() {
+      if (socket) socket.end();
+    }
+  };
+}
+
+/**
+ * In-process stand-in for a Redis server
+ * @returns {{command: Function}}
+ *
+ * State lives in this client only, so two clients never share data;
+ * pass the same client to every driver that should.
+ */
+function createMemoryClient() {
+  const values = new Map();
+  const expires = new Map();
+
+  const get = key => {
+    if (expires.has(key) && expires.get(key) <= Date.now()) {
+      values.delete(key);
+      expires.delete(key);
+    }
+    return values.has(key) ? values.get(key) : null;
+  };
+  const set = (key, value) => {
+    values.set(key, String(value));
+    expires.delete(key);
+  };
+
+  const commands = {
+    GET: ([key]) => get(key),
+    MGET: keys => keys.map(get),
+    MSET: pairs => {
+      for (let i = 0; i < pairs.length; i += 2) set(pairs[i], pairs[i + 1]);
+      return 'OK';
+    },
+    DEL: keys => keys.filter(key => get(key) !== null && values.delete(key)).length,
+    APPEND: ([key, value]) => {
+      const text = (get(key) ?? '') + value;
+      values.set(key, text);
+      return text.length;
+    },
+    INCR: ([key]) => {
+      const n = Number(get(key) || 0) + 1;
+      set(key, n);
+      return n;
+    },
+    SET: ([key, value, ...options]) => {
+      const upper = options.map(o => String(o).toUpperCase());
+      if (upper.includes('NX') && get(key) !== null) return null;
+      set(key, value);
+      const px = upper.indexOf('PX');
+      if (px >= 0) expires.set(key, Date.now() + Number(options[px + 1]));
+      return 'OK';
+    }
+  };
+
+  return {
+    async command([name, ...args]) {
+      const run = commands[String(name).toUpperCase()];
+      if (!run) throw new Error(`ERR unknown command '${name}'`);
+      return run(args.map(String));
+    }
+  };
+}
+
+export {
+  createRestClient,
+  createRespClient,
+  createMemoryClient
+};
@@ -0,0 +1,83 @@
+/**
+ * Key-value storage driver
+ * Each state file is one string key, "<prefix>:<namespace>:<file>", so
+ * the server and the serverless functions share one copy. A counter key
+ * goes up on every write, letting readers skip a download when nothing
+ * changed, and a lock key with an expiry keeps two deployments from
+ * running at once. Next to each file, "<file>@sha256" holds its hash, so
+ * a reader only downloads the files that differ from its copy.
+ */
+
+import crypto from 'crypto';
+import { STALE_LOCK_MS } from '../run-lock.js';
+
+/**
+ * @param {{command: Function}} client - From ./kv-clients.js
+ * @param {Object} options
+ * @param {string} options.namespace - Source id, e.g. "mason"
+ * @param {string} [options.prefix] - Shared by every key, for a database used by other apps too
+ * @returns {Object} - A storage driver (see ./index.js)
+ */
+function createKvDriver(client, { namespace, prefix = 'mason-roster' }) {
+  const key = name => `${prefix}:${namespace}:${name}`;
+  const hashKey = name => key(name + '@sha256');
+  const versionKey = key('@version');
+  const lockKey = key('@lock');
+
+  return {
+    kind: 'kv',
+    dir: null,
+    async read(name) {
+      return client.command(['GET', key(name)]);
+    },
+    async readMany(names) {
+      return names.length > 0 ? client.command(['MGET', ...names.map(key)]) : [];
+    },
+    // Null until a write records one, e.g. for a store filled before hashes were kept
+    async hashes(names) {
+      return names.length > 0 ? client.command(['MGET', ...names.map(hashKey)]) : [];
+    },
+    // Files set to null are deleted and {append} tails are APPENDed; the rest, and
+    // every new hash, are written in one MSET. Readers going by the hashes re-read
+    // anything they catch halfway on the next version.
+    async writeMany(files, hashes = {}) {
+      const entries = Object.entries(files);
+      const appended = entries.filter(([, value]) => value !== null && typeof value === 'object');
+      const written = entries.filter(([, value]) => typeof value === 'string');
+      const removed = entries.filter(([, value]) => value === null);
+      for (const [name, { append }] of appended) await client.command(['APPEND', key(name), append]);
+      const pairs = [
+        ...written.flatMap(([name, text]) => [key(name), text]),
+        ...entries.filter(([name]) => hashes[name]).flatMap(([name]) => [hashKey(name), hashes[name]])
+      ];
+      if (pairs.length > 0) await client.command(['MSET', ...pairs]);
+      if (removed.length > 0) await client.command(['DEL', ...removed.flatMap(([name]) => [key(name), hashKey(name)])]);
+      return client.command(['INCR', versionKey]);
+    },
+    async version() {
+      return Number(await client.command(['GET', versionKey])) || 0;
+    },
+    /**
+     * @returns {Promise<Function>} - async release()
+     * @throws {Error} - code 'RUN_BUSY' while another deployment holds it
+     *
+     * Expires after STALE_LOCK_MS, like the run lock file, in case the holder dies.
+     */
+    async lock() {
+      const token = crypto.randomBytes(8).toString('hex');
+      const taken = await client.command(['SET', lockKey, token, 'NX', 'PX', STALE_LOCK_MS]);
+      if (taken !== 'OK') {
+        const error = new Error('Another deployment is running a roster check on the shared storage. Try again shortly.');
+        error.code = 'RUN_BUSY';
+        throw error;
+      }
+      return async () => {
+        if (await client.command(['GET', lockKey]) === token) {
+          await client.command(['DEL', lockKey]);
+        }
+      };
+    }
+  };
+}
+
+export { createKvDriver };
@@ -0,0 +1,80 @@
+/**
+ * Sanity checks for a parsed roster snapshot
+ * Run before /api/run persists anything, so a changed PDF layout or a
+ * truncated download can't be logged as a mass release.
+ */
+
+// More than this share of bookings missing a name or book date fails the snapshot
+const MAX_MISSING_FIELD_RATIO = 0.1;
+
+// Swing checks only kick in once the previous roster is big enough to judge
+const MIN_POPULATION_FOR_SWING_CHECK = 20;
+const MAX_POPULATION_DROP_RATIO = 0.5;
+const MAX_POPULATION_GROWTH_RATIO = 2;
+
+/**
+ * Validate a parsed roster against its raw text and the previous snapshot
+ * @param {string} text - Raw roster text from the PDF
+ * @param {Map} bookings - Output of extractBookings(text)
+ * @param {Map|null} previousBookings - Bookings from the last committed snapshot, if any
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPopulationSwing] - Skip the swing check (manual override)
+ * @param {boolean} [options.allowCountMismatch] - Accept fewer or more bookings than markers (manual override)
+ * @returns {{ok: boolean, errors: string[], warnings: string[], markerCount: number, parsedCount: number}}
+ *
+ * A booking listed twice (repeated across a page break) is parsed once, so
+ * fewer bookings than markers is only a warning when the marker booking
+ * numbers account for it.
+ */
+function validateRoster(text, bookings, previousBookings, options = {}) {
+  const errors = [];
+  const warnings = [];
+
+  const markerCount = ((text || '').match(/Booking #:/g) || []).length;
+  const markerIds = new Set([...(text || '').matchAll(/Booking #:\s*(\S+)/g)].map(m => m[1]));
+  const parsedCount = bookings ? bookings.size : 0;
+
+  if (markerCount === 0) {
+    errors.push('No "Booking #:" markers found in roster text');
+  }
+  if (parsedCount === 0) {
+    errors.push('Parser returned zero bookings');
+  } else if (parsedCount !== markerCount) {
+    const msg = `Parsed ${parsedCount} bookings but found ${markerCount} "Booking #:" markers`;
+    if (parsedCount === markerIds.size) warnings.push(`${msg} (${markerCount - parsedCount} listed more than once)`);
+    else if (options.allowCountMismatch) warnings.push(msg + ' (allowed by override)');
+    else errors.push(msg);
+  }
+
+  if (parsedCount > 0) {
+    const missingName = [];
+    const missingBookDate = [];
+    for (const b of bookings.values()) {
+      if (!b.name || b.name === 'Unknown') missingName.push(b.id);
+      if (!b.bookDate || b.bookDate === 'Unknown') missingBookDate.push(b.id);
+    }
+
+    for (const [label, ids] of [['name', missingName], ['book date', missingBookDate]]) {
+      if (ids.length === 0) continue;
+      const msg = `${ids.length} of ${parsedCount} bookings missing ${label} (${ids.slice(0, 5).join(', ')}${ids.length > 5 ? ', …' : ''})`;
+      if (ids.length / parsedCount > MAX_MISSING_FIELD_RATIO) errors.push(msg);
+      else warnings.push(msg);
+    }
+  }
+
+  const previousCount = previousBookings ? previousBookings.size : 0;
+  if (previousCount >= MIN_POPULATION_FOR_SWING_CHECK && parsedCount > 0) {
+    const ratio = parsedCount / previousCount;
+    if (ratio < MAX_POPULATION_DROP_RATIO || ratio > MAX_POPULATION_GROWTH_RATIO) {
+      const msg = `Population swung from ${previousCount} to ${parsedCount}`;
+      if (options.allowPopulationSwing) warnings.push(msg + ' (allowed by override)');
+      else errors.push(msg);
+    }
+  }
+
+  return { ok: errors.length === 0, errors, warnings, markerCount, parsedCount };
+}
+
+export {
+  validateRoster
+};
@@ -5,15 +5,67 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import PDFParser from 'pdf-parse';
 import {
+  JAIL_TIME_ZONE,
+  WEEKDAYS,
+  getJailParts,
+  jailTimeToDate,
+  jailDayKey,
+  formatJailDate,
   parseBookingDate,
   formatMinutes,
   parseTimeServed,
   daysBetween,
   isMidnight,
-  formatDatePST
+  formatDatePST,
+  escapeHtml
 } from './utils.js';
+import {
+  formatCharges,
+  offenseLevel
+} from './lib/charges.js';
+import {
+  normalizeName,
+  createPersonResolver
+} from './lib/people.js';
+import { computeTimeServed } from './lib/change-log.js';
+import {
+  AMENDMENT_TYPES,
+  EVENTS_FILE,
+  ensureEventStore,
+  readEvents,
+  appendEvents,
+  writeEvents,
+  parseChangeLog,
+  formatEventLog
+} from './lib/events.js';
+import {
+  archiveDir,
+  objectPath,
+  readArchiveIndex,
+  summarizeArchive
+} from './lib/archive.js';
+import { replayArchive, mergeReplay, diffLogs } from './lib/replay.js';
+import { writeFileAtomic, writeJsonAtomic } from './lib/atomic-write.js';
+import { readStays, syncStays, staysByEventId } from './lib/stays.js';
+import { nameMatchKey } from './lib/name-match.js';
+import { createBackup, listBackups, backupPath, restoreBackup } from './lib/backup.js';
+import { acquireRunLock } from './lib/run-lock.js';
+import { storageKind } from './lib/storage/index.js';
+import { ingestionContext, withSharedState, fetchReleaseStats, runIngestion } from './lib/ingest.js';
+import { CUSTODY_BUCKETS, readPopulation, summarizePopulation } from './lib/population.js';
+import { recentRuns } from './lib/runs.js';
+import { rosterEntries, queryRoster } from './lib/roster-query.js';
+import { queryEvents } from './lib/event-query.js';
+import { bookingDetail } from './lib/booking.js';
+import { buildSearchIndex, search } from './lib/search.js';
+import { purgePersonalData, readPurgeReport, isRedacted, defaultPersonalDataRetentionDays } from './lib/retention.js';
+import {
+  DEFAULT_SOURCE_ID,
+  listSources,
+  getSource,
+  sourceContext
+} from './lib/sources/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -21,318 +73,112 @@ const __dirname = dirname(__filename);
 const app = express();
 app.use('/fonts', express.static(path.join(__dirname, 'fonts')));
 const PORT = process.env.PORT || 3000;
-const PDF_URL = 'https://hub.masoncountywa.gov/sheriff/reports/incustdy.pdf';
-const RELEASE_STATS_URL = 'https://hub.masoncountywa.gov/sheriff/reports/release_stats48hrs.pdf';
 const STORAGE_DIR = process.env.RAILWAY_VOLUME_MOUNT_PATH || '/data';
-const RELEASE_STATS_HISTORY_FILE = path.join(STORAGE_DIR, 'release_stats_history.json');
 
-// Ensure storage directory exists
-function ensureStorageDir() {
-  if (!fs.existsSync(STORAGE_DIR)) {
-    fs.mkdirSync(STORAGE_DIR, { recursive: true });
-  }
-}
-ensureStorageDir();
-async function fetchReleaseStats() {
-  try {
-    const response = await fetch(RELEASE_STATS_URL);
-    if (!response.ok) return new Map();
-    
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-    const result = await PDFParser(buffer);
-    const text = result.text;
-    
-    const releaseMap = new Map();
-    const lines = result.text.split('\n').map(l => l.trim()).filter(l => l);
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      
-      // Look for lines starting with date/time
-      const dateMatch = line.match(/^(\d{2}\/\d{2}\/\d{2})\s+(\d{2}:\d{2}:\d{2})(.*)$/);
-      if (!dateMatch) continue;
-      
-      const date = dateMatch[1];
-      const time = dateMatch[2];
-      let rest = dateMatch[3].trim();
-      
-      // Accumulate subsequent lines that are part of this record
-      let fullText = rest;
-      let j = i + 1;
-      
-      // Keep adding lines until we hit another date or run out
-      while (j < lines.length && !/^\d{2}\/\d{2}\/\d{2}/.test(lines[j])) {
-        fullText += ' ' + lines[j];
-        j++;
-      }
-      
-      // Now parse the complete record
-      // Pattern: NAME RELEASE_TYPE TIME_SERVED BAIL
-      // Example: "BARNACASCEL, LEON D.RNF3 d 3 h 27 m$0.00"
-      // Example: "HILARIO GARCIA, JESSICA G. RPR 0 d 23 h 9 m $0.00"
-      
-      const recordMatch = fullText.match(/^(.+?)\s*([A-Z]{2,5})\s*(\d+\s*d\s*\d+\s*h\s*\d+\s*m)\s*\$?([\d,]+\.\d{2})/);
-      
-      if (recordMatch) {
-        const rawName = recordMatch[1];
-        const releaseType = recordMatch[2];
-        const timeServed = recordMatch[3];
-        const bail = recordMatch[4];
-        
-        // Clean up name
-        const cleanName = rawName.trim()
-          .replace(/\s+/g, ' ')
-          .replace(/\.\s*$/, '')
-          .replace(/\s*\.\s*$/, '');
-        
-        releaseMap.set(cleanName, {
-          releaseDateTime: `${date} ${time}`,
-          releaseType,
-          timeServed: timeServed.replace(/\s+/g, ''),
-          bail: `$${bail}`
-        });
-        
-        // Skip the lines we consumed
-        i = j - 1;
-      }
-    }
-    
-    console.log(`✓ Parsed ${releaseMap.size} releases from PDF`);
-    
-    // Save new entries to history file (dedup by name+releaseDateTime)
-    try {
-      let history = [];
-      if (fs.existsSync(RELEASE_STATS_HISTORY_FILE)) {
-        history = JSON.parse(fs.readFileSync(RELEASE_STATS_HISTORY_FILE, 'utf-8'));
-      }
-      const existingKeys = new Set(history.map(e => e.name + '|' + e.releaseDateTime));
-      let newCount = 0;
-      for (const [name, info] of releaseMap.entries()) {
-        const key = name + '|' + info.releaseDateTime;
-        if (!existingKeys.has(key)) {
-          history.push({ name, ...info });
-          existingKeys.add(key);
-          newCount++;
-        }
-      }
-      if (newCount > 0) {
-        fs.writeFileSync(RELEASE_STATS_HISTORY_FILE, JSON.stringify(history, null, 2));
-        console.log(`✓ Saved ${newCount} new releases to history (total: ${history.length})`);
-      }
-    } catch (e) {
-      console.error('Error saving release stats history:', e);
-    }
+// Every page and API route lives on this router. It is mounted once per
+// roster source: the default source at the root, the others under /sources/:id,
+// each with its own storage directory (see lib/sources/index.js).
+const router = express.Router();
 
-    return releaseMap;
-  } catch (error) {
-    console.error('Error fetching release stats:', error);
-    return new Map();
+// Ensure a source's storage directory exists
+function ensureStorageDir(ctx) {
+  if (!fs.existsSync(ctx.storageDir)) {
+    fs.mkdirSync(ctx.storageDir, { recursive: true });
   }
 }
-
-// Extract bookings from roster text
-function extractBookings(rosterText) {
-  const bookings = new Map();
-  const blocks = rosterText.split(/(?=Booking #:)/);
-
-  for (const block of blocks) {
-    if (!block.includes("Booking #:")) continue;
-
-    const bookingMatch = block.match(/Booking #:\s*(\S+)/);
-    if (!bookingMatch) continue;
-    const id = bookingMatch[1];
-
-    const nameMatch = block.match(/Name:\s*([A-Z][A-Z\s,.'"-]+?)(?=\s*Name Number:|$)/i);
-    let name = nameMatch ? nameMatch[1].trim().replace(/\s+/g, " ") : "Unknown";
-    if (name.endsWith(",")) {
-      const nextLine = block.match(/Name:\s*[^\n]+\n([A-Z][A-Z\s'-]*)/i);
-      if (nextLine) name = name + " " + nextLine[1].trim();
-    }
-
-    const bookDateMatch = block.match(/Book Date:\s*(\d{1,2}:\d{2}:\d{2})\s+(\d{1,2}\/\d{1,2}\/\d{2,4})/);
-    const bookDate = bookDateMatch ? bookDateMatch[2] + " " + bookDateMatch[1] : "Unknown";
-
-    const relDateMatch = block.match(/Rel Date:\s*(?:No Rel Date|(\d{1,2}:\d{2}:\d{2})\s+(\d{1,2}\/\d{1,2}\/\d{2,4}))/);
-    let releaseDate = "Not Released";
-    if (relDateMatch && relDateMatch[1] && relDateMatch[2]) {
-      releaseDate = relDateMatch[2] + " " + relDateMatch[1];
-    }
-
-    const charges = [];
-    const lines = block.split("\n");
-    let inCharges = false;
-    
-    for (const line of lines) {
-      const t = line.trim();
-      
-      // Start capturing after header (flexible matching)
-      if (t.includes("StatuteOffense") || (t.includes("Statute") && t.includes("Offense"))) {
-        inCharges = true;
-        continue;
-      }
-      
-      // If we're in charges section and line has content
-      if (inCharges && t.length > 0) {
-        // Skip header lines and page markers
-        if (t.includes("Name Number:") || t.includes("Book Date:") || 
-            t.includes("Rel Date:") || t.includes("Page ") || 
-            t.includes("rpjlciol") || t.includes("Current Inmate") ||
-            t.includes("StatuteOffense")) {
-          continue;
-        }
-        
-        // Look for lines that contain court types
-        if (t.includes('SUPR') || t.includes('DIST') || t.includes('MUNI') || t.includes('DOC')) {
-          // Remove statute code at the beginning (numbers, dots, letters in parentheses)
-          let cleaned = t.replace(/^[\d.()A-Z]+(?=[A-Z][a-z])/, '');
-          
-          // Remove everything from the court type onwards
-          cleaned = cleaned.replace(/(SUPR|DIST|MUNI|DOC).*$/, '');
-          
-          // What's left should be the offense name
-          cleaned = cleaned.trim();
-          
-          if (cleaned.length > 2) {
-            charges.push(cleaned);
-          }
-        }
-      }
-    }
-    bookings.set(id, {
-      id,
-      name,
-      bookDate,
-      releaseDate,
-      charges: [...new Set(charges)]
-    });
-  }
-  return bookings;
+// A source's context plus its store. With a shared (key-value) store the
+// storage dir is a local copy, pulled before use and pushed after writes.
+function storeContext(source) {
+  return ingestionContext(source, STORAGE_DIR);
 }
 
-// Compute actual time served from book date string → release date string.
-// Both dates are in "M/D/YY HH:MM:SS" or "MM/DD/YY HH:MM:SS" format.
-// We calculate this ourselves rather than trusting the PDF's own time-served field,
-// which tracks time in the current booking stint and can be far shorter than reality.
-function computeTimeServed(bookDateStr, releaseDateTimeStr) {
+// Creates events.jsonl on first start, migrating change_log.txt into it,
+// and stays.json from the events
+for (const source of listSources()) {
+  const ctx = storeContext(source);
+  ensureStorageDir(ctx);
   try {
-    const parseJailDate = (s) => {
-      const parts = s.trim().split(' ');
-      if (parts.length < 2) return null;
-      const [datePart, timePart] = parts;
-      const [m, d, y] = datePart.split('/').map(Number);
-      const [h, min, sec] = timePart.split(':').map(Number);
-      const year = y < 100 ? 2000 + y : y;
-      return new Date(year, m - 1, d, h, min, sec);
-    };
-    const booked = parseJailDate(bookDateStr);
-    const released = parseJailDate(releaseDateTimeStr);
-    if (!booked || !released || isNaN(booked) || isNaN(released)) return null;
-    const diffMs = released - booked;
-    if (diffMs <= 0) return null;
-    const totalMins = Math.floor(diffMs / 60000);
-    const days = Math.floor(totalMins / 1440);
-    const hours = Math.floor((totalMins % 1440) / 60);
-    const mins = totalMins % 60;
-    return `${days}d${hours}h${mins}m`;
+    await ctx.store.pull();
   } catch (e) {
-    return null;
+    console.error(`Error reading shared storage for ${source.id}, starting from the local copy:`, e.message);
   }
+  ensureEventStore(ctx.storageDir);
+  syncStays(ctx.storageDir, { releaseHistoryFile: ctx.releaseHistoryFile });
 }
 
-// Format functions
-function formatBooked(b) {
-  const chargeText = b.charges && b.charges.length > 0 ? b.charges.join(", ") : "None listed";
-  return b.name + " | Booked: " + b.bookDate + " | Charges: " + chargeText;
+// After the event store is rewritten, pair bookings and releases again from scratch
+function rebuildStays(ctx) {
+  syncStays(ctx.storageDir, { releaseHistoryFile: ctx.releaseHistoryFile, rebuild: true });
 }
-function formatReleased(b, stats, isPending = false) {
-  const chargeText = b.charges && b.charges.length > 0 ? b.charges.join(", ") : "None listed";
-  const releaseInfo = stats.get(b.name);
-  if (releaseInfo) {
-    const bailAmount = parseFloat(releaseInfo.bail.replace(/[$,]/g, ''));
-    const bailText = bailAmount > 0 ? " | Bail Posted: " + releaseInfo.bail : "";
-
-    // Compute time served from the roster's actual book date → PDF's release date/time.
-    // The PDF's own time-served field tracks time in the current stint only and is often wrong.
-    const computed = (b.bookDate && b.bookDate !== 'Unknown')
-      ? computeTimeServed(b.bookDate, releaseInfo.releaseDateTime)
-      : null;
-    const timeServedStr = computed || releaseInfo.timeServed;
-
-    return {
-      text: b.name + " | Released: " + releaseInfo.releaseDateTime +
-            " | Time served: " + timeServedStr +
-            bailText +
-            " (" + releaseInfo.releaseType + ")" +
-            " | Charges: " + chargeText,
-      hasPendingDetails: false
-    };
-  }
 
-  // No match in release PDF — compute time served from book date to detection time.
-  const now = new Date();
-  const releaseDate = `${String(now.getMonth() + 1).padStart(2, '0')}/${String(now.getDate()).padStart(2, '0')}/${String(now.getFullYear()).slice(-2)} ${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}:${String(now.getSeconds()).padStart(2, '0')}`;
-  const computedNoMatch = (b.bookDate && b.bookDate !== 'Unknown')
-    ? computeTimeServed(b.bookDate, releaseDate)
-    : null;
-  const timeServedSuffix = computedNoMatch ? ' | Time served: ' + computedNoMatch : '';
-
-  return {
-    text: b.name + " | Released: " + releaseDate + timeServedSuffix + " | Charges: " + chargeText,
-    hasPendingDetails: false
-  };
+// Admin routes that rewrite run state hold the run lock until they've responded,
+// so they can't interleave with a run (or each other). They work on an
+// up-to-date copy of the shared store and push what they changed afterwards.
+async function requireRunLock(req, res, next) {
+  const ctx = req.ctx;
+  let release = null;
+  let releaseShared = null;
+  try {
+    release = acquireRunLock(ctx.storageDir);
+    releaseShared = await ctx.store.lock();
+    await ctx.store.pull();
+  } catch (error) {
+    if (releaseShared) await releaseShared().catch(() => {});
+    if (release) release();
+    if (error.code !== 'RUN_BUSY') return next(error);
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  res.on('close', async () => {
+    try {
+      await ctx.store.push();
+    } catch (e) {
+      console.error('Error saving state to shared storage:', e);
+    } finally {
+      await releaseShared().catch(e => console.error('Error releasing shared storage lock:', e));
+      release();
+    }
+  });
+  next();
 }
 
 // Fixing the release counter for accurate contexttt
-app.get('/api/admin/fix-releases', (req, res) => {
+router.get('/api/admin/fix-releases', requireRunLock, (req, res) => {
+  const ctx = req.ctx;
   try {
-    const logFile = path.join(STORAGE_DIR, 'change_log.txt');
-    const content = fs.readFileSync(logFile, 'utf-8');
-    const lines = content.split('\n');
+    const events = readEvents(ctx.storageDir);
     
     let fixed = 0;
     let currentDate = null;
-    const fixedLines = [];
     
-    for (const line of lines) {
+    for (const event of events) {
       // Track the current date context from ANY dated entry (BOOKED or RELEASED with valid dates)
-      const dateMatch = line.match(/(?:Booked|Released):\s+(\d{2}\/\d{2}\/\d{2})\s+\d{2}:\d{2}:\d{2}/);
+      const date = event.type === 'BOOKED' ? event.bookDate : event.releaseDate;
+      const dateMatch = (date || '').match(/^(\d{2}\/\d{2}\/\d{2})(?:\s+\d{2}:\d{2}:\d{2})?$/);
       if (dateMatch) {
         currentDate = dateMatch[1];
       }
       
-      // Also check for release dates without times (like "Released: 02/09/26")
-      const releaseDateOnlyMatch = line.match(/Released:\s+(\d{2}\/\d{2}\/\d{2})(?:\s|$|\|)/);
-      if (releaseDateOnlyMatch && !line.includes('00:00:00')) {
-        currentDate = releaseDateOnlyMatch[1];
-      }
-      
       // Fix broken RELEASED entries
-      if (line.includes('RELEASED |') && line.includes('Released: Not Released')) {
-        if (currentDate) {
-          // Replace "Released: Not Released" with "Released: DATE 00:00:00"
-          const fixedLine = line.replace('Released: Not Released', `Released: ${currentDate} 00:00:00`);
-          fixedLines.push(fixedLine);
-          fixed++;
-        } else {
-          // No date context available, keep the line as-is
-          fixedLines.push(line);
-        }
-      } else {
-        fixedLines.push(line);
+      if (event.type === 'RELEASED' && event.releaseDate === 'Not Released' && currentDate) {
+        // Replace "Not Released" with "DATE 00:00:00"
+        event.releaseDate = `${currentDate} 00:00:00`;
+        fixed++;
       }
     }
     
-    // Backup original
-    fs.writeFileSync(logFile + '.backup-' + Date.now(), content);
-    
-    // Write fixed version
-    fs.writeFileSync(logFile, fixedLines.join('\n'));
+    // Write fixed version, original backed up
+    let backup = null;
+    if (fixed > 0) {
+      backup = createBackup(ctx.storageDir, { reason: 'fix-releases' }).name;
+      writeEvents(ctx.storageDir, events);
+      rebuildStays(ctx);
+    }
     
     res.json({
       success: true,
       fixed: fixed,
-      message: `Fixed ${fixed} release entries. Original backed up.`
+      backup,
+      message: `Fixed ${fixed} release entries.` + (backup ? ' Original backed up.' : '')
     });
     
   } catch (error) {
@@ -341,99 +187,71 @@ app.get('/api/admin/fix-releases', (req, res) => {
 });
 
 // Backfill time served for all historical entries using actual book date → release date.
-// Fixes both change_log.txt (display) and release_stats_history.json (stats calculations).
-app.get('/api/admin/backfill-time-served', (req, res) => {
+// Fixes both the event store (display) and release_stats_history.json (stats calculations).
+router.get('/api/admin/backfill-time-served', requireRunLock, (req, res) => {
+  const ctx = req.ctx;
   try {
-    const logFile = path.join(STORAGE_DIR, 'change_log.txt');
-
-    const parseJailDate = (s) => {
-      try {
-        const parts = (s || '').trim().split(' ');
-        if (parts.length < 2) return null;
-        const [datePart, timePart] = parts;
-        const [m, d, y] = datePart.split('/').map(Number);
-        const [h, min, sec] = timePart.split(':').map(Number);
-        const year = y < 100 ? 2000 + y : y;
-        const dt = new Date(year, m - 1, d, h, min, sec);
-        return isNaN(dt.getTime()) ? null : dt;
-      } catch (e) { return null; }
-    };
-
-    // ── Step 1: Build name → [{bookDate, lineIdx}] from BOOKED entries ────────
-    const content = fs.readFileSync(logFile, 'utf-8');
-    const logLines = content.split('\n');
+    // ── Step 1: Build person → [{bookDate, index}] from BOOKED events ─────────
+    const events = readEvents(ctx.storageDir);
     const bookMap = new Map();
+    const people = createPersonResolver();
 
-    for (let i = 0; i < logLines.length; i++) {
-      const m = logLines[i].match(/^BOOKED \| (.+?) \| Booked: (\d{1,2}\/\d{1,2}\/\d{2,4} \d{1,2}:\d{2}:\d{2})/);
-      if (!m) continue;
-      const name = m[1].trim();
-      const bookDate = m[2].trim();
-      if (!bookMap.has(name)) bookMap.set(name, []);
-      bookMap.get(name).push({ bookDate, lineIdx: i });
+    for (const e of events) {
+      if (e.type === 'BOOKED' || e.type === 'RELEASED') people.learn(e.name, e.nameNumber);
     }
 
-    // Find the most recent booking for a name that occurred before a given release
-    const findBookDate = (name, releaseDateTime, releaseLineIdx) => {
-      const releaseDate = parseJailDate(releaseDateTime);
+    events.forEach((e, i) => {
+      // Purged events have no person left to match on
+      if (e.type !== 'BOOKED' || !parseBookingDate(e.bookDate) || isRedacted(e)) return;
+      const key = people.keyFor(e);
+      if (!bookMap.has(key)) bookMap.set(key, []);
+      bookMap.get(key).push({ bookDate: e.bookDate, index: i });
+    });
+
+    // Find the most recent booking for a person that occurred before a given release
+    const findBookDate = (person, releaseDateTime, releaseIndex) => {
+      const releaseDate = parseBookingDate(releaseDateTime);
       if (!releaseDate) return null;
-      const bookings = bookMap.get(name) || [];
+      const bookings = bookMap.get(people.keyFor(person)) || [];
       let best = null, bestDate = null;
       for (const b of bookings) {
-        if (releaseLineIdx !== null && b.lineIdx >= releaseLineIdx) continue;
-        const bd = parseJailDate(b.bookDate);
+        if (releaseIndex !== null && b.index >= releaseIndex) continue;
+        const bd = parseBookingDate(b.bookDate);
         if (!bd || bd >= releaseDate) continue;
         if (!bestDate || bd > bestDate) { best = b.bookDate; bestDate = bd; }
       }
       return best;
     };
 
-    // ── Step 2: Fix RELEASED lines in change_log.txt ──────────────────────────
+    // ── Step 2: Fix RELEASED events ───────────────────────────────────────────
     let logFixed = 0, logSkipped = 0;
-    const fixedLines = [...logLines];
-
-    for (let i = 0; i < logLines.length; i++) {
-      const line = logLines[i];
-      if (!line.startsWith('RELEASED | ')) continue;
 
-      const m = line.match(/^RELEASED \| (.+?) \| Released: (\d{1,2}\/\d{1,2}\/\d{2,4} \d{1,2}:\d{2}:\d{2})/);
-      if (!m) { logSkipped++; continue; }
+    events.forEach((e, i) => {
+      if (e.type !== 'RELEASED') return;
+      if (!parseBookingDate(e.releaseDate)) { logSkipped++; return; }
 
-      const name = m[1].trim();
-      const releaseDateTime = m[2].trim();
-      const bookDate = findBookDate(name, releaseDateTime, i);
-      if (!bookDate) { logSkipped++; continue; }
+      // Releases logged since events carry their booking's date; older ones are matched up
+      const bookDate = e.bookDate || findBookDate(e, e.releaseDate, i);
+      if (!bookDate) { logSkipped++; return; }
 
-      const computed = computeTimeServed(bookDate, releaseDateTime);
-      if (!computed) { logSkipped++; continue; }
-
-      let newLine;
-      if (line.includes('| Time served:')) {
-        newLine = line.replace(/\| Time served: \S+/, '| Time served: ' + computed);
-      } else {
-        // Insert time served right after the release date/time
-        newLine = line.replace(
-          /(Released: \d{1,2}\/\d{1,2}\/\d{2,4} \d{1,2}:\d{2}:\d{2})(\s*\|)/,
-          '$1 | Time served: ' + computed + '$2'
-        );
-      }
+      const computed = computeTimeServed(bookDate, e.releaseDate);
+      if (!computed || computed === e.timeServed) { logSkipped++; return; }
 
-      if (newLine !== line) { fixedLines[i] = newLine; logFixed++; }
-      else logSkipped++;
-    }
+      e.timeServed = computed;
+      logFixed++;
+    });
 
-    fs.writeFileSync(logFile + '.backup-ts-' + Date.now(), content);
-    fs.writeFileSync(logFile, fixedLines.join('\n'));
+    const backup = createBackup(ctx.storageDir, { reason: 'backfill-time-served' }).name;
+    if (logFixed > 0) writeEvents(ctx.storageDir, events);
 
     // ── Step 3: Fix release_stats_history.json ────────────────────────────────
     let histFixed = 0, histSkipped = 0;
 
-    if (fs.existsSync(RELEASE_STATS_HISTORY_FILE)) {
-      const rawHist = fs.readFileSync(RELEASE_STATS_HISTORY_FILE, 'utf-8');
-      const history = JSON.parse(rawHist);
+    if (fs.existsSync(ctx.releaseHistoryFile)) {
+      const history = JSON.parse(fs.readFileSync(ctx.releaseHistoryFile, 'utf-8'));
 
       for (const entry of history) {
-        const bookDate = findBookDate(entry.name, entry.releaseDateTime, null);
+        const bookDate = findBookDate(entry, entry.releaseDateTime, null);
         if (!bookDate) { histSkipped++; continue; }
         const computed = computeTimeServed(bookDate, entry.releaseDateTime);
         if (!computed) { histSkipped++; continue; }
@@ -441,17 +259,17 @@ app.get('/api/admin/backfill-time-served', (req, res) => {
         histFixed++;
       }
 
-      fs.writeFileSync(RELEASE_STATS_HISTORY_FILE + '.backup-ts-' + Date.now(), rawHist);
-      fs.writeFileSync(RELEASE_STATS_HISTORY_FILE, JSON.stringify(history, null, 2));
+      writeJsonAtomic(ctx.releaseHistoryFile, history);
     }
+    rebuildStays(ctx);
 
     res.send(`<!DOCTYPE html><html><body style="font-family:monospace;background:#0a1a1f;color:#C4D8E6;padding:2rem;">
       <h2>✓ Backfill Complete</h2>
-      <p><b>change_log.txt:</b> fixed ${logFixed} entries, skipped ${logSkipped}</p>
+      <p><b>events.jsonl:</b> fixed ${logFixed} entries, skipped ${logSkipped}</p>
       <p><b>release_stats_history.json:</b> fixed ${histFixed} entries, skipped ${histSkipped}</p>
-      <p style="color:#6A8A96;">Both files backed up before changes. Stats will reflect corrected times immediately.</p>
-      <a href="/api/stats" style="color:#4B8FA8;">→ View Stats</a> &nbsp;
-      <a href="/api/deepstats" style="color:#4B8FA8;">→ View Deep Stats</a>
+      <p style="color:#6A8A96;">State backed up as <a href="${ctx.base}/api/admin/backups" style="color:#4B8FA8;">${backup}</a> before changes. Stats will reflect corrected times immediately.</p>
+      <a href="${ctx.base}/api/stats" style="color:#4B8FA8;">→ View Stats</a> &nbsp;
+      <a href="${ctx.base}/api/deepstats" style="color:#4B8FA8;">→ View Deep Stats</a>
     </body></html>`);
   } catch (e) {
     res.status(500).send('Error: ' + e.message);
@@ -459,12 +277,13 @@ app.get('/api/admin/backfill-time-served', (req, res) => {
 });
 
 // this is where im putting the release stats debug endpoint
-app.get('/api/debug/release-pdf-raw', async (req, res) => {
+router.get('/api/debug/release-pdf-raw', async (req, res) => {
+  const ctx = req.ctx;
   try {
-    const response = await fetch(RELEASE_STATS_URL);
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-    const result = await PDFParser(buffer);
+    if (!ctx.source.fetchReleases) {
+      return res.json({ error: 'This source has no release report' });
+    }
+    const result = await ctx.source.fetchReleases();
     
     // Get first 3000 characters of raw text
     const sample = result.text.substring(0, 3000);
@@ -495,12 +314,14 @@ app.get('/api/debug/release-pdf-raw', async (req, res) => {
   }
 });
 
-app.get('/api/debug/reset', (req, res) => {
+router.get('/api/debug/reset', requireRunLock, (req, res) => {
+  const ctx = req.ctx;
   try {
-    const hashFile = path.join(STORAGE_DIR, 'prev_hash.txt');
-    const rosterFile = path.join(STORAGE_DIR, 'prev_roster.txt');
+    const hashFile = path.join(ctx.storageDir, 'prev_hash.txt');
+    const rosterFile = path.join(ctx.storageDir, 'prev_roster.txt');
     
     let deleted = [];
+    const backup = createBackup(ctx.storageDir, { reason: 'reset' }).name;
     
     if (fs.existsSync(hashFile)) {
       fs.unlinkSync(hashFile);
@@ -515,7 +336,8 @@ app.get('/api/debug/reset', (req, res) => {
     res.json({
       success: true,
       deleted: deleted,
-      message: 'Files deleted. Now visit /api/run to capture current roster with charges.'
+      backup,
+      message: `Files deleted. Now visit ${ctx.base}/api/run to capture current roster with charges.`
     });
   } catch (error) {
     res.json({ error: error.message });
@@ -523,17 +345,17 @@ app.get('/api/debug/reset', (req, res) => {
 });
 
 // Debug Log Tail endpoint
-app.get('/api/debug/log-tail', (req, res) => {
+router.get('/api/debug/log-tail', (req, res) => {
+  const ctx = req.ctx;
   try {
-    const logFile = path.join(STORAGE_DIR, 'change_log.txt');
-    if (fs.existsSync(logFile)) {
-      const content = fs.readFileSync(logFile, 'utf-8');
+    const events = readEvents(ctx.storageDir);
+    if (events.length > 0) {
       // Get last 5000 characters
-      const tail = content.slice(-5000);
+      const tail = formatEventLog(events).slice(-5000);
       res.setHeader('Content-Type', 'text/plain');
       res.send(tail);
     } else {
-      res.send('No log file found');
+      res.send('No log entries yet');
     }
   } catch (error) {
     res.send('Error: ' + error.message);
@@ -541,31 +363,42 @@ app.get('/api/debug/log-tail', (req, res) => {
 });
 
 // Changelog endpoint for frontend
-app.get('/api/changelog', (req, res) => {
+router.get('/api/changelog', (req, res) => {
+  const ctx = req.ctx;
   try {
-    const logFile = path.join(STORAGE_DIR, 'change_log.txt');
-    if (fs.existsSync(logFile)) {
-      const content = fs.readFileSync(logFile, 'utf-8');
-      res.json({ success: true, log: content });
-    } else {
-      res.json({ success: true, log: '' });
-    }
+    res.json({ success: true, log: formatEventLog(readEvents(ctx.storageDir)) });
   } catch (error) {
     console.error('Changelog error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Events as JSON, a page at a time: ?types=BOOKED,RELEASED&from=2026-02-01&to=2026-02-28
+// &charge=theft&q=doe&limit=100&order=asc&cursor=<nextCursor>
+router.get('/api/events', (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const events = readEvents(ctx.storageDir);
+    let page;
+    try {
+      page = queryEvents(events, req.query);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+    res.json({ success: true, count: page.events.length, ...page });
+  } catch (error) {
+    console.error('Events error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Debug charges enpoint I think 
-app.get('/api/debug/charges', async (req, res) => {
+router.get('/api/debug/charges', async (req, res) => {
+  const ctx = req.ctx;
   try {
-    const response = await fetch(PDF_URL);
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-    const result = await PDFParser(buffer);
-    const text = result.text;
+    const { text } = await ctx.source.fetchRoster();
     
-    const bookings = extractBookings(text);
+    const bookings = ctx.source.parseRoster(text);
     const sample = Array.from(bookings.values()).slice(0, 10).map(b => ({
       name: b.name,
       bookDate: b.bookDate,
@@ -583,13 +416,10 @@ app.get('/api/debug/charges', async (req, res) => {
 });
 
 // Debug endpoint to see parsed PDF text
-app.get('/api/debug', async (req, res) => {
+router.get('/api/debug', async (req, res) => {
+  const ctx = req.ctx;
   try {
-    const response = await fetch(PDF_URL);
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-    const result = await PDFParser(buffer);
-    const text = result.text;
+    const { text } = await ctx.source.fetchRoster();
     
     // Get first 3000 characters
     const sample = text.substring(0, 3000);
@@ -602,11 +432,12 @@ app.get('/api/debug', async (req, res) => {
 });
 
 // Debug endpoint to see what files are in storage
-app.get('/api/debug/files', (req, res) => {
+router.get('/api/debug/files', (req, res) => {
+  const ctx = req.ctx;
   try {
-    const files = fs.readdirSync(STORAGE_DIR);
+    const files = fs.readdirSync(ctx.storageDir);
     const fileDetails = files.map(f => {
-      const stats = fs.statSync(path.join(STORAGE_DIR, f));
+      const stats = fs.statSync(path.join(ctx.storageDir, f));
       return {
         name: f,
         size: stats.size,
@@ -614,7 +445,7 @@ app.get('/api/debug/files', (req, res) => {
       };
     });
     res.json({ 
-      storageDir: STORAGE_DIR,
+      storageDir: ctx.storageDir,
       files: fileDetails 
     });
   } catch (error) {
@@ -623,9 +454,10 @@ app.get('/api/debug/files', (req, res) => {
 });
 
 // Debug endpoint to see pending releases
-app.get('/api/debug/pending', (req, res) => {
+router.get('/api/debug/pending', (req, res) => {
+  const ctx = req.ctx;
   try {
-    const pendingFile = path.join(STORAGE_DIR, 'pending_releases.json');
+    const pendingFile = path.join(ctx.storageDir, 'pending_releases.json');
     if (fs.existsSync(pendingFile)) {
       const data = JSON.parse(fs.readFileSync(pendingFile, 'utf-8'));
       res.json({ 
@@ -641,9 +473,10 @@ app.get('/api/debug/pending', (req, res) => {
 });
 
 // Debug endpoint to see release stats
-app.get('/api/debug/release-stats', async (req, res) => {
+router.get('/api/debug/release-stats', async (req, res) => {
+  const ctx = req.ctx;
   try {
-    const releaseStats = await fetchReleaseStats();
+    const releaseStats = await fetchReleaseStats(ctx);
     res.json({
       count: releaseStats.size,
       sample: Array.from(releaseStats.entries()).slice(0, 10)
@@ -653,13 +486,10 @@ app.get('/api/debug/release-stats', async (req, res) => {
   }
 });
 
-  app.get('/api/debug/charge-lines', async (req, res) => {
+router.get('/api/debug/charge-lines', async (req, res) => {
+  const ctx = req.ctx;
     try {
-    const response = await fetch(PDF_URL);
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-    const result = await PDFParser(buffer);
-    const text = result.text;
+    const { text } = await ctx.source.fetchRoster();
     
     const blocks = text.split(/(?=Booking #:)/);
     const firstBlock = blocks.find(b => b.includes("Booking #:"));
@@ -690,11 +520,122 @@ app.get('/api/debug/release-stats', async (req, res) => {
   }
 });
 
+// List roster snapshots that failed validation in /api/run
+router.get('/api/debug/quarantine', (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const dir = path.join(ctx.storageDir, 'quarantine');
+    if (!fs.existsSync(dir)) {
+      return res.json({ count: 0, snapshots: [] });
+    }
+    const snapshots = fs.readdirSync(dir)
+      .filter(f => f.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(f => {
+        const id = f.replace(/\.json$/, '');
+        // One torn or hand-edited file shouldn't hide the rest
+        try {
+          return { id, ...JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8')) };
+        } catch (error) {
+          return { id, error: 'Unreadable: ' + error.message };
+        }
+      });
+    res.json({ count: snapshots.length, snapshots });
+  } catch (error) {
+    res.json({ error: error.message });
+  }
+});
+
+// Release stats rows that looked like records but didn't parse
+router.get('/api/debug/release-ambiguous', (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const file = path.join(ctx.storageDir, 'release_ambiguous.json');
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      res.json({ count: data.length, entries: data });
+    } else {
+      res.json({ count: 0, entries: [] });
+    }
+  } catch (error) {
+    res.json({ error: error.message });
+  }
+});
+
+router.get('/api/debug/release-unparsed', (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const file = path.join(ctx.storageDir, 'release_unparsed.json');
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      res.json({ count: data.length, entries: data });
+    } else {
+      res.json({ count: 0, entries: [] });
+    }
+  } catch (error) {
+    res.json({ error: error.message });
+  }
+});
+
+// Archived PDFs, one row per distinct document (?kind=roster|releases, ?fetches=1 for every fetch)
+router.get('/api/archive', (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const entries = readArchiveIndex(archiveDir(ctx.storageDir), { kind: req.query.kind });
+    if (req.query.fetches === '1') {
+      return res.json({ count: entries.length, fetches: entries });
+    }
+    const documents = summarizeArchive(entries).reverse()
+      .map(d => ({ ...d, url: ctx.base + '/api/archive/' + d.sha256 }));
+    res.json({ count: documents.length, fetchCount: entries.length, documents });
+  } catch (error) {
+    res.json({ error: error.message });
+  }
+});
+
+// Download one archived PDF by its SHA-256
+router.get('/api/archive/:sha256', (req, res) => {
+  const ctx = req.ctx;
+  const file = objectPath(archiveDir(ctx.storageDir), req.params.sha256);
+  if (!file || !fs.existsSync(file)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  res.setHeader('Content-Type', 'application/pdf');
+  res.sendFile(file);
+});
+
+// Run ledger, newest first: ?limit=50, ?trigger=timer|cron|manual, ?failed=1
+router.get('/api/runs', (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 2000);
+    const runs = recentRuns(ctx.storageDir, { limit, trigger: req.query.trigger, failed: req.query.failed === '1' });
+    res.json({ count: runs.length, runs });
+  } catch (error) {
+    res.json({ error: error.message });
+  }
+});
+
+// Population seen by each run: daily averages, gaps, and the raw snapshots with ?snapshots=1
+router.get('/api/population', (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const snapshots = readPopulation(ctx.storageDir);
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+    const summary = summarizePopulation(snapshots, { days });
+    res.json({ count: snapshots.length, ...summary, ...(req.query.snapshots === '1' ? { snapshots } : {}) });
+  } catch (error) {
+    res.json({ error: error.message });
+  }
+});
+
 // adding this so that i can view the raw data that my release stats are drawing from 
-app.get('/api/debug/release-history', (req, res) => {
+router.get('/api/debug/release-history', (req, res) => {
+  const ctx = req.ctx;
   try {
-    if (fs.existsSync(RELEASE_STATS_HISTORY_FILE)) {
-      const data = JSON.parse(fs.readFileSync(RELEASE_STATS_HISTORY_FILE, 'utf-8'));
+    if (fs.existsSync(ctx.releaseHistoryFile)) {
+      const data = JSON.parse(fs.readFileSync(ctx.releaseHistoryFile, 'utf-8'));
       res.json({ count: data.length, entries: data });
     } else {
       res.json({ message: 'No history file found' });
@@ -705,21 +646,28 @@ app.get('/api/debug/release-history', (req, res) => {
 });
 
 // Redirect root to status
-app.get('/', (req, res) => {
-  res.redirect('/api/status');
+router.get('/', (req, res) => {
+  res.redirect(req.ctx.base + '/api/status');
 });
 
 // Status page
-app.get('/api/status', (req, res) => {
-  const dataDir = STORAGE_DIR;
+router.get('/api/status', (req, res) => {
+  const ctx = req.ctx;
+  const dataDir = ctx.storageDir;
   let lastCheck = "Never";
   let inmateCount = 0;
   let changeCount = 0;
   let viewCount = 0;
+  let lastCheckResult = null;
+  let runs = [];
 
   try {
+    // Runs from before the ledger only left the hash file's mtime
+    runs = recentRuns(dataDir, { limit: 10 });
     const hashFile = path.join(dataDir, "prev_hash.txt");
-    if (fs.existsSync(hashFile)) {
+    if (runs.length > 0) {
+      lastCheck = runs[0].finishedAt;
+    } else if (fs.existsSync(hashFile)) {
       const stats = fs.statSync(hashFile);
       lastCheck = stats.mtime.toISOString();
     }
@@ -731,14 +679,15 @@ app.get('/api/status', (req, res) => {
       inmateCount = bookingMatches ? bookingMatches.length : 0;
     }
 
-    const logFile = path.join(dataDir, "change_log.txt");
-if (fs.existsSync(logFile)) {
-  const content = fs.readFileSync(logFile, "utf-8");
-  // Count BOOKED and RELEASED entries
-  const bookedCount = (content.match(/^BOOKED \|/gm) || []).length;
-  const releasedCount = (content.match(/^RELEASED \|/gm) || []).length;
-  changeCount = bookedCount + releasedCount;
-}
+    const checkFile = path.join(dataDir, "last_check.json");
+    if (fs.existsSync(checkFile)) {
+      try {
+        lastCheckResult = JSON.parse(fs.readFileSync(checkFile, "utf-8"));
+      } catch (e) {}
+    }
+
+    // Count BOOKED and RELEASED entries
+    changeCount = readEvents(dataDir, { types: ['BOOKED', 'RELEASED'] }).length;
 
     const metricsFile = path.join(dataDir, "metrics.json");
     let metrics = { statusViews: 0, historyViews: 0, emailViews: 0 };
@@ -752,7 +701,7 @@ if (fs.existsSync(logFile)) {
     viewCount = metrics.statusViews;
 
     try {
-      fs.writeFileSync(metricsFile, JSON.stringify(metrics));
+      writeFileAtomic(metricsFile, JSON.stringify(metrics));
     } catch (e) {
       console.error("Failed to write metrics:", e);
     }
@@ -771,7 +720,7 @@ if (fs.existsSync(logFile)) {
   gtag('config', 'G-D2LNWC78X7');
 </script>
 
-  <title>Mason County Jail Roster Monitor</title>
+  <title>${ctx.source.name} Jail Roster Monitor</title>
   <!-- build:9b75fde -->
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1">
@@ -807,9 +756,10 @@ if (fs.existsSync(logFile)) {
 </head>
 <body>
   <div class="container">
-    <h1><span>Mason County Jail Roster Monitor</span></h1>
-    <a href="/api/history" class="run-btn">Jail Bookings and Release Log</a>
-    <a href="/api/stats" class="run-btn" style="margin-top: 0.75rem;">Statistics Dashboard</a>
+    <h1><span>${ctx.source.name} Jail Roster Monitor</span></h1>
+    <a href="${ctx.base}/api/history" class="run-btn">Jail Bookings and Release Log</a>
+    <a href="${ctx.base}/api/stats" class="run-btn" style="margin-top: 0.75rem;">Statistics Dashboard</a>
+    ${listSources().filter(s => s.id !== ctx.source.id).map(s => `<a href="${sourceContext(s, STORAGE_DIR).base}/api/status" class="run-btn" style="margin-top: 0.75rem;">${s.name} Jail Roster Monitor</a>`).join('')}
     <a href="https://theonlytacocat.github.io/ksco-scraper/" target="_blank" rel="noopener noreferrer" class="run-btn" style="margin-top: 0.75rem;">Visit Kitsap County Jail Monitor</a>
     <a href="https://theonlytacocat.github.io/pierce-jail-roster/" target="_blank" rel="noopener noreferrer" class="run-btn" style="margin-top: 0.75rem;">Visit Pierce County Jail Monitor</a>
     <details class="status" style="margin-top: 1rem;">
@@ -831,14 +781,43 @@ if (fs.existsSync(logFile)) {
           <span class="stat-label">Changes Detected</span>
           <span class="stat-value">${changeCount}</span>
         </div>
+        ${lastCheckResult ? `
+        <div class="stat">
+          <span class="stat-label">Last Check Found</span>
+          <span class="stat-value">${lastCheckResult.noOpRegeneration ? 'PDF regenerated, no changes' : lastCheckResult.summary}</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">No-op PDF Regenerations</span>
+          <span class="stat-value">${lastCheckResult.noOpRegenerations || 0}</span>
+        </div>` : ''}
         <div class="stat">
           <span class="stat-label">Page Views</span>
           <span class="stat-value">${viewCount.toLocaleString()}</span>
         </div>
       </div>
     </details>
+    ${runs.length > 0 ? `
+    <details class="status">
+      <summary>
+        <div class="status-dot" style="background: ${runs[0].ok ? '#22C55E' : '#ef4444'};"></div>
+        <span class="status-title">Recent Runs${runs.some(r => !r.ok) ? ` (${runs.filter(r => !r.ok).length} failed)` : ''}</span>
+        <span class="status-chevron">▾</span>
+      </summary>
+      <div class="stats">
+        ${runs.map(r => `
+        <div class="stat">
+          <span class="stat-label">${formatDatePST(new Date(r.finishedAt))} · ${r.trigger}</span>
+          <span class="stat-value" style="${r.ok ? '' : 'color: #ef4444;'}" title="${(r.error || r.message || '').replace(/"/g, '&quot;')}">${r.ok
+            ? `${r.parsed} in custody · +${r.bookings} −${r.releases}${r.updates > 0 ? ` · ${r.updates} updated` : ''}${r.releaseStatus === null || r.releaseStatus === 200 ? '' : ' · release stats failed'}`
+            : `Failed${r.rosterStatus ? ` (HTTP ${r.rosterStatus})` : ''}`}</span>
+        </div>`).join('')}
+        <div class="stat">
+          <span class="stat-label"><a href="${ctx.base}/api/runs">All runs (JSON)</a></span>
+        </div>
+      </div>
+    </details>` : ''}
     <div class="footer">
-      <p style="margin-top: 0.5rem;">Monitoring <a href="https://hub.masoncountywa.gov/sheriff/reports/incustdy.pdf" target="_blank">Mason County Jail Roster</a></p>
+      <p style="margin-top: 0.5rem;">Monitoring <a href="${ctx.source.rosterUrl}" target="_blank">${ctx.source.name} Jail Roster</a></p>
       <a href="/legislative" style="display: inline-block; margin-top: 1rem; padding: 0.5rem 1rem; background: #1A3035; color: #C4D8E6; border: 1px solid #0B607C; border-radius: 6px; text-decoration: none; font-size: 0.75rem;">March 13th 2026: FINAL WA Legislative Session Update</a>
     </div>
   </div>
@@ -848,40 +827,23 @@ if (fs.existsSync(logFile)) {
   res.send(html);
 });
 
-// Helper function to extract date from log line
-function extractDateFromLine(line) {
-  // Extract date from line like "Name | Booked: 01/18/26 01:45:00 | Charges: ..."
-  const bookedMatch = line.match(/Booked:\s+(\d{2}\/\d{2}\/\d{2}\s+\d{2}:\d{2}:\d{2})/);
-  if (bookedMatch) {
-    return parseBookingDate(bookedMatch[1]);
-  }
-  
-  // Also check for "Released:" format
-  const releasedMatch = line.match(/Released:\s+(\d{2}\/\d{2}\/\d{2}\s+\d{2}:\d{2}:\d{2})/);
-  if (releasedMatch) {
-    return parseBookingDate(releasedMatch[1]);
-  }
-  
-  // If no valid date found, return current date
-  return new Date();
-}
-
 // Adding roster csv api endpoint 
-app.get('/api/roster.csv', async (req, res) => {
+router.get('/api/roster.csv', async (req, res) => {
+  const ctx = req.ctx;
 try {
-  const response = await fetch(PDF_URL);
-  const arrayBuffer = await response.arrayBuffer();
-  const buffer = Buffer.from(arrayBuffer);
-  const result = await PDFParser(buffer);
-  const bookings = extractBookings(result.text);
+  const { text } = await ctx.source.fetchRoster();
+  const bookings = ctx.source.parseRoster(text);
 
-  const rows = [['Name', 'Booking Date', 'Release Date', 'Charges']];
+  const rows = [['Name', 'Booking Date', 'Release Date', 'Charges', 'Statutes', 'Courts', 'Offense Classes']];
   for (const b of bookings.values()) {
     rows.push([
       b.name,
       b.bookDate,
       b.releaseDate,
-      b.charges.join(' | ')
+      b.charges.map(c => c.offense).join(' | '),
+      b.charges.map(c => c.statute).join(' | '),
+      b.charges.map(c => c.court).join(' | '),
+      b.charges.map(c => c.offenseClass).join(' | ')
     ]);
   }
 
@@ -894,230 +856,163 @@ try {
 }
 });
 
-// Run check
-app.get('/api/run', async (req, res) => {
+// Current roster from the last captured snapshot, filtered and sorted
+// ?charge=theft&court=SUPR,DIST&minDays=30&bookedSince=2026-02-01&sort=daysInCustody&order=desc
+router.get('/api/roster.json', (req, res) => {
+  const ctx = req.ctx;
   try {
-    ensureStorageDir();
-
-    // Fetch main roster
-    const response = await fetch(PDF_URL);
-    if (!response.ok) {
-      throw new Error("Failed to download PDF: " + response.status);
+    const rosterFile = path.join(ctx.storageDir, 'prev_roster.txt');
+    if (!fs.existsSync(rosterFile)) {
+      return res.status(404).json({ error: `No roster captured yet. Visit ${ctx.base}/api/run first.` });
     }
 
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-
-    const pdfPath = path.join(STORAGE_DIR, "current.pdf");
-    fs.writeFileSync(pdfPath, buffer);
-
-    const result = await PDFParser(buffer);
-    const text = result.text;
-
-    const textPath = path.join(STORAGE_DIR, "current_text.txt");
-    fs.writeFileSync(textPath, text);
-    
-    // Also save a sample block for debugging
-    const sampleBlock = text.substring(0, 2000);
-    const debugPath = path.join(STORAGE_DIR, "debug_sample.txt");
-    fs.writeFileSync(debugPath, sampleBlock);
-
-    // Fetch release stats
-    const releaseStats = await fetchReleaseStats();
-
-    const currentHash = crypto.createHash("md5").update(text).digest("hex");
-    const timestamp = new Date().toISOString();
-
-    const hashFile = path.join(STORAGE_DIR, "prev_hash.txt");
-    const rosterFile = path.join(STORAGE_DIR, "prev_roster.txt");
-    const logFile = path.join(STORAGE_DIR, "change_log.txt");
-    const pendingReleasesFile = path.join(STORAGE_DIR, "pending_releases.json");
-
-    let previousHash;
-    let previousText;
-    let hasChanged = false;
-    let isFirstRun = false;
-    let addedLines = [];
-    let removedLines = [];
-    
-    // Load pending releases
-    let pendingReleases = [];
-    if (fs.existsSync(pendingReleasesFile)) {
+    let snapshotAt = fs.statSync(rosterFile).mtime.toISOString();
+    const checkFile = path.join(ctx.storageDir, 'last_check.json');
+    if (fs.existsSync(checkFile)) {
       try {
-        pendingReleases = JSON.parse(fs.readFileSync(pendingReleasesFile, "utf-8"));
-      } catch (e) {
-        pendingReleases = [];
-      }
+        snapshotAt = JSON.parse(fs.readFileSync(checkFile, 'utf-8')).checkedAt || snapshotAt;
+      } catch (e) {}
     }
 
-    if (fs.existsSync(hashFile) && fs.existsSync(rosterFile)) {
-      previousHash = fs.readFileSync(hashFile, "utf-8").trim();
-      previousText = fs.readFileSync(rosterFile, "utf-8");
-      hasChanged = currentHash !== previousHash;
-
-      if (hasChanged) {
-        const currentBookings = extractBookings(text);
-        const previousBookings = extractBookings(previousText);
-
-        for (const [id, booking] of currentBookings) {
-          if (!previousBookings.has(id)) {
-            addedLines.push(formatBooked(booking));
-          }
-        }
-        
-        // Track releases
-        const newPendingReleases = [];
-        for (const [id, booking] of previousBookings) {
-          if (!currentBookings.has(id)) {
-            const releaseResult = formatReleased(booking, releaseStats, true);
-            removedLines.push(releaseResult.text);
-            
-            // If release details are pending, track it
-            if (releaseResult.hasPendingDetails) {
-              newPendingReleases.push({
-                name: booking.name,
-                bookingData: booking,
-                detectedAt: timestamp
-              });
-            }
-          }
-        }
-        
-        // Update pending releases list
-        pendingReleases = [...pendingReleases, ...newPendingReleases];
-        
-        addedLines = addedLines.slice(0, 30);
-        removedLines = removedLines.slice(0, 30);
-      }
-    } else {
-      isFirstRun = true;
-    }
-    
-    // Check for updates to pending releases
-    let updatedReleases = [];
-    let stillPending = [];
-    
-    for (const pending of pendingReleases) {
-      const releaseInfo = releaseStats.get(pending.name);
-      if (releaseInfo) {
-        // Found updated info!
-        updatedReleases.push({
-          name: pending.name,
-          details: releaseInfo,
-          charges: pending.bookingData.charges,
-          bookDate: pending.bookingData.bookDate
-        });
-      } else {
-        // Still waiting for details
-        stillPending.push(pending);
-      }
+    const entries = rosterEntries(ctx.source.parseRoster(fs.readFileSync(rosterFile, 'utf-8')));
+    let bookings;
+    try {
+      bookings = queryRoster(entries, req.query);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
     }
-    
-    // Save updated pending list
-    fs.writeFileSync(pendingReleasesFile, JSON.stringify(stillPending, null, 2));
+    res.json({ snapshotAt, total: entries.length, count: bookings.length, bookings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    fs.writeFileSync(hashFile, currentHash);
-    fs.writeFileSync(rosterFile, text);
+// One booking: every observation of it (?format=html for the page; /api/history links here)
+router.get('/api/bookings/:bookingNumber', (req, res) => {
+  const ctx = req.ctx;
+  const asHtml = req.query.format === 'html';
+  try {
+    const rosterFile = path.join(ctx.storageDir, 'prev_roster.txt');
+    const currentBookings = fs.existsSync(rosterFile)
+      ? ctx.source.parseRoster(fs.readFileSync(rosterFile, 'utf-8'))
+      : null;
+    const booking = bookingDetail(ctx.storageDir, req.params.bookingNumber, {
+      releaseHistoryFile: ctx.releaseHistoryFile,
+      currentBookings
+    });
+    if (!booking) {
+      const error = `No booking ${req.params.bookingNumber} has been seen`;
+      if (asHtml) return res.status(404).send(getBookingHTML(null, ctx, error));
+      return res.status(404).json({ success: false, error });
+    }
+    if (asHtml) return res.send(getBookingHTML(booking, ctx));
+    res.json({ success: true, booking });
+  } catch (error) {
+    console.error('Error in /api/bookings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-      // Build log entry for roster changes
-    let logEntry = "";
-    
-    if (isFirstRun) {
-      // On first run, log all current inmates as booked
-      const currentBookings = extractBookings(text);
-      const allInmates = Array.from(currentBookings.values()).map(b => formatBooked(b));
-      
-      // Sort by booking date (newest first)
-      allInmates.sort((a, b) => {
-        const dateA = extractDateFromLine(a);
-        const dateB = extractDateFromLine(b);
-        return dateB - dateA; // Newest first
-      });
-      
-      logEntry = allInmates.map(l => "BOOKED | " + l).join("\n") + "\n\n";
-      
-    } else if (hasChanged) {
-      // For changes, add new bookings and releases in chronological order
-      const changes = [];
-      
-      // Add new bookings
-      addedLines.forEach(line => {
-        changes.push({
-          type: "BOOKED",
-          line: line,
-          date: extractDateFromLine(line)
-        });
-      });
-      
-      // Add releases (convert format)
-      removedLines.forEach(line => {
-        // Convert "Name | Booked: Date | Charges" to "Name | Released: Date | Charges"
-        const releaseLine = line.replace("Booked:", "Released:");
-        changes.push({
-          type: "RELEASED",
-          line: releaseLine,
-          date: extractDateFromLine(line) || new Date() // Use booking date or current date
-        });
-      });
-      
-      // Sort changes by date (newest first)
-      changes.sort((a, b) => b.date - a.date);
-      
-      // Format changes
-      logEntry = changes.map(c => `${c.type} | ${c.line}`).join("\n") + "\n\n";
-      
-    } else {
-      logEntry = ""; // No changes, don't add anything
+// Search names, charges and statutes (?format=html for the results page behind the search boxes)
+router.get('/api/search', (req, res) => {
+  const ctx = req.ctx;
+  const asHtml = req.query.format === 'html';
+  try {
+    let history = [];
+    if (fs.existsSync(ctx.releaseHistoryFile)) {
+      try { history = JSON.parse(fs.readFileSync(ctx.releaseHistoryFile, 'utf-8')); } catch (e) {}
     }
+    const index = buildSearchIndex(
+      readStays(ctx.storageDir, { releaseHistoryFile: ctx.releaseHistoryFile }),
+      readEvents(ctx.storageDir),
+      history
+    );
 
-    fs.appendFileSync(logFile, logEntry);
-    
-    // Add separate entry for updated release details if any
-    if (updatedReleases.length > 0) {
-      const updateEntry =
-        "\n================================================================================\n" +
-        "Release details update at: " + timestamp +
-        "\n================================================================================\n" +
-        "UPDATED RELEASE INFORMATION (" + updatedReleases.length + "):\n" +
-        updatedReleases.map(r => {
-          const bailAmount = parseFloat(r.details.bail.replace(/[$,]/g, ''));
-          const bailText = bailAmount > 0 ? " | Bail Posted: " + r.details.bail : "";
-          const computed = (r.bookDate && r.bookDate !== 'Unknown')
-            ? computeTimeServed(r.bookDate, r.details.releaseDateTime)
-            : null;
-          const timeServedStr = computed || r.details.timeServed;
-
-          return "  ✓ " + r.name + " | Released: " + r.details.releaseDateTime +
-            " | Time served: " + timeServedStr +
-            bailText +
-            " (" + r.details.releaseType + ")" +
-            " | Charges: " + (r.charges.join(", ") || "None listed");
-        }).join("\n") + "\n";
-      
-      fs.appendFileSync(logFile, updateEntry);
+    let found;
+    try {
+      found = search(index, req.query.q, { limit: req.query.limit });
+    } catch (e) {
+      if (asHtml) return res.status(400).send(getSearchHTML(req.query.q || '', null, ctx, e.message));
+      return res.status(400).json({ success: false, error: e.message });
     }
+    const results = found.results.map(r => {
+      const id = r.bookingNumber && encodeURIComponent(r.bookingNumber);
+      return {
+        ...r,
+        bookingUrl: id ? `${ctx.base}/api/bookings/${id}` : null,
+        eventsUrl: id ? `${ctx.base}/api/events?q=${id}` : null
+      };
+    });
+    if (asHtml) return res.send(getSearchHTML(req.query.q, { ...found, results }, ctx));
+    res.json({ success: true, query: req.query.q, total: found.total, count: results.length, results });
+  } catch (error) {
+    console.error('Error in /api/search:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const message = isFirstRun
-      ? "Initial roster captured successfully!"
-      : hasChanged
-        ? "Changes detected! " + addedLines.length + " new bookings, " + removedLines.length + " releases." +
-          (updatedReleases.length > 0 ? " Also updated " + updatedReleases.length + " release details." : "")
-        : updatedReleases.length > 0
-          ? "Updated release details for " + updatedReleases.length + " inmates."
-          : "No changes detected.";
+// Every stay seen so far, one row per booking
+router.get('/api/stays.csv', (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const stays = Object.values(readStays(ctx.storageDir, { releaseHistoryFile: ctx.releaseHistoryFile }).stays)
+      .sort((a, b) => (parseBookingDate(b.bookDate) || 0) - (parseBookingDate(a.bookDate) || 0));
+
+    const rows = [['Booking #', 'Name', 'Name #', 'Booking Date', 'Release Date', 'Release Type', 'Bail', 'Time Served', 'Charges', 'Statutes']];
+    for (const s of stays) {
+      rows.push([
+        isRedacted(s) ? '' : s.bookingId || '',
+        s.name,
+        s.nameNumber || '',
+        s.bookDate || '',
+        s.releaseDate || '',
+        s.releaseType || '',
+        s.bail || '',
+        s.timeServed || '',
+        s.charges.map(c => c.offense).join(' | '),
+        s.charges.map(c => c.statute).join(' | ')
+      ]);
+    }
+
+    const csv = rows.map(r => r.map(v => `"${String(v).replace(/"/g, '""')}"`).join(',')).join('\n');
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="mason-county-stays.csv"');
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run check (?format=json returns the run summary, as api/check-roster.js does)
+router.get('/api/run', async (req, res) => {
+  const ctx = req.ctx;
+  const asJson = req.query.format === 'json';
+  try {
+    // A second request while a run is going gets that run's result instead of starting another
+    const { joined, summary } = await runIngestion(ctx, { force: req.query.force === '1', trigger: 'manual' });
+    if (asJson) return res.json({ success: true, joined, ...summary });
 
     const html =
-      '<!DOCTYPE html><html><head><meta charset="utf-8"><meta http-equiv="refresh" content="3;url=/api/history"><style>body{font-family:sans-serif;background:#070907;color:#C8C87A;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0;}.container{text-align:center;padding:2rem;}.success{color:#6B7A2A;font-size:3rem;margin-bottom:1rem;}h1{color:#F0F0E8;margin-bottom:1rem;}p{color:#FFFFFF;}</style></head><body><div class="container"><div class="success">✓</div><h1>Workflow Complete</h1><p>' +
-      message +
+      '<!DOCTYPE html><html><head><meta charset="utf-8"><meta http-equiv="refresh" content="3;url=' + ctx.base + '/api/history"><style>body{font-family:sans-serif;background:#070907;color:#C8C87A;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0;}.container{text-align:center;padding:2rem;}.success{color:#6B7A2A;font-size:3rem;margin-bottom:1rem;}h1{color:#F0F0E8;margin-bottom:1rem;}p{color:#FFFFFF;}</style></head><body><div class="container"><div class="success">✓</div><h1>Workflow Complete</h1><p>' +
+      (joined ? "A run was already in progress; this is its result. " : "") +
+      summary.message +
       "</p><p>Redirecting to Change Log...</p></div></body></html>";
 
     res.send(html);
   } catch (error) {
-    console.error('Error in /api/run:', error);
+    if (error.code === 'RUN_BUSY') {
+      res.status(409);
+    } else {
+      console.error('Error in /api/run:', error);
+    }
+    if (asJson) {
+      return res.status(error.code === 'RUN_BUSY' ? 409 : 500)
+        .json({ success: false, busy: error.code === 'RUN_BUSY', error: error.message });
+    }
     const html =
       '<!DOCTYPE html><html><head><meta charset="utf-8"><style>body{font-family:sans-serif;background:#070907;color:#C8C87A;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0;}.container{text-align:center;padding:2rem;}.error{color:#ef4444;font-size:3rem;margin-bottom:1rem;}h1{color:#ef4444;margin-bottom:1rem;}p{color:#FFFFFF;}a{color:#C8C87A;}</style></head><body><div class="container"><div class="error">✗</div><h1>Error</h1><p>' +
       (error.message || "Unknown error") +
-      '</p><p><a href="/api/status">Back to Status</a></p></div></body></html>';
+      '</p><p><a href="' + ctx.base + '/api/status">Back to Status</a></p></div></body></html>';
     res.send(html);
   }
 });
@@ -1341,66 +1236,70 @@ app.get('/legislative', (req, res) => {
 });
 
 // History page - UPDATED for new log format
-app.get('/api/history', (req, res) => {
-  const dataDir = STORAGE_DIR;
-  let changeLog = "";
+router.get('/api/history', (req, res) => {
+  const ctx = req.ctx;
+  const dataDir = ctx.storageDir;
   let entries = [];
+  let staysByEvent = new Map();
 
   try {
-    const logFile = path.join(dataDir, "change_log.txt");
-    if (fs.existsSync(logFile)) {
-      changeLog = fs.readFileSync(logFile, "utf-8");
-      
-      // Parse new format: just lines with BOOKED | or RELEASED |
-      const lines = changeLog.split('\n').filter(l => l.trim());
-      
-      // Group by date
-      const entriesByDate = {};
-      
-      for (const line of lines) {
-        if (line.startsWith('BOOKED |') || line.startsWith('RELEASED |')) {
-          // Extract date from line
-          const dateMatch = line.match(/(?:Booked|Released):\s+(\d{2}\/\d{2}\/\d{2})/);
-          if (dateMatch) {
-            const dateKey = dateMatch[1]; // Use date as key
-            
-            if (!entriesByDate[dateKey]) {
-              entriesByDate[dateKey] = { date: dateKey, booked: [], released: [] };
-            }
-            
-            if (line.startsWith('BOOKED |')) {
-              entriesByDate[dateKey].booked.push(line.replace('BOOKED | ', ''));
-            } else {
-              entriesByDate[dateKey].released.push(line.replace('RELEASED | ', ''));
-            }
-          }
+    staysByEvent = staysByEventId(readStays(dataDir, { releaseHistoryFile: ctx.releaseHistoryFile }));
+
+    // Group by date
+    const entriesByDate = {};
+    const entryFor = dateKey => {
+      if (!entriesByDate[dateKey]) {
+        entriesByDate[dateKey] = { date: dateKey, booked: [], released: [], amended: [] };
+      }
+      return entriesByDate[dateKey];
+    };
+
+    for (const event of readEvents(dataDir)) {
+      if (AMENDMENT_TYPES.includes(event.type)) {
+        // Amendments are grouped by the day they were detected
+        entryFor(formatJailDate(new Date(event.detectedAt)).split(' ')[0]).amended.push(event);
+      } else if (event.type === 'BOOKED' || event.type === 'RELEASED') {
+        // Bookings and releases are grouped by their roster date
+        const date = event.type === 'BOOKED' ? event.bookDate : event.releaseDate;
+        const dateMatch = (date || '').match(/^(\d{2}\/\d{2}\/\d{2})/);
+        if (dateMatch) {
+          const entry = entryFor(dateMatch[1]);
+          (event.type === 'BOOKED' ? entry.booked : entry.released).push(event);
         }
       }
-      
-      // Convert to array and sort by date (newest first)
-      entries = Object.values(entriesByDate).sort((a, b) => {
-        const [aMonth, aDay, aYear] = a.date.split('/').map(Number);
-        const [bMonth, bDay, bYear] = b.date.split('/').map(Number);
-        const aDate = new Date(2000 + aYear, aMonth - 1, aDay);
-        const bDate = new Date(2000 + bYear, bMonth - 1, bDay);
-        return bDate - aDate;
-      });
     }
+    
+    // Convert to array and sort by date (newest first)
+    entries = Object.values(entriesByDate).sort((a, b) => {
+      const aDate = parseBookingDate(a.date + ' 00:00:00');
+      const bDate = parseBookingDate(b.date + ' 00:00:00');
+      return bDate - aDate;
+    });
   } catch (e) {
     console.error('History parse error:', e);
   }
 
-  function buildInmateRow(line) {
-    const namePart = line.split(' | ')[0] || 'Unknown';
-    const timeMatch = line.match(/(?:Booked|Released):\s+(\d{2}\/\d{2}\/\d{2}\s+\d{2}:\d{2}:\d{2})/);
-    const time = timeMatch ? timeMatch[1] : '';
-    const chargesMatch = line.match(/Charges:\s+(.+)$/);
-    const charges = chargesMatch ? chargesMatch[1].trim() : '';
-    const timeServedMatch = line.match(/Time served:\s+([^|]+)/);
-    const timeServed = timeServedMatch ? timeServedMatch[1].trim() : '';
-    const bailMatch = line.match(/Bail Posted:\s+([^|]+)/);
-    const bail = bailMatch ? bailMatch[1].trim() : '';
-    const extra = [timeServed ? 'Served: ' + timeServed : '', bail ? 'Bail: ' + bail : ''].filter(Boolean).join(' · ');
+  // Redacted records keep only a pseudonym, which has no page worth linking to
+  function bookingLink(e) {
+    if (!e.bookingId || isRedacted(e)) return '';
+    return '<a href="' + ctx.base + '/api/bookings/' + encodeURIComponent(e.bookingId) + '?format=html">Booking #' + escapeHtml(e.bookingId) + '</a>';
+  }
+
+  function buildInmateRow(e) {
+    const namePart = e.name || 'Unknown';
+    const timeMatch = ((e.type === 'BOOKED' ? e.bookDate : e.releaseDate) || '').match(/^\d{2}\/\d{2}\/\d{2}\s+\d{2}:\d{2}:\d{2}$/);
+    const time = timeMatch ? timeMatch[0] : '';
+    const charges = e.charges.map(c => {
+      const meta = [c.statute ? 'RCW ' + c.statute : '', c.court, c.offenseClass].filter(Boolean).join(' · ');
+      return c.offense + (meta ? ' <span class="charge-meta">' + meta + '</span>' : '');
+    }).join('<br>');
+    // Time served and bail come from the booking's stay, which picks up details found after the release
+    const stay = staysByEvent.get(e.id) || {};
+    const timeServed = stay.timeServed || e.timeServed || '';
+    const bailAmount = stay.bail || e.bail;
+    const releaseType = stay.releaseType || e.releaseType;
+    const bail = bailAmount ? bailAmount + (releaseType ? ' (' + releaseType + ')' : '') : '';
+    const extra = [timeServed ? 'Served: ' + timeServed : '', bail ? 'Bail: ' + bail : '', bookingLink(e)].filter(Boolean).join(' · ');
     return '<details class="inmate-row">' +
       '<summary>' +
       '<span class="inmate-name">' + namePart + '</span>' +
@@ -1413,6 +1312,26 @@ app.get('/api/history', (req, res) => {
       '</details>';
   }
 
+  function buildAmendmentRow(a) {
+    let detail;
+    if (a.charge) {
+      const meta = [a.charge.statute ? 'RCW ' + a.charge.statute : '', a.charge.court, a.charge.offenseClass].filter(Boolean).join(' · ');
+      detail = a.charge.offense + (meta ? ' <span class="charge-meta">' + meta + '</span>' : '');
+    } else {
+      detail = a.relDate;
+    }
+    return '<details class="inmate-row">' +
+      '<summary>' +
+      '<span class="inmate-name">' + a.name + '</span>' +
+      '<span class="inmate-time">' + formatJailDate(new Date(a.detectedAt)) + '</span>' +
+      '</summary>' +
+      '<div class="inmate-details-content">' +
+      '<div class="inmate-charges">' + AMENDMENT_NAMES[a.type] + ': ' + detail + '</div>' +
+      '<div class="inmate-extra">' + (bookingLink(a) || 'Booking #' + a.bookingId) + '</div>' +
+      '</div>' +
+      '</details>';
+  }
+
   const entriesHtml = entries.length > 0 ? entries.map(entry => {
     const [month, day, year] = entry.date.split('/');
     const displayDate = `${month}/${day}/20${year}`;
@@ -1427,11 +1346,16 @@ app.get('/api/history', (req, res) => {
       entry.released.map(r => buildInmateRow(r)).join('') +
       '</div></div>' : '';
 
+    const amendedHtml = entry.amended.length > 0 ?
+      '<div class="changes updated"><h4>AMENDED IN CUSTODY (' + entry.amended.length + ')</h4><div class="inmate-list">' +
+      entry.amended.map(a => buildAmendmentRow(a)).join('') +
+      '</div></div>' : '';
+
     const changesGrid = (bookedHtml && releasedHtml)
       ? '<div class="changes-grid">' + bookedHtml + releasedHtml + '</div>'
       : bookedHtml + releasedHtml;
     return '<div class="entry"><div class="entry-header">' + displayDate + '</div>' +
-           changesGrid + '</div>';
+           changesGrid + amendedHtml + '</div>';
   }).join('') :
   '<p class="no-data">No changes recorded yet. Run the workflow to start monitoring.</p>';
 
@@ -1449,7 +1373,7 @@ app.get('/api/history', (req, res) => {
   gtag('config', 'G-380L7KND2L');
 </script>
 
-  <title>Booked and Released Log - Mason County Jail Roster Monitor</title>
+  <title>Booked and Released Log - ${ctx.source.name} Jail Roster Monitor</title>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1">
   <link rel="preconnect" href="https://fonts.googleapis.com">
@@ -1477,7 +1401,7 @@ app.get('/api/history', (req, res) => {
     .changes.booked h4 { color: #4B8FA8; }
     .changes.released { border-left: 3px solid #0B607C; padding-left: 0.6rem; }
     .changes.released h4 { color: #5AAAC8; }
-    .changes.updated { border-left: 3px solid #4B8FA8; padding-left: 0.6rem; }
+    .changes.updated { border-left: 3px solid #4B8FA8; padding-left: 0.6rem; margin-top: 0.75rem; }
     .changes.updated h4 { color: #4B8FA8; }
     .changes ul { list-style: none; font-size: 8pt; color: #A8C4D0; }
     .changes ul li { font-family: 'Fake Receipt', 'Courier New', monospace; padding: 0.2rem 0; border-bottom: 1px solid #1E3840; }
@@ -1494,20 +1418,22 @@ app.get('/api/history', (req, res) => {
     .inmate-time { color: #6A8A96; font-size: 7pt; white-space: nowrap; }
     .inmate-details-content { padding: 0.3rem 0 0.5rem 1.1rem; font-size: 7.5pt; }
     .inmate-charges { color: #A8C4D0; line-height: 1.5; }
+    .charge-meta { color: #6A8A96; font-size: 6.5pt; }
     .inmate-extra { color: #6A8A96; margin-top: 0.2rem; }
     .no-changes { color: #6A8A96; font-style: italic; }
     .no-data { color: #6A8A96; text-align: center; padding: 3rem; }
-    a { color: #4B8FA8; }
+    a { color: #4B8FA8; }${SEARCH_FORM_CSS}
   </style>
 </head>
 <body>
   <div class="container">
     <h1>Booked and Released Log</h1>
-    <p class="subtitle">Record of all Bookings and Releases, with newest first</p>
+    <p class="subtitle">Record of all Bookings and Releases, and changes to bookings still in custody, with newest first</p>
     <div class="nav-buttons">
-      <a href="/api/status" class="nav-btn">← Main Page</a>
-      <a href="/api/stats" class="nav-btn">Statistics Dashboard →</a>
+      <a href="${ctx.base}/api/status" class="nav-btn">← Main Page</a>
+      <a href="${ctx.base}/api/stats" class="nav-btn">Statistics Dashboard →</a>
     </div>
+    ${searchFormHTML(ctx)}
     ${entriesHtml}
   </div>
 </body>
@@ -1516,71 +1442,163 @@ app.get('/api/history', (req, res) => {
   res.send(html);
 });
 
-app.get('/api/admin/deduplicate', (req, res) => {
+router.get('/api/admin/deduplicate', requireRunLock, (req, res) => {
+  const ctx = req.ctx;
   try {
-    const logFile = path.join(STORAGE_DIR, 'change_log.txt');
-    const content = fs.readFileSync(logFile, 'utf-8');
-    
-    const lines = content.split('\n');
-    const uniqueLines = [...new Set(lines)]; // Remove duplicates
-    
-    const deduped = uniqueLines.join('\n');
+    const events = readEvents(ctx.storageDir);
     
-    // Backup original
-    fs.writeFileSync(logFile + '.backup', content);
+    // Same fields, same event; keep the first one
+    const seen = new Set();
+    const uniqueEvents = events.filter(({ id, v, ...fields }) => {
+      const key = JSON.stringify(fields);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
     
-    // Write deduplicated version
-    fs.writeFileSync(logFile, deduped);
+    // Write deduplicated version, original backed up
+    let backup = null;
+    if (uniqueEvents.length < events.length) {
+      backup = createBackup(ctx.storageDir, { reason: 'deduplicate' }).name;
+      writeEvents(ctx.storageDir, uniqueEvents);
+      rebuildStays(ctx);
+    }
     
     res.json({
       success: true,
-      originalLines: lines.length,
-      uniqueLines: uniqueLines.length,
-      removed: lines.length - uniqueLines.length
+      originalEvents: events.length,
+      uniqueEvents: uniqueEvents.length,
+      removed: events.length - uniqueEvents.length,
+      backup
     });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
+// Rebuild the change events from the PDF archive, after the live events from
+// before the archive starts, into replay_events.jsonl and compare them with the
+// live log. Nothing live is touched; see /api/admin/replay/apply.
+const REPLAY_EVENTS_FILE = 'replay_events.jsonl';
+const MAX_REPLAY_DIFF_LINES = 200;
+
+// Id of a replay and the live log it was merged with: /apply needs it back, so a
+// stray visit to the URL, or a replay the live log has moved on from, writes nothing
+function replayId(storageDir) {
+  const hash = crypto.createHash('sha256');
+  for (const file of [EVENTS_FILE, REPLAY_EVENTS_FILE]) {
+    const full = path.join(storageDir, file);
+    hash.update(fs.existsSync(full) ? fs.readFileSync(full) : '');
+    hash.update('\0');
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+router.get('/api/admin/replay', requireRunLock, async (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const result = await replayArchive(archiveDir(ctx.storageDir), ctx.source, {
+      allowPopulationSwing: req.query.force === '1'
+    });
+    if (result.runs === 0) {
+      return res.json({ success: false, error: 'Archive is empty, nothing to replay' });
+    }
+    const liveEvents = readEvents(ctx.storageDir);
+    const merged = mergeReplay(liveEvents, result.events, result.from);
+    writeEvents(ctx.storageDir, merged, { file: REPLAY_EVENTS_FILE });
+    const id = replayId(ctx.storageDir);
+
+    const live = new Set(liveEvents);
+    const diff = diffLogs(formatEventLog(liveEvents), formatEventLog(merged));
+
+    res.json({
+      success: true,
+      id,
+      from: result.from,
+      to: result.to,
+      runs: result.runs,
+      changedRuns: result.changedRuns,
+      noOpRegenerations: result.noOpRegenerations,
+      skipped: result.skipped,
+      diff: {
+        common: diff.common,
+        onlyLiveCount: diff.onlyLive.length,
+        onlyReplayCount: diff.onlyReplay.length,
+        onlyLive: diff.onlyLive.slice(0, MAX_REPLAY_DIFF_LINES),
+        onlyReplay: diff.onlyReplay.slice(0, MAX_REPLAY_DIFF_LINES)
+      },
+      keptLive: merged.filter(e => live.has(e)).length,
+      note: 'Live entries from before ' + result.from + ' are kept, with the replay after them.',
+      apply: ctx.base + '/api/admin/replay/apply?confirm=' + id
+    });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Swap the last replay in as the live event store (original backed up). Needs
+// ?confirm=<id> from the /api/admin/replay response
+router.get('/api/admin/replay/apply', requireRunLock, (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const replayFile = path.join(ctx.storageDir, REPLAY_EVENTS_FILE);
+    if (!fs.existsSync(replayFile)) {
+      return res.json({ success: false, error: 'No replay to apply, run /api/admin/replay first' });
+    }
+    if (req.query.confirm !== replayId(ctx.storageDir)) {
+      return res.status(400).json({
+        success: false,
+        error: 'confirm must be the id returned by the last /api/admin/replay; run it again if the live log has changed since'
+      });
+    }
+    const backup = createBackup(ctx.storageDir, { reason: 'replay-apply' }).name;
+    writeEvents(ctx.storageDir, readEvents(ctx.storageDir, { file: REPLAY_EVENTS_FILE }));
+    fs.unlinkSync(replayFile);
+    rebuildStays(ctx);
+    // The archive only covers the retention window, but a replay made before a purge may not
+    const purge = purgePersonalData(ctx.storageDir);
+
+    res.json({ success: true, backup, purged: purge ? purge.removed : null });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
 // Stats Dashboard - UPDATED for new format
-app.get('/api/stats', (req, res) => {
+router.get('/api/stats', (req, res) => {
+  const ctx = req.ctx;
   try {
-    const logFile = path.join(STORAGE_DIR, 'change_log.txt');
+    const events = readEvents(ctx.storageDir);
 
      // THIS SECTION is going to add info about how l ong stats have been documented,. 
     // Get data collection start date from first entry in log
     let dataCollectionStart = null;
     let daysOfData = 0;
     
-    if (fs.existsSync(logFile)) {
-      const logContent = fs.readFileSync(logFile, 'utf-8');
-      const lines = logContent.split('\n');
-      
-      // Find first dated entry
-      for (const line of lines) {
-        const dateMatch = line.match(/(?:Booked|Released):\s+(\d{2}\/\d{2}\/\d{2})/);
-        if (dateMatch) {
-          const [month, day, year] = dateMatch[1].split('/');
-          const fullYear = 2000 + parseInt(year);
-          const firstDate = new Date(fullYear, parseInt(month) - 1, parseInt(day));
-          dataCollectionStart = firstDate;
-          
-          // Calculate days since then
-          const now = new Date();
-          daysOfData = Math.floor((now - firstDate) / (1000 * 60 * 60 * 24));
-          break;
-        }
+    // Find first dated entry
+    for (const event of events) {
+      if (event.type !== 'BOOKED' && event.type !== 'RELEASED') continue;
+      const dateMatch = ((event.type === 'BOOKED' ? event.bookDate : event.releaseDate) || '').match(/^(\d{2}\/\d{2}\/\d{2})/);
+      if (dateMatch) {
+        const firstDate = parseBookingDate(dateMatch[1] + ' 00:00:00');
+        if (!firstDate) continue;
+        dataCollectionStart = firstDate;
+        
+        // Calculate days since then
+        const now = new Date();
+        daysOfData = Math.floor((now - firstDate) / (1000 * 60 * 60 * 24));
+        break;
       }
     }
     // ↑↑↑ END OF NEW SECTION
 
-    if (!fs.existsSync(logFile)) {
+    if (events.length === 0) {
       return res.send(getStatsHTML({
         totalBookings: 0,
         totalReleases: 0,
         currentPopulation: 0,
-        avgPopulation: 0,
+        avgPopulation: null,
+        population: summarizePopulation(readPopulation(ctx.storageDir)),
         commonCharges: [],
         bookingsByDay: {},
         avgStayDays: 0,
@@ -1588,18 +1606,19 @@ app.get('/api/stats', (req, res) => {
         timeSeriesData: [],
         totalBailThisMonth: 0,
         avgBailByCharge: [],
+        chargesByCourt: {},
+        chargesByLevel: {},
+        amendments: {},
         avgTimeServedMins: 0,
         minTimeServedMins: 0,
         maxTimeServedMins: 0,
         longestInmate: null,
         daysOfData: 0,
         dataCollectionStart: null,
-      }));
+      }, ctx));
     }
 
-    const logContent = fs.readFileSync(logFile, 'utf-8');
-    
-    // Parse the log file for NEW format
+    // Tally the event store
     let totalBookings = 0;
     let totalReleases = 0;
     let allCharges = [];
@@ -1607,84 +1626,59 @@ app.get('/api/stats', (req, res) => {
     let bookingDates = [];
     let releaseDates = [];
     let stayDurations = [];
-    let popEvents = []; // {ts: Date, delta: 1|-1} for avg population
-
-    const lines = logContent.split('\n');
+    const chargesByCourt = {};
+    const chargesByLevel = {};
+    const amendments = Object.fromEntries(AMENDMENT_TYPES.map(t => [t, 0]));
+
+    const countCharge = c => {
+      if (c.court) chargesByCourt[c.court] = (chargesByCourt[c.court] || 0) + 1;
+      if (c.offenseClass) {
+        const level = offenseLevel(c.offenseClass);
+        chargesByLevel[level] = (chargesByLevel[level] || 0) + 1;
+      }
+    };
     
-    for (const line of lines) {
-      const trimmedLine = line.trim();
+    for (const event of events) {
+      // Amendments to bookings still in custody; added charges count as charges
+      if (AMENDMENT_TYPES.includes(event.type)) {
+        amendments[event.type]++;
+        if (event.type === 'CHARGE_ADDED' && event.charge) {
+          const normalized = normalizeCharge(event.charge.offense);
+          if (normalized) allCharges.push(normalized);
+          countCharge(event.charge);
+        }
+      }
       
-      // Check for BOOKED entries in NEW format: "BOOKED | NAME | Booked: DATE | Charges: ..."
-      if (trimmedLine.startsWith('BOOKED |')) {
+      else if (event.type === 'BOOKED') {
         totalBookings++;
         
-        // Extract date
-        const dateMatch = trimmedLine.match(/Booked:\s+(\d{2}\/\d{2}\/\d{2})\s+(\d{2}:\d{2}:\d{2})/);
-        if (dateMatch) {
-          const dateStr = dateMatch[1]; // "01/18/26"
-          const timeStr = dateMatch[2];
-          const [month, day, year] = dateStr.split('/');
-          const [hour, min, sec] = timeStr.split(':');
-          const fullYear = 2000 + parseInt(year);
-          const date = new Date(fullYear, parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(min), parseInt(sec));
+        const date = parseBookingDate(event.bookDate); // "01/18/26 14:30:00"
+        if (date) {
           bookingDates.push(date);
-          popEvents.push({ ts: date, delta: 1 });
         }
         
-        // Extract charges
-        const chargesMatch = trimmedLine.match(/Charges:\s+(.+)/);
-        if (chargesMatch) {
-          const charges = chargesMatch[1].trim();
-          if (charges && charges !== 'None listed') {
-            const chargeList = charges.split(',').map(c => normalizeCharge(c.trim())).filter(Boolean);
-            allCharges.push(...chargeList);
-          }
-        }
+        allCharges.push(...event.charges.map(c => normalizeCharge(c.offense)).filter(Boolean));
+        // Legacy entries carry offense text only
+        event.charges.forEach(countCharge);
       }
       
-      // Check for RELEASED entries in NEW format: "RELEASED | NAME | Released: DATE | Charges: ..."
-      else if (trimmedLine.startsWith('RELEASED |')) {
+      else if (event.type === 'RELEASED') {
         totalReleases++;
         
-        // Extract release type
-        if (trimmedLine.includes('Not Released')) {
+        // Release type
+        if (event.releaseDate === 'Not Released') {
           releaseTypes['Not Released'] = (releaseTypes['Not Released'] || 0) + 1;
-        } else if (trimmedLine.includes('Released:')) {
+        } else {
           releaseTypes['Released'] = (releaseTypes['Released'] || 0) + 1;
         }
         
-        // Extract release date
-        const dateMatch = trimmedLine.match(/Released:\s+(\d{2}\/\d{2}\/\d{2})\s+(\d{2}:\d{2}:\d{2})/);
-        if (dateMatch) {
-          const dateStr = dateMatch[1]; // "01/18/26"
-          const timeStr = dateMatch[2];
-          const [month, day, year] = dateStr.split('/');
-          const [hour, min, sec] = timeStr.split(':');
-          const fullYear = 2000 + parseInt(year);
-          const date = new Date(fullYear, parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(min), parseInt(sec));
+        const date = parseBookingDate(event.releaseDate);
+        if (date) {
           releaseDates.push(date);
-          popEvents.push({ ts: date, delta: -1 });
-        }
-        
-        // Extract charges from releases too
-        const chargesMatch = trimmedLine.match(/Charges:\s+(.+)/);
-        if (chargesMatch) {
-          const charges = chargesMatch[1].trim();
-          if (charges && charges !== 'None listed' && charges !== 'Not Released') {
-            const chargeList = charges.split(',').map(c => normalizeCharge(c.trim())).filter(Boolean);
-            allCharges.push(...chargeList);
-          }
         }
-      }
-      
-      // OLD format fallback (if you still have some old entries)
-      else if (trimmedLine.startsWith('+ ')) {
-        totalBookings++;
-        // Handle old "+ NAME | Booked: ..." format if needed
-      }
-      else if (trimmedLine.startsWith('- ')) {
-        totalReleases++;
-        // Handle old "- NAME | Released: ..." format if needed
+        
+        // Charges from releases too
+        allCharges.push(...event.charges.map(c => normalizeCharge(c.offense)).filter(Boolean));
       }
     }
     
@@ -1706,141 +1700,48 @@ app.get('/api/stats', (req, res) => {
     const bookingsByDay = { Sun: 0, Mon: 0, Tue: 0, Wed: 0, Thu: 0, Fri: 0, Sat: 0 };
     bookingDates.forEach(date => {
       if (date && !isNaN(date.getTime())) {
-        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-        const day = dayNames[date.getDay()];
+        const day = WEEKDAYS[getJailParts(date).weekday];
         bookingsByDay[day] = (bookingsByDay[day] || 0) + 1;
       }
     });
     
-    // Calculate average stay duration by matching names
-const bookingsByName = new Map();
-const releasesByName = new Map();
-
-// Parse bookings
-for (const line of lines) {
-  if (line.startsWith('BOOKED |')) {
-    const nameMatch = line.match(/BOOKED \| ([^|]+) \|/);
-    const dateMatch = line.match(/Booked:\s+(\d{2}\/\d{2}\/\d{2})\s+(\d{2}:\d{2}:\d{2})/);
-    
-    if (nameMatch && dateMatch) {
-      const name = nameMatch[1].trim();
-      const [dateStr, timeStr] = [dateMatch[1], dateMatch[2]];
-      const [month, day, year] = dateStr.split('/');
-      const [hours, minutes, seconds] = timeStr.split(':');
-      const fullYear = 2000 + parseInt(year);
-      const bookDate = new Date(fullYear, parseInt(month) - 1, parseInt(day), 
-                                parseInt(hours), parseInt(minutes), parseInt(seconds));
-      
-      if (!bookingsByName.has(name)) {
-        bookingsByName.set(name, []);
-      }
-      bookingsByName.get(name).push(bookDate);
-    }
-  }
-  
-  else if (line.startsWith('RELEASED |')) {
-    const nameMatch = line.match(/RELEASED \| ([^|]+) \|/);
-    const dateMatch = line.match(/Released:\s+(\d{2}\/\d{2}\/\d{2})\s+(\d{2}:\d{2}:\d{2})/);
-    
-    if (nameMatch && dateMatch) {
-      const name = nameMatch[1].trim();
-      const [dateStr, timeStr] = [dateMatch[1], dateMatch[2]];
-      const [month, day, year] = dateStr.split('/');
-      const [hours, minutes, seconds] = timeStr.split(':');
-      const fullYear = 2000 + parseInt(year);
-      const releaseDate = new Date(fullYear, parseInt(month) - 1, parseInt(day), 
-                                   parseInt(hours), parseInt(minutes), parseInt(seconds));
-      
-      if (!releasesByName.has(name)) {
-        releasesByName.set(name, []);
-      }
-      releasesByName.get(name).push(releaseDate);
-    }
-  }
-}
-
-// Calculate stays
-let totalStayHours = 0;
-let stayCount = 0;
-
-for (const [name, bookDates] of bookingsByName.entries()) {
-  const relDates = releasesByName.get(name);
-  if (relDates) {
-    // Match most recent booking to most recent release
-    const lastBook = bookDates[bookDates.length - 1];
-    const lastRelease = relDates[relDates.length - 1];
-
-    if (lastRelease > lastBook) {
-      const stayMs = lastRelease - lastBook;
-      const stayHours = stayMs / (1000 * 60 * 60);
-
-      if (stayHours > 0 && stayHours < 8760) { // Between 0 and 365 days
-        totalStayHours += stayHours;
-        stayCount++;
-      }
-    }
-  }
-}
-
-const avgStayDays = stayCount > 0 ? Math.round((totalStayHours / stayCount) / 24) : 0;
-
-    // --- NEW STATS FROM RELEASE HISTORY ---
-
-    // Build name->charges map from BOOKED lines
-    const nameToCharges = new Map();
-    for (const line of lines) {
-      if (line.startsWith('BOOKED |')) {
-        const nm = line.match(/BOOKED \| ([^|]+) \|/);
-        const ch = line.match(/Charges:\s+(.+)/);
-        if (nm && ch) {
-          const charges = ch[1].split(',').map(c => normalizeCharge(c.trim())).filter(c => c && c !== 'None listed');
-          nameToCharges.set(nm[1].trim(), charges);
-        }
-      }
-    }
+    // Average stay, bail and release types from the stays table (one record per booking)
+    const stays = Object.values(readStays(ctx.storageDir, { releaseHistoryFile: ctx.releaseHistoryFile }).stays);
+    const stayMins = stays
+      .map(s => s.durationMins)
+      .filter(mins => mins > 0 && mins < 525600); // Between 0 and 365 days
+    const avgStayDays = stayMins.length > 0
+      ? Math.round(stayMins.reduce((a, b) => a + b, 0) / stayMins.length / 1440)
+      : 0;
 
-    // Parse RELEASED lines for release types and bail
     const releaseTypeCounts = {};
     const bailByCharge = {};
     let totalBailThisMonth = 0;
     const nowStats = new Date();
+    const nowParts = getJailParts(nowStats);
 
-    for (const line of lines) {
-      if (line.startsWith('RELEASED |')) {
-        // Extract release type code from "(RBB)" pattern
-        const typeMatch = line.match(/\(([A-Z]{2,5})\)\s*\|/);
-        if (typeMatch) {
-          const type = typeMatch[1];
-          releaseTypeCounts[type] = (releaseTypeCounts[type] || 0) + 1;
-        }
+    for (const stay of stays) {
+      // Release type code, e.g. "RBB"
+      if (stay.releaseType) {
+        releaseTypeCounts[stay.releaseType] = (releaseTypeCounts[stay.releaseType] || 0) + 1;
+      }
 
-        // Extract bail amount
-        const bailMatch = line.match(/Bail Posted:\s*\$([\d,]+\.\d{2})/);
-        if (bailMatch) {
-          const bail = parseFloat(bailMatch[1].replace(/,/g, ''));
-          if (bail > 0) {
-            // Check if this month
-            const dateMatch = line.match(/Released:\s+(\d{2}\/\d{2}\/\d{2})/);
-            if (dateMatch) {
-              const [rm, rd, ry] = dateMatch[1].split('/');
-              const releaseYear = 2000 + parseInt(ry);
-              const releaseMonth = parseInt(rm) - 1;
-              if (releaseYear === nowStats.getFullYear() && releaseMonth === nowStats.getMonth()) {
-                totalBailThisMonth += bail;
-              }
-            }
-            // Correlate bail with charges
-            const nm = line.match(/RELEASED \| ([^|]+) \|/);
-            if (nm) {
-              const charges = nameToCharges.get(nm[1].trim()) || [];
-              charges.forEach(charge => {
-                if (!bailByCharge[charge]) bailByCharge[charge] = { total: 0, count: 0 };
-                bailByCharge[charge].total += bail;
-                bailByCharge[charge].count++;
-              });
-            }
+      const bail = stay.bail ? parseFloat(stay.bail.replace(/[$,]/g, '')) : 0;
+      if (bail > 0) {
+        // Check if this month
+        const released = parseBookingDate(stay.releaseDate);
+        if (released) {
+          const { year, month } = getJailParts(released);
+          if (year === nowParts.year && month === nowParts.month) {
+            totalBailThisMonth += bail;
           }
         }
+        // Correlate bail with the charges of the same booking
+        stay.charges.map(c => normalizeCharge(c.offense)).filter(Boolean).forEach(charge => {
+          if (!bailByCharge[charge]) bailByCharge[charge] = { total: 0, count: 0 };
+          bailByCharge[charge].total += bail;
+          bailByCharge[charge].count++;
+        });
       }
     }
 
@@ -1853,9 +1754,9 @@ const avgStayDays = stayCount > 0 ? Math.round((totalStayHours / stayCount) / 24
     // Precise time served and release types from history file
     let historyTimeMinutes = [];
     let finalReleaseTypes = releaseTypeCounts;
-    if (fs.existsSync(RELEASE_STATS_HISTORY_FILE)) {
+    if (fs.existsSync(ctx.releaseHistoryFile)) {
       try {
-        const history = JSON.parse(fs.readFileSync(RELEASE_STATS_HISTORY_FILE, 'utf-8'));
+        const history = JSON.parse(fs.readFileSync(ctx.releaseHistoryFile, 'utf-8'));
         const historyTypeCounts = {};
         for (const entry of history) {
           const tsMatch = (entry.timeServed || '').match(/(\d+)d(\d+)h(\d+)m/);
@@ -1883,66 +1784,44 @@ const avgStayDays = stayCount > 0 ? Math.round((totalStayHours / stayCount) / 24
     let longestInmate = null;
     let longestDays = 0;
 
-    // Get current population from roster file
-    let currentPopulation = 0;
-    const rosterFile = path.join(STORAGE_DIR, 'prev_roster.txt');
+    // Population as observed by the runs; the roster file covers the time before the first snapshot
+    const population = summarizePopulation(readPopulation(ctx.storageDir), { now: nowStats });
+    let currentPopulation = population.latest ? population.latest.total : 0;
+    const rosterFile = path.join(ctx.storageDir, 'prev_roster.txt');
     if (fs.existsSync(rosterFile)) {
       const content = fs.readFileSync(rosterFile, 'utf-8');
-      const bookingMatches = content.match(/Booking #:/g);
-      currentPopulation = bookingMatches ? bookingMatches.length : 0;
+      if (!population.latest) {
+        const bookingMatches = content.match(/Booking #:/g);
+        currentPopulation = bookingMatches ? bookingMatches.length : 0;
+      }
 
       // Also find longest-serving current inmate
-      const currentBookings = extractBookings(content);
+      const currentBookings = ctx.source.parseRoster(content);
       for (const [, booking] of currentBookings.entries()) {
-        if (booking.bookDate && booking.bookDate !== 'Unknown') {
-          const parts = booking.bookDate.split(' ');
-          if (parts.length === 2) {
-            const [datePart, timePart] = parts;
-            const [bm, bd, by] = datePart.split('/');
-            const [bh, bmin, bs] = timePart.split(':');
-            const byr = by.length === 2 ? 2000 + parseInt(by) : parseInt(by);
-            const bookDate = new Date(byr, parseInt(bm)-1, parseInt(bd), parseInt(bh), parseInt(bmin), parseInt(bs));
-            const daysIn = (nowStats - bookDate) / (1000 * 60 * 60 * 24);
-            if (daysIn > longestDays) {
-              longestDays = daysIn;
-              longestInmate = { name: booking.name, days: Math.floor(daysIn), bookDate: booking.bookDate };
-            }
+        const bookDate = parseBookingDate(booking.bookDate);
+        if (bookDate) {
+          const daysIn = (nowStats - bookDate) / (1000 * 60 * 60 * 24);
+          if (daysIn > longestDays) {
+            longestDays = daysIn;
+            longestInmate = { name: booking.name, days: Math.floor(daysIn), bookDate: booking.bookDate };
           }
         }
       }
     }
     
-    // Average daily population from event timeline
-    let avgPopulation = 0;
-    if (popEvents.length > 0) {
-      popEvents.sort((a, b) => a.ts - b.ts);
-      // Estimate starting population: current minus net change logged
-      const netChange = totalBookings - totalReleases;
-      let pop = Math.max(0, currentPopulation - netChange);
-      const dailyPops = {};
-      for (const ev of popEvents) {
-        pop = Math.max(0, pop + ev.delta);
-        dailyPops[ev.ts.toDateString()] = pop;
-      }
-      const pops = Object.values(dailyPops);
-      if (pops.length > 0) {
-        avgPopulation = Math.round(pops.reduce((a, b) => a + b, 0) / pops.length);
-      }
-    }
-
     // Prepare time series data (last 30 days)
     const last30Days = [];
-    const today = new Date();
     
     for (let i = 29; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+      // Noon, so the day is never shifted by a DST change
+      const date = jailTimeToDate(nowParts.year, nowParts.month, nowParts.day - i, 12);
+      const dayKey = jailDayKey(date);
+      const dateStr = date.toLocaleDateString('en-US', { timeZone: JAIL_TIME_ZONE, month: 'short', day: 'numeric' });
       
       // Count bookings for this day
       const dayBookings = bookingDates.filter(bookingDate => {
         if (!bookingDate || isNaN(bookingDate.getTime())) return false;
-        return bookingDate.toDateString() === date.toDateString();
+        return jailDayKey(bookingDate) === dayKey;
       }).length;
       
       last30Days.push({ date: dateStr, count: dayBookings });
@@ -1952,16 +1831,20 @@ const avgStayDays = stayCount > 0 ? Math.round((totalStayHours / stayCount) / 24
       totalBookings,
       totalReleases,
       currentPopulation,
-      avgPopulation,
+      avgPopulation: population.avgDaily,
+      population,
       commonCharges,
       bookingsByDay,
       avgStayDays,
       releaseTypes: finalReleaseTypes,
       timeSeriesData: last30Days,
-      dataCollectionStart: dataCollectionStart ? dataCollectionStart.toLocaleDateString('en-US') : null,
+      dataCollectionStart: dataCollectionStart ? dataCollectionStart.toLocaleDateString('en-US', { timeZone: JAIL_TIME_ZONE }) : null,
       daysOfData,
       totalBailThisMonth,
       avgBailByCharge,
+      chargesByCourt,
+      chargesByLevel,
+      amendments,
       avgTimeServedMins,
       minTimeServedMins,
       maxTimeServedMins,
@@ -1969,7 +1852,7 @@ const avgStayDays = stayCount > 0 ? Math.round((totalStayHours / stayCount) / 24
       longestCurrentMins: longestInmate ? Math.round(longestDays * 24 * 60) : 0,
     };
     
-    res.send(getStatsHTML(stats));
+    res.send(getStatsHTML(stats, ctx));
     
   } catch (error) {
     console.error('Stats error:', error);
@@ -2026,7 +1909,257 @@ const RELEASE_TYPE_NAMES = {
   SRRPR: 'Sheriff Release Record — Personal Recognizance',
 };
 
-function getStatsHTML(stats) {
+const COURT_NAMES = {
+  SUPR: 'Superior Court',
+  DIST: 'District Court',
+  MUNI: 'Municipal Court',
+  DOC:  'Department of Corrections',
+};
+
+const AMENDMENT_NAMES = {
+  CHARGE_ADDED:     'Charge added',
+  CHARGE_REMOVED:   'Charge removed',
+  REL_DATE_SET:     'Release date set',
+  REL_DATE_CLEARED: 'Release date cleared',
+};
+
+function chargeHTML(c) {
+  const meta = [c.statute ? 'RCW ' + c.statute : '', c.court, c.offenseClass].filter(Boolean).join(' · ');
+  return escapeHtml(c.offense) + (meta ? ' <span class="charge-meta">' + escapeHtml(meta) + '</span>' : '');
+}
+
+// What one timeline event says, besides its label
+function bookingEventDetail(e) {
+  if (e.charge) return chargeHTML(e.charge);
+  if (e.relDate) return escapeHtml(e.relDate);
+  if (e.type === 'BOOKED') return 'Booked ' + escapeHtml(e.bookDate) + ((e.charges || []).length > 0 ? '<br>' + e.charges.map(chargeHTML).join('<br>') : '');
+  return escapeHtml([
+    e.releaseDate ? 'Released ' + e.releaseDate : '',
+    e.releaseType ? 'Type ' + e.releaseType : '',
+    e.bail ? 'Bail ' + e.bail : '',
+    e.timeServed ? 'Served ' + e.timeServed : ''
+  ].filter(Boolean).join(' · '));
+}
+
+function getBookingHTML(b, ctx, error) {
+  // Values are text unless passed to htmlRow
+  const htmlRow = (label, html) => '<tr><th>' + label + '</th><td>' + (html || '—') + '</td></tr>';
+  const row = (label, value) => htmlRow(label, escapeHtml(value));
+  const detected = iso => iso ? formatJailDate(new Date(iso)) : '';
+  let body;
+
+  if (!b) {
+    body = '<p class="no-data">' + escapeHtml(error) + '</p>';
+  } else {
+    const timeline = b.timeline.length > 0
+      ? b.timeline.map(e =>
+        '<div class="timeline-row">' +
+        '<span class="timeline-time">' + (e.detectedAt ? detected(e.detectedAt) : (e.timestamp ? formatJailDate(new Date(e.timestamp)) : '')) + '</span>' +
+        '<span class="timeline-label">' + escapeHtml(e.label) + '</span>' +
+        '<div class="timeline-detail">' + bookingEventDetail(e) + '</div>' +
+        '</div>').join('')
+      : '<p class="no-changes">No events logged for this booking yet.</p>';
+
+    let release;
+    if (b.release) {
+      release = '<table>' +
+        row('Released', b.release.releaseDate) +
+        row('Detected', detected(b.release.detectedAt)) +
+        row('Details from', b.release.releaseSource === 'release-stats' ? 'Release stats PDF' : 'Roster change (time of detection)') +
+        row('Release type', b.release.releaseType) +
+        row('Bail', b.release.bail) +
+        '</table>';
+    } else {
+      release = '<p class="no-changes">' + (b.inCustody ? 'Still on the roster.' : 'No release logged.') + '</p>';
+    }
+
+    let stats = '<p class="no-changes">No release stats record matched.</p>';
+    if (b.releaseStats) {
+      const s = b.releaseStats;
+      const diff = s.differenceMins === null ? ''
+        : s.differenceMins === 0 ? 'same' : formatMinutes(Math.abs(s.differenceMins)) + (s.differenceMins > 0 ? ' longer than the PDF' : ' shorter than the PDF');
+      stats = '<table>' +
+        row('Name in PDF', s.name) +
+        row('Released', s.releaseDateTime) +
+        row('Release type', s.releaseType) +
+        row('Bail', s.bail) +
+        row('Time served (PDF)', s.timeServedPdf) +
+        row('Time served (book to release)', s.timeServedComputed) +
+        row('Difference', diff) +
+        '</table>';
+    }
+    if (b.ambiguousRelease) {
+      stats += '<p class="warning">Matched more than one release stats record: ' +
+        escapeHtml(b.ambiguousRelease.map(c => c.name + ' (' + c.releaseDateTime + ')').join(', ')) + '</p>';
+    }
+
+    const pending = b.pendingRelease
+      ? '<p>Waiting for release stats details since ' + detected(b.pendingRelease.detectedAt) + '.</p>'
+      : '<p class="no-changes">Not waiting for release stats details.</p>';
+
+    body = '<div class="entry"><div class="entry-header">Booking</div><table>' +
+      row('Booking #', b.bookingNumber) +
+      row('Name Number', b.nameNumber) +
+      row('Booked', b.bookDate) +
+      row('First seen', b.firstSeen ? detected(b.firstSeen.detectedAt) : '') +
+      row('Status', b.inCustody ? 'In custody' : (b.release ? 'Released' : 'Not on the last roster')) +
+      htmlRow('Charges', b.charges.map(chargeHTML).join('<br>')) +
+      '</table></div>' +
+      '<div class="entry"><div class="entry-header">Timeline</div>' + timeline + '</div>' +
+      '<div class="entry"><div class="entry-header">Release</div>' + release + '</div>' +
+      '<div class="entry"><div class="entry-header">Release Stats Record</div>' + stats + '</div>' +
+      '<div class="entry"><div class="entry-header">Pending Release</div>' + pending + '</div>';
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${b ? escapeHtml(b.name + ' - Booking ' + b.bookingNumber) : 'Booking Not Found'} - ${ctx.source.name} Jail Roster Monitor</title>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <link rel="preconnect" href="https://fonts.googleapis.com">
+  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+  <link href="https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,400;0,600;0,700;1,400&family=Inter:wght@400;500;600&display=swap" rel="stylesheet">
+  <style>
+    @font-face { font-family: 'Fake Receipt'; src: url('/fonts/FakeReceipt.otf') format('opentype'); font-weight: normal; font-style: normal; }
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: 'Inter', Arial, sans-serif; font-size: 8pt; background: #152220; color: #C4D8E6; min-height: 100vh; padding: 2rem; }
+    .container { max-width: 800px; margin: 0 auto; }
+    h1 { font-family: 'Fake Receipt', 'Courier New', monospace; font-size: 2rem; margin-bottom: 0.5rem; color: #F5F0E8; word-break: break-word; font-weight: normal; }
+    .subtitle { color: #6A8A96; margin-bottom: 1.5rem; }
+    .nav-buttons { display: flex; gap: 0.75rem; margin-bottom: 1.5rem; }
+    .nav-btn { flex: 1; padding: 0.65rem 1rem; background: #1A3035; color: #C4D8E6; text-align: center; border-radius: 8px; text-decoration: none; font-weight: 600; font-size: 9pt; transition: background 0.15s; }
+    .nav-btn:hover { background: #1D4A5C; color: #F5F0E8; }
+    .entry { background: #1A3035; border-radius: 12px; padding: 1rem; margin-bottom: 1rem; }
+    .entry-header { font-family: 'Playfair Display', Georgia, serif; font-weight: 600; font-size: 11pt; margin-bottom: 0.75rem; color: #C4D8E6; border-bottom: 1px solid #1E3840; padding-bottom: 0.5rem; }
+    table { width: 100%; border-collapse: collapse; }
+    th { text-align: left; color: #6A8A96; font-weight: 500; width: 35%; padding: 0.3rem 0; vertical-align: top; }
+    td { color: #A8C4D0; padding: 0.3rem 0; line-height: 1.5; }
+    tr { border-bottom: 1px solid #1E3840; }
+    tr:last-child { border-bottom: none; }
+    .timeline-row { display: flex; flex-wrap: wrap; gap: 0.5rem; padding: 0.4rem 0; border-bottom: 1px solid #1E3840; }
+    .timeline-row:last-child { border-bottom: none; }
+    .timeline-time { color: #6A8A96; font-size: 7pt; white-space: nowrap; min-width: 8rem; }
+    .timeline-label { color: #4B8FA8; font-weight: 600; }
+    .timeline-detail { flex-basis: 100%; padding-left: 8.5rem; color: #A8C4D0; line-height: 1.5; }
+    .charge-meta { color: #6A8A96; font-size: 6.5pt; }
+    .no-changes { color: #6A8A96; font-style: italic; }
+    .warning { color: #E0B050; margin-top: 0.5rem; }
+    .no-data { color: #6A8A96; text-align: center; padding: 3rem; }
+    a { color: #4B8FA8; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${b ? escapeHtml(b.name) : 'Booking Not Found'}</h1>
+    <p class="subtitle">${b ? 'Booking #' + escapeHtml(b.bookingNumber) + ' · everything the monitor has seen of this booking · <a href="' + ctx.base + '/api/bookings/' + encodeURIComponent(b.bookingNumber) + '">JSON</a>' : ''}</p>
+    <div class="nav-buttons">
+      <a href="${ctx.base}/api/history" class="nav-btn">← Booked and Released Log</a>
+      <a href="${ctx.base}/api/status" class="nav-btn">Main Page</a>
+    </div>
+    ${body}
+  </div>
+</body>
+</html>`;
+}
+
+// Search box for the history and stats pages
+function searchFormHTML(ctx, q = '') {
+  return '<form class="search-form" action="' + ctx.base + '/api/search" method="get">' +
+    '<input type="hidden" name="format" value="html">' +
+    '<input type="search" name="q" value="' + escapeHtml(q) + '" placeholder="Search names, charges or statutes (e.g. SMITH, JOHN · theft · 9A.56)">' +
+    '<button type="submit">Search</button>' +
+    '</form>';
+}
+
+const SEARCH_FORM_CSS = `
+    .search-form { display: flex; gap: 0.5rem; margin-bottom: 1.5rem; }
+    .search-form input[type=search] { flex: 1; padding: 0.6rem 0.8rem; background: #0E1C1A; color: #F5F0E8; border: 1px solid #1E3840; border-radius: 8px; font-family: 'Inter', Arial, sans-serif; font-size: 9pt; }
+    .search-form button { padding: 0.6rem 1.2rem; background: #1D4A5C; color: #F5F0E8; border: none; border-radius: 8px; font-weight: 600; font-size: 9pt; cursor: pointer; }
+    .search-form button:hover { background: #4B8FA8; }`;
+
+function getSearchHTML(q, found, ctx, error) {
+  let body;
+  if (error) {
+    body = '<p class="no-data">' + escapeHtml(error) + '</p>';
+  } else if (found.results.length === 0) {
+    body = '<p class="no-data">Nothing matched.</p>';
+  } else {
+    body = '<div class="entry"><div class="entry-header">' + found.total + ' match' + (found.total === 1 ? '' : 'es') +
+      (found.total > found.results.length ? ' (best ' + found.results.length + ' shown)' : '') + '</div>' +
+      found.results.map(r => {
+        const name = r.bookingUrl
+          ? '<a href="' + escapeHtml(r.bookingUrl) + '?format=html">' + escapeHtml(r.name) + '</a>'
+          : escapeHtml(r.name);
+        const dates = escapeHtml([
+          r.bookDate ? 'Booked ' + r.bookDate : '',
+          r.releaseDate && r.releaseDate !== 'Not Released' ? 'Released ' + r.releaseDate + (r.releaseType ? ' (' + r.releaseType + ')' : '') : ''
+        ].filter(Boolean).join(' · '));
+        const events = r.eventIds.length + ' event' + (r.eventIds.length === 1 ? '' : 's');
+        const meta = [
+          r.kind === 'release' ? 'Release stats record only' : (r.bookingNumber ? 'Booking #' + escapeHtml(r.bookingNumber) : 'Booking # not logged'),
+          r.otherNames.length > 0 ? 'Also listed as ' + escapeHtml(r.otherNames.join(', ')) : '',
+          'Matched ' + r.matched.join(', '),
+          r.eventIds.length > 0 ? (r.eventsUrl ? '<a href="' + escapeHtml(r.eventsUrl) + '">' + events + '</a>' : events) : ''
+        ].filter(Boolean).join(' · ');
+        return '<div class="result-row">' +
+          '<div><span class="inmate-name">' + name + '</span><span class="inmate-time">' + dates + '</span></div>' +
+          (r.charges.length > 0 ? '<div class="inmate-charges">' + r.charges.map(chargeHTML).join('<br>') + '</div>' : '') +
+          '<div class="inmate-extra">' + meta + '</div>' +
+          '</div>';
+      }).join('') + '</div>';
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>Search${q ? ': ' + escapeHtml(q) : ''} - ${ctx.source.name} Jail Roster Monitor</title>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <link rel="preconnect" href="https://fonts.googleapis.com">
+  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+  <link href="https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,400;0,600;0,700;1,400&family=Inter:wght@400;500;600&display=swap" rel="stylesheet">
+  <style>
+    @font-face { font-family: 'Fake Receipt'; src: url('/fonts/FakeReceipt.otf') format('opentype'); font-weight: normal; font-style: normal; }
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: 'Inter', Arial, sans-serif; font-size: 8pt; background: #152220; color: #C4D8E6; min-height: 100vh; padding: 2rem; }
+    .container { max-width: 800px; margin: 0 auto; }
+    h1 { font-family: 'Playfair Display', Georgia, serif; font-size: 2.5rem; margin-bottom: 0.5rem; color: #F5F0E8; letter-spacing: -0.5px; font-weight: 700; }
+    .subtitle { color: #6A8A96; margin-bottom: 1.5rem; }
+    .nav-buttons { display: flex; gap: 0.75rem; margin-bottom: 1.5rem; }
+    .nav-btn { flex: 1; padding: 0.65rem 1rem; background: #1A3035; color: #C4D8E6; text-align: center; border-radius: 8px; text-decoration: none; font-weight: 600; font-size: 9pt; transition: background 0.15s; }
+    .nav-btn:hover { background: #1D4A5C; color: #F5F0E8; }${SEARCH_FORM_CSS}
+    .entry { background: #1A3035; border-radius: 12px; padding: 1rem; margin-bottom: 1rem; }
+    .entry-header { font-family: 'Playfair Display', Georgia, serif; font-weight: 600; font-size: 11pt; margin-bottom: 0.75rem; color: #C4D8E6; border-bottom: 1px solid #1E3840; padding-bottom: 0.5rem; }
+    .result-row { padding: 0.5rem 0; border-bottom: 1px solid #1E3840; }
+    .result-row:last-child { border-bottom: none; }
+    .result-row > div:first-child { display: flex; align-items: baseline; gap: 0.5rem; }
+    .inmate-name { font-family: 'Fake Receipt', 'Courier New', monospace; color: #F5F0E8; flex: 1; }
+    .inmate-name a { color: #F5F0E8; }
+    .inmate-time { color: #6A8A96; font-size: 7pt; white-space: nowrap; }
+    .inmate-charges { color: #A8C4D0; line-height: 1.5; margin-top: 0.2rem; }
+    .charge-meta { color: #6A8A96; font-size: 6.5pt; }
+    .inmate-extra { color: #6A8A96; margin-top: 0.2rem; }
+    .no-data { color: #6A8A96; text-align: center; padding: 3rem; }
+    a { color: #4B8FA8; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Search</h1>
+    <p class="subtitle">Every booking and release stats record, by name, charge or statute; names match with one typo or a missing initial</p>
+    <div class="nav-buttons">
+      <a href="${ctx.base}/api/history" class="nav-btn">← Booked and Released Log</a>
+      <a href="${ctx.base}/api/stats" class="nav-btn">Statistics Dashboard →</a>
+    </div>
+    ${searchFormHTML(ctx, q)}
+    ${body}
+  </div>
+</body>
+</html>`;
+}
+
+function getStatsHTML(stats, ctx) {
   const maxCharge = Math.max(...stats.commonCharges.map(c => c.count), 1);
   const maxDay = Math.max(...Object.values(stats.bookingsByDay), 1);
 
@@ -2047,7 +2180,7 @@ function getStatsHTML(stats) {
   return `<!DOCTYPE html>
 <html>
 <head>
-  <title>Statistics Dashboard - Mason County Jail</title>
+  <title>Statistics Dashboard - ${ctx.source.name} Jail</title>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1">
   <link rel="preconnect" href="https://fonts.googleapis.com">
@@ -2226,13 +2359,23 @@ function getStatsHTML(stats) {
     .time-bar:hover {
       background: linear-gradient(180deg, #4B8FA8, #C4D8E6);
     }
+    .time-bar.gap {
+      height: 100%;
+      background: repeating-linear-gradient(135deg, #1A3035 0 4px, transparent 4px 8px);
+    }
+    .chart-note {
+      color: #6A8A96;
+      font-size: 0.75rem;
+      margin-top: 0.5rem;
+    }${SEARCH_FORM_CSS}
   </style>
 </head>
 <body>
   <div class="container">
-    <a href="/api/status" class="back-link">← Back to Status</a>
+    <a href="${ctx.base}/api/status" class="back-link">← Back to Status</a>
     <h1>Statistics Dashboard</h1>
-    <p class="subtitle">Data from the Mason County Jail Roster</p>
+    <p class="subtitle">Data from the ${ctx.source.name} Jail Roster</p>
+    ${searchFormHTML(ctx)}
     
     <div class="stats-grid">
       <div class="stat-card">
@@ -2248,8 +2391,8 @@ function getStatsHTML(stats) {
         <div class="stat-label">Current Population</div>
       </div>
       <div class="stat-card blue">
-        <div class="stat-value">${stats.avgPopulation}</div>
-        <div class="stat-label">Avg Daily Population</div>
+        <div class="stat-value">${stats.avgPopulation ?? '—'}</div>
+        <div class="stat-label">Avg Daily Population${stats.population.observedDays > 0 ? ` (${stats.population.observedDays} days observed)` : ''}</div>
       </div>
     </div>
 
@@ -2264,6 +2407,51 @@ function getStatsHTML(stats) {
       </div>
     </div>
     
+    <div class="chart-container">
+      <div class="chart-title">Population Over Last 30 Days</div>
+      <div class="time-series">
+        ${stats.population.daily.map(d => {
+          if (d.gap) return `<div class="time-bar gap" title="${d.day}: no snapshots, the monitor was down"></div>`;
+          const maxPop = Math.max(...stats.population.daily.map(x => x.max || 0), 1);
+          const height = d.avg === null ? 0 : (d.avg / maxPop) * 100;
+          return `<div class="time-bar" style="height: ${height}%" title="${d.day}: ${d.avg === null ? 'before monitoring started' : `avg ${d.avg} (${d.min}–${d.max}, ${d.samples} runs)`}"></div>`;
+        }).join('')}
+      </div>
+      <p class="chart-note">Daily average of the headcounts seen by each run. Hatched days had no runs.</p>
+    </div>
+
+    ${stats.population.latest ? `
+    <div class="chart-container">
+      <div class="chart-title">Current Population by Court</div>
+      <div class="release-types">
+        ${Object.entries(stats.population.latest.byCourt)
+          .sort((a, b) => b[1] - a[1])
+          .map(([court, count]) => `
+          <div class="release-type">
+            <div class="release-type-count">${count}</div>
+            <div style="font-size: 1rem; font-weight: bold; color: #C8C87A; margin: 0.25rem 0;">${court === 'none' ? '—' : court}</div>
+            <div class="release-type-label">${court === 'none' ? 'No charges listed' : COURT_NAMES[court] || court}</div>
+          </div>
+        `).join('')}
+      </div>
+      <p class="chart-note">People with charges in more than one court count in each.</p>
+    </div>
+
+    <div class="chart-container">
+      <div class="chart-title">Current Population by Time in Custody</div>
+      <div class="release-types">
+        ${[...CUSTODY_BUCKETS.map(([bucket]) => bucket), 'unknown']
+          .filter(bucket => stats.population.latest.byDaysInCustody[bucket])
+          .map(bucket => `
+          <div class="release-type">
+            <div class="release-type-count">${stats.population.latest.byDaysInCustody[bucket]}</div>
+            <div class="release-type-label">${bucket === 'unknown' ? 'No booking date' : bucket + ' days'}</div>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+    ` : ''}
+
     <div class="chart-container">
       <div class="chart-title">Most Common Charges</div>
       <div class="bar-chart">
@@ -2279,6 +2467,46 @@ function getStatsHTML(stats) {
       </div>
     </div>
     
+    ${Object.keys(stats.chargesByCourt).length > 0 ? `
+    <div class="chart-container">
+      <div class="chart-title">Charges by Court and Offense Class</div>
+      <div class="release-types">
+        ${Object.entries(stats.chargesByCourt)
+          .sort((a, b) => b[1] - a[1])
+          .map(([court, count]) => `
+          <div class="release-type">
+            <div class="release-type-count">${count}</div>
+            <div style="font-size: 1rem; font-weight: bold; color: #C8C87A; margin: 0.25rem 0;">${court}</div>
+            <div class="release-type-label">${COURT_NAMES[court] || court}</div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="release-types">
+        ${Object.entries(stats.chargesByLevel)
+          .sort((a, b) => b[1] - a[1])
+          .map(([level, count]) => `
+          <div class="release-type">
+            <div class="release-type-count">${count}</div>
+            <div class="release-type-label">${level}</div>
+          </div>
+        `).join('')}
+      </div>
+    </div>` : ''}
+
+    ${Object.values(stats.amendments || {}).some(n => n > 0) ? `
+    <div class="chart-container">
+      <div class="chart-title">Changes to Bookings Still in Custody</div>
+      <div class="release-types">
+        ${Object.entries(stats.amendments)
+          .map(([type, count]) => `
+          <div class="release-type">
+            <div class="release-type-count">${count}</div>
+            <div class="release-type-label">${AMENDMENT_NAMES[type] || type}</div>
+          </div>
+        `).join('')}
+      </div>
+    </div>` : ''}
+
     <div class="chart-container">
       <div class="chart-title">Bookings by Day of Week</div>
       <div class="day-chart">
@@ -2357,41 +2585,57 @@ function getStatsHTML(stats) {
 }
 
 // ── DEEP STATS (unlisted admin page) ─────────────────────────────────────────
-app.get('/api/deepstats', async (req, res) => {
+router.get('/api/deepstats', async (req, res) => {
+  const ctx = req.ctx;
   try {
-    const logFile = path.join(STORAGE_DIR, 'change_log.txt');
-
     // Load history
     let history = [];
-    if (fs.existsSync(RELEASE_STATS_HISTORY_FILE)) {
-      try { history = JSON.parse(fs.readFileSync(RELEASE_STATS_HISTORY_FILE, 'utf-8')); } catch (e) {}
-    }
-
-    // Build name→charges and booked-names list from change log
-    const nameToCharges = new Map();
-    const bookedNamesList = [];
-    if (fs.existsSync(logFile)) {
-      for (const line of fs.readFileSync(logFile, 'utf-8').split('\n')) {
-        if (line.startsWith('BOOKED |')) {
-          const nm = line.match(/BOOKED \| ([^|]+) \|/);
-          const ch = line.match(/Charges:\s+(.+)/);
-          if (nm) {
-            const name = nm[1].trim();
-            bookedNamesList.push(name);
-            if (ch && !nameToCharges.has(name)) {
-              const charges = ch[1].split(',').map(c => normalizeCharge(c.trim())).filter(c => c && c !== 'None listed');
-              if (charges.length) nameToCharges.set(name, charges);
-            }
-          }
+    if (fs.existsSync(ctx.releaseHistoryFile)) {
+      try { history = JSON.parse(fs.readFileSync(ctx.releaseHistoryFile, 'utf-8')); } catch (e) {}
+    }
+
+    // Build person→charges and booked-people list from the event store.
+    // People are keyed by Name Number; name is only the fallback.
+    const events = readEvents(ctx.storageDir, { types: ['BOOKED', 'RELEASED'] });
+    const people = createPersonResolver();
+    for (const e of events) people.learn(e.name, e.nameNumber);
+    for (const e of history) people.learn(e.name, e.nameNumber);
+
+    const nameToCharges = new Map(); // person key → charges
+    const displayNames = new Map();  // person key → latest name seen
+    const bookedPeopleList = [];
+    for (const e of events) {
+      // Purged bookings still count in the totals but belong to no one
+      if (e.type === 'BOOKED' && e.name && !isRedacted(e)) {
+        const person = people.keyFor(e);
+        bookedPeopleList.push(person);
+        displayNames.set(person, e.name);
+        if (!nameToCharges.has(person)) {
+          const charges = e.charges.map(c => normalizeCharge(c.offense)).filter(Boolean);
+          if (charges.length) nameToCharges.set(person, charges);
         }
       }
     }
 
+    // A release's charges are those of the stay it closed: found by booking
+    // number once linked, else by the release the stay was matched to
+    const staysByRelease = new Map();
+    for (const stay of Object.values(readStays(ctx.storageDir, { releaseHistoryFile: ctx.releaseHistoryFile }).stays)) {
+      if (stay.bookingId) staysByRelease.set('id:' + stay.bookingId, stay);
+      if (stay.releaseSource === 'release-stats' && !isRedacted(stay)) staysByRelease.set(nameMatchKey(stay.name) + '|' + stay.releaseDate, stay);
+    }
+    const chargesFor = e => {
+      const stay = (e.bookingId && staysByRelease.get('id:' + e.bookingId)) ||
+        staysByRelease.get(nameMatchKey(e.name) + '|' + e.releaseDateTime);
+      return stay ? stay.charges.map(c => normalizeCharge(c.offense)).filter(Boolean) : [];
+    };
+
     const now = new Date();
-    const todayStr = now.toDateString();
-    const weekAgo  = new Date(now); weekAgo.setDate(weekAgo.getDate() - 7);
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const yearStart  = new Date(now.getFullYear(), 0, 1);
+    const nowParts = getJailParts(now);
+    const todayStr = jailDayKey(now);
+    const weekAgo  = jailTimeToDate(nowParts.year, nowParts.month, nowParts.day - 7);
+    const monthStart = jailTimeToDate(nowParts.year, nowParts.month, 1);
+    const yearStart  = jailTimeToDate(nowParts.year, 1, 1);
 
     // ── Release type stats ────────────────────────────────────────────────────
     const rtStats = {}; // code → { count, totalMins, totalBail, bailCount }
@@ -2420,18 +2664,17 @@ app.get('/api/deepstats', async (req, res) => {
       let rd = null;
       if (e.releaseDateTime) {
         const [dp] = e.releaseDateTime.split(' ');
-        const [m, d, y] = dp.split('/');
-        rd = new Date(2000 + parseInt(y), parseInt(m)-1, parseInt(d));
+        rd = parseBookingDate(dp + ' 00:00:00');
       }
       if (bail > 0) {
         if (rd) {
-          if (rd.toDateString() === todayStr) bailToday += bail;
+          if (jailDayKey(rd) === todayStr) bailToday += bail;
           if (rd >= weekAgo)    bailWeek  += bail;
           if (rd >= monthStart) bailMonth += bail;
           if (rd >= yearStart)  bailYTD   += bail;
         }
         if (bail > maxBail) { maxBail = bail; maxBailEntry = e; }
-        bailLeaderboardRaw.push({ ...e, bailAmt: bail, charges: nameToCharges.get(e.name) || [] });
+        bailLeaderboardRaw.push({ ...e, bailAmt: bail, charges: chargesFor(e) });
       }
       if (normalizedType === 'BAIL') bailCount++;
       else if (normalizedType === 'PR') noBailCount++;
@@ -2442,7 +2685,7 @@ app.get('/api/deepstats', async (req, res) => {
     // ── Per-charge correlations ───────────────────────────────────────────────
     const bailByCharge = {}, timeByCharge = {}, rtByCharge = {};
     for (const e of history) {
-      const charges = nameToCharges.get(e.name) || [];
+      const charges = chargesFor(e);
       const bail = parseFloat((e.bail || '$0').replace(/[$,]/g, ''));
       const ts = (e.timeServed || '').match(/(\d+)d(\d+)h(\d+)m/);
       const mins = ts ? parseInt(ts[1])*1440 + parseInt(ts[2])*60 + parseInt(ts[3]) : 0;
@@ -2481,25 +2724,23 @@ app.get('/api/deepstats', async (req, res) => {
     }
 
     // ── Frequent flyers ───────────────────────────────────────────────────────
-    const nameCounts = {};
-    bookedNamesList.forEach(n => { nameCounts[n] = (nameCounts[n] || 0) + 1; });
-    const frequentFlyers = Object.entries(nameCounts)
+    const personCounts = {};
+    bookedPeopleList.forEach(p => { personCounts[p] = (personCounts[p] || 0) + 1; });
+    const frequentFlyers = Object.entries(personCounts)
       .filter(([, c]) => c > 1)
       .sort((a, b) => b[1] - a[1])
       .slice(0, 15)
-      .map(([name, count]) => ({ name, count, charges: nameToCharges.get(name) || [] }));
+      .map(([person, count]) => ({ name: displayNames.get(person), count, charges: nameToCharges.get(person) || [] }));
 
     // ── Busiest release day/time (from history PDF) ───────────────────────────
     const relDays  = { Sun:0, Mon:0, Tue:0, Wed:0, Thu:0, Fri:0, Sat:0 };
     const relHours = Array(24).fill(0);
     for (const e of history) {
-      const [dp, tp] = (e.releaseDateTime || '').split(' ');
-      if (dp && tp) {
-        const [m, d, y] = dp.split('/');
-        const dt = new Date(2000 + parseInt(y), parseInt(m)-1, parseInt(d));
-        relDays[['Sun','Mon','Tue','Wed','Thu','Fri','Sat'][dt.getDay()]]++;
-        const hr = parseInt(tp.split(':')[0]);
-        if (hr >= 0 && hr < 24) relHours[hr]++;
+      const dt = parseBookingDate(e.releaseDateTime);
+      if (dt) {
+        const { weekday, hour } = getJailParts(dt);
+        relDays[WEEKDAYS[weekday]]++;
+        relHours[hour]++;
       }
     }
 
@@ -2508,27 +2749,17 @@ app.get('/api/deepstats', async (req, res) => {
     const bookHours = Array(24).fill(0);
     let currentLongest = null, currentLongestDays = 0;
     try {
-      const pdfResp = await fetch(PDF_URL);
-      if (pdfResp.ok) {
-        const buf = Buffer.from(await pdfResp.arrayBuffer());
-        const parsed = await PDFParser(buf);
-        for (const [, b] of extractBookings(parsed.text).entries()) {
-          if (b.bookDate && b.bookDate !== 'Unknown') {
-            const [dp, tp] = b.bookDate.split(' ');
-            if (dp && tp) {
-              const [bm, bd, by] = dp.split('/');
-              const [bh, bmin] = tp.split(':');
-              const byr = by.length === 2 ? 2000 + parseInt(by) : parseInt(by);
-              const dt = new Date(byr, parseInt(bm)-1, parseInt(bd), parseInt(bh), parseInt(bmin));
-              bookDays[['Sun','Mon','Tue','Wed','Thu','Fri','Sat'][dt.getDay()]]++;
-              const hr = parseInt(bh);
-              if (hr >= 0 && hr < 24) bookHours[hr]++;
-              const daysIn = (now - dt) / 86400000;
-              if (daysIn > currentLongestDays) {
-                currentLongestDays = daysIn;
-                currentLongest = { name: b.name, days: Math.floor(daysIn), bookDate: b.bookDate, charges: b.charges };
-              }
-            }
+      const roster = await ctx.source.fetchRoster();
+      for (const [, b] of ctx.source.parseRoster(roster.text).entries()) {
+        const dt = parseBookingDate(b.bookDate);
+        if (dt) {
+          const { weekday, hour } = getJailParts(dt);
+          bookDays[WEEKDAYS[weekday]]++;
+          bookHours[hour]++;
+          const daysIn = (now - dt) / 86400000;
+          if (daysIn > currentLongestDays) {
+            currentLongestDays = daysIn;
+            currentLongest = { name: b.name, days: Math.floor(daysIn), bookDate: b.bookDate, charges: b.charges };
           }
         }
       }
@@ -2545,14 +2776,14 @@ app.get('/api/deepstats', async (req, res) => {
       frequentFlyers,
       relDays, relHours, bookDays, bookHours,
       currentLongest,
-    }));
+    }, ctx));
   } catch (err) {
     console.error('Deep stats error:', err);
     res.status(500).send('Error: ' + err.message + '\n\nStack: ' + err.stack);
   }
 });
 
-function getDeepStatsHTML(d) {
+function getDeepStatsHTML(d, ctx) {
   const total = d.history.length;
   const $ = n => '$' + (n||0).toLocaleString('en-US', {minimumFractionDigits:2, maximumFractionDigits:2});
   const pct = (n, of) => of > 0 ? ((n/of)*100).toFixed(1) + '%' : '—';
@@ -2611,7 +2842,7 @@ function getDeepStatsHTML(d) {
   return `<!DOCTYPE html>
 <html>
 <head>
-  <title>Deep Stats — Mason County Jail</title>
+  <title>Deep Stats — ${ctx.source.name} Jail</title>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width,initial-scale=1">
   <link rel="preconnect" href="https://fonts.googleapis.com">
@@ -2642,9 +2873,9 @@ function getDeepStatsHTML(d) {
 </head>
 <body>
 <div class="wrap">
-  <a href="/api/status" style="font-size:0.75rem;color:#4B8FA8;">← status</a>
+  <a href="${ctx.base}/api/status" style="font-size:0.75rem;color:#4B8FA8;">← status</a>
   <h1 style="margin-top:0.5rem;">Deep Analytics</h1>
-  <p class="subtitle">Mason County Jail · ${total} releases in history · Unlisted</p>
+  <p class="subtitle">${ctx.source.name} Jail · ${total} releases in history · Unlisted</p>
 
   <h2>Release Type Breakdown</h2>
   <table>
@@ -2657,7 +2888,7 @@ function getDeepStatsHTML(d) {
       <td>${r.avgTime}</td>
       <td>${r.avgBail}</td>
     </tr>`).join('')}
-    ${rtArr.length === 0 ? '<tr><td colspan="6" class="dim">No data yet — run /api/run first</td></tr>' : ''}
+    ${rtArr.length === 0 ? '<tr><td colspan="6" class="dim">No data yet — run ${ctx.base}/api/run first</td></tr>' : ''}
   </table>
 
   <h2>Bail Summary</h2>
@@ -2811,7 +3042,8 @@ function getDeepStatsHTML(d) {
 }
 
 // Admin page for merging old logs
-app.get('/api/admin/merge', (req, res) => {
+router.get('/api/admin/merge', (req, res) => {
+  const ctx = req.ctx;
   res.send(`<!DOCTYPE html>
 <html>
 <head>
@@ -2842,7 +3074,7 @@ app.get('/api/admin/merge', (req, res) => {
         return;
       }
       
-      const response = await fetch('/api/admin/merge-logs', {
+      const response = await fetch('${ctx.base}/api/admin/merge-logs', {
         method: 'POST',
         headers: { 'Content-Type': 'text/plain' },
         body: text
@@ -2853,7 +3085,7 @@ app.get('/api/admin/merge', (req, res) => {
       resultDiv.style.display = 'block';
       
       if (result.success) {
-        resultDiv.innerHTML = '✓ Success! Old logs merged. <a href="/api/stats" style="color: #6B7A2A;">View Stats Dashboard</a>';
+        resultDiv.innerHTML = '✓ ' + result.message + ' <a href="${ctx.base}/api/stats" style="color: #6B7A2A;">View Stats Dashboard</a>';
         document.getElementById('logText').value = '';
       } else {
         resultDiv.innerHTML = '✗ Error: ' + result.error;
@@ -2864,7 +3096,8 @@ app.get('/api/admin/merge', (req, res) => {
 </html>`);
 });
 
-app.post('/api/admin/merge-logs', (req, res) => {
+router.post('/api/admin/merge-logs', requireRunLock, (req, res) => {
+  const ctx = req.ctx;
   try {
     let body = '';
     
@@ -2873,12 +3106,22 @@ app.post('/api/admin/merge-logs', (req, res) => {
     });
     
     req.on('end', () => {
-      const logFile = path.join(STORAGE_DIR, 'change_log.txt');
-      
-      // Append old content to current log
-      fs.appendFileSync(logFile, '\n' + body);
-      
-      res.json({ success: true, message: 'Old logs merged successfully!' });
+      try {
+        // Import old log text the same way as the one-time migration
+        const { events, skipped } = parseChangeLog(body);
+        createBackup(ctx.storageDir, { reason: 'merge-logs' });
+        appendEvents(ctx.storageDir, events);
+        rebuildStays(ctx);
+
+        res.json({
+          success: true,
+          imported: events.length,
+          skipped: skipped.length,
+          message: `Merged ${events.length} entries` + (skipped.length ? `, skipped ${skipped.length} unreadable lines.` : '.')
+        });
+      } catch (error) {
+        res.json({ success: false, error: error.message });
+      }
     });
     
   } catch (error) {
@@ -2887,33 +3130,261 @@ app.post('/api/admin/merge-logs', (req, res) => {
 });
 
 // View full change log
-app.get('/api/admin/view-log', (req, res) => {
+router.get('/api/admin/view-log', (req, res) => {
+  const ctx = req.ctx;
   try {
-    const logFile = path.join(STORAGE_DIR, 'change_log.txt');
-    if (fs.existsSync(logFile)) {
-      const content = fs.readFileSync(logFile, 'utf-8');
+    const events = readEvents(ctx.storageDir);
+    if (events.length > 0) {
       res.setHeader('Content-Type', 'text/plain');
-      res.send(content);
+      res.send(formatEventLog(events));
     } else {
-      res.send('No log file found');
+      res.send('No log entries yet');
+    }
+  } catch (error) {
+    res.send('Error: ' + error.message);
+  }
+});
+
+// Backups of all state: list, take, download, and roll back to one
+router.get('/api/admin/backups', (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const now = Date.now();
+    const rows = listBackups(ctx.storageDir).map(b => {
+      const ageMins = Math.floor((now - Date.parse(b.createdAt)) / 60000);
+      return `<tr>
+        <td><a href="${ctx.base}/api/admin/backups/${b.name}">${b.name}</a></td>
+        <td>${formatJailDate(new Date(b.createdAt))}</td>
+        <td>${ageMins > 0 ? formatMinutes(ageMins) + ' ago' : 'just now'}</td>
+        <td>${(b.size / 1024).toFixed(1)} KB</td>
+        <td><button onclick="restore('${b.name}')">Restore</button></td>
+      </tr>`;
+    }).join('');
+
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>Backups</title>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: Arial; background: #070907; color: #C8C87A; padding: 2rem; }
+    .container { max-width: 900px; margin: 0 auto; }
+    a { color: #C8C87A; }
+    table { width: 100%; border-collapse: collapse; margin: 1rem 0; font-size: 10pt; }
+    th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #1E3522; }
+    button { background: #6B7A2A; color: #fff; border: none; padding: 0.5rem 1rem; cursor: pointer; border-radius: 8px; }
+    button:hover { background: #C8C87A; }
+    .result { margin-top: 1rem; padding: 1rem; background: #152B17; border-radius: 8px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Backups</h1>
+    <p>Each backup holds the change events, release history, pending releases, metrics and roster state.
+      The admin fixers take one before they rewrite anything, and a restore first backs up the state it replaces.</p>
+    <button onclick="createBackup()">Back up now</button>
+    <table>
+      <tr><th>Backup</th><th>Taken</th><th>Age</th><th>Size</th><th></th></tr>
+      ${rows || '<tr><td colspan="5">No backups yet</td></tr>'}
+    </table>
+    <h3>Restore from a downloaded backup</h3>
+    <input type="file" id="upload" accept=".gz">
+    <button onclick="upload()">Upload and Restore</button>
+    <div id="result" class="result" style="display:none;"></div>
+  </div>
+  <script>
+    function show(result) {
+      const resultDiv = document.getElementById('result');
+      resultDiv.style.display = 'block';
+      resultDiv.innerHTML = result.success ? '✓ ' + result.message + ' <a href="">Refresh</a>' : '✗ Error: ' + result.error;
+    }
+    async function createBackup() {
+      show(await (await fetch('${ctx.base}/api/admin/backups/create')).json());
+    }
+    async function restore(name) {
+      if (!confirm('Replace the current state with ' + name + '?')) return;
+      show(await (await fetch('${ctx.base}/api/admin/backups/' + name + '/restore')).json());
     }
+    async function upload() {
+      const file = document.getElementById('upload').files[0];
+      if (!file) {
+        alert('Choose a backup file first');
+        return;
+      }
+      if (!confirm('Replace the current state with ' + file.name + '?')) return;
+      const response = await fetch('${ctx.base}/api/admin/backups/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/gzip' },
+        body: file
+      });
+      show(await response.json());
+    }
+  </script>
+</body>
+</html>`);
   } catch (error) {
     res.send('Error: ' + error.message);
   }
 });
 
+router.get('/api/admin/backups/create', requireRunLock, (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const backup = createBackup(ctx.storageDir, { reason: 'manual' });
+    res.json({ success: true, backup, message: `Backed up ${backup.files.length} files as ${backup.name}.` });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.get('/api/admin/backups/:name', (req, res) => {
+  const ctx = req.ctx;
+  const file = backupPath(ctx.storageDir, req.params.name);
+  if (!file) {
+    return res.status(404).json({ success: false, error: 'No such backup' });
+  }
+  res.download(file, req.params.name);
+});
+
+// Restore replaces state wholesale, then re-pairs stays from the restored events
+function restoreFrom(ctx, buffer) {
+  const result = restoreBackup(ctx.storageDir, buffer);
+  rebuildStays(ctx);
+  return {
+    success: true,
+    ...result,
+    message: `Restored ${result.restored.length} files from the backup taken ${result.createdAt}. ` +
+      `The replaced state was backed up as ${result.safetyBackup}.`
+  };
+}
+
+router.get('/api/admin/backups/:name/restore', requireRunLock, (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const file = backupPath(ctx.storageDir, req.params.name);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'No such backup' });
+    }
+    res.json(restoreFrom(ctx, fs.readFileSync(file)));
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+const MAX_BACKUP_UPLOAD_BYTES = 200 * 1024 * 1024;
+router.post('/api/admin/backups/restore', requireRunLock, (req, res) => {
+  const ctx = req.ctx;
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size <= MAX_BACKUP_UPLOAD_BYTES) chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      if (size > MAX_BACKUP_UPLOAD_BYTES) {
+        return res.json({ success: false, error: 'Backup is larger than ' + MAX_BACKUP_UPLOAD_BYTES / 1024 / 1024 + ' MB' });
+      }
+      res.json(restoreFrom(ctx, Buffer.concat(chunks)));
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+});
+
+// Apply the personal data retention policy now (the scheduled purge calls this daily)
+function purgeMessage(report) {
+  const { removed } = report;
+  return `Removed names older than ${report.retentionDays} days: ${removed.events} events ` +
+    `(${removed.stays} stays), ${removed.releaseHistory} release records, ${removed.pendingReleases} pending releases, ` +
+    `${removed.debugRows} debug rows, ${removed.migratedLogLines} old log lines, ${removed.legacyCopies} old backup copies, ` +
+    `${removed.archivedDocuments} archived PDFs, ${removed.quarantineFiles} quarantine files, ${removed.rosterCopies} roster copies; ` +
+    `${report.backups} backups purged.`;
+}
+
+// The daily purge: the same run lock and fresh copy of the shared store the admin route gets from requireRunLock
+async function purgeSource(source) {
+  const ctx = storeContext(source);
+  const release = acquireRunLock(ctx.storageDir);
+  try {
+    return await withSharedState(ctx, async () => purgePersonalData(ctx.storageDir));
+  } finally {
+    release();
+  }
+}
+
+router.get('/api/admin/purge', requireRunLock, (req, res) => {
+  const ctx = req.ctx;
+  try {
+    const report = purgePersonalData(ctx.storageDir);
+    if (!report) {
+      return res.json({ success: false, error: 'Retention is off; set PERSONAL_DATA_RETENTION_DAYS to purge personal data' });
+    }
+    res.json({ success: true, report, message: purgeMessage(report) });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.get('/api/admin/purge/last', (req, res) => {
+  res.json({ retentionDays: defaultPersonalDataRetentionDays(), report: readPurgeReport(req.ctx.storageDir) });
+});
+
+// Mount the routes once per source: default at the root, others under /sources/:id
+// Pages read the local copy, refreshed first when another deployment changed the shared store.
+// A refresh is one read of the store's version unless it moved; requests arriving
+// meanwhile wait on the same refresh instead of starting their own.
+const refreshes = new Map();
+function withSource(source) {
+  const ctx = storeContext(source);
+  return (req, res, next) => {
+    req.ctx = ctx;
+    if (!refreshes.has(source.id)) {
+      refreshes.set(source.id, ctx.store.pull()
+        .catch(e => console.error(`Error reading shared storage for ${source.id}:`, e.message))
+        .finally(() => refreshes.delete(source.id)));
+    }
+    refreshes.get(source.id).then(() => next());
+  };
+}
+app.use('/sources/:sourceId', (req, res, next) => {
+  const source = getSource(req.params.sourceId);
+  if (!source || source.id === DEFAULT_SOURCE_ID) return res.status(404).send('Unknown roster source');
+  withSource(source)(req, res, next);
+}, router);
+app.use('/', withSource(getSource(DEFAULT_SOURCE_ID)), router);
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Visit: http://localhost:${PORT}`);
+  console.log(`Storage: ${storageKind() === 'kv' ? 'shared key-value store, local copy in ' + STORAGE_DIR : STORAGE_DIR}`);
 
-  // Auto-run roster check every 30 minutes
+  // Auto-run roster check every 30 minutes. Called in-process rather than through
+  // /api/run, so only these runs can be logged as "timer"
   const RUN_INTERVAL_MS = 30 * 60 * 1000;
   const autoRun = () => {
-    fetch(`http://localhost:${PORT}/api/run`)
-      .then(r => r.text())
-      .then(t => console.log(`[auto-run] ${new Date().toISOString()} — ${t.slice(0, 120)}`))
-      .catch(e => console.error(`[auto-run error] ${new Date().toISOString()} —`, e.message));
+    for (const source of listSources()) {
+      runIngestion(storeContext(source), { trigger: 'timer' })
+        .then(({ summary }) => console.log(`[auto-run:${source.id}] ${new Date().toISOString()} — ${summary.message}`))
+        .catch(e => console.error(`[auto-run error:${source.id}] ${new Date().toISOString()} —`, e.message));
+    }
   };
   setInterval(autoRun, RUN_INTERVAL_MS);
   console.log(`[auto-run] scheduled every 30 minutes`)
+
+  // Purge personal data past the retention window at startup, then once a day,
+  // so a server restarted more often than daily still purges
+  if (defaultPersonalDataRetentionDays() > 0) {
+    const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+    const autoPurge = () => {
+      for (const source of listSources()) {
+        purgeSource(source)
+          .then(report => console.log(`[purge:${source.id}] ${new Date().toISOString()} — ${purgeMessage(report)}`))
+          .catch(e => console.error(`[purge error:${source.id}] ${new Date().toISOString()} —`, e.message));
+      }
+    };
+    autoPurge();
+    setInterval(autoPurge, PURGE_INTERVAL_MS);
+    console.log(`[purge] personal data older than ${defaultPersonalDataRetentionDays()} days purged daily`);
+  }
 });
\ No newline at end of file
@@ -9,7 +9,10 @@ import {
   parseTimeServed,
   daysBetween,
   isMidnight,
-  formatDatePST
+  formatDatePST,
+  formatJailDate,
+  jailTimeToDate,
+  jailDayKey
 } from './utils.js';
 
 console.log('Testing parseBookingDate...\n');
@@ -64,4 +67,12 @@ console.log('✓ Current date:', formatDatePST(new Date()));
 console.log('✓ Specific date:', formatDatePST(parseBookingDate('01/18/26 14:30:00')));
 console.log('✗ Invalid date:', formatDatePST(null));
 
+
+console.log('\n---\nTesting jail time zone...\n');
+
+console.log('✓ Spring forward gap (→ 10:30Z):', jailTimeToDate(2026, 3, 8, 2, 30).toISOString());
+console.log('✓ Fall back, first 1:30 (→ 08:30Z):', jailTimeToDate(2026, 11, 1, 1, 30).toISOString());
+console.log('✓ Round trip:', formatJailDate(parseBookingDate('01/18/26 14:30:00')));
+console.log('✓ Day key at 07:30Z Mar 1:', jailDayKey(new Date('2026-03-01T07:30:00Z')));
+
 console.log('\n✅ All tests complete!');
@@ -0,0 +1,62 @@
+/**
+ * Tests for the raw document archive
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  objectPath,
+  archiveDocument,
+  readArchiveIndex,
+  summarizeArchive,
+  pruneArchive
+} from '../lib/archive.js';
+
+// Removed when the test ends
+function tempArchive(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-archive-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('archiveDocument stores each distinct document once and logs every fetch', (t) => {
+  const dir = tempArchive(t);
+  const a = archiveDocument(dir, { kind: 'roster', buffer: Buffer.from('A'), fetchedAt: new Date('2026-03-01T00:00:00Z') });
+  const again = archiveDocument(dir, { kind: 'roster', buffer: Buffer.from('A'), fetchedAt: new Date('2026-03-01T00:15:00Z') });
+  archiveDocument(dir, { kind: 'releases', buffer: Buffer.from('B'), fetchedAt: new Date('2026-03-01T00:15:00Z') });
+
+  assert.equal(a.isNew, true);
+  assert.equal(again.isNew, false);
+  assert.equal(fs.readFileSync(objectPath(dir, a.sha256), 'utf-8'), 'A');
+  assert.equal(readArchiveIndex(dir).length, 3);
+  assert.equal(readArchiveIndex(dir, { kind: 'roster' }).length, 2);
+
+  const [roster] = summarizeArchive(readArchiveIndex(dir, { kind: 'roster' }));
+  assert.equal(roster.fetchCount, 2);
+  assert.equal(roster.firstFetchedAt, '2026-03-01T00:00:00.000Z');
+  assert.equal(roster.lastFetchedAt, '2026-03-01T00:15:00.000Z');
+});
+
+test('pruneArchive drops expired fetches but keeps the latest document of each kind', (t) => {
+  const dir = tempArchive(t);
+  const old = archiveDocument(dir, { kind: 'roster', buffer: Buffer.from('old'), fetchedAt: new Date('2025-01-01T00:00:00Z') });
+  const lastRelease = archiveDocument(dir, { kind: 'releases', buffer: Buffer.from('rel'), fetchedAt: new Date('2025-01-01T00:00:00Z') });
+  const fresh = archiveDocument(dir, { kind: 'roster', buffer: Buffer.from('new'), fetchedAt: new Date('2026-03-01T00:00:00Z') });
+
+  const result = pruneArchive(dir, { retentionDays: 30, now: new Date('2026-03-02T00:00:00Z') });
+
+  assert.deepStrictEqual(result, { removedEntries: 1, removedObjects: 1 });
+  assert.equal(fs.existsSync(objectPath(dir, old.sha256)), false);
+  assert.equal(fs.existsSync(objectPath(dir, lastRelease.sha256)), true);
+  assert.equal(fs.existsSync(objectPath(dir, fresh.sha256)), true);
+  assert.deepStrictEqual(readArchiveIndex(dir).map(e => e.sha256), [lastRelease.sha256, fresh.sha256]);
+});
+
+test('objectPath rejects anything that is not a SHA-256 digest', () => {
+  assert.equal(objectPath('/x', '../../etc/passwd'), null);
+  assert.equal(objectPath('/x', 'abc'), null);
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for storage backups
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { createBackup, listBackups, backupPath, readBackup, restoreBackup } from '../lib/backup.js';
+
+// A storage dir with some state; removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-backup-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'events.jsonl'), '{"v":1,"id":1,"type":"BOOKED"}\n');
+  fs.writeFileSync(path.join(dir, 'pending_releases.json'), '[]');
+  fs.writeFileSync(path.join(dir, 'prev_hash.txt'), 'abc');
+  return dir;
+}
+
+// Rewrite one field of an archive, keeping it gzipped
+function tamper(buffer, edit) {
+  const archive = JSON.parse(zlib.gunzipSync(buffer).toString('utf-8'));
+  edit(archive);
+  return zlib.gzipSync(JSON.stringify(archive));
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+test('createBackup snapshots every state file and listBackups finds it', (t) => {
+  const dir = tempDir(t);
+  const backup = createBackup(dir, { reason: 'Fix releases', now: new Date('2026-03-01T10:00:00.000Z') });
+
+  assert.equal(backup.name, 'backup-2026-03-01T10-00-00-000Z-fix-releases.json.gz');
+  assert.deepStrictEqual(backup.files, ['events.jsonl', 'pending_releases.json', 'prev_hash.txt']);
+  assert.deepStrictEqual(listBackups(dir).map(b => [b.name, b.createdAt]), [[backup.name, '2026-03-01T10:00:00.000Z']]);
+  assert.ok(listBackups(dir)[0].size > 0);
+
+  assert.equal(backupPath(dir, '../events.jsonl'), null);
+  const { files } = readBackup(fs.readFileSync(backupPath(dir, backup.name)));
+  assert.equal(files['prev_hash.txt'].toString(), 'abc');
+});
+
+test('restoreBackup puts the old state back and keeps the state it replaced', (t) => {
+  const dir = tempDir(t);
+  const backup = createBackup(dir, { now: new Date('2026-03-01T10:00:00.000Z') });
+
+  fs.writeFileSync(path.join(dir, 'prev_hash.txt'), 'def');
+  fs.writeFileSync(path.join(dir, 'stays.json'), '{}');
+  const result = restoreBackup(dir, fs.readFileSync(backupPath(dir, backup.name)));
+
+  assert.equal(fs.readFileSync(path.join(dir, 'prev_hash.txt'), 'utf-8'), 'abc');
+  assert.deepStrictEqual(result.removed, ['stays.json'], 'no newer files left mixed in');
+  const safety = readBackup(fs.readFileSync(backupPath(dir, result.safetyBackup)));
+  assert.equal(safety.files['prev_hash.txt'].toString(), 'def');
+});
+
+test('readBackup refuses damaged or foreign archives before anything is touched', (t) => {
+  const dir = tempDir(t);
+  const buffer = fs.readFileSync(backupPath(dir, createBackup(dir).name));
+
+  assert.throws(() => readBackup(Buffer.from('not gzip')), /Not a backup archive/);
+  assert.throws(() => readBackup(zlib.gzipSync('{"hello":1}')), /Not a backup archive/);
+  assert.throws(() => readBackup(tamper(buffer, a => { a.v = 99; })), /newer than this build/);
+  assert.throws(() => readBackup(tamper(buffer, a => { a.files['prev_hash.txt'].data = Buffer.from('xyz').toString('base64'); })), /checksum/);
+  assert.throws(() => readBackup(tamper(buffer, a => { a.files['../../etc/passwd'] = a.files['prev_hash.txt']; })), /Unexpected file/);
+
+  const newer = Buffer.from('{"v":2,"id":1,"type":"BOOKED"}\n');
+  assert.throws(() => readBackup(tamper(buffer, a => {
+    a.files['events.jsonl'] = { sha256: sha256(newer), data: newer.toString('base64') };
+  })), /schema v2/);
+
+  assert.throws(() => restoreBackup(dir, Buffer.from('junk')));
+  assert.equal(fs.readFileSync(path.join(dir, 'prev_hash.txt'), 'utf-8'), 'abc');
+  assert.equal(listBackups(dir).length, 1, 'no safety backup for a rejected restore');
+});
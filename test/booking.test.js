@@ -0,0 +1,78 @@
+/**
+ * Tests for the booking detail (/api/bookings/:bookingNumber)
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import masonSource from '../lib/sources/mason.js';
+import { createEvent, appendEvents } from '../lib/events.js';
+import { bookingDetail } from '../lib/booking.js';
+
+const ROSTER = fs.readFileSync(new URL('./fixtures/roster.txt', import.meta.url), 'utf-8');
+const THEFT = { statute: '9A.56.050', offense: 'Theft 3', court: 'DIST', offenseClass: 'GM' };
+const DUI = { statute: '46.61.502', offense: 'DUI', court: 'DIST', offenseClass: 'GM' };
+
+// Removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-booking-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('a released booking shows its events, release and release stats record', (t) => {
+  const dir = tempDir(t);
+  const releaseHistoryFile = path.join(dir, 'release_stats_history.json');
+  appendEvents(dir, [
+    createEvent('BOOKED', { detectedAt: '2026-02-01T17:30:00.000Z', name: 'DOE, JOHN A', nameNumber: '1001', bookingId: '26-00412', bookDate: '02/01/26 09:00:00', charges: [THEFT] }),
+    createEvent('BOOKED', { detectedAt: '2026-02-01T17:30:00.000Z', name: 'SMITH, JANE', nameNumber: '1002', bookingId: '26-00413', bookDate: '02/01/26 08:00:00', charges: [DUI] }),
+    createEvent('CHARGE_ADDED', { detectedAt: '2026-02-02T18:00:00.000Z', name: 'DOE, JOHN A', nameNumber: '1001', bookingId: '26-00412', charge: DUI }),
+    createEvent('RELEASED', { detectedAt: '2026-02-05T18:05:00.000Z', name: 'DOE, JOHN A', nameNumber: '1001', bookingId: '26-00412', bookDate: '02/01/26 09:00:00', releaseDate: '02/05/26 10:00:00', bail: '$500.00', releaseType: 'RBB', timeServed: '4d1h0m', charges: [THEFT, DUI] })
+  ]);
+  fs.writeFileSync(releaseHistoryFile, JSON.stringify([
+    { name: 'DOE, JOHN A', releaseDateTime: '02/05/26 10:00:00', releaseType: 'RBB', bail: '$500.00', timeServed: '1d2h0m', nameNumber: '1001', bookingId: '26-00412' }
+  ]));
+
+  const b = bookingDetail(dir, '26-00412', { releaseHistoryFile });
+  assert.equal(b.name, 'DOE, JOHN A');
+  assert.equal(b.inCustody, false);
+  assert.deepStrictEqual(b.timeline.map(e => e.label), ['First seen on the roster', 'Charge added', 'Release detected']);
+  assert.equal(b.timeline[0].timestamp, '2026-02-01T17:00:00.000Z');
+  assert.deepStrictEqual(b.firstSeen, { detectedAt: '2026-02-01T17:30:00.000Z', bookDate: '02/01/26 09:00:00', charges: [THEFT] });
+  assert.deepStrictEqual(b.amendments.map(e => e.type), ['CHARGE_ADDED']);
+  assert.deepStrictEqual(b.charges, [THEFT, DUI]);
+  assert.deepStrictEqual(b.release, {
+    detectedAt: '2026-02-05T18:05:00.000Z', releaseDate: '02/05/26 10:00:00', releaseSource: 'release-stats', releaseType: 'RBB', bail: '$500.00'
+  });
+  // The PDF counts the current stint only; the stay runs from the book date
+  assert.equal(b.releaseStats.timeServedPdf, '1d2h0m');
+  assert.equal(b.releaseStats.timeServedComputed, '4d1h0m');
+  assert.equal(b.releaseStats.differenceMins, 3 * 1440 - 60);
+  assert.equal(b.pendingRelease, null);
+
+  assert.equal(bookingDetail(dir, '26-99999', { releaseHistoryFile }), null);
+});
+
+test('a booking on the roster shows it is in custody, and a waiting release shows as pending', (t) => {
+  const dir = tempDir(t);
+  const currentBookings = masonSource.parseRoster(ROSTER);
+  const garcia = currentBookings.get('26-00587');
+  fs.writeFileSync(path.join(dir, 'pending_releases.json'), JSON.stringify([
+    { name: garcia.name, bookingData: garcia, detectedAt: '2026-02-27T22:00:00.000Z' }
+  ]));
+
+  const doe = bookingDetail(dir, '26-00412', { currentBookings });
+  assert.equal(doe.inCustody, true);
+  assert.equal(doe.nameNumber, '104532');
+  assert.equal(doe.firstSeen, null, 'not logged yet');
+  assert.deepStrictEqual(doe.timeline, []);
+  assert.equal(doe.release, null);
+
+  const pending = bookingDetail(dir, '26-00587');
+  assert.equal(pending.inCustody, false);
+  assert.deepStrictEqual(pending.pendingRelease, { detectedAt: '2026-02-27T22:00:00.000Z', name: garcia.name });
+  assert.equal(pending.releaseStats, null);
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for the roster diff pipeline shared by /api/run and replay
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSnapshot } from '../lib/change-log.js';
+import { AMENDMENT_TYPES, formatEvent } from '../lib/events.js';
+import { jailTimeToDate } from '../utils.js';
+
+const THEFT = { statute: '9A.56.050', offense: 'Theft 3', court: 'DIST', offenseClass: 'GM' };
+const DWLS = { statute: '46.20.342', offense: 'Driving While License Suspended', court: 'DIST', offenseClass: 'M' };
+
+function booking(fields) {
+  return {
+    id: '26-00412',
+    name: 'DOE, JOHN A',
+    nameNumber: '104532',
+    bookDate: '01/20/26 09:45:00',
+    releaseDate: 'Not Released',
+    charges: [THEFT],
+    ...fields
+  };
+}
+
+function snapshot(b, text) {
+  return { text, bookings: new Map([[b.id, b]]) };
+}
+
+test('diffSnapshot records amendments to bookings still in custody', () => {
+  const before = booking({});
+  const after = booking({ charges: [DWLS], releaseDate: '03/05/26 09:00:00' });
+  const previous = { hash: 'x', bookings: snapshot(before).bookings, pendingReleases: [] };
+
+  const result = diffSnapshot(previous, snapshot(after, 'v2'), new Map(), { now: jailTimeToDate(2026, 2, 28, 18, 30, 0) });
+
+  assert.ok(result.events.every(e => AMENDMENT_TYPES.includes(e.type)), 'no bookings or releases');
+  assert.equal(result.events[0].bookingId, '26-00412');
+  assert.deepStrictEqual(result.events[0].charge, DWLS);
+  assert.deepStrictEqual(result.events.map(formatEvent), [
+    'CHARGE_ADDED | DOE, JOHN A | Detected: 02/28/26 18:30:00 | Booking #: 26-00412 | Name #: 104532 | Charge: Driving While License Suspended [46.20.342/DIST/M]',
+    'CHARGE_REMOVED | DOE, JOHN A | Detected: 02/28/26 18:30:00 | Booking #: 26-00412 | Name #: 104532 | Charge: Theft 3 [9A.56.050/DIST/GM]',
+    'REL_DATE_SET | DOE, JOHN A | Detected: 02/28/26 18:30:00 | Booking #: 26-00412 | Name #: 104532 | Rel Date: 03/05/26 09:00:00'
+  ]);
+  assert.ok(result.logText.includes(formatEvent(result.events[2])));
+});
+
+test('diffSnapshot records which fields changed', () => {
+  const b = booking({});
+  const first = diffSnapshot({ hash: null, bookings: null, pendingReleases: [] }, snapshot(b, 'v1'), new Map());
+  const second = diffSnapshot(first.next, snapshot(booking({ charges: [DWLS, THEFT] }), 'v2'), new Map());
+
+  assert.equal(first.isFirstRun, true);
+  assert.equal(second.hasChanged, true);
+  assert.equal(second.noOpRegeneration, false);
+  assert.deepStrictEqual(second.changes, {
+    booked: 0,
+    released: 0,
+    fields: { name: 0, nameNumber: 0, bookDate: 0, releaseDate: 0, charges: 1 }
+  });
+});
+
+test('diffSnapshot ignores charge order', () => {
+  const first = diffSnapshot({ hash: null, bookings: null, pendingReleases: [] }, snapshot(booking({ charges: [THEFT, DWLS] }), 'v1'), new Map());
+  const second = diffSnapshot(first.next, snapshot(booking({ charges: [DWLS, THEFT] }), 'v2'), new Map());
+
+  assert.equal(second.hasChanged, false);
+  assert.deepStrictEqual(second.events, []);
+});
+
+test('diffSnapshot reports a regenerated PDF with the same bookings as a no-op', () => {
+  const b = booking({});
+  const first = diffSnapshot({ hash: null, bookings: null, pendingReleases: [] }, snapshot(b, 'printed 08:00'), new Map());
+  const second = diffSnapshot(first.next, snapshot(booking({}), 'printed 08:15'), new Map());
+
+  assert.equal(second.hasChanged, false);
+  assert.equal(second.noOpRegeneration, true);
+  assert.equal(second.logText, '');
+  assert.deepStrictEqual(second.changes.fields, { name: 0, nameNumber: 0, bookDate: 0, releaseDate: 0, charges: 0 });
+});
+
+test('diffSnapshot links a release under a differently printed name and reports ambiguous ones', () => {
+  const b = booking({ name: 'HILARIO GARCIA, JESSICA G', bookDate: '03/01/26 08:00:00' });
+  const previous = { hash: 'x', bookings: snapshot(b).bookings, pendingReleases: [] };
+  const now = jailTimeToDate(2026, 3, 2, 12, 0, 0);
+  const release = { releaseDateTime: '03/02/26 10:00:00', releaseType: 'RPR', timeServed: '1d2h0m', bail: '$0.00' };
+
+  const matched = diffSnapshot(previous, { text: 'v2', bookings: new Map() },
+    new Map([['HILARIO-GARCIA, JESSICA', [release]]]), { now });
+  assert.equal(matched.events[0].releaseType, 'RPR');
+  assert.deepStrictEqual(matched.releaseLinks.map(l => [l.name, l.bookingId]), [['HILARIO-GARCIA, JESSICA', '26-00412']]);
+  assert.deepStrictEqual(matched.ambiguousReleases, []);
+
+  const ambiguous = diffSnapshot(previous, { text: 'v2', bookings: new Map() },
+    new Map([['HILARIO GARCIA, JESSICA GRACE', [release]], ['HILARIO GARCIA, JESSICA GAIL', [release]]]), { now });
+  assert.equal(ambiguous.events[0].releaseType, null, 'logged without guessed details');
+  assert.deepStrictEqual(ambiguous.releaseLinks, []);
+  assert.deepStrictEqual(ambiguous.ambiguousReleases[0].candidates.map(c => c.name), ['HILARIO GARCIA, JESSICA GRACE', 'HILARIO GARCIA, JESSICA GAIL']);
+});
+
+test('diffSnapshot logs every booking and release of a busy run', () => {
+  const numbered = (prefix, n) => new Map(Array.from({ length: n }, (_, i) => {
+    const b = booking({ id: `26-${prefix}${String(i).padStart(2, '0')}`, nameNumber: prefix + i, name: `PERSON${prefix}, NUMBER ${i}` });
+    return [b.id, b];
+  }));
+  const previous = { hash: 'x', bookings: numbered('1', 40), pendingReleases: [] };
+  const result = diffSnapshot(previous, { text: 'v2', bookings: numbered('2', 35) }, new Map());
+  assert.equal(result.events.filter(e => e.type === 'RELEASED').length, 40);
+  assert.equal(result.events.filter(e => e.type === 'BOOKED').length, 35);
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests for charge parsing and formatting
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChargeLine, formatCharge, formatCharges, parseChargeList } from '../lib/charges.js';
+
+test('parseChargeLine splits a charge row into statute, offense, court and class', () => {
+  assert.deepStrictEqual(parseChargeLine('9A.36.041Assault, SimpleDISTGM'),
+    { statute: '9A.36.041', offense: 'Assault, Simple', court: 'DIST', offenseClass: 'GM' });
+  assert.deepStrictEqual(parseChargeLine('69.50.4013(1)Possess Controlled SubstanceSUPRFC'),
+    { statute: '69.50.4013(1)', offense: 'Possess Controlled Substance', court: 'SUPR', offenseClass: 'FC' });
+  assert.deepStrictEqual(parseChargeLine('10.99.040(4)(B)Violation No Contact, ProtectMUNIGM'),
+    { statute: '10.99.040(4)(B)', offense: 'Violation No Contact, Protect', court: 'MUNI', offenseClass: 'GM' });
+  // A section letter is part of the statute only when no word follows it directly
+  assert.deepStrictEqual(parseChargeLine('9A.56.050A Theft 3DISTGM'),
+    { statute: '9A.56.050A', offense: 'Theft 3', court: 'DIST', offenseClass: 'GM' });
+  assert.deepStrictEqual(parseChargeLine('9A.56.050Attempted TheftDISTGM'),
+    { statute: '9A.56.050', offense: 'Attempted Theft', court: 'DIST', offenseClass: 'GM' });
+});
+
+test('parseChargeLine keeps a row without a statute, splitting on the last court code', () => {
+  assert.deepStrictEqual(parseChargeLine('DOC HOLDDOC'), { statute: '', offense: 'DOC HOLD', court: 'DOC', offenseClass: '' });
+  assert.deepStrictEqual(parseChargeLine('  Warrant   Arrest SUPR FC '), { statute: '', offense: 'Warrant Arrest', court: 'SUPR', offenseClass: 'FC' });
+});
+
+test('parseChargeLine bails out on rows that are not charges', () => {
+  assert.equal(parseChargeLine(''), null);
+  assert.equal(parseChargeLine(null), null);
+  assert.equal(parseChargeLine(42), null);
+  assert.equal(parseChargeLine('Page 1 of 2'), null, 'no court code');
+  assert.equal(parseChargeLine('9A.36.041XDISTGM'), null, 'offense too short to be one');
+});
+
+test('formatCharges and parseChargeList round-trip, commas in offenses included', () => {
+  const charges = [
+    { statute: '9A.52.025', offense: 'Burglary, Resident, Unlawf Ent', court: 'SUPR', offenseClass: 'FB' },
+    { statute: '', offense: 'DOC HOLD', court: 'DOC', offenseClass: '' },
+    { statute: '10.99.040(4)(B)', offense: 'Violation No Contact, Protect', court: 'MUNI', offenseClass: 'GM' }
+  ];
+  assert.equal(formatCharge(charges[1]), 'DOC HOLD [/DOC/]');
+  assert.deepStrictEqual(parseChargeList(formatCharges(charges)), charges);
+  for (const charge of charges) assert.deepStrictEqual(parseChargeList(formatCharge(charge)), [charge]);
+
+  assert.deepStrictEqual(parseChargeList(formatCharges([])), []);
+  // Legacy logs carry offense text only
+  assert.deepStrictEqual(parseChargeList('Assault, Failure to Appear').map(c => c.offense), ['Assault', 'Failure to Appear']);
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for the paged, filtered event API
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEvent } from '../lib/events.js';
+import { eventTimestamp, queryEvents } from '../lib/event-query.js';
+
+const THEFT = { statute: '9A.56.050', offense: 'Theft 3', court: 'DIST', offenseClass: 'GM' };
+const DUI = { statute: '46.61.502', offense: 'DUI', court: 'DIST', offenseClass: 'GM' };
+
+const events = [
+  createEvent('BOOKED', { name: 'DOE, JOHN A', nameNumber: '1001', bookingId: '26-00412', bookDate: '02/01/26 09:00:00', charges: [THEFT] }),
+  createEvent('BOOKED', { name: 'SMITH, JANE', nameNumber: '1002', bookingId: '26-00413', bookDate: '02/03/26 22:00:00', charges: [DUI] }),
+  createEvent('CHARGE_ADDED', { detectedAt: '2026-02-04T18:00:00.000Z', name: 'DOE, JOHN A', bookingId: '26-00412', charge: DUI }),
+  createEvent('RELEASED', { name: 'DOE, JOHN A', nameNumber: '1001', bookingId: '26-00412', bookDate: '02/01/26 09:00:00', releaseDate: '02/05/26 10:00:00', bail: '$500.00', releaseType: 'RBB', timeServed: '4d1h0m', charges: [THEFT, DUI] }),
+  // Legacy: offense text only, no booking number
+  createEvent('BOOKED', { name: 'ROE, RICHARD', bookDate: '02/28/26 23:30:00', charges: [{ offense: 'Warrant Arrest' }] })
+].map((e, i) => ({ ...e, v: 1, id: i + 1 }));
+
+const ids = page => page.events.map(e => e.id);
+
+test('events come with their timestamp: the roster time, else the detection time', () => {
+  assert.equal(eventTimestamp(events[0]).toISOString(), '2026-02-01T17:00:00.000Z');
+  assert.equal(eventTimestamp(events[2]).toISOString(), '2026-02-04T18:00:00.000Z');
+  const { events: page } = queryEvents(events, { limit: 1 });
+  assert.equal(page[0].timestamp, '2026-02-01T17:00:00.000Z');
+  assert.equal(page[0].bookingId, '26-00412');
+});
+
+test('the cursor walks the log a page at a time and then picks up new events', () => {
+  const first = queryEvents(events, { limit: 2 });
+  assert.deepStrictEqual(ids(first), [1, 2]);
+  assert.equal(first.hasMore, true);
+
+  const second = queryEvents(events, { limit: 2, cursor: first.nextCursor });
+  const third = queryEvents(events, { limit: 2, cursor: second.nextCursor });
+  assert.deepStrictEqual(ids(second), [3, 4]);
+  assert.deepStrictEqual(ids(third), [5]);
+  assert.equal(third.hasMore, false);
+  assert.equal(third.nextCursor, '5', 'a synced client keeps its place');
+
+  const later = [...events, { ...createEvent('RELEASED', { name: 'SMITH, JANE', releaseDate: '03/01/26 08:00:00' }), v: 1, id: 6 }];
+  assert.deepStrictEqual(ids(queryEvents(later, { cursor: third.nextCursor })), [6]);
+  assert.deepStrictEqual(ids(queryEvents(events, { cursor: '5' })), []);
+
+  const newest = queryEvents(events, { order: 'desc', limit: 3 });
+  assert.deepStrictEqual(ids(newest), [5, 4, 3]);
+  assert.deepStrictEqual(ids(queryEvents(events, { order: 'desc', cursor: newest.nextCursor })), [2, 1]);
+});
+
+test('type, date range, charge and text filters combine', () => {
+  assert.deepStrictEqual(ids(queryEvents(events, { types: 'booked' })), [1, 2, 5]);
+  assert.deepStrictEqual(ids(queryEvents(events, { types: 'RELEASED,CHARGE_ADDED' })), [3, 4]);
+  assert.deepStrictEqual(ids(queryEvents(events, { from: '2026-02-03', to: '2026-02-04' })), [2, 3]);
+  // 11:30 PM on the 28th is still the 28th in jail time
+  assert.deepStrictEqual(ids(queryEvents(events, { from: '02/28/26', to: '02/28/26' })), [5]);
+  assert.deepStrictEqual(ids(queryEvents(events, { to: '2026-02-05T10:00' })), [1, 2, 3, 4]);
+  assert.deepStrictEqual(ids(queryEvents(events, { charge: 'dui' })), [2, 3, 4]);
+  assert.deepStrictEqual(ids(queryEvents(events, { charge: '9A.56' })), [1, 4]);
+  assert.deepStrictEqual(ids(queryEvents(events, { charge: 'warrant' })), [5]);
+  assert.deepStrictEqual(ids(queryEvents(events, { q: 'doe rbb' })), [4]);
+  assert.deepStrictEqual(ids(queryEvents(events, { q: '26-00413' })), [2]);
+  assert.deepStrictEqual(ids(queryEvents(events, { q: 'john', types: 'BOOKED', charge: 'theft' })), [1]);
+});
+
+test('unusable parameters are reported', () => {
+  assert.throws(() => queryEvents(events, { types: 'ARRESTED' }), /Unknown event types: ARRESTED/);
+  assert.throws(() => queryEvents(events, { from: 'last week' }), /from must be a date/);
+  assert.throws(() => queryEvents(events, { limit: '0' }), /limit/);
+  assert.throws(() => queryEvents(events, { cursor: 'abc' }), /cursor/);
+  assert.throws(() => queryEvents(events, { order: 'newest' }), /order/);
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for the change event store and the change_log.txt migration
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  EVENT_SCHEMA_VERSION,
+  parseLogLine,
+  parseChangeLog,
+  formatEvent,
+  formatEventLog,
+  ensureEventStore,
+  readEvents,
+  appendEvents,
+  writeEvents
+} from '../lib/events.js';
+
+const THEFT = { statute: '9A.56.050', offense: 'Theft 3', court: 'DIST', offenseClass: 'GM' };
+
+// One of each format the text log has used
+const LEGACY_LOG = [
+  '================================================================================',
+  'Change detected at: 2026-01-20T19:36:55.000Z',
+  '================================================================================',
+  'BOOKED (1):',
+  '+ POOL, WILLIAM A | Booked: 01/20/26 11:15:00 | Charges: None listed',
+  'RELEASED (1):',
+  '- CARKHUFF, ANGELA R | Released: Not Released | Charges: Domestic Violence',
+  '',
+  'BOOKED | DOE, JOHN A | Booked: 01/20/26 09:45:00 | Name #: 104532 | Charges: Theft 3 [9A.56.050/DIST/GM]',
+  'RELEASED | SMITH, JANE | Released: 01/22/26 11:00:00 | Time served: 2d1h15m | Bail Posted: $500.00 (RBB) | Name #: 2001 | Charges: Failure to Appear',
+  'RELEASED | ROE, RICHARD | Released: 01/22/26 12:00:00 | Time served: 0d3h0m (RPR) | Charges: None listed',
+  'CHARGE_ADDED | DOE, JOHN A | Detected: 02/28/26 18:30:00 | Booking #: 26-00412 | Name #: 104532 | Charge: Theft 3 [9A.56.050/DIST/GM]',
+  '',
+  '================================================================================',
+  'Release details update at: 2026-02-01T08:00:00.000Z',
+  '================================================================================',
+  'UPDATED RELEASE INFORMATION (1):',
+  '  ✓ ROE, RICHARD | Released: 01/22/26 12:00:00 | Time served: 0d3h0m | Bail Posted: $1,000.00 (RBB) | Charges: None listed',
+  'some stray note'
+].join('\n');
+
+// Removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-events-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('parseChangeLog reads every text log format into explicit fields', () => {
+  const { events, skipped } = parseChangeLog(LEGACY_LOG);
+
+  assert.deepStrictEqual(events.map(e => e.type), ['BOOKED', 'RELEASED', 'BOOKED', 'RELEASED', 'RELEASED', 'CHARGE_ADDED', 'RELEASE_DETAILS']);
+  assert.deepStrictEqual(skipped, ['some stray note']);
+
+  // Old block entries take the run time from their header; current lines have none
+  assert.equal(events[0].detectedAt, '2026-01-20T19:36:55.000Z');
+  assert.equal(events[0].bookDate, '01/20/26 11:15:00');
+  assert.equal(events[1].releaseDate, 'Not Released');
+  assert.equal(events[2].detectedAt, null);
+  assert.deepStrictEqual(events[2].charges, [THEFT]);
+  assert.equal(events[2].nameNumber, '104532');
+
+  assert.deepStrictEqual(
+    [events[3].releaseDate, events[3].timeServed, events[3].bail, events[3].releaseType],
+    ['01/22/26 11:00:00', '2d1h15m', '$500.00', 'RBB']
+  );
+  assert.equal(events[4].timeServed, '0d3h0m');
+  assert.equal(events[4].releaseType, 'RPR');
+
+  assert.equal(events[5].bookingId, '26-00412');
+  assert.equal(events[5].detectedAt, '2026-03-01T02:30:00.000Z');
+  assert.deepStrictEqual(events[5].charge, THEFT);
+
+  assert.equal(events[6].detectedAt, '2026-02-01T08:00:00.000Z');
+  assert.equal(events[6].bail, '$1,000.00');
+});
+
+test('formatEvent writes current-format lines back unchanged', () => {
+  const lines = LEGACY_LOG.split('\n').filter(l => /^(BOOKED|RELEASED|CHARGE_ADDED) \| /.test(l));
+  for (const line of lines) {
+    assert.equal(formatEvent(parseLogLine(line)), line);
+  }
+  assert.equal(parseLogLine('BOOKED (3):'), null);
+
+  // Release-details blocks render as they were written
+  const details = parseChangeLog(LEGACY_LOG).events.filter(e => e.type === 'RELEASE_DETAILS');
+  assert.match(formatEventLog(details), /Release details update at: 2026-02-01T08:00:00\.000Z\n=+\nUPDATED RELEASE INFORMATION \(1\):\n {2}✓ ROE, RICHARD \| Released:/);
+});
+
+test('ensureEventStore migrates change_log.txt once and keeps the original', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'change_log.txt'), LEGACY_LOG);
+
+  const report = ensureEventStore(dir);
+  assert.equal(report.imported, 7);
+  assert.deepStrictEqual(report.skipped, ['some stray note']);
+  assert.ok(!fs.existsSync(path.join(dir, 'change_log.txt')));
+  assert.equal(fs.readFileSync(path.join(dir, 'change_log.migrated.txt'), 'utf-8'), LEGACY_LOG);
+  assert.equal(ensureEventStore(dir), null, 'second call is a no-op');
+
+  const events = readEvents(dir);
+  assert.deepStrictEqual(events.map(e => e.id), [1, 2, 3, 4, 5, 6, 7]);
+  assert.ok(events.every(e => e.v === EVENT_SCHEMA_VERSION));
+  assert.equal(readEvents(dir, { types: ['BOOKED'] }).length, 2);
+});
+
+test('appendEvents numbers after the last event and writeEvents replaces the log in place', (t) => {
+  const dir = tempDir(t);
+  const [booked] = parseChangeLog('BOOKED | DOE, JOHN A | Booked: 01/20/26 09:45:00 | Charges: None listed').events;
+
+  assert.deepStrictEqual(appendEvents(dir, [booked, booked]).map(e => e.id), [1, 2]);
+  assert.deepStrictEqual(appendEvents(dir, [booked]).map(e => e.id), [3]);
+
+  writeEvents(dir, readEvents(dir).slice(1));
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(f => f.includes('.backup-')), [], 'no copies left next to the log');
+  assert.deepStrictEqual(readEvents(dir).map(e => e.id), [2, 3]);
+  assert.deepStrictEqual(appendEvents(dir, [booked]).map(e => e.id), [4]);
+});
+
+test('readEvents refuses events from a newer schema', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'events.jsonl'), JSON.stringify({ v: EVENT_SCHEMA_VERSION + 1, id: 1, type: 'BOOKED' }) + '\n');
+  assert.throws(() => readEvents(dir), /schema v2/);
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for the roster ingestion pipeline
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import masonSource from '../lib/sources/mason.js';
+import { sourceContext } from '../lib/sources/index.js';
+import { readEvents } from '../lib/events.js';
+import { runIngestion } from '../lib/ingest.js';
+import { readPopulation } from '../lib/population.js';
+import { createStore } from '../lib/storage/index.js';
+import { createKvDriver } from '../lib/storage/kv.js';
+import { createMemoryClient } from '../lib/storage/kv-clients.js';
+
+const ROSTER = fs.readFileSync(new URL('./fixtures/roster.txt', import.meta.url), 'utf-8');
+// The same roster after 26-00587 was released
+const AFTER_RELEASE = ROSTER.replace(/Booking #: 26-00587[\s\S]*?(?=Booking #: 26-00601)/, '');
+
+// Removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-ingest-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Mason parsing, with the roster served from memory and no release stats PDF
+function fakeSource(roster) {
+  return {
+    ...masonSource,
+    fetchRoster: async () => ({ buffer: Buffer.from(roster.text), text: roster.text }),
+    fetchReleases: undefined
+  };
+}
+
+// A deployment's context on a store shared through one key-value client
+function deployment(t, client, roster) {
+  const ctx = sourceContext(fakeSource(roster), tempDir(t));
+  return { ...ctx, store: createStore(ctx.storageDir, createKvDriver(client, { namespace: 'mason' })) };
+}
+
+const read = (dir, name) => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8'));
+
+test('a run captures the roster first, then logs the changes and their side effects', async (t) => {
+  const roster = { text: ROSTER };
+  const ctx = { ...sourceContext(fakeSource(roster), tempDir(t)), store: { lock: async () => async () => {}, pull: async () => false, push: async () => 0 } };
+
+  const first = await runIngestion(ctx);
+  assert.equal(first.joined, false);
+  assert.equal(first.summary.isFirstRun, true);
+  assert.equal(first.summary.message, 'Initial roster captured successfully!');
+  assert.deepStrictEqual(readEvents(ctx.storageDir).map(e => e.type), Array(5).fill('BOOKED'));
+
+  roster.text = AFTER_RELEASE;
+  const { summary } = await runIngestion(ctx);
+  assert.equal(summary.isFirstRun, false);
+  assert.equal(summary.hasChanged, true);
+  assert.equal(summary.releases, 1);
+  assert.equal(summary.bookings, 0);
+  assert.match(summary.message, /^Changes detected! 0 new bookings, 1 releases/);
+
+  const events = readEvents(ctx.storageDir).slice(5);
+  assert.deepStrictEqual(events.map(e => [e.type, e.bookingId]), [['RELEASED', '26-00587']]);
+  assert.deepStrictEqual(read(ctx.storageDir, 'pending_releases.json'), []);
+  assert.equal(read(ctx.storageDir, 'last_check.json').checkedAt, summary.checkedAt);
+  assert.equal(fs.readFileSync(path.join(ctx.storageDir, 'prev_hash.txt'), 'utf-8'), summary.fingerprint);
+  assert.deepStrictEqual(readPopulation(ctx.storageDir).map(p => [p.at, p.total]),
+    [[first.summary.checkedAt, 5], [summary.checkedAt, 4]]);
+});
+
+test('the server and the serverless function build one history on a shared store', async (t) => {
+  const client = createMemoryClient();
+  const server = deployment(t, client, { text: ROSTER });
+  const cron = deployment(t, client, { text: AFTER_RELEASE });
+
+  assert.equal((await runIngestion(server)).summary.isFirstRun, true);
+  const { summary } = await runIngestion(cron);
+  assert.equal(summary.isFirstRun, false, 'the function continues from the server\'s capture');
+  assert.equal(summary.releases, 1);
+
+  await server.store.pull();
+  assert.deepStrictEqual(readEvents(server.storageDir).map(e => e.type), [...Array(5).fill('BOOKED'), 'RELEASED']);
+  assert.equal(read(server.storageDir, 'last_check.json').checkedAt, summary.checkedAt);
+});
+
+test('a roster that fails validation is quarantined and nothing is logged', async (t) => {
+  const client = createMemoryClient();
+  const ctx = deployment(t, client, { text: 'Current Inmate Roster\nPage 1 of 1\n' });
+
+  await assert.rejects(runIngestion(ctx), /failed validation/);
+  assert.equal(fs.readdirSync(path.join(ctx.storageDir, 'quarantine')).length, 3);
+  assert.ok(!fs.existsSync(path.join(ctx.storageDir, 'prev_hash.txt')));
+  assert.equal(await ctx.store.read('prev_hash.txt'), null);
+});
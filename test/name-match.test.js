@@ -0,0 +1,69 @@
+/**
+ * Tests for roster ↔ release PDF name matching
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MATCH_THRESHOLD, parseName, nameMatchKey, scoreNameMatch, matchRelease } from '../lib/name-match.js';
+
+test('parseName drops punctuation and spacing and finds the suffix', () => {
+  assert.deepStrictEqual(parseName('HILARIO-GARCIA, JESSICA G.'), { last: 'HILARIOGARCIA', given: 'JESSICAG', first: 'JESSICA', middle: 'G', suffix: null });
+  assert.equal(parseName("O'BRIEN JR, PATRICK").suffix, 'JR');
+  assert.equal(parseName('DOE, JOHN III').suffix, 'III');
+  // Wrapped across two PDF lines, mid-word
+  assert.equal(nameMatchKey('HILARIO GAR CIA, JESSICA G'), nameMatchKey('HILARIO GARCIA, JESSICA G.'));
+});
+
+test('scoreNameMatch tolerates print differences but not different people', () => {
+  const pass = (a, b) => assert.ok(scoreNameMatch(a, b) >= MATCH_THRESHOLD, `${a} ~ ${b}`);
+  const fail = (a, b) => assert.ok(scoreNameMatch(a, b) < MATCH_THRESHOLD, `${a} !~ ${b}`);
+
+  assert.equal(scoreNameMatch('HILARIO GARCIA, JESSICA G', 'HILARIO GARCIA, JESSICA G.'), 1);
+  pass('DOE, JOHN A', 'DOE, JOHN');
+  pass('DOE, JOHN ALLEN', 'DOE, JOHN A');
+  pass('DOE JR, JOHN', 'DOE, JOHN');
+  pass('DOE, JONH', 'DOE, JOHN');
+  pass('SMIHT, JOHN', 'SMITH, JOHN');
+
+  fail('DOE JR, JOHN', 'DOE SR, JOHN');
+  fail('DOE, JOHN A', 'DOE, JOHN B');
+  fail('DOE, JOHN', 'DOE, JANE');
+  fail('DOE, J', 'DOE, JOHN');
+  fail('ROE, JOHN', 'DOE, JOHN');
+});
+
+test('matchRelease checks the book date and time served', () => {
+  const booking = { name: 'DOE, JOHN A', bookDate: '03/01/26 08:00:00' };
+  const releases = new Map([['DOE, JOHN', [
+    { releaseDateTime: '02/27/26 09:00:00', releaseType: 'RPR', timeServed: '0d3h0m', bail: '$0.00' },
+    { releaseDateTime: '03/02/26 10:00:00', releaseType: 'RBB', timeServed: '1d2h0m', bail: '$500.00' }
+  ]]]);
+
+  const { match, ambiguous } = matchRelease(releases, booking);
+  assert.equal(ambiguous, false);
+  assert.equal(match.name, 'DOE, JOHN');
+  assert.equal(match.releaseType, 'RBB', 'the release before the booking belongs to an earlier stay');
+
+  // Served longer than booked: not this booking
+  const tooLong = new Map([['DOE, JOHN', [{ releaseDateTime: '03/02/26 10:00:00', releaseType: 'RBB', timeServed: '9d0h0m', bail: '$0.00' }]]]);
+  assert.equal(matchRelease(tooLong, booking).match, null);
+
+  // A shortened first name needs the time served to back it up
+  const short = t => new Map([['DOE, JON A', [{ releaseDateTime: '03/02/26 10:00:00', releaseType: 'RPR', timeServed: t, bail: '$0.00' }]]]);
+  assert.ok(matchRelease(short('1d2h0m'), { ...booking, name: 'DOE, JONATHAN A' }).match);
+  assert.equal(matchRelease(short('0d1h0m'), { ...booking, name: 'DOE, JONATHAN A' }).match, null);
+});
+
+test('matchRelease reports two different names that fit about equally well', () => {
+  const booking = { name: 'SMITH, JOHN', bookDate: '03/01/26 08:00:00' };
+  const info = { releaseDateTime: '03/02/26 10:00:00', releaseType: 'RPR', timeServed: '1d2h0m', bail: '$0.00' };
+
+  const result = matchRelease(new Map([['SMITH, JOHN A', [info]], ['SMITH, JOHN B', [info]]]), booking);
+  assert.equal(result.match, null);
+  assert.equal(result.ambiguous, true);
+  assert.deepStrictEqual(result.candidates.map(c => c.name), ['SMITH, JOHN A', 'SMITH, JOHN B']);
+
+  // An exact name beats a near one
+  assert.equal(matchRelease(new Map([['SMITH, JOHN', [info]], ['SMITH, JOHN B', [info]]]), booking).match.name, 'SMITH, JOHN');
+});
@@ -0,0 +1,110 @@
+/**
+ * Regression tests for the roster and release stats parsers
+ * Run with: npm test
+ *
+ * Each fixture is parsed and compared with its golden JSON in test/fixtures.
+ * After an intentional parser change, regenerate the golden files with
+ *   UPDATE_GOLDEN=1 npm test
+ * and review the diff of the .golden.json files before committing.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractPdfItems } from '../lib/pdf-layout.js';
+import { extractBookings } from '../lib/roster-parser.js';
+import { parseReleaseStatsItems } from '../lib/release-parser.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+function fixture(name) {
+  return path.join(FIXTURES_DIR, name);
+}
+
+// Compare against (or rewrite) the golden file for a fixture
+function assertGolden(goldenName, actual) {
+  const goldenPath = fixture(goldenName);
+  // Round-trip through JSON so Maps/undefined compare the way they're stored
+  const normalized = JSON.parse(JSON.stringify(actual));
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(goldenPath, JSON.stringify(normalized, null, 2) + '\n');
+    return;
+  }
+
+  assert.ok(fs.existsSync(goldenPath), `Missing golden file ${goldenName} (run with UPDATE_GOLDEN=1)`);
+  const expected = JSON.parse(fs.readFileSync(goldenPath, 'utf-8'));
+  assert.deepStrictEqual(normalized, expected);
+}
+
+async function releaseRecords(pdfName) {
+  const { items } = await extractPdfItems(fs.readFileSync(fixture(pdfName)));
+  return parseReleaseStatsItems(items);
+}
+
+test('extractBookings matches golden output for roster.txt', () => {
+  const text = fs.readFileSync(fixture('roster.txt'), 'utf-8');
+  const bookings = extractBookings(text);
+
+  assert.equal(bookings.size, (text.match(/Booking #:/g) || []).length);
+  assertGolden('roster.golden.json', [...bookings.values()]);
+});
+
+test('extractBookings keeps charges structured across page breaks', () => {
+  const bookings = extractBookings(fs.readFileSync(fixture('roster.txt'), 'utf-8'));
+
+  const doe = bookings.get('26-00412');
+  assert.equal(doe.nameNumber, '104532');
+  assert.equal(doe.charges.length, 2, 'duplicate charge rows are collapsed');
+  assert.deepStrictEqual(doe.charges[0], {
+    statute: '9A.36.041',
+    offense: 'Assault, Simple',
+    court: 'DIST',
+    offenseClass: 'GM'
+  });
+
+  const johnston = bookings.get('26-00601');
+  assert.deepStrictEqual(johnston.charges.map(c => c.statute), ['9A.52.025', '69.50.4013(1)']);
+});
+
+for (const pdfName of ['release_stats48hrs.pdf', 'release_stats48hrs(1).pdf']) {
+  test(`parseReleaseStatsItems matches golden output for ${pdfName}`, async () => {
+    const { releases, unparsed } = await releaseRecords(pdfName);
+    assertGolden(pdfName.replace(/\.pdf$/, '.golden.json'), {
+      releases: Object.fromEntries(releases),
+      unparsed
+    });
+  });
+}
+
+test('parseReleaseStatsItems handles wrapped names and repeat releases', async () => {
+  const { releases, unparsed } = await releaseRecords('release_stats48hrs.pdf');
+
+  assert.deepStrictEqual(releases.get('HILARIO GARCIA, JESSICA G'), [{
+    releaseDateTime: '02/27/26 13:44:16',
+    releaseType: 'RPR',
+    timeServed: '0d23h9m',
+    bail: '$0.00'
+  }]);
+  assert.equal(releases.get('JOHNSTON, JACOB R').length, 2);
+  assert.ok(releases.has('ESTEBAN MIGUEL, MARCOS'));
+  assert.deepStrictEqual(unparsed, []);
+});
+
+test('parseReleaseStatsItems reports rows it cannot parse instead of dropping them', () => {
+  const row = (y, cells) => cells.map(([x, str]) => ({ page: 1, str, x, y, width: 0 }));
+  const items = [
+    ...row(658, [[79, 'Date/Time Out'], [180, 'Inmate Name'], [306, 'Release Type   Credit Served'], [475, 'Bail Payment']]),
+    ...row(646, [[79, '02/27/26 13:44:16'], [180, 'DOE, JOHN A.'], [306, 'RPR'], [381, '0 d 23 h 9 m'], [510, '$0.00']]),
+    ...row(634, [[79, '02/27/26 14:00:00'], [180, 'ROE, RICHARD'], [306, 'RPR'], [381, '1 d 2 h 3 m']]),
+    ...row(600, [[215, 'Total Bail Payment:  '], [306, '$0.00']])
+  ];
+
+  const { releases, unparsed } = parseReleaseStatsItems(items);
+  assert.deepStrictEqual([...releases.keys()], ['DOE, JOHN A']);
+  assert.equal(unparsed.length, 1);
+  assert.equal(unparsed[0].reason, 'missing bail');
+  assert.match(unparsed[0].text, /ROE, RICHARD/);
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for person identity helpers
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPersonResolver } from '../lib/people.js';
+
+test('createPersonResolver keeps one key for a Name Number seen on every booking', () => {
+  const resolver = createPersonResolver();
+  resolver.learn('DOE, JOHN', '123456');
+  resolver.learn('Doe,  John.', '123456');
+
+  assert.equal(resolver.keyFor({ name: 'DOE, JOHN', nameNumber: '123456' }), 'nn:123456');
+  assert.equal(resolver.keyFor({ name: 'doe, john' }), 'nn:123456', 'name-only record from an older log line');
+});
+
+test('createPersonResolver leaves a name shared by two Name Numbers keyed by name', () => {
+  const resolver = createPersonResolver();
+  resolver.learn('SMITH, JAMES', '111');
+  resolver.learn('SMITH, JAMES', '222');
+
+  assert.equal(resolver.keyFor({ name: 'SMITH, JAMES', nameNumber: '222' }), 'nn:222');
+  assert.equal(resolver.keyFor({ name: 'SMITH, JAMES' }), 'name:SMITH, JAMES');
+});
+
+test('createPersonResolver follows a name change under the same Name Number', () => {
+  const resolver = createPersonResolver();
+  resolver.learn('GARCIA, JESSICA', '777');
+  resolver.learn('HILARIO GARCIA, JESSICA G.', '777');
+
+  assert.equal(resolver.keyFor({ name: 'GARCIA, JESSICA' }), 'nn:777');
+  assert.equal(resolver.keyFor({ name: 'HILARIO GARCIA, JESSICA G' }), 'nn:777');
+  assert.equal(resolver.keyFor({ name: 'HILARIO GARCIA, JESSICA G.', nameNumber: '777' }), 'nn:777');
+});
+
+test('createPersonResolver falls back to the name without a Name Number', () => {
+  const resolver = createPersonResolver();
+  resolver.learn('ROE, RICHARD', null);
+  resolver.learn('ROE, RICHARD', '');
+  resolver.learn('', '999');
+
+  assert.equal(resolver.keyFor({ name: 'Roe, Richard.' }), 'name:ROE, RICHARD');
+  assert.equal(resolver.keyFor({ name: 'NOBODY, SEEN' }), 'name:NOBODY, SEEN');
+  assert.equal(resolver.keyFor({}), 'name:');
+  assert.equal(resolver.keyFor(), 'name:');
+});
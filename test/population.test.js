@@ -0,0 +1,79 @@
+/**
+ * Tests for population snapshots
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { POPULATION_FILE, populationSnapshot, recordPopulation, readPopulation, summarizePopulation } from '../lib/population.js';
+
+const THEFT = { statute: '9A.56.050', offense: 'Theft 3', court: 'DIST', offenseClass: 'GM' };
+const BURGLARY = { statute: '9A.52.025', offense: 'Burglary', court: 'SUPR', offenseClass: 'FB' };
+
+// Removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-population-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function roster(...bookings) {
+  return new Map(bookings.map((b, i) => [String(i), { id: String(i), name: 'P' + i, ...b }]));
+}
+
+test('a snapshot counts the headcount by court and by time in custody', () => {
+  const at = new Date('2026-03-01T20:00:00Z'); // noon in the jail's time zone
+  const snapshot = populationSnapshot(roster(
+    { bookDate: '03/01/26 08:00:00', charges: [THEFT] },
+    { bookDate: '02/25/26 08:00:00', charges: [THEFT, BURGLARY] },
+    { bookDate: '12/01/25 08:00:00', charges: [] },
+    { bookDate: 'garbage', charges: [BURGLARY] }
+  ), at);
+
+  assert.equal(snapshot.at, at.toISOString());
+  assert.equal(snapshot.total, 4);
+  assert.deepStrictEqual(snapshot.byCourt, { DIST: 2, SUPR: 2, none: 1 });
+  assert.deepStrictEqual(snapshot.byDaysInCustody, { '0-1': 1, '1-7': 1, '90-365': 1, unknown: 1 });
+});
+
+test('daily averages come from the snapshots, with missed days marked as gaps', (t) => {
+  const dir = tempDir(t);
+  const people = n => roster(...Array.from({ length: n }, () => ({ bookDate: '02/01/26 08:00:00', charges: [THEFT] })));
+  // Every 30 minutes on Feb 26, two runs on Feb 27, nothing on Feb 28, one run on Mar 1
+  for (let i = 0; i < 4; i++) recordPopulation(dir, people(100 + i), { at: new Date(Date.UTC(2026, 1, 26, 18, 30 * i)) });
+  recordPopulation(dir, people(90), { at: '2026-02-27T18:00:00Z' });
+  recordPopulation(dir, people(110), { at: '2026-02-27T18:30:00Z' });
+  recordPopulation(dir, people(120), { at: '2026-03-01T18:00:00Z' });
+  fs.appendFileSync(path.join(dir, POPULATION_FILE), '{"at":"2026-03-0'); // cut short by a crash
+
+  const snapshots = readPopulation(dir);
+  assert.equal(snapshots.length, 7);
+
+  const summary = summarizePopulation(snapshots, { days: 5, now: new Date('2026-03-01T18:30:00Z') });
+  assert.deepStrictEqual(summary.daily.map(d => [d.day, d.avg, d.gap]), [
+    ['2026-02-25', null, false],
+    ['2026-02-26', 102, false],
+    ['2026-02-27', 100, false],
+    ['2026-02-28', null, true],
+    ['2026-03-01', 120, false]
+  ]);
+  assert.equal(summary.daily[2].min, 90);
+  assert.equal(summary.avgDaily, 107);
+  assert.equal(summary.observedDays, 3);
+  assert.equal(summary.latest.total, 120);
+  assert.deepStrictEqual(summary.gaps, [
+    { from: '2026-02-26T19:30:00.000Z', to: '2026-02-27T18:00:00.000Z' },
+    { from: '2026-02-27T18:30:00.000Z', to: '2026-03-01T18:00:00.000Z' }
+  ]);
+});
+
+test('no snapshots means no population, not zero', (t) => {
+  const summary = summarizePopulation(readPopulation(tempDir(t)), { days: 3 });
+  assert.equal(summary.latest, null);
+  assert.equal(summary.avgDaily, null);
+  assert.ok(summary.daily.every(d => d.avg === null && !d.gap));
+  assert.deepStrictEqual(summary.gaps, []);
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for offline replay of the PDF archive
+ * Run with: npm test
+ *
+ * Uses a text-only stand-in source so archived "PDFs" can be plain roster text.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { archiveDocument } from '../lib/archive.js';
+import { extractBookings } from '../lib/roster-parser.js';
+import { replayArchive, mergeReplay, diffLogs } from '../lib/replay.js';
+import { createEvent } from '../lib/events.js';
+
+const ROSTER = fs.readFileSync(
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'roster.txt'),
+  'utf-8'
+);
+
+const textSource = {
+  id: 'test',
+  name: 'Test',
+  readRoster: async buffer => ({ buffer, text: buffer.toString('utf-8') }),
+  parseRoster: text => extractBookings(text),
+  readReleases: async buffer => ({ buffer, text: buffer.toString('utf-8') }),
+  parseReleases: doc => ({ releases: new Map(JSON.parse(doc.text)), unparsed: [] })
+};
+
+// Drop one booking block from the roster text
+function withoutBooking(text, id) {
+  const start = text.indexOf('Booking #: ' + id);
+  const end = text.indexOf('Booking #:', start + 1);
+  return text.slice(0, start) + text.slice(end);
+}
+
+function archive(dir, kind, content, fetchedAt) {
+  archiveDocument(dir, { kind, buffer: Buffer.from(content), fetchedAt: new Date(fetchedAt) });
+}
+
+test('replayArchive rebuilds bookings and releases from archived snapshots', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-replay-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const releases = [['DOE, JOHN A', [{ releaseDateTime: '02/28/26 10:00:00', releaseType: 'RPR', timeServed: '39d0h15m', bail: '$500.00' }]]];
+
+  archive(dir, 'roster', ROSTER, '2026-02-28T08:00:00Z');
+  archive(dir, 'roster', ROSTER, '2026-02-28T08:15:00Z');
+  archive(dir, 'roster', withoutBooking(ROSTER, '26-00412'), '2026-02-28T18:30:00Z');
+  archive(dir, 'releases', JSON.stringify(releases), '2026-02-28T18:30:05Z');
+  archive(dir, 'roster', 'not a roster', '2026-02-28T18:45:00Z');
+
+  const result = await replayArchive(dir, textSource);
+
+  assert.equal(result.runs, 4);
+  assert.equal(result.changedRuns, 2);
+  assert.equal(result.skipped.length, 1, 'snapshots that fail validation are skipped like a quarantine');
+
+  const lines = result.logText.split('\n').filter(Boolean);
+  assert.equal(lines.filter(l => l.startsWith('BOOKED | ')).length, 5);
+  const released = lines.filter(l => l.startsWith('RELEASED | '));
+  assert.equal(released.length, 1);
+  assert.match(released[0], /^RELEASED \| DOE, JOHN A \| Released: 02\/28\/26 10:00:00 .*Bail Posted: \$500\.00 \(RPR\) \| Name #: 104532/);
+});
+
+test('diffLogs reports lines that only one log has', () => {
+  const diff = diffLogs('A\nB\nB\n\nC\n', 'B\nC\nD\n');
+  assert.equal(diff.common, 2);
+  assert.deepStrictEqual(diff.onlyLive, ['A', 'B']);
+  assert.deepStrictEqual(diff.onlyReplay, ['D']);
+});
+
+test('mergeReplay keeps the live history from before the archive and puts the replay after it', () => {
+  const doe = { name: 'DOE, JOHN A', nameNumber: '104532', bookingId: '26-00412', bookDate: '01/20/26 09:45:00' };
+  const roe = { name: 'ROE, RICHARD', nameNumber: '2002', bookingId: '26-00100', bookDate: '01/05/26 09:00:00' };
+  const live = [
+    { ...createEvent('BOOKED', { ...roe, detectedAt: '2026-01-05T18:00:00.000Z' }), v: 1, id: 1 },
+    { ...createEvent('RELEASED', { ...roe, detectedAt: '2026-01-06T18:00:00.000Z' }), v: 1, id: 2 },
+    { ...createEvent('BOOKED', { ...doe, detectedAt: '2026-01-20T18:00:00.000Z' }), v: 1, id: 3 },
+    { ...createEvent('RELEASED', { ...doe, detectedAt: '2026-02-28T18:30:00.000Z' }), v: 1, id: 4 }
+  ];
+  const replayed = [
+    createEvent('BOOKED', { ...doe, detectedAt: '2026-02-28T08:00:00.000Z' }),
+    createEvent('BOOKED', { name: 'SMITH, ANNA', bookingId: '26-00500', detectedAt: '2026-02-28T08:00:00.000Z' }),
+    createEvent('RELEASED', { ...doe, detectedAt: '2026-02-28T18:30:00.000Z' })
+  ];
+
+  const merged = mergeReplay(live, replayed, '2026-02-28T08:00:00.000Z');
+  assert.deepStrictEqual(merged.map(e => [e.id, e.type, e.bookingId]), [
+    [1, 'BOOKED', '26-00100'],
+    [2, 'RELEASED', '26-00100'],
+    [3, 'BOOKED', '26-00412'],
+    [4, 'BOOKED', '26-00500'],
+    [5, 'RELEASED', '26-00412']
+  ]);
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for the personal data retention purge
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createEvent, appendEvents, readEvents } from '../lib/events.js';
+import { readStays } from '../lib/stays.js';
+import { createBackup, listBackups, backupPath, readBackup } from '../lib/backup.js';
+import { archiveDir, archiveDocument, objectPath, readArchiveIndex } from '../lib/archive.js';
+import { REDACTED_NAME, isRedacted, purgePersonalData, readPurgeReport } from '../lib/retention.js';
+
+const THEFT = { statute: '9A.56.050', offense: 'Theft 3', court: 'DIST', offenseClass: 'GM' };
+const DUI = { statute: '46.61.502', offense: 'DUI', court: 'DIST', offenseClass: 'GM' };
+const NOW = new Date('2026-03-05T20:00:00.000Z');
+
+// Two stays that ended in January, one released this week and one still in custody since December;
+// removed when the test ends
+function tempStorage(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-retention-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const doe = { name: 'DOE, JOHN A', nameNumber: '1001' };
+  const roe = { name: 'ROE, RICHARD', nameNumber: '2002', bookingId: '26-00100' };
+  const smith = { name: 'SMITH, ANNA', nameNumber: '3003', bookingId: '26-00300' };
+  const long = { name: 'LONG, TERM', nameNumber: '4004', bookingId: '25-09000' };
+  appendEvents(dir, [
+    createEvent('BOOKED', { ...long, detectedAt: '2025-12-01T18:00:00.000Z', bookDate: '12/01/25 10:00:00', charges: [DUI] }),
+    // Logged before booking numbers were: paired by person
+    createEvent('BOOKED', { ...doe, detectedAt: '2026-01-10T18:00:00.000Z', bookDate: '01/10/26 09:00:00', charges: [THEFT] }),
+    createEvent('RELEASED', { ...doe, detectedAt: '2026-01-12T18:00:00.000Z', releaseDate: '01/12/26 10:00:00', charges: [THEFT] }),
+    createEvent('BOOKED', { ...roe, detectedAt: '2026-01-15T18:00:00.000Z', bookDate: '01/15/26 09:00:00', charges: [DUI] }),
+    createEvent('RELEASED', { ...roe, detectedAt: '2026-01-16T18:00:00.000Z', bookDate: '01/15/26 09:00:00', releaseDate: '01/16/26 10:00:00', charges: [DUI] }),
+    createEvent('RELEASE_DETAILS', { ...roe, detectedAt: '2026-01-16T20:00:00.000Z', releaseDate: '01/16/26 08:00:00', bail: '$2,500.00', releaseType: 'RBB' }),
+    createEvent('BOOKED', { ...smith, detectedAt: '2026-03-01T18:00:00.000Z', bookDate: '03/01/26 09:00:00', charges: [THEFT] }),
+    createEvent('RELEASED', { ...smith, detectedAt: '2026-03-02T18:00:00.000Z', bookDate: '03/01/26 09:00:00', releaseDate: '03/02/26 10:00:00', charges: [THEFT] })
+  ]);
+  fs.writeFileSync(path.join(dir, 'release_stats_history.json'), JSON.stringify([
+    { name: 'DOE, JOHN A', releaseDateTime: '01/12/26 08:00:00', timeServed: '1d23h0m', bail: '$500.00', releaseType: 'RBB' },
+    { name: 'ROE, RICHARD', nameNumber: '2002', bookingId: '26-00100', releaseDateTime: '01/16/26 08:00:00', timeServed: '0d23h0m', bail: '$2,500.00', releaseType: 'RBB' },
+    { name: 'GRAY, NOBODY', releaseDateTime: '01/20/26 08:00:00', timeServed: '0d2h0m', bail: '$0.00', releaseType: 'RPR' },
+    { name: 'SMITH, ANNA', releaseDateTime: '03/02/26 08:00:00', timeServed: '0d23h0m', bail: '$0.00', releaseType: 'RPR' }
+  ]));
+  return dir;
+}
+
+// What /api/stats and /api/deepstats read from a stay
+function aggregates(dir) {
+  const releaseHistoryFile = path.join(dir, 'release_stats_history.json');
+  return Object.values(readStays(dir, { releaseHistoryFile }).stays)
+    .map(s => [s.bookDate, s.releaseDate, s.durationMins, s.bail, s.releaseType, s.releaseSource, s.charges.map(c => c.offense)])
+    .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+}
+
+test('purgePersonalData drops names past the window and keeps every stay statistic', (t) => {
+  const dir = tempStorage(t);
+  const before = aggregates(dir);
+  const historyBefore = JSON.parse(fs.readFileSync(path.join(dir, 'release_stats_history.json'), 'utf-8'));
+
+  const report = purgePersonalData(dir, { retentionDays: 30, now: NOW });
+  assert.deepStrictEqual(report.removed, {
+    events: 5, stays: 2, releaseHistory: 3, pendingReleases: 0, debugRows: 0, migratedLogLines: 0, legacyCopies: 0,
+    archivedDocuments: 0, quarantineFiles: 0, rosterCopies: 0
+  });
+  assert.deepStrictEqual(readPurgeReport(dir), report);
+
+  assert.deepStrictEqual(aggregates(dir), before, 'bookings, releases, bail and charges still pair up');
+  const history = JSON.parse(fs.readFileSync(path.join(dir, 'release_stats_history.json'), 'utf-8'));
+  assert.deepStrictEqual(
+    history.map(e => [e.releaseDateTime, e.timeServed, e.bail, e.releaseType]),
+    historyBefore.map(e => [e.releaseDateTime, e.timeServed, e.bail, e.releaseType])
+  );
+
+  const text = fs.readFileSync(path.join(dir, 'events.jsonl'), 'utf-8') + JSON.stringify(history);
+  for (const gone of ['DOE', 'ROE', 'GRAY', '1001', '2002', '26-00100']) assert.ok(!text.includes(gone), gone + ' purged');
+
+  const events = readEvents(dir);
+  assert.deepStrictEqual(events.filter(e => !isRedacted(e)).map(e => e.name),
+    ['LONG, TERM', 'SMITH, ANNA', 'SMITH, ANNA'], 'recent releases and people still in custody are kept');
+  const doeIds = new Set(events.filter(e => e.id === 2 || e.id === 3).map(e => e.bookingId));
+  assert.equal(doeIds.size, 1);
+  assert.match([...doeIds][0], /^x-[0-9a-f]{12}$/);
+  assert.equal(history[0].bookingId, [...doeIds][0], 'the release record goes with its stay');
+  assert.equal(history[0].name, REDACTED_NAME);
+  assert.equal(history[0].nameNumber, null);
+
+  const again = purgePersonalData(dir, { retentionDays: 30, now: NOW });
+  assert.equal(again.removed.events + again.removed.releaseHistory, 0, 'purged data is left alone');
+  assert.deepStrictEqual(aggregates(dir), before);
+});
+
+test('the purge also covers backups, pending and debug lists and old per-file copies', (t) => {
+  const dir = tempStorage(t);
+  const backup = createBackup(dir, { reason: 'manual', now: new Date('2026-02-01T00:00:00.000Z') });
+  fs.writeFileSync(path.join(dir, 'events.jsonl.backup-1767225600000'), fs.readFileSync(path.join(dir, 'events.jsonl')));
+  fs.writeFileSync(path.join(dir, 'pending_releases.json'), JSON.stringify([
+    { name: 'DOE, JOHN A', detectedAt: '2026-01-12T18:00:00.000Z' },
+    { name: 'SMITH, ANNA', detectedAt: '2026-03-02T18:00:00.000Z' }
+  ]));
+  fs.writeFileSync(path.join(dir, 'release_unparsed.json'), JSON.stringify([{ text: 'DOE JOHN ??', lastSeen: '2026-01-12T18:00:00.000Z' }]));
+
+  const report = purgePersonalData(dir, { retentionDays: 30, now: NOW });
+  assert.equal(report.removed.pendingReleases, 1);
+  assert.equal(report.removed.debugRows, 1);
+  assert.equal(report.removed.legacyCopies, 1);
+  assert.equal(report.backups, 1);
+  assert.ok(!fs.existsSync(path.join(dir, 'events.jsonl.backup-1767225600000')));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'pending_releases.json'), 'utf-8')).map(p => p.name), ['SMITH, ANNA']);
+
+  assert.deepStrictEqual(listBackups(dir).map(b => b.name), [backup.name], 'rewritten in place');
+  const restored = readBackup(fs.readFileSync(backupPath(dir, backup.name)));
+  assert.equal(restored.createdAt, backup.createdAt);
+  assert.ok(!restored.files['events.jsonl'].toString().includes('DOE'));
+  assert.ok(!restored.files['release_stats_history.json'].toString().includes('DOE'));
+});
+
+test('downloaded documents past the window are deleted: archive, quarantine and roster copies', (t) => {
+  const dir = tempStorage(t);
+  const archive = archiveDir(dir);
+  const old = archiveDocument(archive, { kind: 'roster', buffer: Buffer.from('DOE, JOHN A'), fetchedAt: new Date('2026-01-12T18:00:00.000Z') });
+  const oldRelease = archiveDocument(archive, { kind: 'releases', buffer: Buffer.from('ROE, RICHARD'), fetchedAt: new Date('2026-01-16T18:00:00.000Z') });
+  const recent = archiveDocument(archive, { kind: 'roster', buffer: Buffer.from('SMITH, ANNA'), fetchedAt: new Date('2026-03-05T18:00:00.000Z') });
+
+  const quarantine = path.join(dir, 'quarantine');
+  fs.mkdirSync(quarantine);
+  const stale = new Date('2026-01-12T18:00:00.000Z');
+  for (const name of ['2026-01-12T18-00-00-000Z.pdf', '2026-01-12T18-00-00-000Z.txt', '2026-01-12T18-00-00-000Z.json', '2026-03-04T18-00-00-000Z.json']) {
+    fs.writeFileSync(path.join(quarantine, name), 'DOE, JOHN A');
+  }
+  for (const name of ['current.pdf', 'current_text.txt', 'debug_sample.txt']) fs.writeFileSync(path.join(dir, name), 'DOE, JOHN A');
+  for (const name of ['2026-01-12T18-00-00-000Z.pdf', '2026-01-12T18-00-00-000Z.txt', '2026-01-12T18-00-00-000Z.json']) {
+    fs.utimesSync(path.join(quarantine, name), stale, stale);
+  }
+  fs.utimesSync(path.join(dir, 'current.pdf'), stale, stale);
+
+  const report = purgePersonalData(dir, { retentionDays: 30, now: NOW });
+  assert.equal(report.removed.archivedDocuments, 2, 'the latest release PDF goes too once it is past the window');
+  assert.equal(report.removed.quarantineFiles, 3);
+  assert.equal(report.removed.rosterCopies, 1);
+
+  assert.deepStrictEqual(readArchiveIndex(archive).map(e => e.sha256), [recent.sha256]);
+  for (const doc of [old, oldRelease]) assert.equal(fs.existsSync(objectPath(archive, doc.sha256)), false);
+  assert.deepStrictEqual(fs.readdirSync(quarantine), ['2026-03-04T18-00-00-000Z.json']);
+  assert.deepStrictEqual(['current.pdf', 'current_text.txt', 'debug_sample.txt'].map(f => fs.existsSync(path.join(dir, f))), [false, true, true]);
+});
+
+test('retention is off unless configured, and never shorter than a week', (t) => {
+  const dir = tempStorage(t);
+  const events = fs.readFileSync(path.join(dir, 'events.jsonl'), 'utf-8');
+  assert.equal(purgePersonalData(dir, { retentionDays: 0, now: NOW }), null);
+  assert.equal(fs.readFileSync(path.join(dir, 'events.jsonl'), 'utf-8'), events);
+
+  const report = purgePersonalData(dir, { retentionDays: 1, now: NOW });
+  assert.equal(report.retentionDays, 7);
+  assert.ok(readEvents(dir).some(e => e.name === 'SMITH, ANNA'), 'released three days ago');
+});
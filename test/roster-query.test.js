@@ -0,0 +1,56 @@
+/**
+ * Tests for the current roster JSON (filters and sorting)
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import masonSource from '../lib/sources/mason.js';
+import { rosterEntries, queryRoster } from '../lib/roster-query.js';
+
+const ROSTER = fs.readFileSync(new URL('./fixtures/roster.txt', import.meta.url), 'utf-8');
+const NOW = new Date('2026-03-01T20:00:00Z');
+const entries = rosterEntries(masonSource.parseRoster(ROSTER), NOW);
+const ids = list => list.map(e => e.bookingNumber);
+
+test('each booking has its dates, days in custody and charges', () => {
+  const doe = entries.find(e => e.bookingNumber === '26-00412');
+  assert.equal(doe.name, 'DOE, JOHN A');
+  assert.equal(doe.nameNumber, '104532');
+  assert.equal(doe.bookDate, '01/20/26 09:45:00');
+  assert.equal(doe.bookedAt, '2026-01-20T17:45:00.000Z');
+  assert.equal(doe.daysInCustody, 40);
+  assert.equal(doe.scheduledRelease, null, '"No Rel Date" is no scheduled release');
+  assert.deepStrictEqual(doe.charges[0], { statute: '9A.36.041', offense: 'Assault, Simple', court: 'DIST', offenseClass: 'GM' });
+
+  const garcia = entries.find(e => e.bookingNumber === '26-00587');
+  assert.equal(garcia.scheduledRelease, '02/27/26 13:44:16');
+  assert.equal(garcia.scheduledReleaseAt, '2026-02-27T21:44:16.000Z');
+});
+
+test('filters combine: charge text, court, days in custody and booking date', () => {
+  assert.deepStrictEqual(ids(queryRoster(entries, { charge: 'dui' })), ['26-00587']);
+  assert.deepStrictEqual(ids(queryRoster(entries, { charge: '9A.52' })), ['26-00601']);
+  assert.deepStrictEqual(ids(queryRoster(entries, { court: 'supr' })).sort(), ['26-00412', '26-00601']);
+  assert.deepStrictEqual(ids(queryRoster(entries, { court: 'MUNI,DIST' })).sort(), ['26-00412', '26-00587', '26-00618']);
+  assert.deepStrictEqual(ids(queryRoster(entries, { minDays: '3' })).sort(), ['26-00412', '26-00601']);
+  assert.deepStrictEqual(ids(queryRoster(entries, { bookedSince: '2026-02-27' })).sort(), ['26-00618', '26-00622']);
+  assert.deepStrictEqual(ids(queryRoster(entries, { bookedSince: '02/26/26 12:00:00', court: 'DIST' })), ['26-00587']);
+});
+
+test('sorting defaults to newest bookings first and takes a field and order', () => {
+  assert.deepStrictEqual(ids(queryRoster(entries)), ['26-00622', '26-00618', '26-00587', '26-00601', '26-00412']);
+  assert.deepStrictEqual(ids(queryRoster(entries, { sort: 'name' })), ['26-00412', '26-00587', '26-00601', '26-00618', '26-00622']);
+  assert.deepStrictEqual(ids(queryRoster(entries, { sort: 'daysInCustody', order: 'desc' })).slice(0, 2), ['26-00412', '26-00601']);
+  // Bookings with no scheduled release go last either way
+  assert.equal(queryRoster(entries, { sort: 'scheduledRelease', order: 'desc' })[0].bookingNumber, '26-00587');
+  assert.equal(queryRoster(entries, { sort: 'scheduledRelease' })[0].bookingNumber, '26-00587');
+});
+
+test('unusable parameters are reported', () => {
+  assert.throws(() => queryRoster(entries, { minDays: 'lots' }), /minDays/);
+  assert.throws(() => queryRoster(entries, { bookedSince: 'last week' }), /bookedSince/);
+  assert.throws(() => queryRoster(entries, { sort: 'bail' }), /sort must be one of/);
+  assert.throws(() => queryRoster(entries, { order: 'up' }), /order/);
+});
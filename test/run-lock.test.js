@@ -0,0 +1,83 @@
+/**
+ * Tests for the run lock and atomic state writes
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LOCK_FILE, STALE_LOCK_MS, acquireRunLock, singleFlight } from '../lib/run-lock.js';
+import { writeFileAtomic, writeJsonAtomic } from '../lib/atomic-write.js';
+
+// Removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-lock-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('singleFlight runs once for overlapping callers and lets them join', async (t) => {
+  const dir = tempDir(t);
+  let runs = 0;
+  let finish;
+  const task = () => {
+    runs++;
+    return new Promise(resolve => { finish = resolve; });
+  };
+
+  const first = singleFlight(dir, task);
+  const second = singleFlight(dir, task);
+  assert.ok(fs.existsSync(path.join(dir, LOCK_FILE)));
+  finish('done');
+
+  assert.deepStrictEqual(await first, { joined: false, result: 'done' });
+  assert.deepStrictEqual(await second, { joined: true, result: 'done' });
+  assert.equal(runs, 1);
+  assert.ok(!fs.existsSync(path.join(dir, LOCK_FILE)), 'lock released after the run');
+
+  // The next call starts a fresh run
+  const third = singleFlight(dir, async () => 'again');
+  assert.deepStrictEqual(await third, { joined: false, result: 'again' });
+});
+
+test('a lock held by another process or an admin rewrite is busy, a stale one is cleared', async (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, LOCK_FILE);
+
+  fs.writeFileSync(file, JSON.stringify({ pid: 999999, startedAt: new Date().toISOString() }));
+  await assert.rejects(singleFlight(dir, async () => 'x'), err => err.code === 'RUN_BUSY');
+
+  fs.writeFileSync(file, JSON.stringify({ pid: 999999, startedAt: new Date(Date.now() - STALE_LOCK_MS - 1000).toISOString() }));
+  assert.deepStrictEqual(await singleFlight(dir, async () => 'x'), { joined: false, result: 'x' });
+
+  const release = acquireRunLock(dir);
+  await assert.rejects(singleFlight(dir, async () => 'y'), err => err.code === 'RUN_BUSY');
+  assert.throws(() => acquireRunLock(dir), err => err.code === 'RUN_BUSY');
+  release();
+  release();
+  assert.ok(!fs.existsSync(file));
+});
+
+test('a failed run releases the lock and fails every caller', async (t) => {
+  const dir = tempDir(t);
+  const boom = async () => { throw new Error('download failed'); };
+  const results = await Promise.allSettled([singleFlight(dir, boom), singleFlight(dir, boom)]);
+  assert.deepStrictEqual(results.map(r => r.status), ['rejected', 'rejected']);
+  assert.ok(!fs.existsSync(path.join(dir, LOCK_FILE)));
+});
+
+test('writeFileAtomic replaces the file and leaves no temp files behind', (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'pending_releases.json');
+  fs.writeFileSync(file, 'old');
+
+  writeJsonAtomic(file, [{ name: 'DOE, JOHN A' }]);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf-8')), [{ name: 'DOE, JOHN A' }]);
+  writeFileAtomic(file, Buffer.from('bytes'));
+  assert.equal(fs.readFileSync(file, 'utf-8'), 'bytes');
+  assert.deepStrictEqual(fs.readdirSync(dir), ['pending_releases.json']);
+
+  assert.throws(() => writeFileAtomic(path.join(dir, 'missing', 'x.json'), '{}'));
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for the run ledger
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import masonSource from '../lib/sources/mason.js';
+import { sourceContext } from '../lib/sources/index.js';
+import { runIngestion } from '../lib/ingest.js';
+import { acquireRunLock } from '../lib/run-lock.js';
+import { createStore } from '../lib/storage/index.js';
+import { createKvDriver } from '../lib/storage/kv.js';
+import { createMemoryClient } from '../lib/storage/kv-clients.js';
+import { RUNS_FILE, MAX_RUNS, readRuns, recordRun, recentRuns, runTrigger } from '../lib/runs.js';
+
+const ROSTER = fs.readFileSync(new URL('./fixtures/roster.txt', import.meta.url), 'utf-8');
+const LOCAL_STORE = { lock: async () => async () => {}, pull: async () => false, push: async () => 0 };
+
+// Removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-runs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+test('the ledger numbers runs, keeps the newest and filters them', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, RUNS_FILE), Array.from({ length: MAX_RUNS }, (_, i) =>
+    JSON.stringify({ id: i + 1, trigger: 'timer', ok: true })).join('\n') + '\n');
+
+  const stored = recordRun(dir, { trigger: 'cron', ok: false, error: 'Failed to download roster PDF: 503' });
+  assert.equal(stored.id, MAX_RUNS + 1);
+  const runs = readRuns(dir);
+  assert.equal(runs.length, MAX_RUNS);
+  assert.equal(runs[0].id, 2, 'the oldest run was dropped');
+
+  assert.deepStrictEqual(recentRuns(dir, { limit: 2 }).map(r => r.id), [MAX_RUNS + 1, MAX_RUNS]);
+  assert.deepStrictEqual(recentRuns(dir, { failed: true }).map(r => r.trigger), ['cron']);
+  assert.equal(recentRuns(dir, { trigger: 'timer', limit: 5000 }).length, MAX_RUNS - 1);
+  assert.equal(runTrigger('cron'), 'cron');
+  assert.equal(runTrigger('bogus'), 'manual');
+});
+
+test('every run is recorded, with download statuses, counts and errors', async (t) => {
+  let rosterFails = false;
+  const source = {
+    ...masonSource,
+    fetchRoster: async () => {
+      if (rosterFails) throw httpError('Failed to download roster PDF: 503', 503);
+      return { status: 200, buffer: Buffer.from(ROSTER), text: ROSTER };
+    },
+    fetchReleases: async () => { throw httpError('Failed to download release stats PDF: 404', 404); }
+  };
+  const ctx = { ...sourceContext(source, tempDir(t)), store: LOCAL_STORE };
+
+  const { summary } = await runIngestion(ctx, { trigger: 'timer' });
+  rosterFails = true;
+  await assert.rejects(runIngestion(ctx, { trigger: 'cron' }), /503/);
+
+  const [failed, first] = recentRuns(ctx.storageDir);
+  assert.equal(summary.runId, first.id);
+  assert.equal(first.trigger, 'timer');
+  assert.equal(first.ok, true);
+  assert.equal(first.rosterStatus, 200);
+  assert.equal(first.releaseStatus, 404);
+  assert.match(first.releaseError, /release stats PDF: 404/);
+  assert.equal(first.parsed, 5);
+  assert.equal(first.hash, summary.fingerprint);
+  assert.equal(first.message, summary.message);
+  assert.ok(first.startedAt <= first.finishedAt);
+
+  assert.equal(failed.trigger, 'cron');
+  assert.equal(failed.ok, false);
+  assert.equal(failed.rosterStatus, 503);
+  assert.equal(failed.parsed, null);
+  assert.equal(failed.error, 'Failed to download roster PDF: 503');
+});
+
+test('runs refused while busy, or by an unreadable store, are recorded too', async (t) => {
+  const source = { ...masonSource, fetchRoster: async () => ({ status: 200, buffer: Buffer.from(ROSTER), text: ROSTER }), fetchReleases: undefined };
+
+  // Busy in this process: an admin rewrite holds the run lock
+  const local = { ...sourceContext(source, tempDir(t)), store: LOCAL_STORE };
+  const release = acquireRunLock(local.storageDir);
+  await assert.rejects(runIngestion(local, { trigger: 'cron' }), e => e.code === 'RUN_BUSY');
+  release();
+  const [busy] = recentRuns(local.storageDir);
+  assert.equal(busy.trigger, 'cron');
+  assert.equal(busy.ok, false);
+  assert.match(busy.error, /in progress/);
+
+  // The shared store can't be read
+  const down = { ...sourceContext(source, tempDir(t)), store: { ...LOCAL_STORE, pull: async () => { throw new Error('KV GET failed: HTTP 503'); } } };
+  await assert.rejects(runIngestion(down), /HTTP 503/);
+  assert.deepStrictEqual(recentRuns(down.storageDir).map(r => r.error), ['KV GET failed: HTTP 503']);
+
+  // Busy on another deployment: the store can't take the entry, so it is kept in this copy until its next pull
+  const client = createMemoryClient();
+  const shared = () => {
+    const ctx = sourceContext(source, tempDir(t));
+    return { ...ctx, store: createStore(ctx.storageDir, createKvDriver(client, { namespace: 'mason' })) };
+  };
+  const server = shared();
+  const cron = shared();
+  await runIngestion(server, { trigger: 'timer' });
+  const releaseShared = await createKvDriver(client, { namespace: 'mason' }).lock();
+  await assert.rejects(runIngestion(cron, { trigger: 'cron' }), e => e.code === 'RUN_BUSY');
+  assert.deepStrictEqual(recentRuns(cron.storageDir).map(r => r.trigger), ['cron']);
+  await releaseShared();
+  await cron.store.pull();
+  assert.deepStrictEqual(recentRuns(cron.storageDir).map(r => r.trigger), ['timer']);
+
+  // Refused in this process while the store is free: the entry reaches the shared ledger
+  const releaseLocal = acquireRunLock(cron.storageDir);
+  await assert.rejects(runIngestion(cron, { trigger: 'cron' }), e => e.code === 'RUN_BUSY');
+  releaseLocal();
+  await server.store.pull();
+  assert.deepStrictEqual(recentRuns(server.storageDir).map(r => r.trigger), ['cron', 'timer']);
+});
+
+test('callers that joined a failed run add no entry of their own', async (t) => {
+  const source = { ...masonSource, fetchRoster: async () => { throw httpError('Failed to download roster PDF: 503', 503); } };
+  const ctx = { ...sourceContext(source, tempDir(t)), store: LOCAL_STORE };
+  const results = await Promise.allSettled([runIngestion(ctx), runIngestion(ctx, { trigger: 'timer' })]);
+  assert.deepStrictEqual(results.map(r => r.status), ['rejected', 'rejected']);
+  assert.equal(readRuns(ctx.storageDir).length, 1);
+});
+
+test('a failed save after a failed run reports the run\'s error', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const source = { ...masonSource, fetchRoster: async () => { throw httpError('Failed to download roster PDF: 503', 503); } };
+  const ctx = { ...sourceContext(source, tempDir(t)), store: { ...LOCAL_STORE, push: async () => { throw new Error('KV MSET failed: HTTP 500'); } } };
+  await assert.rejects(runIngestion(ctx), /roster PDF: 503/);
+  assert.equal(readRuns(ctx.storageDir)[0].error, 'Failed to download roster PDF: 503');
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for search over names, charges and statutes
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEvent } from '../lib/events.js';
+import { buildStays } from '../lib/stays.js';
+import { buildSearchIndex, search } from '../lib/search.js';
+
+const THEFT = { statute: '9A.56.050', offense: 'Theft 3', court: 'DIST', offenseClass: 'GM' };
+const BURGLARY = { statute: '9A.52.030', offense: 'Burglary 2', court: 'SUPR', offenseClass: 'FB' };
+const DUI = { statute: '46.61.502', offense: 'DUI', court: 'DIST', offenseClass: 'GM' };
+
+const events = [
+  createEvent('BOOKED', { name: 'SMITH, JONATHAN R', nameNumber: '1001', bookingId: '26-00412', bookDate: '02/01/26 09:00:00', charges: [THEFT] }),
+  createEvent('BOOKED', { name: 'SMYTH, ANNA', nameNumber: '1002', bookingId: '26-00413', bookDate: '02/03/26 22:00:00', charges: [DUI] }),
+  createEvent('CHARGE_REMOVED', { detectedAt: '2026-02-04T18:00:00.000Z', name: 'SMITH, JONATHAN R', nameNumber: '1001', bookingId: '26-00412', charge: THEFT }),
+  createEvent('CHARGE_ADDED', { detectedAt: '2026-02-04T18:00:00.000Z', name: 'SMITH, JONATHAN R', nameNumber: '1001', bookingId: '26-00412', charge: BURGLARY }),
+  createEvent('RELEASED', { name: 'SMYTH, ANNA', nameNumber: '1002', bookingId: '26-00413', bookDate: '02/03/26 22:00:00', releaseDate: '02/05/26 10:00:00', releaseType: 'RPR', charges: [DUI] }),
+  createEvent('BOOKED', { name: 'SMITH, JON', nameNumber: '1003', bookingId: '26-00500', bookDate: '02/10/26 12:00:00', charges: [DUI] })
+].map((e, i) => ({ ...e, v: 1, id: i + 1 }));
+
+const releaseHistory = [
+  { name: 'SMYTHE, ANNA M', releaseDateTime: '02/05/26 10:00:00', releaseType: 'RPR', bail: '$0.00', timeServed: '1d12h0m', bookingId: '26-00413' },
+  { name: 'GARCIA, MARIA', releaseDateTime: '01/15/26 08:00:00', releaseType: 'RBB', bail: '$1,000.00', timeServed: '2d0h0m' }
+];
+
+const index = buildSearchIndex(buildStays(events), events, releaseHistory);
+const found = (q, options) => search(index, q, options).results.map(r => r.bookingNumber || r.name);
+
+test('names match exactly, by prefix and with one typo, best match first', () => {
+  assert.deepStrictEqual(found('smith'), ['26-00500', '26-00412', '26-00413'], 'exact before the one-typo SMYTH');
+  assert.deepStrictEqual(found('jonathan'), ['26-00412']);
+  assert.deepStrictEqual(found('jonathon'), ['26-00412'], 'one typo');
+  assert.deepStrictEqual(found('smi jon'), ['26-00500', '26-00412']);
+  assert.deepStrictEqual(found('garcia'), ['GARCIA, MARIA'], 'release stats records no booking claimed');
+  // The release PDF's spelling finds the booking it was matched to
+  const [anna] = search(index, 'smythe').results;
+  assert.deepStrictEqual(anna.otherNames, ['SMYTHE, ANNA M']);
+  assert.deepStrictEqual(anna.eventIds, [2, 5]);
+  assert.deepStrictEqual(anna.matched, ['name']);
+});
+
+test('a name with a comma is compared as a whole name', () => {
+  assert.deepStrictEqual(found('SMITH, JONATHAN'), ['26-00412', '26-00500'], 'JON may be short for JONATHAN');
+  assert.deepStrictEqual(found('smtih, jonathan r'), ['26-00412']);
+  assert.deepStrictEqual(found('SMITH, JON'), ['26-00500', '26-00412']);
+});
+
+test('charges and statutes are searchable, including ones dropped later', () => {
+  assert.deepStrictEqual(found('theft'), ['26-00412']);
+  assert.deepStrictEqual(found('burglary 2'), ['26-00412']);
+  assert.deepStrictEqual(found('9A.52.030'), ['26-00412']);
+  assert.deepStrictEqual(found('9a.5'), ['26-00412']);
+  assert.deepStrictEqual(found('46.61'), ['26-00500', '26-00413']);
+  assert.deepStrictEqual(found('smith dui'), ['26-00500', '26-00413']);
+  const [hit] = search(index, 'jon 46.61').results;
+  assert.deepStrictEqual(hit.matched, ['name', 'statute']);
+  assert.deepStrictEqual(found('nobody'), []);
+});
+
+test('results are capped, and an empty query is refused', () => {
+  const page = search(index, 'smith', { limit: '1' });
+  assert.equal(page.total, 3);
+  assert.equal(page.results.length, 1);
+  assert.throws(() => search(index, '  '), /q is required/);
+  assert.throws(() => search(index, 'smith', { limit: 'all' }), /limit/);
+});
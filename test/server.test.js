@@ -0,0 +1,105 @@
+/**
+ * Tests for the HTML pages, against a running server
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { createEvent, appendEvents } from '../lib/events.js';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start server.js on a storage directory, empty unless setup(dir) fills it; stopped and cleaned up after the test
+async function startServer(t, { env = {}, setup } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-server-'));
+  if (setup) setup(dir);
+  const port = await freePort();
+  const child = spawn(process.execPath, [new URL('../server.js', import.meta.url).pathname], {
+    env: { ...process.env, PORT: String(port), RAILWAY_VOLUME_MOUNT_PATH: dir, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  t.after(() => {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', chunk => { if (String(chunk).includes('Server running')) resolve(); });
+    child.on('exit', code => reject(new Error('server exited with code ' + code)));
+  });
+  return { base: `http://localhost:${port}`, dir };
+}
+
+test('a booking number is shown as text, never as markup', async (t) => {
+  const { base } = await startServer(t);
+  const attack = '<script>alert(1)</script>';
+
+  const page = await fetch(`${base}/api/bookings/${encodeURIComponent(attack)}?format=html`);
+  assert.equal(page.status, 404);
+  const html = await page.text();
+  assert.ok(!html.includes(attack));
+  assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+
+  const search = await (await fetch(`${base}/api/search?format=html&q=${encodeURIComponent('"><img src=x onerror=alert(1)>')}`)).text();
+  assert.ok(!search.includes('<img'));
+  assert.ok(search.includes('value="&quot;&gt;&lt;img src=x onerror=alert(1)&gt;"'));
+});
+
+test('an unreadable quarantine file is listed with its error, not in place of the list', async (t) => {
+  const { base, dir } = await startServer(t);
+  const quarantine = path.join(dir, 'quarantine');
+  fs.mkdirSync(quarantine);
+  fs.writeFileSync(path.join(quarantine, '2026-03-01T18-00-00-000Z.json'), JSON.stringify({ errors: ['Parser returned zero bookings'] }));
+  fs.writeFileSync(path.join(quarantine, '2026-03-02T18-00-00-000Z.json'), '{"errors": [');
+
+  const list = await (await fetch(`${base}/api/debug/quarantine`)).json();
+  assert.equal(list.count, 2);
+  assert.equal(list.snapshots[0].id, '2026-03-02T18-00-00-000Z');
+  assert.match(list.snapshots[0].error, /^Unreadable: /);
+  assert.deepStrictEqual(list.snapshots[1], { id: '2026-03-01T18-00-00-000Z', errors: ['Parser returned zero bookings'] });
+});
+
+test('a replay is only applied with its id', async (t) => {
+  const { base, dir } = await startServer(t);
+  const live = fs.readFileSync(path.join(dir, 'events.jsonl'), 'utf-8');
+  fs.writeFileSync(path.join(dir, 'replay_events.jsonl'), '{"v":1,"id":1,"type":"BOOKED","name":"DOE, JOHN A"}\n');
+
+  for (const query of ['', '?confirm=0123456789abcdef']) {
+    const response = await fetch(`${base}/api/admin/replay/apply${query}`);
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /confirm/);
+  }
+  assert.equal(fs.readFileSync(path.join(dir, 'events.jsonl'), 'utf-8'), live);
+});
+
+test('personal data is purged at startup, not a day later', async (t) => {
+  const doe = { name: 'DOE, JOHN A', nameNumber: '1001', bookingId: '25-00100' };
+  const { base } = await startServer(t, {
+    env: { PERSONAL_DATA_RETENTION_DAYS: '30' },
+    setup: dir => appendEvents(dir, [
+      createEvent('BOOKED', { ...doe, detectedAt: '2025-01-10T18:00:00.000Z', bookDate: '01/10/25 09:00:00' }),
+      createEvent('RELEASED', { ...doe, detectedAt: '2025-01-12T18:00:00.000Z', bookDate: '01/10/25 09:00:00', releaseDate: '01/12/25 10:00:00' })
+    ])
+  });
+
+  let report = null;
+  for (let i = 0; i < 50 && !report; i++) {
+    ({ report } = await (await fetch(`${base}/api/admin/purge/last`)).json());
+    if (!report) await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.ok(report, 'no purge report after startup');
+  assert.equal(report.removed.events, 2);
+});
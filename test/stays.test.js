@@ -0,0 +1,128 @@
+/**
+ * Tests for stay records (booking ↔ release pairing)
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createEvent, appendEvents } from '../lib/events.js';
+import { STAYS_FILE, applyReleaseStats, buildStays, readStays, syncStays, staysByEventId } from '../lib/stays.js';
+
+const THEFT = { statute: '9A.56.050', offense: 'Theft 3', court: 'DIST', offenseClass: 'GM' };
+const DUI = { statute: '46.61.502', offense: 'DUI', court: 'DIST', offenseClass: 'GM' };
+
+function numbered(events) {
+  return events.map((e, i) => ({ ...e, v: 1, id: i + 1 }));
+}
+
+test('a person booked twice gets each release paired with its own booking', () => {
+  // Legacy events: no booking numbers, and the second booking is logged before the first release
+  const events = numbered([
+    createEvent('BOOKED', { name: 'DOE, JOHN A', nameNumber: '1001', bookDate: '01/20/26 09:00:00', charges: [THEFT] }),
+    createEvent('BOOKED', { name: 'DOE, JOHN A', nameNumber: '1001', bookDate: '01/25/26 09:00:00', charges: [DUI] }),
+    createEvent('RELEASED', { name: 'DOE, JOHN A', nameNumber: '1001', releaseDate: '01/22/26 09:00:00', bail: '$500.00', releaseType: 'RBB', charges: [THEFT] }),
+    createEvent('RELEASED', { name: 'DOE, JOHN A', nameNumber: '1001', releaseDate: '01/25/26 21:00:00', releaseType: 'RPR', charges: [DUI] })
+  ]);
+
+  const stays = Object.values(buildStays(events).stays)
+    .sort((a, b) => a.bookDate.localeCompare(b.bookDate));
+  assert.equal(stays.length, 2);
+  assert.deepStrictEqual(
+    stays.map(s => [s.bookDate, s.releaseDate, s.durationMins, s.timeServed, s.bail, s.releaseType]),
+    [
+      ['01/20/26 09:00:00', '01/22/26 09:00:00', 2880, '2d0h0m', '$500.00', 'RBB'],
+      ['01/25/26 09:00:00', '01/25/26 21:00:00', 720, '0d12h0m', null, 'RPR']
+    ]
+  );
+  assert.deepStrictEqual(stays[0].charges, [THEFT]);
+  assert.deepStrictEqual(stays.map(s => s.eventIds), [[1, 3], [2, 4]]);
+});
+
+test('stays follow a booking number through amendments and late release details', () => {
+  const base = { name: 'ROE, RICHARD', nameNumber: '2002' };
+  const table = buildStays(numbered([
+    createEvent('BOOKED', { ...base, bookDate: '03/01/26 08:00:00', charges: [THEFT] }),
+    // The first event with the booking number adopts the legacy stay
+    createEvent('CHARGE_ADDED', { ...base, bookingId: '26-00500', charge: DUI }),
+    createEvent('CHARGE_REMOVED', { ...base, bookingId: '26-00500', charge: THEFT }),
+    createEvent('RELEASED', { ...base, bookingId: '26-00500', bookDate: '03/01/26 08:00:00', releaseDate: '03/03/26 10:00:00', charges: [DUI] })
+  ]));
+
+  const stay = table.stays['26-00500'];
+  assert.ok(stay, 'keyed by booking number');
+  assert.equal(Object.keys(table.stays).length, 1);
+  assert.deepStrictEqual(stay.charges, [DUI]);
+  assert.equal(stay.releaseSource, 'detected');
+
+  // The release PDF shows the real release time a day later
+  const releases = new Map([['ROE, RICHARD', [
+    { releaseDateTime: '02/20/26 10:00:00', bail: '$0.00', releaseType: 'RPR' },
+    { releaseDateTime: '03/02/26 16:30:00', bail: '$1,000.00', releaseType: 'RBB' }
+  ]]]);
+  assert.equal(applyReleaseStats(table, releases), 1);
+  assert.deepStrictEqual(
+    [stay.releaseDate, stay.releaseType, stay.bail, stay.timeServed, stay.releaseSource],
+    ['03/02/26 16:30:00', 'RBB', '$1,000.00', '1d8h30m', 'release-stats']
+  );
+  assert.equal(applyReleaseStats(table, releases), 0, 'already filled in');
+
+  // So does a RELEASE_DETAILS event
+  const details = createEvent('RELEASE_DETAILS', { ...base, bookingId: '26-00500', releaseDate: '03/02/26 16:00:00', bail: '$750.00', releaseType: 'RCB' });
+  const updated = buildStays([...numbered([
+    createEvent('BOOKED', { ...base, bookingId: '26-00500', bookDate: '03/01/26 08:00:00', charges: [THEFT] }),
+    createEvent('RELEASED', { ...base, bookingId: '26-00500', releaseDate: '03/03/26 10:00:00', charges: [THEFT] })
+  ]), { ...details, v: 1, id: 3 }]).stays['26-00500'];
+  assert.deepStrictEqual([updated.releaseDate, updated.bail, updated.releaseType], ['03/02/26 16:00:00', '$750.00', 'RCB']);
+});
+
+test('syncStays saves the table and readStays catches up on newer events', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-stays-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const booked = createEvent('BOOKED', { name: 'DOE, JANE', bookingId: '26-00001', bookDate: '04/01/26 12:00:00', charges: [] });
+  appendEvents(dir, [booked]);
+
+  const saved = syncStays(dir);
+  assert.equal(saved.lastEventId, 1);
+  assert.ok(fs.existsSync(path.join(dir, STAYS_FILE)));
+
+  const [released] = appendEvents(dir, [
+    createEvent('RELEASED', { name: 'DOE, JANE', bookingId: '26-00001', releaseDate: '04/02/26 12:00:00', charges: [] })
+  ]);
+  const table = readStays(dir);
+  assert.equal(table.lastEventId, 2);
+  assert.equal(table.stays['26-00001'].durationMins, 1440);
+  assert.equal(staysByEventId(table).get(released.id), table.stays['26-00001']);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, STAYS_FILE), 'utf-8')).lastEventId, 1, 'reading writes nothing');
+
+  assert.equal(syncStays(dir, { rebuild: true }).stays['26-00001'].timeServed, '1d0h0m');
+});
+
+test('a release record goes to the booking it closed, not an older one of the same person', () => {
+  const base = { name: 'DOE, JOHN A', nameNumber: '1001' };
+  const table = buildStays(numbered([
+    createEvent('BOOKED', { ...base, bookingId: '26-001', bookDate: '01/02/26 08:00:00', charges: [THEFT] }),
+    createEvent('RELEASED', { ...base, bookingId: '26-001', bookDate: '01/02/26 08:00:00', releaseDate: '01/10/26 12:00:00', charges: [THEFT] }),
+    createEvent('BOOKED', { ...base, bookingId: '26-050', bookDate: '03/01/26 08:00:00', charges: [DUI] }),
+    createEvent('RELEASED', { ...base, bookingId: '26-050', bookDate: '03/01/26 08:00:00', releaseDate: '03/05/26 18:00:00', charges: [DUI] })
+  ]));
+
+  const releases = new Map([['DOE, JOHN A', [
+    { releaseDateTime: '03/05/26 14:00:00', bail: '$0.00', releaseType: 'RPR', timeServed: '4d6h0m' }
+  ]]]);
+  assert.equal(applyReleaseStats(table, releases), 1);
+  const [first, second] = [table.stays['26-001'], table.stays['26-050']];
+  assert.deepStrictEqual([first.releaseDate, first.releaseSource], ['01/10/26 12:00:00', 'detected']);
+  assert.deepStrictEqual([second.releaseDate, second.releaseSource, second.timeServed], ['03/05/26 14:00:00', 'release-stats', '4d6h0m']);
+
+  // A release long before the detected one is someone else's record, or a stale one
+  const late = buildStays(numbered([
+    createEvent('BOOKED', { ...base, bookingId: '26-060', bookDate: '02/01/26 08:00:00', charges: [DUI] }),
+    createEvent('RELEASED', { ...base, bookingId: '26-060', bookDate: '02/01/26 08:00:00', releaseDate: '03/05/26 18:00:00', charges: [DUI] })
+  ]));
+  assert.equal(applyReleaseStats(late, new Map([['DOE, JOHN A', [
+    { releaseDateTime: '02/03/26 14:00:00', bail: '$0.00', releaseType: 'RPR' }
+  ]]])), 0);
+});
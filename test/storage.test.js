@@ -0,0 +1,163 @@
+/**
+ * Tests for the shared storage drivers
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { createFsDriver } from '../lib/storage/fs.js';
+import { createKvDriver } from '../lib/storage/kv.js';
+import { createMemoryClient, createRespClient } from '../lib/storage/kv-clients.js';
+import { createStore } from '../lib/storage/index.js';
+
+// Removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const read = (dir, name) => fs.readFileSync(path.join(dir, name), 'utf-8');
+
+test('two copies of a key-value store see each other\'s writes', async (t) => {
+  const client = createMemoryClient();
+  const server = createStore(tempDir(t), createKvDriver(client, { namespace: 'mason' }));
+  const cron = createStore(tempDir(t), createKvDriver(client, { namespace: 'mason' }));
+
+  fs.writeFileSync(path.join(server.dir, 'events.jsonl'), '{"v":1,"id":1,"type":"BOOKED"}\n');
+  fs.writeFileSync(path.join(server.dir, 'prev_hash.txt'), 'abc');
+  fs.writeFileSync(path.join(server.dir, 'current.pdf'), 'not state');
+  assert.equal(await server.pull(), false, 'an empty store is seeded from the local copy');
+  assert.equal(await server.push(), 0, 'already pushed');
+
+  assert.equal(await cron.pull(), true);
+  assert.equal(read(cron.dir, 'prev_hash.txt'), 'abc');
+  assert.ok(!fs.existsSync(path.join(cron.dir, 'current.pdf')), 'only state files are shared');
+  assert.equal(await cron.pull(), false, 'nothing new');
+
+  fs.writeFileSync(path.join(cron.dir, 'prev_hash.txt'), 'def');
+  fs.rmSync(path.join(cron.dir, 'events.jsonl'));
+  assert.equal(await cron.push(), 2);
+
+  assert.equal(await server.pull(), true);
+  assert.equal(read(server.dir, 'prev_hash.txt'), 'def');
+  assert.ok(!fs.existsSync(path.join(server.dir, 'events.jsonl')));
+
+  const other = createStore(tempDir(t), createKvDriver(client, { namespace: 'thurston' }));
+  assert.equal(await other.read('prev_hash.txt'), null, 'sources have their own keys');
+});
+
+test('only changed files travel, and a grown log sends its new lines', async (t) => {
+  const backing = createMemoryClient();
+  const sent = [];
+  const client = { command: args => { sent.push(args); return backing.command(args); } };
+  const server = createStore(tempDir(t), createKvDriver(client, { namespace: 'mason' }));
+  const cron = createStore(tempDir(t), createKvDriver(client, { namespace: 'mason' }));
+
+  const booked = '{"v":1,"id":1,"type":"BOOKED"}\n';
+  const released = '{"v":1,"id":2,"type":"RELEASED"}\n';
+  fs.writeFileSync(path.join(server.dir, 'events.jsonl'), booked);
+  fs.writeFileSync(path.join(server.dir, 'prev_hash.txt'), 'abc');
+  await server.pull();
+  await cron.pull();
+
+  fs.appendFileSync(path.join(cron.dir, 'events.jsonl'), released);
+  sent.length = 0;
+  assert.equal(await cron.push(), 1);
+  assert.deepStrictEqual(sent.find(args => args[0] === 'APPEND'), ['APPEND', 'mason-roster:mason:events.jsonl', released]);
+  assert.ok(!sent.some(args => args[0] === 'MSET' && args.includes('mason-roster:mason:events.jsonl')), 'the log is not sent whole');
+
+  sent.length = 0;
+  assert.equal(await server.pull(), true);
+  assert.equal(read(server.dir, 'events.jsonl'), booked + released);
+  const downloads = sent.filter(args => args[0] === 'MGET' && !args[1].endsWith('@sha256'));
+  assert.ok(downloads.every(args => !args.includes('mason-roster:mason:prev_hash.txt')), 'unchanged files are not downloaded');
+
+  // A rewritten log goes whole
+  fs.writeFileSync(path.join(server.dir, 'events.jsonl'), released);
+  assert.equal(await server.push(), 1);
+  await cron.pull();
+  assert.equal(read(cron.dir, 'events.jsonl'), released);
+});
+
+test('the key-value lock keeps a second deployment out until released', async () => {
+  const client = createMemoryClient();
+  const a = createKvDriver(client, { namespace: 'mason' });
+  const b = createKvDriver(client, { namespace: 'mason' });
+
+  const release = await a.lock();
+  await assert.rejects(b.lock(), e => e.code === 'RUN_BUSY');
+  await release();
+  const releaseB = await b.lock();
+  await release(); // a stale release must not free b's lock
+  await assert.rejects(a.lock(), e => e.code === 'RUN_BUSY');
+  await releaseB();
+});
+
+test('a store on its own fs directory does no copying', async (t) => {
+  const dir = tempDir(t);
+  const store = createStore(dir, createFsDriver(dir));
+  fs.writeFileSync(path.join(dir, 'prev_hash.txt'), 'abc');
+  assert.equal(store.shared, false);
+  assert.equal(await store.pull(), false);
+  assert.equal(await store.push(), 0);
+  assert.equal(await store.read('prev_hash.txt'), 'abc');
+});
+
+test('the Redis client speaks RESP to a Redis-compatible server', async () => {
+  // Stand-in server: parses RESP commands and answers from the memory client
+  const backing = createMemoryClient();
+  const server = net.createServer(socket => {
+    let buffer = '';
+    socket.on('data', async chunk => {
+      buffer += chunk.toString('utf-8');
+      let match;
+      while ((match = buffer.match(/^\*(\d+)\r\n/))) {
+        const args = [];
+        let rest = buffer.slice(match[0].length);
+        for (let i = 0; i < Number(match[1]); i++) {
+          const bulk = rest.match(/^\$(\d+)\r\n/);
+          if (!bulk || rest.length < bulk[0].length + Number(bulk[1]) + 2) return;
+          args.push(rest.slice(bulk[0].length, bulk[0].length + Number(bulk[1])));
+          rest = rest.slice(bulk[0].length + Number(bulk[1]) + 2);
+        }
+        buffer = rest;
+        try {
+          const reply = await backing.command(args);
+          const bulk = v => v === null ? '$-1\r\n' : `$${Buffer.byteLength(String(v))}\r\n${v}\r\n`;
+          socket.write(
+            typeof reply === 'number' ? `:${reply}\r\n`
+              : Array.isArray(reply) ? `*${reply.length}\r\n` + reply.map(bulk).join('')
+                : reply === 'OK' ? '+OK\r\n' : bulk(reply)
+          );
+        } catch (e) {
+          socket.write(`-${e.message}\r\n`);
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const client = createRespClient(`redis://127.0.0.1:${server.address().port}`);
+
+  try {
+    const driver = createKvDriver(client, { namespace: 'mason' });
+    assert.equal(await driver.writeMany({ 'prev_hash.txt': 'abc', 'last_check.json': '{"checkedAt":"2026-03-01T10:00:00.000Z"}' }), 1);
+    assert.deepStrictEqual(await driver.readMany(['prev_hash.txt', 'stays.json', 'last_check.json']),
+      ['abc', null, '{"checkedAt":"2026-03-01T10:00:00.000Z"}']);
+    assert.equal(await driver.version(), 1);
+    await assert.rejects(client.command(['FLUSHALL']), /unknown command/);
+
+    // The stand-in has no AUTH: the command must fail, not run unauthenticated
+    const withPassword = createRespClient(`redis://:secret@127.0.0.1:${server.address().port}/2`);
+    await assert.rejects(withPassword.command(['GET', 'mason-roster:mason:prev_hash.txt']), /Redis AUTH failed/);
+    await assert.rejects(withPassword.command(['GET', 'mason-roster:mason:prev_hash.txt']), /Redis AUTH failed/, 'and again on reconnect');
+    withPassword.close();
+  } finally {
+    client.close();
+    server.close();
+  }
+});
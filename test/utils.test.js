@@ -0,0 +1,77 @@
+/**
+ * Tests for the jail-time helpers in utils.js
+ * Run with: npm test
+ *
+ * The server runs in UTC on Railway/Vercel but the roster is Pacific
+ * wall-clock time, so these run with the process in a third zone.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getJailParts,
+  jailTimeToDate,
+  formatJailDate,
+  jailDayKey,
+  parseBookingDate,
+  parseDateParam,
+  formatDatePST,
+  escapeHtml
+} from '../utils.js';
+import { computeTimeServed } from '../lib/change-log.js';
+
+process.env.TZ = 'Asia/Tokyo';
+
+test('parseBookingDate reads roster times as Pacific time whatever the server zone', () => {
+  assert.equal(parseBookingDate('01/18/26 14:30:00').toISOString(), '2026-01-18T22:30:00.000Z');
+  assert.equal(parseBookingDate('07/04/26 12:00:00').toISOString(), '2026-07-04T19:00:00.000Z');
+  assert.equal(parseBookingDate('1/5/2026 9:15:30').toISOString(), '2026-01-05T17:15:30.000Z');
+  assert.equal(parseBookingDate('02/30/26 12:00:00'), null);
+});
+
+test('jailTimeToDate handles both DST transitions', () => {
+  // 2:30 AM doesn't exist on spring-forward day; it reads as 3:30 AM PDT
+  assert.equal(jailTimeToDate(2026, 3, 8, 2, 30).toISOString(), '2026-03-08T10:30:00.000Z');
+  assert.equal(jailTimeToDate(2026, 3, 8, 1, 59, 59).toISOString(), '2026-03-08T09:59:59.000Z');
+  // 1:30 AM happens twice on fall-back day; the first (PDT) is used
+  assert.equal(jailTimeToDate(2026, 11, 1, 1, 30).toISOString(), '2026-11-01T08:30:00.000Z');
+  assert.equal(jailTimeToDate(2026, 11, 1, 2, 0).toISOString(), '2026-11-01T10:00:00.000Z');
+});
+
+test('formatJailDate and getJailParts round-trip roster timestamps', () => {
+  for (const s of ['01/18/26 14:30:00', '03/08/26 01:59:59', '11/01/26 23:05:00']) {
+    assert.equal(formatJailDate(parseBookingDate(s)), s);
+  }
+  // 07:30 UTC on Mar 1 is still Saturday evening Feb 28 in Shelton
+  const parts = getJailParts(new Date('2026-03-01T07:30:00Z'));
+  assert.deepStrictEqual(parts, { year: 2026, month: 2, day: 28, hour: 23, minute: 30, second: 0, weekday: 6 });
+  assert.equal(jailDayKey(new Date('2026-03-01T07:30:00Z')), '2026-02-28');
+});
+
+test('formatDatePST labels daylight time PDT', () => {
+  assert.match(formatDatePST(parseBookingDate('01/18/26 14:30:00')), /2:30:00 PM PST$/);
+  assert.match(formatDatePST(parseBookingDate('07/04/26 12:00:00')), /12:00:00 PM PDT$/);
+});
+
+test('parseDateParam reads query dates in jail time, with an end-of-day bound', () => {
+  assert.equal(parseDateParam('2026-02-01').toISOString(), '2026-02-01T08:00:00.000Z');
+  assert.equal(parseDateParam('2026-02-01', { endOfDay: true }).toISOString(), '2026-02-02T08:00:00.000Z');
+  assert.equal(parseDateParam('02/01/26', { endOfDay: true }).toISOString(), '2026-02-02T08:00:00.000Z');
+  assert.equal(parseDateParam('2026-07-04T12:30').toISOString(), '2026-07-04T19:30:00.000Z');
+  assert.equal(parseDateParam('02/01/26 09:00:00', { endOfDay: true }).toISOString(), '2026-02-01T17:00:00.000Z');
+  assert.equal(parseDateParam('2026-02-01T10:00:00Z').toISOString(), '2026-02-01T10:00:00.000Z');
+  assert.equal(parseDateParam('yesterday'), null);
+  assert.equal(parseDateParam('2026-02-30'), null);
+});
+
+test('computeTimeServed counts real elapsed time across a DST change', () => {
+  // Midnight to midnight over spring-forward is only 23 hours
+  assert.equal(computeTimeServed('03/08/26 00:00:00', '03/09/26 00:00:00'), '0d23h0m');
+  assert.equal(computeTimeServed('01/20/26 09:45:00', '02/28/26 10:00:00'), '39d0h15m');
+});
+
+test('escapeHtml makes text safe in a page and in attributes', () => {
+  assert.equal(escapeHtml('<script>alert("x")</script>'), '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+  assert.equal(escapeHtml("O'NEIL & SONS"), 'O&#39;NEIL &amp; SONS');
+  assert.equal(escapeHtml(null), '');
+});
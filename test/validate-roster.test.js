@@ -0,0 +1,39 @@
+/**
+ * Tests for the roster sanity checks
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { extractBookings } from '../lib/roster-parser.js';
+import { validateRoster } from '../lib/validate-roster.js';
+
+const ROSTER = fs.readFileSync(new URL('./fixtures/roster.txt', import.meta.url), 'utf-8');
+
+// The roster with one booking's block repeated, as across a page break
+function withRepeatedBooking(id) {
+  const start = ROSTER.indexOf('Booking #: ' + id);
+  const end = ROSTER.indexOf('Booking #:', start + 1);
+  return ROSTER + '\n' + ROSTER.slice(start, end === -1 ? undefined : end);
+}
+
+test('a booking listed twice is a warning, not a failed roster', () => {
+  const text = withRepeatedBooking('26-00587');
+  const result = validateRoster(text, extractBookings(text), null);
+  assert.equal(result.ok, true);
+  assert.equal(result.markerCount, result.parsedCount + 1);
+  assert.match(result.warnings[0], /1 listed more than once/);
+});
+
+test('bookings the markers do not account for fail, unless overridden', () => {
+  const bookings = extractBookings(ROSTER);
+  bookings.delete('26-00587');
+  const result = validateRoster(ROSTER, bookings, null);
+  assert.equal(result.ok, false);
+  assert.match(result.errors[0], /Parsed \d+ bookings but found \d+ "Booking #:" markers/);
+
+  const forced = validateRoster(ROSTER, bookings, null, { allowCountMismatch: true });
+  assert.equal(forced.ok, true);
+  assert.match(forced.warnings[0], /allowed by override/);
+});
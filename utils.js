@@ -3,15 +3,92 @@
  * Centralized date parsing, validation, and formatting functions
  */
 
+// The jail prints every timestamp as Pacific wall-clock time
+const JAIL_TIME_ZONE = 'America/Los_Angeles';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: JAIL_TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+  weekday: 'short'
+});
+
+/**
+ * Read a Date as jail (America/Los_Angeles) wall-clock fields
+ * @param {Date} date
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   - month is 1-12, weekday is 0 (Sun) - 6 (Sat)
+ *
+ * WHY: getHours()/getDay() answer in the server's zone, which is UTC on
+ * Railway and Vercel. Use this instead whenever a date is shown or bucketed.
+ */
+function getJailParts(date) {
+  const parts = {};
+  for (const { type, value } of partsFormatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// Milliseconds the jail's wall clock is ahead of UTC at an instant (negative here)
+function jailOffsetMs(ms) {
+  const p = getJailParts(new Date(ms));
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Build a Date from jail wall-clock fields
+ * @param {number} year - Full year, e.g. 2026
+ * @param {number} month - 1-12 (out-of-range values roll over like Date.UTC)
+ * @param {number} day
+ * @param {number} [hour=0]
+ * @param {number} [minute=0]
+ * @param {number} [second=0]
+ * @returns {Date}
+ *
+ * DST: a time skipped by spring-forward (2:30 AM) lands on the same wall
+ * time after the jump (3:30 AM PDT); a time that happens twice at
+ * fall-back (1:30 AM) is read as the first one (PDT).
+ */
+function jailTimeToDate(year, month, day, hour = 0, minute = 0, second = 0) {
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+  const first = asUTC - jailOffsetMs(asUTC);
+  const later = asUTC - jailOffsetMs(first);
+  if (first === later) {
+    return new Date(first);
+  }
+  // Near a transition the two guesses differ; keep the one that reads back as asked
+  const p = getJailParts(new Date(later));
+  if (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) === asUTC) {
+    return new Date(later);
+  }
+  return new Date(first);
+}
+
 /**
  * Parse a booking/release date string from the jail roster PDF
- * @param {string} dateStr - Format: "MM/DD/YY HH:MM:SS" (e.g., "01/18/26 14:30:00")
+ * @param {string} dateStr - Format: "MM/DD/YY HH:MM:SS" (e.g., "01/18/26 14:30:00"); a 4-digit year also works
  * @returns {Date|null} - Parsed Date object, or null if invalid
  * 
  * WHY: Date parsing was scattered throughout the code in 5+ places.
  * Having one function means:
  * - Bugs only need to be fixed once
- * - Timezone handling is consistent
+ * - Timezone handling is consistent (always jail time, whatever the server's TZ)
  * - Easy to add validation
  */
 function parseBookingDate(dateStr) {
@@ -20,7 +97,7 @@ function parseBookingDate(dateStr) {
   }
 
   // Match format: "MM/DD/YY HH:MM:SS"
-  const match = dateStr.match(/(\d{1,2})\/(\d{1,2})\/(\d{2})\s+(\d{1,2}):(\d{2}):(\d{2})/);
+  const match = dateStr.match(/(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\s+(\d{1,2}):(\d{2}):(\d{2})/);
   
   if (!match) {
     return null;
@@ -29,33 +106,80 @@ function parseBookingDate(dateStr) {
   const [, month, day, year, hours, minutes, seconds] = match;
   
   // Convert 2-digit year to 4-digit (assumes 2000s)
-  const fullYear = 2000 + parseInt(year);
-  
-  // Create date object (months are 0-indexed in JavaScript)
-  const date = new Date(
-    fullYear, 
-    parseInt(month) - 1, 
-    parseInt(day),
-    parseInt(hours), 
-    parseInt(minutes), 
-    parseInt(seconds)
-  );
+  const fullYear = year.length === 4 ? parseInt(year) : 2000 + parseInt(year);
 
   // Validation: Date should be reasonable (between 2020 and 2035)
   // This catches garbage data like "99/99/99 99:99:99"
-  if (date.getFullYear() < 2020 || date.getFullYear() > 2035) {
-    console.warn(`Invalid date detected: ${dateStr} parsed to ${date.toISOString()}`);
+  if (fullYear < 2020 || fullYear > 2035) {
+    console.warn(`Invalid date detected: ${dateStr} has year ${fullYear}`);
     return null;
   }
 
-  // Validation: Check for invalid dates (like February 30th)
-  // If the date object's month doesn't match what we set, it rolled over
-  if (date.getMonth() !== parseInt(month) - 1) {
+  // Validation: Check for invalid dates (like February 30th or 25:00:00)
+  // If the calendar fields roll over, the date wasn't real
+  const check = new Date(Date.UTC(fullYear, parseInt(month) - 1, parseInt(day), parseInt(hours), parseInt(minutes), parseInt(seconds)));
+  if (check.getUTCMonth() !== parseInt(month) - 1 || check.getUTCDate() !== parseInt(day) || check.getUTCHours() !== parseInt(hours)) {
     console.warn(`Invalid date detected (date rollover): ${dateStr}`);
     return null;
   }
 
-  return date;
+  return jailTimeToDate(
+    fullYear,
+    parseInt(month),
+    parseInt(day),
+    parseInt(hours),
+    parseInt(minutes),
+    parseInt(seconds)
+  );
+}
+
+/**
+ * Parse a date from a query string: "2026-02-01", "02/01/26", either with a
+ * time, or a full ISO timestamp. Dates without a zone are jail time.
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {boolean} [options.endOfDay] - For a date without a time, the start of the next day (an exclusive upper bound)
+ * @returns {Date|null}
+ */
+function parseDateParam(value, { endOfDay = false } = {}) {
+  if (!value || typeof value !== 'string') return null;
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (iso) {
+    const [, year, month, day, hours, minutes, seconds] = iso;
+    const roster = `${month}/${day}/${year} ${hours || '00'}:${minutes || '00'}:${seconds || '00'}`;
+    const date = parseBookingDate(roster);
+    return date && endOfDay && !hours ? jailTimeToDate(Number(year), Number(month), Number(day) + 1) : date;
+  }
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  const hasTime = /\d:\d/.test(value);
+  const date = parseBookingDate(hasTime ? value : value + ' 00:00:00');
+  if (!date || !endOfDay || hasTime) return date;
+  const p = getJailParts(date);
+  return jailTimeToDate(p.year, p.month, p.day + 1);
+}
+
+/**
+ * Format a Date the way the roster prints it, in jail time
+ * @param {Date} date
+ * @returns {string} - "MM/DD/YY HH:MM:SS"
+ */
+function formatJailDate(date) {
+  const p = getJailParts(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(p.month)}/${pad(p.day)}/${String(p.year).slice(-2)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/**
+ * Calendar day of a Date in jail time, for grouping and same-day checks
+ * @param {Date} date
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function jailDayKey(date) {
+  const p = getJailParts(date);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
 }
 
 /**
@@ -161,7 +285,7 @@ function isMidnight(dateStr) {
 /**
  * Format a Date object to PST/PDT string
  * @param {Date} date - Date object to format
- * @returns {string} - Formatted string like "2/27/2026, 2:30:45 PM PST"
+ * @returns {string} - Formatted string like "2/27/2026, 2:30:45 PM PST" (PDT during daylight time)
  */
 function formatDatePST(date) {
   if (!date || !(date instanceof Date) || isNaN(date.getTime())) {
@@ -169,23 +293,43 @@ function formatDatePST(date) {
   }
 
   return date.toLocaleString('en-US', {
-    timeZone: 'America/Los_Angeles',
+    timeZone: JAIL_TIME_ZONE,
     year: 'numeric',
     month: 'numeric',
     day: 'numeric',
     hour: 'numeric',
     minute: '2-digit',
     second: '2-digit',
-    hour12: true
-  }) + ' PST';
+    hour12: true,
+    timeZoneName: 'short'
+  });
+}
+
+/**
+ * Escape text for an HTML page or attribute
+ * @param {*} value - null and undefined become ""
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
 }
 
 // Export all functions
 export {
+  JAIL_TIME_ZONE,
+  WEEKDAYS,
+  getJailParts,
+  jailTimeToDate,
+  formatJailDate,
+  jailDayKey,
   parseBookingDate,
+  parseDateParam,
   formatMinutes,
   parseTimeServed,
   daysBetween,
   isMidnight,
-  formatDatePST
+  formatDatePST,
+  escapeHtml
 };